@@ -6,9 +6,41 @@ import type {
   AvailableResource,
   GeneratedPrompt,
   ExportConfig,
+  ExportResult,
+  ExportHistoryPage,
+  ExportDiff,
+  ExportTargetInfo,
+  ExportTemplate,
+  ExportTemplateKind,
+  ExportTemplatePreview,
+  ExportTemplatePreviewRequest,
+  ClaudeConfigImportRequest,
+  ClaudeConfigImportPreview,
+  ClaudeConfigImportResult,
   AISuggestion,
+  AIStreamHandlers,
+  GeneratePromptRequest,
+  GeneratedProjectPrompt,
+  EnhancePromptRequest,
+  EnhancedPrompt,
+  XmlConversionRequest,
+  XmlConversion,
+  AIQuota,
+  AIQuotaStatus,
+  AIUsageSummary,
   RuleSet,
+  RuleChangeNote,
+  RuleConflictReport,
+  RuleLintConfig,
+  RuleLintCheck,
+  RuleLintReport,
+  RuleLintRequest,
+  RuleVersion,
+  RuleVersionDiff,
+  RuleSetTemplate,
+  GeneratedRuleSetFile,
   Hook,
+  HookTestResult,
   APIClientConfig,
   RequestOptions
 } from '../types';
@@ -100,8 +132,13 @@ export class APIClient {
               response.status !== 408 && response.status !== 429) {
             throw apiError;
           }
-          
+
           lastError = apiError;
+
+          // A used-up AI quota only frees up at its reset time
+          if (apiError.code === 'AI_QUOTA_EXCEEDED') {
+            break;
+          }
         } else {
           // Success - parse and return response
           const contentType = response.headers.get('content-type');
@@ -138,6 +175,86 @@ export class APIClient {
     throw lastError || new APIError('Request failed after all retry attempts');
   }
 
+  /**
+   * POST to a Server-Sent Events endpoint, passing the text of each "token"
+   * event to onToken and resolving with the "result" event. The timeout
+   * applies to silence between chunks rather than the whole stream, and
+   * failures are not retried since tokens already delivered can't be undone.
+   */
+  async requestStream<T>(endpoint: string, body: unknown, handlers: AIStreamHandlers = {}): Promise<T> {
+    const controller = new AbortController();
+    let timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const url = `${this.baseURL}${endpoint}`;
+      console.log('API Stream:', url);
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream'
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok || !response.body) {
+        const errorData = await response.json().catch(() => ({}));
+        throw APIError.fromResponse(response, errorData);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        buffer += decoder.decode(value, { stream: !done }).replace(/\r\n/g, '\n');
+
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+
+          let event = 'message';
+          const data: string[] = [];
+          for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+          }
+          if (data.length === 0) continue;
+
+          const payload = JSON.parse(data.join('\n'));
+          if (event === 'token') {
+            handlers.onToken?.(payload.text);
+          } else if (event === 'result') {
+            return payload as T;
+          } else if (event === 'error') {
+            throw new APIError(payload.error, response.status, 'STREAM_ERROR', payload);
+          }
+        }
+
+        if (done) {
+          throw new APIError('Stream ended without a result', response.status, 'STREAM_ERROR');
+        }
+      }
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      if (error instanceof Error && error.name === 'AbortError') {
+        throw new TimeoutError(this.timeout);
+      }
+      throw new NetworkError(error instanceof Error ? error.message : undefined);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
   /**
    * Health check endpoint to verify API connectivity
    */
@@ -195,7 +312,7 @@ export class APIClient {
     });
   }
 
-  async updateRuleSet(id: string, ruleSet: Partial<RuleSet>): Promise<RuleSet> {
+  async updateRuleSet(id: string, ruleSet: Partial<RuleSet> & RuleChangeNote): Promise<RuleSet> {
     return this.request<RuleSet>(`/rules/${id}`, {
       method: 'PUT',
       body: JSON.stringify(ruleSet)
@@ -206,6 +323,85 @@ export class APIClient {
     await this.request(`/rules/${id}`, { method: 'DELETE' });
   }
 
+  async getRuleVersions(id: string): Promise<{ ruleId: string; currentVersion: number; versions: RuleVersion[] }> {
+    return this.request<{ ruleId: string; currentVersion: number; versions: RuleVersion[] }>(`/rules/${id}/versions`);
+  }
+
+  async diffRuleVersions(id: string, from: number, to?: number): Promise<RuleVersionDiff> {
+    const params = new URLSearchParams({ from: String(from) });
+    if (to !== undefined) params.set('to', String(to));
+    return this.request<RuleVersionDiff>(`/rules/${id}/diff?${params}`);
+  }
+
+  async lintRules(request: RuleLintRequest): Promise<RuleLintReport> {
+    return this.request<RuleLintReport>('/rules/lint', {
+      method: 'POST',
+      body: JSON.stringify(request)
+    });
+  }
+
+  async revertRule(id: string, version: number, note: RuleChangeNote = {}): Promise<RuleSet> {
+    return this.request<RuleSet>(`/rules/${id}/revert/${version}`, {
+      method: 'POST',
+      body: JSON.stringify(note)
+    });
+  }
+
+  // Rule set templates (rule lists with {ARGUMENT} placeholders)
+  async getRuleSetTemplates(): Promise<RuleSetTemplate[]> {
+    return this.request<RuleSetTemplate[]>('/rule-sets');
+  }
+
+  async getRuleSetTemplate(id: string): Promise<RuleSetTemplate> {
+    return this.request<RuleSetTemplate>(`/rule-sets/${id}`);
+  }
+
+  /**
+   * Invalid argument values reject with an APIError whose details.details
+   * lists RuleSetArgumentError entries
+   */
+  async generateRuleSetFile(id: string, argumentValues: Record<string, string | number | boolean>): Promise<GeneratedRuleSetFile> {
+    return this.request<GeneratedRuleSetFile>(`/rule-sets/${id}/generate`, {
+      method: 'POST',
+      body: JSON.stringify({ argument_values: argumentValues })
+    });
+  }
+
+  // Streaming AI generation
+  async generatePrompt(request: GeneratePromptRequest, onToken?: (text: string) => void): Promise<GeneratedProjectPrompt> {
+    return this.requestStream<GeneratedProjectPrompt>('/ai/generate-prompt/stream', request, { onToken });
+  }
+
+  async enhancePrompt(request: EnhancePromptRequest, onToken?: (text: string) => void): Promise<EnhancedPrompt> {
+    return this.requestStream<EnhancedPrompt>('/ai/enhance-prompt/stream', request, { onToken });
+  }
+
+  async convertToXml(request: XmlConversionRequest, onToken?: (text: string) => void): Promise<XmlConversion> {
+    return this.requestStream<XmlConversion>('/ai/convert-to-xml/stream', request, { onToken });
+  }
+
+  async getAIUsage(days = 30, projectId?: string | number | null): Promise<AIUsageSummary> {
+    const params = new URLSearchParams({ days: String(days) });
+    if (projectId != null && projectId !== '') {
+      params.set('project_id', String(projectId));
+    }
+    return this.request<AIUsageSummary>(`/ai/usage?${params}`);
+  }
+
+  async getAIQuotas(): Promise<AIQuotaStatus[]> {
+    const data = await this.request<{ quotas: AIQuotaStatus[] }>('/ai/quotas');
+    return data.quotas;
+  }
+
+  /** Keys are "*" (all AI calls) or a project id; null removes a quota */
+  async updateAIQuotas(quotas: Record<string, AIQuota | null>): Promise<AIQuotaStatus[]> {
+    const data = await this.request<{ quotas: AIQuotaStatus[] }>('/ai/quotas', {
+      method: 'PUT',
+      body: JSON.stringify({ quotas })
+    });
+    return data.quotas;
+  }
+
   async enhanceRules(id: string, config: { context?: string; goals: string[] }): Promise<{ enhanced_content: string }> {
     return this.request<{ enhanced_content: string }>(`/ai/enhance-rules/${id}`, {
       method: 'POST',
@@ -236,8 +432,8 @@ export class APIClient {
     await this.request(`/hooks/${id}`, { method: 'DELETE' });
   }
 
-  async testHook(id: string, context?: any): Promise<{ result: any; logs: string[] }> {
-    return this.request<{ result: any; logs: string[] }>(`/hooks/${id}/test`, {
+  async testHook(id: string, context?: any): Promise<HookTestResult> {
+    return this.request<HookTestResult>(`/hooks/${id}/test`, {
       method: 'POST',
       body: JSON.stringify({ context })
     });
@@ -283,6 +479,21 @@ export class APIClient {
     return this.request<ProjectResource[]>(`/projects/${projectId}/resources`);
   }
 
+  async getProjectRuleConflicts(projectId: string): Promise<RuleConflictReport> {
+    return this.request<RuleConflictReport>(`/projects/${projectId}/rules/conflicts`);
+  }
+
+  async getProjectRuleLint(projectId: string): Promise<{ projectId: number; config: RuleLintConfig; checks: RuleLintCheck[] }> {
+    return this.request<{ projectId: number; config: RuleLintConfig; checks: RuleLintCheck[] }>(`/projects/${projectId}/rule-lint`);
+  }
+
+  async updateProjectRuleLint(projectId: string, config: RuleLintConfig): Promise<{ projectId: number; config: RuleLintConfig; checks: RuleLintCheck[] }> {
+    return this.request<{ projectId: number; config: RuleLintConfig; checks: RuleLintCheck[] }>(`/projects/${projectId}/rule-lint`, {
+      method: 'PUT',
+      body: JSON.stringify({ config })
+    });
+  }
+
   async assignResourceToProject(projectId: string, resourceId: string, resourceType: string): Promise<void> {
     await this.request(`/projects/${projectId}/resources`, {
       method: 'POST',
@@ -362,13 +573,65 @@ export class APIClient {
     });
   }
 
+  // Import Functionality
+  async importClaudeConfig(projectId: string, request: ClaudeConfigImportRequest): Promise<ClaudeConfigImportPreview | ClaudeConfigImportResult> {
+    return this.request<ClaudeConfigImportPreview | ClaudeConfigImportResult>(`/projects/${projectId}/import-claude-config`, {
+      method: 'POST',
+      body: JSON.stringify(request)
+    });
+  }
+
   // Export Functionality
-  async exportProject(projectId: string, config: ExportConfig): Promise<{ downloadUrl: string }> {
-    return this.request<{ downloadUrl: string }>(`/export/claude-code/${projectId}`, {
+  async getExportTargets(): Promise<ExportTargetInfo[]> {
+    const response = await this.request<{ targets: ExportTargetInfo[] }>('/export/targets');
+    return response.targets;
+  }
+
+  async exportProject(projectId: string, config: ExportConfig): Promise<ExportResult> {
+    return this.request<ExportResult>(`/export/claude-code/${projectId}`, {
       method: 'POST',
       body: JSON.stringify(config)
     });
   }
+
+  async getExportHistory(projectId: string, limit = 10): Promise<ExportHistoryPage> {
+    return this.request<ExportHistoryPage>(`/export/history/${projectId}?limit=${limit}`);
+  }
+
+  async diffExports(projectId: string, from: string, to: string): Promise<ExportDiff> {
+    const query = new URLSearchParams({ from, to });
+    return this.request<ExportDiff>(`/export/history/${projectId}/diff?${query}`);
+  }
+
+  // Export Templates
+  async getExportTemplates(kind?: ExportTemplateKind): Promise<ExportTemplate[]> {
+    return this.request<ExportTemplate[]>(kind ? `/export-templates?kind=${kind}` : '/export-templates');
+  }
+
+  async createExportTemplate(template: Omit<ExportTemplate, 'id' | 'created_at' | 'updated_at'>): Promise<ExportTemplate> {
+    return this.request<ExportTemplate>('/export-templates', {
+      method: 'POST',
+      body: JSON.stringify(template)
+    });
+  }
+
+  async updateExportTemplate(id: string, template: Partial<ExportTemplate>): Promise<ExportTemplate> {
+    return this.request<ExportTemplate>(`/export-templates/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(template)
+    });
+  }
+
+  async deleteExportTemplate(id: string): Promise<void> {
+    await this.request(`/export-templates/${id}`, { method: 'DELETE' });
+  }
+
+  async previewExportTemplate(request: ExportTemplatePreviewRequest): Promise<ExportTemplatePreview> {
+    return this.request<ExportTemplatePreview>('/export-templates/preview', {
+      method: 'POST',
+      body: JSON.stringify(request)
+    });
+  }
 }
 
 // Create singleton instance
@@ -401,6 +664,9 @@ export const api = {
     update: (id: string, project: Partial<Project>) => apiClient.updateProject(id, project),
     delete: (id: string) => apiClient.deleteProject(id),
     resources: (id: string) => apiClient.getProjectResources(id),
+    ruleConflicts: (id: string) => apiClient.getProjectRuleConflicts(id),
+    ruleLint: (id: string) => apiClient.getProjectRuleLint(id),
+    updateRuleLint: (id: string, config: RuleLintConfig) => apiClient.updateProjectRuleLint(id, config),
     assignResource: (projectId: string, resourceId: string, resourceType: string) => 
       apiClient.assignResourceToProject(projectId, resourceId, resourceType),
     unassignResource: (projectId: string, assignmentId: string) => 
@@ -414,8 +680,19 @@ export const api = {
   rules: {
     list: () => apiClient.getRuleSets(),
     create: (ruleSet: Omit<RuleSet, 'id' | 'created_at' | 'updated_at'>) => apiClient.createRuleSet(ruleSet),
-    update: (id: string, ruleSet: Partial<RuleSet>) => apiClient.updateRuleSet(id, ruleSet),
-    delete: (id: string) => apiClient.deleteRuleSet(id)
+    update: (id: string, ruleSet: Partial<RuleSet> & RuleChangeNote) => apiClient.updateRuleSet(id, ruleSet),
+    delete: (id: string) => apiClient.deleteRuleSet(id),
+    versions: (id: string) => apiClient.getRuleVersions(id),
+    diff: (id: string, from: number, to?: number) => apiClient.diffRuleVersions(id, from, to),
+    revert: (id: string, version: number, note?: RuleChangeNote) => apiClient.revertRule(id, version, note),
+    lint: (request: RuleLintRequest) => apiClient.lintRules(request)
+  },
+
+  ruleSetTemplates: {
+    list: () => apiClient.getRuleSetTemplates(),
+    get: (id: string) => apiClient.getRuleSetTemplate(id),
+    generate: (id: string, argumentValues: Record<string, string | number | boolean>) =>
+      apiClient.generateRuleSetFile(id, argumentValues)
   },
 
   // Hooks
@@ -436,12 +713,39 @@ export const api = {
   // AI
   ai: {
     getSuggestions: (projectId: string, context: any) => apiClient.getAISuggestions(projectId, context),
-    enhanceRules: (id: string, config: { context?: string; goals: string[] }) => apiClient.enhanceRules(id, config)
+    enhanceRules: (id: string, config: { context?: string; goals: string[] }) => apiClient.enhanceRules(id, config),
+    generatePrompt: (request: GeneratePromptRequest, onToken?: (text: string) => void) =>
+      apiClient.generatePrompt(request, onToken),
+    enhancePrompt: (request: EnhancePromptRequest, onToken?: (text: string) => void) =>
+      apiClient.enhancePrompt(request, onToken),
+    convertToXml: (request: XmlConversionRequest, onToken?: (text: string) => void) =>
+      apiClient.convertToXml(request, onToken),
+    usage: (days?: number, projectId?: string | number | null) => apiClient.getAIUsage(days, projectId),
+    quotas: () => apiClient.getAIQuotas(),
+    updateQuotas: (quotas: Record<string, AIQuota | null>) => apiClient.updateAIQuotas(quotas)
   },
 
   // Export
   export: {
-    project: (projectId: string, config: ExportConfig) => apiClient.exportProject(projectId, config)
+    targets: () => apiClient.getExportTargets(),
+    project: (projectId: string, config: ExportConfig) => apiClient.exportProject(projectId, config),
+    history: (projectId: string, limit?: number) => apiClient.getExportHistory(projectId, limit),
+    diff: (projectId: string, from: string, to: string) => apiClient.diffExports(projectId, from, to)
+  },
+
+  exportTemplates: {
+    list: (kind?: ExportTemplateKind) => apiClient.getExportTemplates(kind),
+    create: (template: Omit<ExportTemplate, 'id' | 'created_at' | 'updated_at'>) => apiClient.createExportTemplate(template),
+    update: (id: string, template: Partial<ExportTemplate>) => apiClient.updateExportTemplate(id, template),
+    delete: (id: string) => apiClient.deleteExportTemplate(id),
+    preview: (request: ExportTemplatePreviewRequest) => apiClient.previewExportTemplate(request)
+  },
+
+  import: {
+    preview: (projectId: string, request: ClaudeConfigImportRequest) =>
+      apiClient.importClaudeConfig(projectId, { ...request, commit: false }) as Promise<ClaudeConfigImportPreview>,
+    commit: (projectId: string, request: ClaudeConfigImportRequest) =>
+      apiClient.importClaudeConfig(projectId, { ...request, commit: true }) as Promise<ClaudeConfigImportResult>
   }
 };
 
@@ -8,7 +8,7 @@
 
 import { describe, test, expect, beforeEach, vi } from 'vitest';
 import fc from 'fast-check';
-import { APIClient, NetworkError, TimeoutError } from '../scripts/api';
+import { APIClient, APIError, NetworkError, TimeoutError } from '../scripts/api';
 import type { Agent, OutputRequirement } from '../types';
 
 // Mock fetch for testing
@@ -229,5 +229,77 @@ describe('Backend Integration Consistency', () => {
       }
     ), { numRuns: 30 });
   });
-});
 
+  test('Streaming requests deliver tokens progressively and resolve with the result event', async () => {
+    const streamResponse = (chunks: string[]) => {
+      const encoder = new TextEncoder();
+      return {
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+        headers: new Headers([['content-type', 'text/event-stream']]),
+        body: new ReadableStream({
+          start(controller) {
+            chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+          }
+        })
+      };
+    };
+
+    mockFetch.mockResolvedValue(streamResponse([
+      'event: token\ndata: {"text":"Write "}\n\nevent: tok',
+      'en\ndata: {"text":"tests"}\n\n',
+      'event: result\ndata: {"original":"x","enhanced":"Write tests","enhancementType":"general","projectContext":null}\n\n'
+    ]));
+
+    const tokens: string[] = [];
+    const result = await apiClient.enhancePrompt({ prompt: 'x' }, (text) => tokens.push(text));
+
+    expect(mockFetch).toHaveBeenCalledWith(
+      '/api/ai/enhance-prompt/stream',
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ prompt: 'x' }) })
+    );
+    expect(tokens).toEqual(['Write ', 'tests']);
+    expect(result.enhanced).toBe('Write tests');
+
+    mockFetch.mockResolvedValue(streamResponse([
+      'event: token\ndata: {"text":"<context>"}\n\n',
+      'event: error\ndata: {"error":"XML conversion failed","details":"model overloaded"}\n\n'
+    ]));
+
+    const failure = await apiClient.convertToXml({ prompt: 'x' }).catch((error) => error);
+    expect(failure).toBeInstanceOf(APIError);
+    expect(failure.message).toBe('XML conversion failed');
+    expect(failure.details.details).toBe('model overloaded');
+  });
+
+  test('AI usage requests pass filters and quota refusals are not retried', async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: new Headers([['content-type', 'application/json']]),
+      json: async () => ({ totals: { calls: 3 }, daily: [], projects: [], features: [], quotas: [] })
+    });
+
+    const usage = await apiClient.getAIUsage(7, '12');
+
+    expect(mockFetch).toHaveBeenCalledWith('/api/ai/usage?days=7&project_id=12', expect.any(Object));
+    expect(usage.totals.calls).toBe(3);
+
+    mockFetch.mockClear();
+    mockFetch.mockResolvedValue({
+      ok: false,
+      status: 429,
+      statusText: 'Too Many Requests',
+      json: async () => ({ error: 'AI quota exceeded', code: 'AI_QUOTA_EXCEEDED', resetAt: '2026-10-20T00:00:00.000Z' })
+    });
+
+    const failure = await apiClient.enhanceRules('1', { goals: [] }).catch((error) => error);
+
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+    expect(failure).toBeInstanceOf(APIError);
+    expect(failure.status).toBe(429);
+    expect(failure.details.resetAt).toBe('2026-10-20T00:00:00.000Z');
+  });
+});
@@ -72,43 +72,242 @@ export interface RuleSet {
   category?: string;
   priority?: number;
   tags?: string;
+  path_scope?: string | null;
   is_active?: number;
   ai_enhanced?: boolean;
   usage_count?: number;
+  // Version the rule currently matches in its history
+  version?: number;
   created_at?: string;
   updated_at?: string;
 }
 
+// Why a rule was changed, recorded with the version the change creates
+export interface RuleChangeNote {
+  author?: string;
+  reason?: string;
+}
+
+export interface RuleVersion {
+  id: string;
+  rule_id: string;
+  version: number;
+  name: string;
+  description: string | null;
+  rule_content: string;
+  category: string | null;
+  priority: number;
+  tags: string;
+  path_scope: string | null;
+  author: string | null;
+  reason: string | null;
+  reverted_from: number | null;
+  created_at: string;
+}
+
+export interface RuleConflictRule {
+  id: string;
+  name: string;
+  category: string | null;
+  pathScope: string | null;
+  stance?: string;
+}
+
+export interface RuleConflictReport {
+  projectId: number;
+  rules: number;
+  duplicates: { rules: RuleConflictRule[]; similarity: number }[];
+  contradictions: { topic: string; category: string; rules: RuleConflictRule[]; message: string }[];
+}
+
+export interface RuleVersionDiff {
+  from: number;
+  to: number;
+  fields: { field: string; from: unknown; to: unknown }[];
+  contentDiff: string;
+}
+
+export type RuleLintSeverity = "error" | "warning" | "info" | "off";
+
+export interface RuleLintFinding {
+  check: string;
+  severity: Exclude<RuleLintSeverity, "off">;
+  message: string;
+  // 1-based line in the rule content, when the finding has one
+  line: number | null;
+}
+
+export interface RuleLintCheck {
+  name: string;
+  description: string;
+  severity: RuleLintSeverity;
+  options: Record<string, unknown>;
+}
+
+// Per-check overrides: a severity or { severity, options }
+export type RuleLintConfig = Record<
+  string,
+  RuleLintSeverity | { severity?: RuleLintSeverity; options?: Record<string, unknown> }
+>;
+
+export interface RuleLintRequest {
+  rules?: { id?: string; name: string; rule_content: string }[];
+  rule_ids?: string[];
+  project_id?: string | number;
+  config?: RuleLintConfig;
+}
+
+export interface RuleLintReport {
+  results: { ruleId: string | null; name: string | null; findings: RuleLintFinding[] }[];
+  summary: { error: number; warning: number; info: number };
+  checks: RuleLintCheck[];
+}
+
+export type RuleSetArgumentType = "string" | "number" | "boolean" | "enum";
+
+// Declares one {ARGUMENT} placeholder of a rule set template
+export interface RuleSetArgument {
+  name: string;
+  type: RuleSetArgumentType;
+  options: string[] | null;
+  default: string | number | boolean | null;
+  required: boolean;
+  description: string | null;
+}
+
+// Where a rule set rule came from once parents and includes are inlined
+export interface RuleSetRuleSource {
+  type: "rule-set" | "agent-rule";
+  id: string | null;
+  name: string;
+}
+
+export interface ResolvedRuleSetRule {
+  title: string;
+  content?: string;
+  priority: "high" | "medium" | "low";
+  source: RuleSetRuleSource;
+  // Earlier rule with the same title this one replaced
+  overrides: RuleSetRuleSource | null;
+}
+
+// Agent rule inlined into a rule set; version pins it to a rule version
+export interface RuleSetInclude {
+  rule_id: string;
+  priority: "high" | "medium" | "low";
+  version: number | null;
+}
+
+// Rule set template from /api/rule-sets, rendered into CLAUDE.md or a rules file
+export interface RuleSetTemplate {
+  id: string;
+  name: string;
+  description?: string;
+  file_type: "CLAUDE.md" | ".claude/rules";
+  project_id?: number | null;
+  rules: { title: string; content: string; priority?: "high" | "medium" | "low" }[];
+  rules_count?: number;
+  argument_schema: RuleSetArgument[];
+  // Parent rule set IDs, later ones overriding earlier ones
+  extends: string[];
+  includes: RuleSetInclude[];
+  // Set by GET /api/rule-sets/:id once parents and includes are inlined
+  resolved_rules?: ResolvedRuleSetRule[] | null;
+  resolved_argument_schema?: RuleSetArgument[] | null;
+  resolution_error?: string | null;
+  // Every placeholder the rules use, declared in argument_schema or not
+  placeholders?: string[];
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface RuleSetArgumentError {
+  argument: string;
+  code: "required" | "type" | "enum" | "undeclared";
+  message: string;
+}
+
+export interface GeneratedRuleSetFile {
+  content: string;
+  file_type: RuleSetTemplate["file_type"];
+  filename: string;
+  rules: ResolvedRuleSetRule[];
+}
+
+export type HookEvent =
+  | "PreToolUse"
+  | "PostToolUse"
+  | "UserPromptSubmit"
+  | "Notification"
+  | "Stop"
+  | "SubagentStop"
+  | "PreCompact"
+  | "SessionStart"
+  | "SessionEnd";
+
+export interface HookMatcher {
+  tool?: string;
+  pattern?: string;
+  source?: "startup" | "resume" | "clear" | "compact";
+  trigger?: "manual" | "auto";
+}
+
+export type HookSafetySeverity = "info" | "low" | "medium" | "high" | "critical";
+
+export interface HookSafetyFinding {
+  rule: string;
+  severity: HookSafetySeverity;
+  message: string;
+  suggestion: string;
+}
+
+export interface HookSafetyReport {
+  hookId: string | null;
+  hookName: string | null;
+  hookType: HookEvent | null;
+  severity: HookSafetySeverity | null;
+  findings: HookSafetyFinding[];
+}
+
 export interface Hook {
   id: string;
+  project_id?: number | null;
   name: string;
   description?: string;
-  category: "workflow" | "integration" | "automation";
-  trigger:
-    | "manual"
-    | "file_save"
-    | "project_create"
-    | "agent_create"
-    | "prompt_generate"
-    | "schedule";
-  action:
-    | "generate_prompt"
-    | "run_command"
-    | "send_webhook"
-    | "create_file"
-    | "update_project";
-  trigger_config?: Record<string, any>;
-  action_config?: Record<string, any>;
-  enabled: boolean;
+  hook_type: HookEvent;
+  tool_matcher?: HookMatcher | string | null;
+  command: string;
+  working_directory?: string | null;
+  timeout_ms?: number;
+  is_enabled: boolean | number;
+  sort_order?: number;
+  safety?: HookSafetyReport;
   created_at?: string;
   updated_at?: string;
 }
 
+export interface HookTestResult {
+  result: {
+    hook: { id: string; name: string; hook_type: HookEvent };
+    executed: false;
+    wouldRun: boolean;
+    matcher: { matcher: string | null; field: string | null; subject: string | null; fires: boolean };
+    pattern: { pattern: string; subject: string | null; matches: boolean; enforcedByClaudeCode: false } | null;
+    command: { configured: string; expanded: string; timeout: number; workingDirectory: string | null };
+    environment: Record<string, string>;
+    unresolvedVariables: string[];
+    stdin: Record<string, unknown>;
+    exitCodes: { 0: string; 2: string; other: string };
+  };
+  logs: string[];
+}
+
 export interface ProjectResource {
   id: string;
   project_id: string;
   resource_id: string;
   resource_type: "agent" | "rule" | "hook" | "prompt";
+  path_scope?: string | null;
   assigned_at?: Date;
 }
 
@@ -133,15 +332,229 @@ export interface GeneratedPrompt {
   created?: Date;
 }
 
+export type ExportTarget = "claude-code" | "cursor" | "windsurf" | "copilot" | "agents-md" | "gemini";
+
+export interface ExportTargetInfo {
+  id: ExportTarget;
+  label: string;
+  description: string;
+  files: string[];
+}
+
+export type ExportTemplateKind = "claude-md" | "rules-file" | "rule-set";
+
+export interface ExportTemplate {
+  id: string;
+  name: string;
+  description?: string;
+  kind: ExportTemplateKind;
+  template_content: string;
+  is_active?: number;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface ExportTemplatePreviewRequest {
+  kind?: ExportTemplateKind;
+  template_id?: string;
+  template_content?: string;
+  project_id?: string;
+  rule_set_id?: string;
+  argument_values?: Record<string, string>;
+}
+
+export interface ExportTemplatePreview {
+  kind: ExportTemplateKind;
+  content: string;
+  context: Record<string, unknown>;
+}
+
 export interface ExportConfig {
   format: "claude-code" | "json" | "zip";
   filename: string;
+  targets?: ExportTarget[];
+  // Stored export templates replacing the built-in CLAUDE.md / rules.md layout
+  templates?: Partial<Record<"claude-md" | "rules-file", string>>;
+  // Round-trip merge: the repo copy as a path => content map or base64 ZIP
+  repoFiles?: Record<string, string>;
+  repoArchive?: string;
+  baseFiles?: Record<string, string>;
+  baseExportId?: string;
   include: {
     agents: boolean;
     rules: boolean;
     hooks: boolean;
     prompts: boolean;
   };
+  blockHookSeverity?: HookSafetySeverity | null;
+  // Token budget for CLAUDE.md plus .claude/rules.md; defaults to 5000
+  memoryTokenBudget?: number;
+}
+
+export interface TokenBudgetFile {
+  path: string;
+  tokens: number;
+  loaded: "startup" | "directory" | "on-demand" | "config";
+  sections?: { heading: string | null; level: number; tokens: number }[];
+}
+
+export interface TokenBudgetAnalysis {
+  budget: number;
+  memoryTokens: number;
+  overBudget: boolean;
+  files: TokenBudgetFile[];
+  scopes: { path: string; tokens: number; overBudget: boolean }[];
+  suggestions: {
+    ruleId: string;
+    name: string;
+    priority: number;
+    tokens: number;
+    action: "move" | "drop";
+    pathScope: string | null;
+  }[];
+}
+
+export interface ExportResult {
+  exportId: string;
+  files: Record<string, string>;
+  metadata: {
+    exportedAt: string;
+    totalFiles: number;
+    archiveSize?: number;
+    targets?: ExportTarget[];
+    warnings?: string[];
+    recommendations?: string[];
+    tokenBudget?: TokenBudgetAnalysis;
+  };
+  exportNumber?: number | null;
+  downloadUrl?: string | null;
+  expiresAt?: string | null;
+  filename?: string;
+  success?: boolean;
+  merge?: ExportMergeResult;
+}
+
+export interface ExportHistoryEntry {
+  id: string;
+  project_id: number;
+  export_number: number | null;
+  export_format: string;
+  included_resources: Record<string, boolean>;
+  export_settings: {
+    format?: string;
+    targets?: ExportTarget[];
+    filename?: string;
+    totalFiles?: number;
+    merged?: boolean;
+  };
+  file_size: number | null;
+  expires_at: string | null;
+  status: string;
+  download_count: number;
+  last_downloaded_at: string | null;
+  created_at: string;
+  downloadUrl: string | null;
+}
+
+export interface ExportResourceChanges {
+  added: string[];
+  removed: string[];
+  modified: string[];
+}
+
+export interface ExportFileDiff {
+  path: string;
+  status: "added" | "removed" | "modified";
+  additions: number;
+  deletions: number;
+  diff: string; // unified diff
+}
+
+export interface ExportDiff {
+  from: { id: string; exportNumber: number | null; createdAt: string };
+  to: { id: string; exportNumber: number | null; createdAt: string };
+  files: ExportFileDiff[];
+  summary: {
+    files: { added: number; removed: number; modified: number; unchanged: number };
+    // Null when either export was recorded before resource snapshots existed
+    resources: { agents: ExportResourceChanges; rules: ExportResourceChanges; hooks: ExportResourceChanges } | null;
+  };
+}
+
+export interface ExportHistoryPage {
+  exports: ExportHistoryEntry[];
+  pagination: {
+    total: number;
+    limit: number;
+    offset: number;
+    hasMore: boolean;
+  };
+}
+
+export type ExportMergeStatus =
+  | "added"
+  | "unchanged"
+  | "updated"
+  | "merged"
+  | "drifted"
+  | "conflict"
+  | "diverged"
+  | "removed";
+
+export interface ExportMergeFileReport {
+  status: ExportMergeStatus;
+  conflicts?: number;
+  driftedSections?: Array<{
+    section: string;
+    resolution: "kept-repo" | "added-in-repo" | "removed-in-repo" | "conflict";
+    reason?: string;
+  }>;
+  diff: string;
+  exportDiff?: string;
+}
+
+export interface ExportMergeResult {
+  baseExportId: string | null;
+  summary: Partial<Record<ExportMergeStatus, number>>;
+  report: Record<string, ExportMergeFileReport>;
+}
+
+export type ImportResourceType = "agent" | "rule" | "hook" | "command";
+export type ImportResolution = "skip" | "overwrite" | "keep-both";
+
+export interface ClaudeConfigImportRequest {
+  files?: Record<string, string>;
+  archive?: string; // base64-encoded ZIP
+  commit?: boolean;
+  resolutions?: Record<string, ImportResolution>;
+}
+
+export interface ClaudeConfigImportItem {
+  key: string;
+  type: ImportResourceType;
+  name: string;
+  source: string;
+  action: "create" | "conflict";
+  conflict: { id: string; name: string; reason: string; assigned: boolean } | null;
+  data: Record<string, unknown>;
+  configOverrides: Record<string, unknown> | null;
+}
+
+export interface ClaudeConfigImportPreview {
+  preview: true;
+  items: ClaudeConfigImportItem[];
+  warnings: string[];
+  ignoredFiles: string[];
+  summary: { agents: number; rules: number; hooks: number; commands: number; conflicts: number };
+}
+
+export interface ClaudeConfigImportResult {
+  committed: true;
+  created: Array<{ key: string; type: ImportResourceType; name: string; id: string }>;
+  updated: Array<{ key: string; type: ImportResourceType; name: string; id: string }>;
+  skipped: Array<{ key: string; type: ImportResourceType; name: string; reason: string }>;
+  assigned: number;
+  warnings: string[];
 }
 
 export interface AISuggestion {
@@ -149,6 +562,139 @@ export interface AISuggestion {
   contextualTips?: string;
 }
 
+// Streaming AI generation (POST .../stream endpoints answering with Server-Sent Events)
+export interface AIStreamHandlers {
+  /** Called with each chunk of text as the server produces it */
+  onToken?: (text: string) => void;
+}
+
+export interface GeneratePromptRequest {
+  task: string;
+  context?: string;
+  format?: string;
+  outputRequirements?: string;
+  projectId?: string | null;
+  agentId?: string | null;
+  saveToProject?: boolean;
+  promptTitle?: string | null;
+  promptNotes?: string | null;
+}
+
+export interface GeneratedProjectPrompt {
+  prompt: string;
+  projectContext: { id: string; name: string; description?: string } | null;
+  agent: { id: string; name: string; role: string };
+  projectRules: { id: string; name: string; category?: string }[];
+  /** The saved project_prompts row when saveToProject was set */
+  savedPrompt: ({ id: string } & Record<string, any>) | null;
+  metadata: { generatedAt: string; hasProjectContext: boolean; rulesApplied: number };
+}
+
+export interface EnhancePromptRequest {
+  prompt: string;
+  enhancementType?: 'general' | 'technical' | 'creative' | 'concise' | 'claude_optimize' | string;
+  projectId?: string | null;
+}
+
+export interface EnhancedPrompt {
+  original: string;
+  enhanced: string;
+  enhancementType: string;
+  projectContext: { id: string } | null;
+}
+
+export interface XmlConversionRequest {
+  prompt?: string;
+  task?: string;
+  context?: string;
+  constraints?: string;
+  format?: string;
+  projectId?: string | null;
+}
+
+export interface XmlConversion {
+  original: string;
+  xml: string;
+  sections: {
+    context: string;
+    instructions: string;
+    constraints: string;
+    output_requirements: string;
+  };
+}
+
+// AI usage (GET /api/ai/usage) and quotas (/api/ai/quotas)
+export interface AIUsageMeasures {
+  calls: number;
+  failures: number;
+  /** Estimated prompt plus completion tokens */
+  tokens: number;
+  avgLatencyMs: number | null;
+}
+
+export interface AIUsageDay extends AIUsageMeasures {
+  /** UTC date, YYYY-MM-DD */
+  date: string;
+}
+
+export interface AIUsageProject extends AIUsageMeasures {
+  /** null for calls not made for a project */
+  projectId: number | null;
+  name: string | null;
+}
+
+export interface AIUsageFeature extends AIUsageMeasures {
+  feature: string;
+  provider: string;
+  model: string;
+}
+
+export type AIQuotaPeriod = 'day' | 'month';
+
+export interface AIQuota {
+  requestLimit: number | null;
+  tokenLimit: number | null;
+  period: AIQuotaPeriod;
+}
+
+export interface AIQuotaStatus extends AIQuota {
+  /** "*" for all AI calls, otherwise the project id */
+  scope: string;
+  projectId: number | null;
+  requests: number;
+  tokens: number;
+  exceeded: boolean;
+  resetAt: string;
+}
+
+export interface AICacheFeatureStats {
+  feature: string;
+  hits: number;
+  misses: number;
+  /** Requests sent with X-AI-Cache: bypass */
+  bypasses: number;
+  /** hits / (hits + misses), null before the first lookup */
+  hitRate: number | null;
+}
+
+export interface AICacheStats extends Omit<AICacheFeatureStats, 'feature'> {
+  features: AICacheFeatureStats[];
+}
+
+export interface AIUsageSummary {
+  from: string;
+  to: string;
+  days: number;
+  projectId: number | null;
+  totals: AIUsageMeasures;
+  daily: AIUsageDay[];
+  projects: AIUsageProject[];
+  features: AIUsageFeature[];
+  quotas: AIQuotaStatus[];
+  /** Response cache lookups across all projects */
+  cache: AICacheStats;
+}
+
 export interface APIResponse<T = any> {
   success: boolean;
   data?: T;
@@ -0,0 +1,86 @@
+-- Migration: 0012_extended_hook_events.sql
+-- Description: Allow the full set of Claude Code hook events on hooks
+-- Adds UserPromptSubmit, SessionStart, SessionEnd and PreCompact. SQLite cannot
+-- alter a CHECK constraint, so the hooks table is rebuilt and its rows copied over.
+
+PRAGMA defer_foreign_keys = true;
+
+-- ============================================
+-- HOOKS TABLE (REBUILT)
+-- ============================================
+CREATE TABLE IF NOT EXISTS hooks_new (
+    id TEXT PRIMARY KEY,
+    project_id INTEGER,
+
+    -- Hook identification
+    name TEXT NOT NULL,
+    description TEXT,
+
+    -- Hook event
+    hook_type TEXT NOT NULL CHECK (hook_type IN (
+        'PreToolUse', 'PostToolUse', 'UserPromptSubmit', 'Notification',
+        'Stop', 'SubagentStop', 'PreCompact', 'SessionStart', 'SessionEnd'
+    )),
+
+    -- Event-specific matcher configuration (JSON)
+    -- PreToolUse/PostToolUse: { "tool": "Write", "pattern": "*.ts" }
+    -- SessionStart:           { "source": "startup" }  (startup, resume, clear, compact)
+    -- PreCompact:             { "trigger": "auto" }    (manual, auto)
+    tool_matcher TEXT,
+
+    -- The command to execute
+    command TEXT NOT NULL,
+
+    -- Working directory (optional, relative to project root)
+    working_directory TEXT,
+
+    -- Timeout in milliseconds (default 60000 = 60 seconds)
+    timeout_ms INTEGER DEFAULT 60000,
+
+    -- Whether hook is enabled
+    is_enabled INTEGER DEFAULT 1,
+
+    -- Order of execution (lower = earlier)
+    sort_order INTEGER DEFAULT 0,
+
+    -- Metadata
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+INSERT INTO hooks_new (
+    id, project_id, name, description, hook_type, tool_matcher, command,
+    working_directory, timeout_ms, is_enabled, sort_order, created_at, updated_at
+)
+SELECT
+    id, project_id, name, description, hook_type, tool_matcher, command,
+    working_directory, timeout_ms, is_enabled, sort_order, created_at, updated_at
+FROM hooks;
+
+DROP TABLE hooks;
+ALTER TABLE hooks_new RENAME TO hooks;
+
+CREATE INDEX IF NOT EXISTS idx_hooks_project ON hooks(project_id);
+CREATE INDEX IF NOT EXISTS idx_hooks_type ON hooks(hook_type);
+
+-- ============================================
+-- HOOK TEMPLATES FOR NEW EVENTS
+-- ============================================
+
+-- Session hooks
+INSERT OR IGNORE INTO hook_templates (id, name, description, category, hook_type, tool_matcher, command, timeout_ms, variables) VALUES
+('hook-tpl-session-git-context', 'Git Context on Startup', 'Add branch and recent commits to the context when a session starts', 'context', 'SessionStart', '{"source": "startup"}', 'git branch --show-current && git log --oneline -5', 10000, NULL),
+
+('hook-tpl-session-resume-status', 'Working Tree on Resume', 'Show uncommitted changes when a session is resumed', 'context', 'SessionStart', '{"source": "resume"}', 'git status --short', 10000, NULL),
+
+('hook-tpl-session-end-log', 'Session End Log', 'Append a line to a local log when a session ends', 'notification', 'SessionEnd', NULL, 'echo "$(date -u +%Y-%m-%dT%H:%M:%SZ) session ended" >> "$CLAUDE_PROJECT_DIR/.claude/session.log"', 5000, NULL);
+
+-- Prompt hooks
+INSERT OR IGNORE INTO hook_templates (id, name, description, category, hook_type, tool_matcher, command, timeout_ms, variables) VALUES
+('hook-tpl-prompt-timestamp', 'Prompt Timestamp', 'Add the current UTC time to every submitted prompt', 'context', 'UserPromptSubmit', NULL, 'echo "Current time: $(date -u +%Y-%m-%dT%H:%M:%SZ)"', 5000, NULL);
+
+-- Compaction hooks
+INSERT OR IGNORE INTO hook_templates (id, name, description, category, hook_type, tool_matcher, command, timeout_ms, variables) VALUES
+('hook-tpl-precompact-backup', 'Transcript Backup', 'Copy the transcript aside before automatic compaction', 'custom', 'PreCompact', '{"trigger": "auto"}', 'mkdir -p "$CLAUDE_PROJECT_DIR/.claude/transcripts" && jq -r ".transcript_path" | xargs -I{} cp {} "$CLAUDE_PROJECT_DIR/.claude/transcripts/"', 30000, NULL);
@@ -0,0 +1,7 @@
+-- Migration: 0013_export_content_hashes.sql
+-- Description: Record content hashes of exported files on export_history
+-- The next export uses them as the merge base to detect edits made in the repo.
+
+-- JSON: { "files": { "<path>": "<sha256>" }, "sections": { "<path>": { "<heading>": "<sha256>" } } }
+-- Section hashes are kept for Markdown files, split on "## " headings.
+ALTER TABLE export_history ADD COLUMN content_hashes TEXT;
@@ -0,0 +1,13 @@
+-- Migration: 0014_path_scopes.sql
+-- Description: Optional directory scope for rules and project resource assignments
+-- A scoped rule is exported to <path_scope>/CLAUDE.md instead of the root CLAUDE.md,
+-- so monorepo packages only get their own guidance. Paths are relative to the
+-- repository root without leading or trailing slashes (e.g. "packages/api").
+
+-- Default scope for a rule wherever it is assigned
+ALTER TABLE agent_rules ADD COLUMN path_scope TEXT;
+
+-- Per-project scope; overrides the rule's default when set
+ALTER TABLE project_resources ADD COLUMN path_scope TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_project_resources_scope ON project_resources(project_id, path_scope);
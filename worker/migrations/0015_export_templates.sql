@@ -0,0 +1,32 @@
+-- Migration: 0015_export_templates.sql
+-- Description: User-defined templates for generated CLAUDE.md, .claude/rules.md and rule set files
+-- Templates use mustache-style tags ({{name}}, {{#rules}}...{{/rules}}, {{^hooks}}...{{/hooks}})
+-- and are rendered by ExportTemplateRenderer in the worker.
+
+-- ============================================
+-- EXPORT TEMPLATES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS export_templates (
+    id TEXT PRIMARY KEY,
+
+    -- Template identification
+    name TEXT NOT NULL,
+    description TEXT,
+
+    -- Which generated file the template replaces:
+    -- claude-md  => CLAUDE.md of a project export
+    -- rules-file => .claude/rules.md of a project export
+    -- rule-set   => output of POST /api/rule-sets/:id/generate
+    kind TEXT NOT NULL CHECK (kind IN ('claude-md', 'rules-file', 'rule-set')),
+
+    -- Mustache-style template source
+    template_content TEXT NOT NULL,
+
+    is_active INTEGER DEFAULT 1,
+
+    -- Metadata
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_export_templates_kind ON export_templates(kind, is_active);
@@ -0,0 +1,36 @@
+-- Migration: 0016_export_artifacts.sql
+-- Description: Store every export as an immutable ZIP artifact
+-- Artifacts live in the EXPORT_ARTIFACTS R2 bucket when it is bound, otherwise
+-- in export_artifacts below. export_history.file_path holds the artifact key.
+
+-- ============================================
+-- EXPORT ARTIFACTS TABLE
+-- ============================================
+-- D1 rows are capped in size, so archives are stored in ordered chunks
+CREATE TABLE IF NOT EXISTS export_artifacts (
+    artifact_key TEXT NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    content BLOB NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (artifact_key, chunk_index)
+);
+
+-- ============================================
+-- EXPORT HISTORY ADDITIONS
+-- ============================================
+-- SHA-256 of the stored archive, checked on every download
+ALTER TABLE export_history ADD COLUMN artifact_sha256 TEXT;
+
+-- Per-project export number shown as "export #N"
+ALTER TABLE export_history ADD COLUMN export_number INTEGER;
+
+UPDATE export_history
+SET export_number = (
+    SELECT COUNT(*) FROM export_history earlier
+    WHERE earlier.project_id = export_history.project_id
+      AND (earlier.created_at < export_history.created_at
+           OR (earlier.created_at = export_history.created_at AND earlier.id <= export_history.id))
+);
+
+CREATE INDEX idx_export_history_expires ON export_history(status, expires_at);
+CREATE INDEX idx_export_history_number ON export_history(project_id, export_number);
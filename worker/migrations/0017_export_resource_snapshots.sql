@@ -0,0 +1,7 @@
+-- Migration: 0017_export_resource_snapshots.sql
+-- Description: Record which agents, rules and hooks each export contained
+-- Used by GET /api/export/history/:projectId/diff to summarise resource changes.
+
+-- JSON: { "agents" | "rules" | "hooks": { "<resource id>": { "name": "...", "hash": "<sha256>" } } }
+-- The hash covers the resource definition and its project assignment settings.
+ALTER TABLE export_history ADD COLUMN resource_snapshot TEXT;
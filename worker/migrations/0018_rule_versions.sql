@@ -0,0 +1,52 @@
+-- Migration: 0018_rule_versions.sql
+-- Description: Version history for agent rules
+-- Every create, update and revert of a rule writes an immutable snapshot here.
+-- agent_rules.version is the version the live row matches; reverting copies an
+-- old snapshot forward as a new version instead of rewriting history.
+-- Projects pin a version through project_resources.config_overrides.ruleVersion.
+
+-- ============================================
+-- RULE VERSIONS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS agent_rules_versions (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+    rule_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+
+    -- Snapshot of the rule's editable fields
+    name TEXT NOT NULL,
+    description TEXT,
+    rule_content TEXT NOT NULL,
+    ide_id TEXT,
+    agent_id TEXT,
+    category TEXT,
+    priority INTEGER DEFAULT 0,
+    tags TEXT DEFAULT '[]',
+    path_scope TEXT,
+
+    -- Who made the change and why
+    author TEXT,
+    reason TEXT,
+    reverted_from INTEGER, -- Version copied forward by a revert
+
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE (rule_id, version),
+    FOREIGN KEY (rule_id) REFERENCES agent_rules(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_versions_rule ON agent_rules_versions(rule_id, version DESC);
+
+-- ============================================
+-- AGENT RULES ADDITIONS
+-- ============================================
+ALTER TABLE agent_rules ADD COLUMN version INTEGER DEFAULT 1;
+
+-- Existing rules start their history at version 1
+INSERT INTO agent_rules_versions (
+    rule_id, version, name, description, rule_content, ide_id, agent_id,
+    category, priority, tags, path_scope, reason, created_at
+)
+SELECT
+    id, 1, name, description, rule_content, ide_id, agent_id,
+    category, priority, tags, path_scope, 'Existing rule', COALESCE(updated_at, created_at)
+FROM agent_rules;
@@ -0,0 +1,7 @@
+-- Migration: 0019_rule_set_argument_schema.sql
+-- Description: Typed argument schema for rule set templates
+-- JSON array of { name, type, options, default, required, description }
+-- declaring the {ARGUMENT} placeholders used in the rule set's rules.
+-- type is one of string, number, boolean or enum (options lists the enum values).
+
+ALTER TABLE rule_sets ADD COLUMN argument_schema TEXT DEFAULT '[]';
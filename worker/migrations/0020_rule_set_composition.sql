@@ -0,0 +1,9 @@
+-- Migration: 0020_rule_set_composition.sql
+-- Description: Rule sets extending other rule sets and including agent rules
+-- extends: JSON array of parent rule_sets ids, applied in order
+-- includes: JSON array of { rule_id, priority, version } agent_rules references
+-- Both are inlined at generate time; later parents, then includes, then the
+-- set's own rules override earlier rules with the same title.
+
+ALTER TABLE rule_sets ADD COLUMN extends TEXT DEFAULT '[]';
+ALTER TABLE rule_sets ADD COLUMN includes TEXT DEFAULT '[]';
@@ -0,0 +1,7 @@
+-- Migration: 0021_rule_lint_config.sql
+-- Description: Per-project rule lint configuration
+-- JSON object mapping lint check names to a severity ("error", "warning",
+-- "info" or "off") or to { severity, options }. Checks left out keep their
+-- default severity; "error" findings block the project's export.
+
+ALTER TABLE projects ADD COLUMN rule_lint_config TEXT DEFAULT '{}';
@@ -0,0 +1,13 @@
+-- Migration: 0022_ai_settings.sql
+-- Description: Per-feature AI provider and model selection
+-- One row per AI feature (e.g. "suggest-rules"), or "*" for every feature.
+-- provider is "workers-ai", "openai" or "mock". Rows override the
+-- AI_PROVIDER_<FEATURE>/AI_MODEL_<FEATURE> environment variables; NULL columns
+-- keep the environment value, then fall back to the "*" settings.
+
+CREATE TABLE IF NOT EXISTS ai_settings (
+    feature TEXT PRIMARY KEY,
+    provider TEXT,
+    model TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,21 @@
+-- Migration: 0023_ai_usage_quotas.sql
+-- Description: Record the provider and model of AI calls, and AI quotas
+-- Model calls are the ai_usage_tracking rows with a model; request_type holds
+-- the AI feature (e.g. "suggest-rules"), token_count an estimate of prompt and
+-- completion tokens.
+-- ai_quotas has one row per project id, or "*" for all AI calls together.
+-- A call is refused once the requests or estimated tokens counted since the
+-- start of the current UTC day or month reach a limit; NULL means no limit.
+
+ALTER TABLE ai_usage_tracking ADD COLUMN provider TEXT;
+ALTER TABLE ai_usage_tracking ADD COLUMN model TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_model ON ai_usage_tracking(model, created_at);
+
+CREATE TABLE IF NOT EXISTS ai_quotas (
+    scope TEXT PRIMARY KEY,
+    request_limit INTEGER,
+    token_limit INTEGER,
+    period TEXT NOT NULL DEFAULT 'day' CHECK (period IN ('day', 'month')),
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,28 @@
+-- Migration: 0024_ai_response_cache.sql
+-- Description: Cache of model responses for deterministic AI features
+-- cache_key is the SHA-256 of provider, model, generation options, system
+-- prompt and input messages. expires_at is an ISO timestamp; expired rows are
+-- ignored on lookup and deleted by the daily cron.
+-- ai_cache_stats counts lookups per UTC day and feature; bypasses are
+-- requests that skipped the cache via the X-AI-Cache: bypass header.
+
+CREATE TABLE IF NOT EXISTS ai_response_cache (
+    cache_key TEXT PRIMARY KEY,
+    feature TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    response TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_response_cache_expires ON ai_response_cache(expires_at);
+
+CREATE TABLE IF NOT EXISTS ai_cache_stats (
+    day TEXT NOT NULL,
+    feature TEXT NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    misses INTEGER NOT NULL DEFAULT 0,
+    bypasses INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, feature)
+);
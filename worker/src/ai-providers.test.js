@@ -0,0 +1,197 @@
+/**
+ * Tests for AI provider selection and the provider adapters
+ * **Feature: claude-code-bootstrap, AI providers**
+ * **Validates: Requirements 4.1, 4.2**
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  AIClient,
+  AIEnhancementEngine,
+  MockAIProvider,
+  OpenAICompatibleProvider,
+  WorkersAIProvider,
+  readServerSentEvents
+} from './index.js';
+
+// Mock D1 database serving ai_settings rows
+const createMockDb = (rows) => ({
+  prepare: () => ({ all: async () => ({ results: rows }) })
+});
+
+describe('AIClient settings', () => {
+  it('should default every feature to Workers AI with the built-in model', async () => {
+    const ai = await AIClient.fromEnv({ AI: { run: async () => ({ response: 'ok' }) } });
+
+    expect(ai.resolve('suggest-rules')).toEqual({ provider: 'workers-ai', model: '@cf/meta/llama-3.1-8b-instruct' });
+    expect(ai.isAvailable('suggest-rules')).toBe(true);
+    expect((await AIClient.fromEnv({})).isAvailable('suggest-rules')).toBe(false);
+  });
+
+  it('should let feature settings beat "*" and ai_settings rows beat the environment', async () => {
+    const ai = await AIClient.fromEnv({
+      AI_PROVIDER: 'mock',
+      AI_MODEL_SUGGEST_RULES: 'env-model',
+      AI_MODEL_ANALYZE_PROMPT: 'env-analyze',
+      OPENAI_BASE_URL: 'https://llm.example/v1',
+      DB: createMockDb([
+        { feature: 'analyze-prompt', provider: null, model: 'db-analyze' },
+        { feature: 'convert-to-xml', provider: 'openai', model: null }
+      ])
+    });
+
+    expect(ai.resolve('enhance-prompt')).toEqual({ provider: 'mock', model: 'mock' });
+    expect(ai.resolve('suggest-rules')).toEqual({ provider: 'mock', model: 'env-model' });
+    expect(ai.resolve('analyze-prompt')).toEqual({ provider: 'mock', model: 'db-analyze' });
+    expect(ai.resolve('convert-to-xml')).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+  });
+
+  it('should fall back to the environment when ai_settings is missing', async () => {
+    const db = { prepare: () => ({ all: async () => { throw new Error('no such table: ai_settings'); } }) };
+
+    expect(await AIClient.loadSettings(db)).toEqual({});
+    expect((await AIClient.fromEnv({ AI_PROVIDER: 'mock', DB: db })).resolve('bootstrap-rules').provider).toBe('mock');
+  });
+
+  it('should reject unknown features and providers', () => {
+    expect(AIClient.parseSettings({ '*': { provider: 'mock' }, 'suggest-rules': null })).toEqual({
+      '*': { provider: 'mock', model: null },
+      'suggest-rules': null
+    });
+    expect(() => AIClient.parseSettings({ summarize: { model: 'x' } })).toThrow('Unknown AI feature "summarize"');
+    expect(() => AIClient.parseSettings({ '*': { provider: 'anthropic' } })).toThrow(
+      'expected one of: workers-ai, openai, mock'
+    );
+    expect(() => AIClient.parseSettings({ '*': { model: ' ' } })).toThrow('must be a non-empty string');
+  });
+});
+
+describe('AI provider adapters', () => {
+  it('should return parseable responses from the mock for every feature', async () => {
+    const ai = new AIClient({ mock: new MockAIProvider() }, { '*': { provider: 'mock' } });
+    const messages = [{ role: 'user', content: 'Instructions:\n\nWrite a changelog.' }];
+    const text = async (feature) => (await ai.run(feature, { messages })).response;
+
+    expect(JSON.parse(await text('suggest-improvements'))[0]).toHaveProperty('priority');
+    expect(JSON.parse(await text('analyze-prompt'))).toHaveProperty('overall');
+    expect(JSON.parse(await text('bootstrap-rules')).rules.length).toBeGreaterThan(0);
+    expect(
+      (await ai.run('convert-to-xml', {
+        messages: [{ role: 'user', content: 'Input prompt:\nWrite a changelog.\n\nConvert to structured XML:' }]
+      })).response
+    ).toContain('<instructions>\nWrite a changelog.\n</instructions>');
+    expect(await text('enhance-prompt')).toMatch(/^Write a changelog\./);
+    expect(await ai.run('suggest-rules', { messages })).toMatchObject({ provider: 'mock', model: 'mock' });
+  });
+
+  it('should post chat completions to an OpenAI-compatible endpoint', async () => {
+    const calls = [];
+    const provider = new OpenAICompatibleProvider({
+      baseUrl: 'https://llm.example/v1/',
+      apiKey: 'secret',
+      fetcher: async (url, init) => {
+        calls.push({ url, init });
+        return { ok: true, json: async () => ({ choices: [{ message: { content: 'Hello' } }] }) };
+      }
+    });
+
+    const text = await provider.complete({ model: 'small', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 10, temperature: 0 });
+
+    expect(text).toBe('Hello');
+    expect(calls[0].url).toBe('https://llm.example/v1/chat/completions');
+    expect(calls[0].init.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(calls[0].init.body)).toEqual({
+      model: 'small',
+      messages: [{ role: 'user', content: 'Hi' }],
+      max_tokens: 10,
+      temperature: 0
+    });
+
+    const failing = new OpenAICompatibleProvider({
+      baseUrl: 'https://llm.example/v1',
+      fetcher: async () => ({ ok: false, status: 429, text: async () => 'rate limited' })
+    });
+    await expect(failing.complete({ model: 'small', messages: [] })).rejects.toThrow('AI endpoint returned 429: rate limited');
+  });
+
+  it('should drive the enhancement engine through the selected provider', async () => {
+    const mock = new MockAIProvider({
+      responses: { 'validate-compatibility': '{"isCompatible":false,"confidence":0.7,"warnings":["Conflicts"],"suggestions":[]}' }
+    });
+    const engine = new AIEnhancementEngine(new AIClient({ mock }, { '*': { provider: 'mock' } }), null);
+
+    const validation = await engine.validateResourceCompatibility('rule', { name: 'Tabs' }, {});
+
+    expect(validation).toMatchObject({ isCompatible: false, warnings: ['Conflicts'] });
+    expect(mock.requests[0]).toMatchObject({ feature: 'validate-compatibility', model: 'mock', max_tokens: 1024 });
+  });
+});
+
+// Byte stream delivering the given text pieces one read at a time
+const byteStream = (pieces) =>
+  new ReadableStream({
+    start(controller) {
+      const encoder = new TextEncoder();
+      pieces.forEach((piece) => controller.enqueue(encoder.encode(piece)));
+      controller.close();
+    }
+  });
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('AI streaming', () => {
+  it('should parse events split across reads', async () => {
+    const events = await collect(
+      readServerSentEvents(byteStream(['data: {"a"', ':1}\n\nevent: result\r', '\ndata: line 1\r\ndata: line 2\r\n\r\n', 'data: [DONE]']))
+    );
+
+    expect(events).toEqual([
+      { event: 'message', data: '{"a":1}' },
+      { event: 'result', data: 'line 1\nline 2' },
+      { event: 'message', data: '[DONE]' }
+    ]);
+  });
+
+  it('should yield tokens from Workers AI and OpenAI-compatible streams', async () => {
+    const binding = {
+      run: async (model, options) => {
+        expect(options.stream).toBe(true);
+        return byteStream(['data: {"response":"Hel"}\n\n', 'data: {"response":"lo"}\n\ndata: [DONE]\n\n']);
+      }
+    };
+    const openai = new OpenAICompatibleProvider({
+      baseUrl: 'https://llm.example/v1',
+      fetcher: async (url, init) => {
+        expect(JSON.parse(init.body).stream).toBe(true);
+        return {
+          ok: true,
+          body: byteStream([
+            'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+            'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n',
+            'data: {"choices":[{"delta":{"content":" there"}}]}\n\ndata: [DONE]\n\n'
+          ])
+        };
+      }
+    });
+
+    expect(await collect(new WorkersAIProvider(binding).stream({ model: 'm', messages: [] }))).toEqual(['Hel', 'lo']);
+    expect(await collect(openai.stream({ model: 'm', messages: [] }))).toEqual(['Hi', ' there']);
+  });
+
+  it('should stream the mock response word by word through the client', async () => {
+    const ai = new AIClient({ mock: new MockAIProvider() }, { '*': { provider: 'mock' } });
+    const messages = [{ role: 'user', content: 'Improve this prompt:\n\nWrite a changelog.' }];
+
+    const chunks = await collect(ai.stream('enhance-prompt', { messages }));
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe((await ai.run('enhance-prompt', { messages })).response);
+    await expect(collect(new AIClient({}, {}).stream('enhance-prompt', { messages }))).rejects.toThrow(
+      'AI provider "workers-ai" is not configured'
+    );
+  });
+});
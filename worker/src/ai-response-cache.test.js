@@ -0,0 +1,203 @@
+/**
+ * Tests for the AI response cache
+ * **Feature: claude-code-bootstrap, AI response cache**
+ * **Validates: Requirements 4.1, 4.2**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AIClient, AIResponseCache, AIStructuredOutput, AIUsage, MockAIProvider } from './index.js';
+
+// In-memory D1 stand-in for ai_response_cache, ai_cache_stats and ai_usage_tracking
+const createMockDb = () => {
+  const entries = new Map();
+  const counters = {};
+  const usage = [];
+
+  const statement = (query, params = []) => ({
+    bind: (...bound) => statement(query, bound),
+    first: async () => {
+      const entry = entries.get(params[0]);
+      return entry && entry.expires_at > params[1] ? { response: entry.response } : null;
+    },
+    run: async () => {
+      if (query.includes('INTO ai_response_cache')) {
+        const [key, feature, provider, model, response, created_at, expires_at] = params;
+        entries.set(key, { feature, provider, model, response, created_at, expires_at });
+      } else if (query.includes('INTO ai_cache_stats')) {
+        const counter = query.match(/\(day, feature, (\w+)\)/)[1];
+        const key = `${params[0]} ${params[1]}`;
+        counters[key] = { hits: 0, misses: 0, bypasses: 0, ...counters[key] };
+        counters[key][counter]++;
+      } else if (query.includes('INTO ai_usage_tracking')) {
+        usage.push(params);
+      }
+      return { success: true, meta: { changes: 0 } };
+    }
+  });
+  return { entries, counters, usage, prepare: (query) => statement(query) };
+};
+
+const createClient = (db, options = {}) => {
+  const mock = new MockAIProvider();
+  const ai = new AIClient({ mock }, { '*': { provider: 'mock' } }, new AIUsage(db), new AIResponseCache(db, 60), options);
+  return { mock, ai };
+};
+
+const xmlMessages = [
+  { role: 'system', content: 'You are an expert at structuring prompts.' },
+  { role: 'user', content: 'Input prompt:\nWrite a changelog.\n\nConvert to structured XML:' }
+];
+
+describe('AIResponseCache keys', () => {
+  it('should change with the model, system prompt or input', async () => {
+    const request = { provider: 'mock', model: 'a', messages: xmlMessages, max_tokens: 2048, temperature: 0.2 };
+    const key = await AIResponseCache.key(request);
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(await AIResponseCache.key({ ...request })).toBe(key);
+    expect(await AIResponseCache.key({ ...request, model: 'b' })).not.toBe(key);
+    expect(
+      await AIResponseCache.key({ ...request, messages: [{ ...xmlMessages[0], content: 'Be terse.' }, xmlMessages[1]] })
+    ).not.toBe(key);
+    expect(await AIResponseCache.key({ ...request, messages: [xmlMessages[0], { role: 'user', content: 'Other' }] })).not.toBe(key);
+  });
+
+  it('should read its TTL from AI_CACHE_TTL', () => {
+    const DB = createMockDb();
+
+    expect(AIResponseCache.fromEnv({ DB }).ttl).toBe(86400);
+    expect(AIResponseCache.fromEnv({ DB, AI_CACHE_TTL: '600' }).ttl).toBe(600);
+    expect(AIResponseCache.fromEnv({ DB, AI_CACHE_TTL: '0' })).toBeNull();
+    expect(AIResponseCache.fromEnv({})).toBeNull();
+  });
+});
+
+describe('AIClient response caching', () => {
+  it('should answer repeated requests from the cache without calling the model', async () => {
+    const db = createMockDb();
+    const { mock, ai } = createClient(db);
+
+    const first = await ai.run('convert-to-xml', { messages: xmlMessages });
+    const second = await ai.run('convert-to-xml', { messages: xmlMessages });
+
+    expect(first.cached).toBe(false);
+    expect(second).toEqual({ ...first, cached: true });
+    expect(mock.requests).toHaveLength(1);
+    expect(db.usage).toHaveLength(1);
+    expect(Object.values(db.counters)).toEqual([{ hits: 1, misses: 1, bypasses: 0 }]);
+  });
+
+  it('should not cache features outside AI_CACHEABLE_FEATURES', async () => {
+    const db = createMockDb();
+    const { mock, ai } = createClient(db);
+    const messages = [{ role: 'user', content: 'Suggest rules' }];
+
+    await ai.run('suggest-rules', { messages });
+    await ai.run('suggest-rules', { messages });
+
+    expect(mock.requests).toHaveLength(2);
+    expect(db.entries.size).toBe(0);
+  });
+
+  it('should not cache replies that fail structured validation', async () => {
+    const db = createMockDb();
+    const analysis = { clarity: 7, specificity: 6, structure: 8, overall: 7, summary: 'Clear enough' };
+    const replies = ['Looks fine to me', '{"overall": "high"}', JSON.stringify(analysis)];
+    const mock = new MockAIProvider({ responses: { 'analyze-prompt': () => replies.shift() } });
+    const ai = new AIClient({ mock }, { '*': { provider: 'mock' } }, new AIUsage(db), new AIResponseCache(db, 60));
+    const analyze = () =>
+      new AIStructuredOutput(ai, db).run('analyze-prompt', 'prompt-analysis', {
+        messages: [{ role: 'user', content: 'Analyze: write tests' }]
+      });
+
+    await expect(analyze()).rejects.toThrow();
+    expect(db.entries.size).toBe(0);
+
+    expect((await analyze()).data).toEqual(analysis);
+    expect((await analyze()).data).toEqual(analysis);
+    expect(mock.requests).toHaveLength(3);
+    expect(db.entries.size).toBe(1);
+  });
+
+  it('should refresh the entry when the cache is bypassed', async () => {
+    const db = createMockDb();
+    await createClient(db).ai.run('convert-to-xml', { messages: xmlMessages });
+    const [key] = db.entries.keys();
+    db.entries.get(key).response = 'stale';
+
+    const { mock, ai } = createClient(db, { bypassCache: true });
+    const result = await ai.run('convert-to-xml', { messages: xmlMessages });
+
+    expect(result.cached).toBe(false);
+    expect(mock.requests).toHaveLength(1);
+    expect(db.entries.get(key).response).toBe(result.response);
+    expect(Object.values(db.counters)).toEqual([{ hits: 0, misses: 1, bypasses: 1 }]);
+  });
+
+  it('should ignore expired entries', async () => {
+    const db = createMockDb();
+    const cache = new AIResponseCache(db, 60);
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    await cache.store('k', { feature: 'analyze-prompt', provider: 'mock', model: 'mock', response: '{}' }, now);
+
+    expect(await cache.lookup('k', 'analyze-prompt', false, new Date('2026-10-19T12:00:59Z'))).toBe('{}');
+    expect(await cache.lookup('k', 'analyze-prompt', false, new Date('2026-10-19T12:01:00Z'))).toBeNull();
+  });
+
+  it('should cache completed streams and replay them', async () => {
+    const db = createMockDb();
+    const { mock, ai } = createClient(db);
+    const collect = async () => {
+      const chunks = [];
+      for await (const chunk of ai.stream('convert-to-xml', { messages: xmlMessages })) chunks.push(chunk);
+      return chunks;
+    };
+
+    const streamed = await collect();
+    const replayed = await collect();
+
+    expect(streamed.length).toBeGreaterThan(1);
+    expect(replayed).toEqual([streamed.join('')]);
+    expect(mock.requests).toHaveLength(1);
+  });
+});
+
+describe('AIResponseCache.stats', () => {
+  it('should total lookups per feature with hit rates', async () => {
+    const db = {
+      prepare: () => ({
+        bind: (since) => ({
+          all: async () => {
+            expect(since).toBe('2026-10-01');
+            return {
+              results: [
+                { feature: 'analyze-prompt', hits: 3, misses: 1, bypasses: 0 },
+                { feature: 'convert-to-xml', hits: 0, misses: 4, bypasses: 2 }
+              ]
+            };
+          }
+        })
+      })
+    };
+    const missing = { prepare: () => ({ bind: () => ({ all: async () => { throw new Error('no such table: ai_cache_stats'); } }) }) };
+
+    expect(await AIResponseCache.stats(db, '2026-10-01')).toEqual({
+      hits: 3,
+      misses: 5,
+      bypasses: 2,
+      hitRate: 0.375,
+      features: [
+        { feature: 'analyze-prompt', hits: 3, misses: 1, bypasses: 0, hitRate: 0.75 },
+        { feature: 'convert-to-xml', hits: 0, misses: 4, bypasses: 2, hitRate: 0 }
+      ]
+    });
+    expect(await AIResponseCache.stats(missing, '2026-10-01')).toEqual({
+      hits: 0,
+      misses: 0,
+      bypasses: 0,
+      hitRate: null,
+      features: []
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for schema-validated AI responses and their repair
+ * **Feature: claude-code-bootstrap, AI structured output**
+ * **Validates: Requirements 4.1, 4.2**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AIClient, AIEnhancementEngine, AIOutputError, AIStructuredOutput, MockAIProvider } from './index.js';
+
+// Mock D1 database recording ai_usage_tracking inserts
+const createMockDb = () => {
+  const rows = [];
+  return {
+    rows,
+    prepare: (query) => ({
+      bind: (...params) => ({
+        run: async () => {
+          if (query.includes('INSERT INTO ai_usage_tracking')) {
+            const [request_type, project_id, success, error_message, request_context] = params;
+            rows.push({ request_type, project_id, success, error_message, request_context: JSON.parse(request_context) });
+          }
+          return { success: true };
+        }
+      })
+    })
+  };
+};
+
+// Client whose mock answers a feature with the given replies in turn
+const scriptedClient = (feature, replies) => {
+  const mock = new MockAIProvider({ responses: { [feature]: () => replies.shift() } });
+  return { mock, ai: new AIClient({ mock }, { '*': { provider: 'mock' } }) };
+};
+
+const analysisMessages = [
+  { role: 'system', content: 'You are a prompt quality analyst.' },
+  { role: 'user', content: 'Analyze: write tests' }
+];
+
+describe('AIStructuredOutput parsing', () => {
+  it('should pull JSON out of code fences and prose', () => {
+    expect(AIStructuredOutput.extractJson('Here you go:\n```json\n{"a": "x}"}\n```\nThanks!')).toEqual({ a: 'x}' });
+    expect(AIStructuredOutput.extractJson('See [note] below. [{"suggestion":"Be specific"}]', 'array')).toEqual([
+      { suggestion: 'Be specific' }
+    ]);
+    expect(AIStructuredOutput.extractJson('Scores [1] and {"overall": 7}', 'object')).toEqual({ overall: 7 });
+    expect(() => AIStructuredOutput.extractJson('No structure here', 'object')).toThrow('Response contains no JSON object');
+  });
+
+  it('should report every schema violation with its path', () => {
+    const { errors } = AIStructuredOutput.parse(
+      '[{"title":"Tests","content":"Add tests","priority":"urgent"},{"content":"x","arguments":[1]}]',
+      { type: 'array', items: { type: 'object', properties: { title: { type: 'string' }, priority: { type: 'string', enum: ['high', 'low'] }, arguments: { type: 'array', items: { type: 'string' } } }, required: ['title'] } }
+    );
+
+    expect(errors).toEqual([
+      '$[0].priority: expected one of high, low, got "urgent"',
+      '$[1].title: is required',
+      '$[1].arguments[0]: expected a string, got number'
+    ]);
+    expect(AIStructuredOutput.validate({ confidence: 1.5 }, { type: 'object', properties: { confidence: { type: 'number', maximum: 1 } } })).toEqual([
+      '$.confidence: must be at most 1'
+    ]);
+  });
+});
+
+describe('AIStructuredOutput.run', () => {
+  it('should declare the schema and return valid output on the first attempt', async () => {
+    const { mock, ai } = scriptedClient('analyze-prompt', [
+      '{"clarity":8,"specificity":7,"structure":6,"overall":7,"summary":"Good"}'
+    ]);
+    const db = createMockDb();
+
+    const result = await new AIStructuredOutput(ai, db).run('analyze-prompt', 'prompt-analysis', { messages: analysisMessages });
+
+    expect(result).toMatchObject({ data: { overall: 7 }, attempts: 1, repaired: false, provider: 'mock' });
+    expect(mock.requests[0].messages[0].content).toMatch(/^You are a prompt quality analyst\.\n\nRespond with only JSON/);
+    expect(db.rows).toEqual([]);
+  });
+
+  it('should repair an invalid reply and record the parse failure', async () => {
+    const { mock, ai } = scriptedClient('analyze-prompt', [
+      'Clarity is 8/10, overall decent.',
+      '{"clarity":8,"specificity":7,"structure":6,"overall":7,"summary":"Decent"}'
+    ]);
+    const db = createMockDb();
+
+    const result = await new AIStructuredOutput(ai, db).run(
+      'analyze-prompt',
+      'prompt-analysis',
+      { messages: analysisMessages },
+      { projectId: 4 }
+    );
+
+    expect(result).toMatchObject({ attempts: 2, repaired: true, data: { summary: 'Decent' } });
+    expect(mock.requests[1].messages.slice(-2)).toEqual([
+      { role: 'assistant', content: 'Clarity is 8/10, overall decent.' },
+      {
+        role: 'user',
+        content: 'Your previous reply could not be used:\n- Response contains no JSON object\n\nReply again with only the corrected JSON.'
+      }
+    ]);
+    expect(db.rows).toEqual([
+      {
+        request_type: 'ai_output_parse',
+        project_id: 4,
+        success: 1,
+        error_message: 'Response contains no JSON object',
+        request_context: {
+          feature: 'analyze-prompt',
+          schema: 'prompt-analysis',
+          provider: 'mock',
+          model: 'mock',
+          parse_failures: 1,
+          repaired: true,
+          failures: [{ attempt: 1, errors: ['Response contains no JSON object'] }]
+        }
+      }
+    ]);
+  });
+
+  it('should throw AIOutputError once repairs are used up', async () => {
+    const { ai } = scriptedClient('analyze-prompt', ['{"overall": 7}', '{"overall": "seven"}']);
+    const db = createMockDb();
+
+    const error = await new AIStructuredOutput(ai, db)
+      .run('analyze-prompt', 'prompt-analysis', { messages: analysisMessages })
+      .catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(AIOutputError);
+    expect(error.code).toBe('AI_OUTPUT_INVALID');
+    expect(error.raw).toBe('{"overall": "seven"}');
+    expect(error.errors).toContain('$.overall: expected a number, got string');
+    expect(db.rows).toHaveLength(1);
+    expect(db.rows[0]).toMatchObject({ success: 0, request_context: { parse_failures: 2, repaired: false } });
+  });
+});
+
+describe('AIEnhancementEngine structured output', () => {
+  it('should say why it fell back to generic suggestions', async () => {
+    const { ai } = scriptedClient('enhance-resource', ['I suggest a linting rule.', 'Still no JSON, sorry.']);
+    const engine = new AIEnhancementEngine(ai, createMockDb());
+    engine.buildContextPrompt = async () => 'No project context';
+
+    const enhancement = await engine.enhanceResourceCreation('rule', {}, { name: 'Lint' });
+
+    expect(enhancement).toMatchObject({ source: 'fallback', suggestions: { name: 'Lint' } });
+    expect(enhancement.error).toBe(
+      'AI response for enhance-resource did not match the expected format: Response contains no JSON object'
+    );
+  });
+
+  it('should accept the mock reply for every resource type', async () => {
+    const engine = new AIEnhancementEngine(new AIClient({ mock: new MockAIProvider() }, { '*': { provider: 'mock' } }), null);
+    engine.buildContextPrompt = async () => 'No project context';
+
+    for (const type of ['agent', 'rule', 'hook']) {
+      expect((await engine.enhanceResourceCreation(type, {}, {})).source).toBe('ai');
+    }
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for AI usage recording, aggregation and quotas
+ * **Feature: claude-code-bootstrap, AI usage and quotas**
+ * **Validates: Requirements 4.1, 4.2**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AIClient, AIUsage, MockAIProvider } from './index.js';
+
+// Mock D1 database answering queries through a handler and recording inserts
+const createMockDb = (handler = () => null) => {
+  const inserts = [];
+  const statement = (query, params = []) => ({
+    bind: (...bound) => statement(query, bound),
+    run: async () => {
+      inserts.push({ query, params });
+      return { success: true };
+    },
+    first: async () => handler(query, params),
+    all: async () => ({ results: handler(query, params) || [] })
+  });
+  return { inserts, prepare: (query) => statement(query) };
+};
+
+const quotaRows = (rows) => (query) => (query.includes('FROM ai_quotas') ? rows : null);
+
+describe('AIClient usage recording', () => {
+  it('should record each call with its model, latency and token estimate', async () => {
+    const db = createMockDb();
+    const mock = new MockAIProvider({ responses: { 'analyze-prompt': '12345678' } });
+    const ai = new AIClient({ mock }, { '*': { provider: 'mock' } }, new AIUsage(db));
+
+    await ai.run('analyze-prompt', { messages: [{ role: 'user', content: 'abcd' }], projectId: 3 });
+
+    expect(db.inserts).toHaveLength(1);
+    const [feature, projectId, provider, model, tokens, latency, success, error, context] = db.inserts[0].params;
+    expect({ feature, projectId, provider, model, tokens, success, error }).toEqual({
+      feature: 'analyze-prompt',
+      projectId: 3,
+      provider: 'mock',
+      model: 'mock',
+      tokens: 3,
+      success: 1,
+      error: null
+    });
+    expect(latency).toBeGreaterThanOrEqual(0);
+    expect(JSON.parse(context)).toEqual({ prompt_tokens: 1, completion_tokens: 2, streamed: false });
+  });
+
+  it('should record failed and streamed calls', async () => {
+    const db = createMockDb();
+    const mock = new MockAIProvider({
+      responses: {
+        'suggest-rules': () => {
+          throw new Error('model overloaded');
+        }
+      }
+    });
+    const ai = new AIClient({ mock }, { '*': { provider: 'mock' } }, new AIUsage(db));
+    const messages = [{ role: 'user', content: 'Improve this prompt:\n\nWrite a changelog.' }];
+
+    await expect(ai.run('suggest-rules', { messages })).rejects.toThrow('model overloaded');
+    let streamed = '';
+    for await (const chunk of ai.stream('enhance-prompt', { messages })) streamed += chunk;
+
+    expect(db.inserts.map(({ params }) => params[6])).toEqual([0, 1]);
+    expect(db.inserts[0].params[7]).toBe('model overloaded');
+    expect(JSON.parse(db.inserts[1].params[8])).toMatchObject({
+      completion_tokens: AIUsage.estimateTokens(streamed),
+      streamed: true
+    });
+  });
+});
+
+describe('AIUsage quotas', () => {
+  const now = new Date('2026-12-31T15:30:00Z');
+
+  it('should validate quota settings', () => {
+    expect(AIUsage.parseQuotas({ '*': { requestLimit: 100 }, 12: { tokenLimit: 5000, period: 'month' }, 7: null })).toEqual({
+      '*': { requestLimit: 100, tokenLimit: null, period: 'day' },
+      12: { requestLimit: null, tokenLimit: 5000, period: 'month' },
+      7: null
+    });
+    expect(() => AIUsage.parseQuotas({ all: { requestLimit: 1 } })).toThrow('must be "*" or a project id');
+    expect(() => AIUsage.parseQuotas({ '*': { requestLimit: 0 } })).toThrow('requestLimit for "*" must be a positive integer');
+    expect(() => AIUsage.parseQuotas({ '*': {} })).toThrow('needs a requestLimit or tokenLimit');
+    expect(() => AIUsage.parseQuotas({ '*': { requestLimit: 1, period: 'week' } })).toThrow('must be one of: day, month');
+  });
+
+  it('should reset quotas at the next UTC day or month', () => {
+    expect(AIUsage.quotaWindow('day', now)).toEqual({
+      start: new Date('2026-12-31T00:00:00Z'),
+      reset: new Date('2027-01-01T00:00:00Z')
+    });
+    expect(AIUsage.quotaWindow('month', now)).toEqual({
+      start: new Date('2026-12-01T00:00:00Z'),
+      reset: new Date('2027-01-01T00:00:00Z')
+    });
+  });
+
+  it('should refuse calls once a project or global limit is reached', async () => {
+    const counted = [];
+    const db = createMockDb((query, params) => {
+      if (query.includes('FROM ai_quotas')) {
+        return [
+          { scope: '*', request_limit: 1000, token_limit: null, period: 'day' },
+          { scope: '12', request_limit: null, token_limit: 5000, period: 'month' }
+        ];
+      }
+      counted.push(params);
+      return params[1] === 12 ? { requests: 40, tokens: 5200 } : { requests: 300, tokens: 90000 };
+    });
+    const usage = new AIUsage(db);
+
+    expect(await usage.checkQuota(null, now)).toBeNull();
+    expect(await usage.checkQuota(7, now)).toBeNull();
+    expect(await usage.checkQuota('12', now)).toEqual({
+      scope: '12',
+      projectId: 12,
+      requestLimit: null,
+      tokenLimit: 5000,
+      period: 'month',
+      requests: 40,
+      tokens: 5200,
+      exceeded: true,
+      resetAt: '2027-01-01T00:00:00.000Z'
+    });
+    expect(counted[counted.length - 1]).toEqual(['2026-12-01 00:00:00', 12]);
+  });
+
+  it('should allow every call without quotas or the ai_quotas table', async () => {
+    const missing = { prepare: () => ({ all: async () => { throw new Error('no such table: ai_quotas'); } }) };
+
+    expect(await new AIUsage(createMockDb(quotaRows([]))).checkQuota(5, now)).toBeNull();
+    expect(await new AIUsage(missing).checkQuota(5, now)).toBeNull();
+    expect(await new AIClient({}, {}).checkQuota(5)).toBeNull();
+  });
+});
+
+describe('AIUsage.summarize', () => {
+  it('should aggregate per day without gaps and total the range', async () => {
+    const db = createMockDb((query, params) => {
+      if (query.includes('GROUP BY day')) {
+        expect(params).toEqual(['2026-10-17 00:00:00', 4]);
+        return [
+          { day: '2026-10-17', calls: 2, failures: 1, tokens: 300, avg_latency_ms: 100 },
+          { day: '2026-10-19', calls: 6, failures: 0, tokens: 900, avg_latency_ms: 500 }
+        ];
+      }
+      if (query.includes('GROUP BY u.project_id')) {
+        return [{ project_id: 4, project_name: 'Docs', calls: 8, failures: 1, tokens: 1200, avg_latency_ms: 400 }];
+      }
+      if (query.includes('GROUP BY u.request_type')) {
+        return [{ feature: 'suggest-rules', provider: 'mock', model: 'mock', calls: 8, failures: 1, tokens: 1200, avg_latency_ms: 400 }];
+      }
+      return query.includes('FROM ai_quotas') ? [] : null;
+    });
+
+    const summary = await new AIUsage(db).summarize({ days: 3, projectId: 4, now: new Date('2026-10-19T08:00:00Z') });
+
+    expect(summary).toMatchObject({
+      from: '2026-10-17',
+      to: '2026-10-19',
+      totals: { calls: 8, failures: 1, tokens: 1200, avgLatencyMs: 400 },
+      projects: [{ projectId: 4, name: 'Docs', calls: 8 }],
+      features: [{ feature: 'suggest-rules', model: 'mock', avgLatencyMs: 400 }],
+      quotas: []
+    });
+    expect(summary.daily.map((day) => [day.date, day.calls])).toEqual([
+      ['2026-10-17', 2],
+      ['2026-10-18', 0],
+      ['2026-10-19', 6]
+    ]);
+  });
+});
@@ -0,0 +1,403 @@
+/**
+ * Tests for Claude Code file generation in ClaudeCodeExporter
+ * **Feature: claude-code-bootstrap, Claude Code native file formats**
+ * **Validates: Requirements 5.2, 5.3**
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ClaudeCodeExporter, ClaudeSettingsGenerator, HookDryRunSimulator, ProjectValidator } from './index.js';
+
+// Mock database that answers lookups from in-memory tables
+const createMockDb = (tables = {}) => ({
+  prepare: (query) => ({
+    bind: (...params) => ({
+      all: () => ({ results: [] }),
+      first: () => {
+        if (query.includes('FROM agents')) {
+          return (tables.agents || []).find((agent) => agent.id === params[0]) || null;
+        }
+        if (query.includes('FROM custom_agents')) {
+          return (tables.custom_agents || []).find((agent) => agent.name === params[0]) || null;
+        }
+        return null;
+      },
+      run: () => ({ success: true })
+    })
+  })
+});
+
+describe('ClaudeCodeExporter.generateAgentFiles', () => {
+  let exporter;
+
+  beforeEach(() => {
+    exporter = new ClaudeCodeExporter(createMockDb({
+      agents: [{
+        id: 'agent-1',
+        name: 'Code Reviewer',
+        role: 'Senior reviewer',
+        description: 'Reviews pull requests for correctness',
+        system_prompt: 'You are a meticulous code reviewer.'
+      }],
+      custom_agents: [{
+        name: 'code-reviewer',
+        agent_config: JSON.stringify({ allowedTools: ['Read', 'Grep', 'Glob'], model: 'sonnet' })
+      }]
+    }));
+  });
+
+  it('should emit subagent frontmatter with the system prompt as body', async () => {
+    const files = await exporter.generateAgentFiles([
+      { resource_id: 'agent-1', project_id: 1, config_overrides: null }
+    ]);
+    const content = files['.claude/agents/code-reviewer.md'];
+
+    expect(content).toBe(
+      '---\n' +
+      'name: code-reviewer\n' +
+      'description: Senior reviewer. Reviews pull requests for correctness\n' +
+      'tools: Read, Grep, Glob\n' +
+      'model: sonnet\n' +
+      '---\n\n' +
+      'You are a meticulous code reviewer.\n'
+    );
+  });
+
+  it('should let project config overrides replace tools and model', async () => {
+    const files = await exporter.generateAgentFiles([
+      { resource_id: 'agent-1', project_id: 1, config_overrides: { tools: 'Read, Edit', model: 'opus' } }
+    ]);
+    const content = files['.claude/agents/code-reviewer.md'];
+
+    expect(content).toContain('tools: Read, Edit\n');
+    expect(content).toContain('model: opus\n');
+  });
+
+  it('should inherit tools and model when nothing is configured', async () => {
+    exporter = new ClaudeCodeExporter(createMockDb({
+      agents: [{ id: 'agent-2', name: 'Helper', description: 'General help: anything' }]
+    }));
+
+    const files = await exporter.generateAgentFiles([{ resource_id: 'agent-2', project_id: 1 }]);
+    const content = files['.claude/agents/helper.md'];
+
+    expect(content).not.toContain('tools:');
+    expect(content).toContain('model: inherit\n');
+    expect(content).toContain('description: "General help: anything"\n');
+    expect(content).toContain('You are Helper.\n');
+  });
+});
+
+describe('ClaudeCodeExporter.generateCommandFiles', () => {
+  let exporter;
+
+  beforeEach(() => {
+    exporter = new ClaudeCodeExporter(createMockDb());
+  });
+
+  it('should emit slash command frontmatter', async () => {
+    const files = await exporter.generateCommandFiles([{
+      name: 'review',
+      display_name: 'Code Review',
+      description: 'Thorough code review',
+      prompt_content: 'Review the changes in: $ARGUMENTS',
+      agent_config: JSON.stringify({ allowedTools: ['Read', 'Grep'] })
+    }]);
+
+    expect(files['.claude/commands/review.md']).toBe(
+      '---\n' +
+      'allowed-tools: Read, Grep\n' +
+      'argument-hint: "[arguments]"\n' +
+      'description: Thorough code review\n' +
+      '---\n\n' +
+      'Review the changes in: $ARGUMENTS\n'
+    );
+  });
+
+  it('should derive positional argument hints and keep explicit ones', async () => {
+    const files = await exporter.generateCommandFiles([
+      { name: 'fix-issue', prompt_content: 'Fix issue #$1 with priority $2', agent_config: null },
+      {
+        name: 'deploy',
+        prompt_content: 'Deploy $1',
+        agent_config: { argumentHint: '<environment>' }
+      }
+    ]);
+
+    expect(files['.claude/commands/fix-issue.md']).toContain('argument-hint: "[arg1] [arg2]"\n');
+    expect(files['.claude/commands/deploy.md']).toContain('argument-hint: <environment>\n');
+  });
+
+  it('should sanitize command names used as file names', async () => {
+    const files = await exporter.generateCommandFiles([
+      { name: '../../Deploy Prod', prompt_content: 'Deploy to production' }
+    ]);
+
+    expect(Object.keys(files)).toEqual(['.claude/commands/deploy-prod.md']);
+  });
+
+  it('should report inconsistent placeholder usage', async () => {
+    const warnings = [];
+    await exporter.generateCommandFiles([
+      { name: 'mixed', prompt_content: 'Use $ARGUMENTS then $1 and $3' }
+    ], warnings);
+
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toMatch(/^\/mixed: Command mixes \$ARGUMENTS/);
+    expect(warnings[1]).toContain('skip $2');
+  });
+
+  it('should not read dollar amounts as positional placeholders', async () => {
+    const warnings = [];
+    const files = await exporter.generateCommandFiles([
+      { name: 'pricing', prompt_content: 'Quote $1 at $4.99 or $1,000 per seat' }
+    ], warnings);
+
+    expect(warnings).toEqual([]);
+    expect(files['.claude/commands/pricing.md']).toContain('argument-hint: "[arg1]"\n');
+  });
+
+  it('should number commands whose names sanitize to the same file', async () => {
+    const warnings = [];
+    const files = await exporter.generateCommandFiles([
+      { name: 'Review PR', prompt_content: 'Review the PR.' },
+      { name: 'review-pr', prompt_content: 'Review the PR again.' }
+    ], warnings);
+
+    expect(Object.keys(files)).toEqual(['.claude/commands/review-pr.md', '.claude/commands/review-pr-2.md']);
+    expect(files['.claude/commands/review-pr-2.md']).toContain('Review the PR again.');
+    expect(warnings).toEqual(['/review-pr: /review-pr is already taken, exported as /review-pr-2']);
+  });
+});
+
+describe('ClaudeSettingsGenerator', () => {
+  const hooks = [
+    {
+      name: 'Prettier Format',
+      hook_type: 'PostToolUse',
+      tool_matcher: '{"tool": "Write", "pattern": "*.ts"}',
+      command: 'npx prettier --write .',
+      timeout_ms: 30000,
+      is_enabled: 1,
+      sort_order: 1
+    },
+    {
+      name: 'Lint',
+      hook_type: 'PostToolUse',
+      tool_matcher: { tool: 'Write' },
+      command: 'npm run lint',
+      working_directory: 'web',
+      timeout_ms: 60000,
+      is_enabled: 1,
+      sort_order: 2
+    },
+    {
+      name: 'Notify',
+      hook_type: 'Stop',
+      tool_matcher: null,
+      command: 'say done',
+      timeout_ms: 1500,
+      is_enabled: 1
+    },
+    {
+      name: 'Disabled',
+      hook_type: 'Stop',
+      command: 'echo never',
+      is_enabled: 0
+    }
+  ];
+
+  it('should nest hooks under matcher groups with timeouts in seconds', () => {
+    const generator = new ClaudeSettingsGenerator();
+    const settings = generator.generate(hooks);
+
+    expect(settings).toEqual({
+      hooks: {
+        PostToolUse: [{
+          matcher: 'Write',
+          hooks: [
+            { type: 'command', command: 'npx prettier --write .', timeout: 30 },
+            { type: 'command', command: 'cd "$CLAUDE_PROJECT_DIR/web" && npm run lint', timeout: 60 }
+          ]
+        }],
+        Stop: [{
+          hooks: [{ type: 'command', command: 'say done', timeout: 2 }]
+        }]
+      }
+    });
+    expect(generator.warnings).toHaveLength(1);
+    expect(generator.warnings[0]).toContain('*.ts');
+  });
+
+  it('should merge into base settings without overwriting them', () => {
+    const base = JSON.stringify({
+      permissions: { allow: ['Bash(npm test)'] },
+      hooks: {
+        PostToolUse: [{
+          matcher: 'Write',
+          hooks: [{ type: 'command', command: 'npm run lint', timeout: 10 }]
+        }],
+        PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command: './guard.sh' }] }]
+      }
+    });
+
+    const settings = new ClaudeSettingsGenerator().generate([hooks[0]], base);
+
+    expect(settings.permissions).toEqual({ allow: ['Bash(npm test)'] });
+    expect(settings.hooks.PreToolUse).toHaveLength(1);
+    expect(settings.hooks.PostToolUse[0].hooks.map(h => h.command)).toEqual([
+      'npm run lint',
+      'npx prettier --write .'
+    ]);
+  });
+
+  it('should reject base settings that are not an object', () => {
+    expect(() => new ClaudeSettingsGenerator().generate(hooks, '[]')).toThrow('Base settings must be a JSON object');
+    expect(() => new ClaudeSettingsGenerator().generate(hooks, '{"hooks":')).toThrow('Base settings must be valid JSON');
+  });
+
+  it('should reject base settings with null matcher groups or hook entries', () => {
+    const generate = (base) => () => new ClaudeSettingsGenerator().generate(hooks, { hooks: base });
+
+    expect(generate({ PostToolUse: [null] })).toThrow('hooks.PostToolUse must contain matcher groups');
+    expect(generate({ Stop: [{ hooks: [null] }] })).toThrow('hooks.Stop must contain matcher groups');
+    expect(generate({ Stop: [{ hooks: [{ type: 'command', command: 'say hi' }] }] })).not.toThrow();
+  });
+
+  it('should keep invalid base settings a validation error through export generation', async () => {
+    const exporter = new ClaudeCodeExporter(createMockDb());
+    exporter._getProjectDetails = async () => ({ id: 1, name: 'Acme', description: 'Acme web app.' });
+    exporter._getProjectResources = async () => ({ agents: [], rules: [], hooks: [] });
+    vi.spyOn(ProjectValidator.prototype, 'validateExportRequirements').mockResolvedValue({
+      isValid: true,
+      errors: [],
+      warnings: [],
+      recommendations: []
+    });
+
+    await expect(exporter.generateProjectStructure(1, { baseSettings: '[1, 2]' })).rejects.toMatchObject({
+      message: 'Base settings must be a JSON object',
+      field: 'baseSettings'
+    });
+    vi.restoreAllMocks();
+  });
+});
+
+describe('ClaudeSettingsGenerator - session and compaction events', () => {
+  it('should emit source and trigger matchers for SessionStart and PreCompact', () => {
+    const settings = new ClaudeSettingsGenerator().generate([
+      { name: 'Context', hook_type: 'SessionStart', tool_matcher: '{"source": "startup"}', command: 'git status', timeout_ms: 10000, is_enabled: 1 },
+      { name: 'Any session', hook_type: 'SessionStart', tool_matcher: null, command: 'echo hi', timeout_ms: 5000, is_enabled: 1 },
+      { name: 'Backup', hook_type: 'PreCompact', tool_matcher: { trigger: ['manual', 'auto'] }, command: './backup.sh', timeout_ms: 30000, is_enabled: 1 },
+      { name: 'Prompt', hook_type: 'UserPromptSubmit', tool_matcher: null, command: 'date', timeout_ms: 5000, is_enabled: 1 },
+      { name: 'End', hook_type: 'SessionEnd', tool_matcher: null, command: 'echo bye', timeout_ms: 5000, is_enabled: 1 }
+    ]);
+
+    expect(settings.hooks.SessionStart).toEqual([
+      { matcher: 'startup', hooks: [{ type: 'command', command: 'git status', timeout: 10 }] },
+      { hooks: [{ type: 'command', command: 'echo hi', timeout: 5 }] }
+    ]);
+    expect(settings.hooks.PreCompact[0].matcher).toBe('manual|auto');
+    expect(settings.hooks.UserPromptSubmit[0]).not.toHaveProperty('matcher');
+    expect(settings.hooks.SessionEnd[0].hooks[0].command).toBe('echo bye');
+  });
+});
+
+describe('HookDryRunSimulator', () => {
+  let simulator;
+
+  beforeEach(() => {
+    simulator = new HookDryRunSimulator();
+  });
+
+  it('fires a tool matcher for a matching tool and expands CLAUDE_PROJECT_DIR', () => {
+    const hook = {
+      id: 'h1',
+      name: 'Format',
+      hook_type: 'PostToolUse',
+      tool_matcher: '{"tool": "Write|Edit"}',
+      command: 'npx prettier --write "$CLAUDE_PROJECT_DIR"',
+      timeout_ms: 30000
+    };
+
+    const { result, logs } = simulator.simulate(hook, {
+      tool_name: 'Edit',
+      file_path: '/repo/src/app.ts',
+      cwd: '/repo'
+    });
+
+    expect(result.executed).toBe(false);
+    expect(result.wouldRun).toBe(true);
+    expect(result.matcher.matcher).toBe('Write|Edit');
+    expect(result.stdin.tool_input.file_path).toBe('/repo/src/app.ts');
+    expect(result.command.expanded).toBe('npx prettier --write "/repo"');
+    expect(result.command.timeout).toBe(30);
+    expect(result.exitCodes[2]).toContain('stderr is shown to Claude');
+    expect(logs.some((line) => line.startsWith('Would run:'))).toBe(true);
+  });
+
+  it('does not fire when the tool does not match the anchored matcher', () => {
+    const hook = { id: 'h2', name: 'Guard', hook_type: 'PreToolUse', tool_matcher: 'Write', command: 'true' };
+
+    const { result } = simulator.simulate(hook, { tool_name: 'WriteFile' });
+
+    expect(result.wouldRun).toBe(false);
+  });
+
+  it('reports file patterns as not enforced and flags unset CLAUDE_ variables', () => {
+    const hook = {
+      id: 'h3',
+      name: 'Lint TS',
+      hook_type: 'PostToolUse',
+      tool_matcher: { tool: 'Write', pattern: '*.{ts,tsx}' },
+      command: 'eslint $CLAUDE_FILE_PATHS'
+    };
+
+    const { result } = simulator.simulate(hook, { file_path: 'src/components/App.tsx' });
+
+    expect(result.pattern).toEqual({
+      pattern: '*.{ts,tsx}',
+      subject: 'src/components/App.tsx',
+      matches: true,
+      enforcedByClaudeCode: false
+    });
+    expect(result.unresolvedVariables).toEqual(['CLAUDE_FILE_PATHS']);
+  });
+
+  it('matches SessionStart sources and describes context injection', () => {
+    const hook = { id: 'h4', name: 'Context', hook_type: 'SessionStart', tool_matcher: { source: 'resume' }, command: 'git status' };
+
+    expect(simulator.simulate(hook, { source: 'startup' }).result.wouldRun).toBe(false);
+
+    const { result } = simulator.simulate(hook, { source: 'resume' });
+    expect(result.wouldRun).toBe(true);
+    expect(result.exitCodes[0]).toContain("added to Claude's context");
+  });
+
+  it('fills in a sample payload for events without a matcher', () => {
+    const hook = { id: 'h5', name: 'Stamp', hook_type: 'UserPromptSubmit', command: 'date' };
+
+    const { result } = simulator.simulate(hook);
+
+    expect(result.wouldRun).toBe(true);
+    expect(result.stdin.hook_event_name).toBe('UserPromptSubmit');
+    expect(result.stdin.prompt).toBeTruthy();
+    expect(result.exitCodes[2]).toContain('Blocks the prompt');
+  });
+
+  it('does not fire for a payload of another event', () => {
+    const hook = { id: 'h6', name: 'Stop check', hook_type: 'Stop', command: 'true' };
+
+    const { result } = simulator.simulate(hook, { hook_event_name: 'SessionEnd' });
+
+    expect(result.wouldRun).toBe(false);
+  });
+
+  it('rejects tool inputs and paths of the wrong type', () => {
+    const hook = { id: 'h7', name: 'Guard', hook_type: 'PreToolUse', tool_matcher: '{"tool": "Bash", "pattern": "git *"}', command: 'true' };
+
+    expect(() => simulator.simulate(hook, { tool_input: 'rm -rf /' })).toThrow('tool_input must be an object');
+    expect(() => simulator.simulate(hook, { tool_input: { command: 42 } })).toThrow('tool_input.command must be a string');
+    expect(() => simulator.simulate(hook, { file_path: { path: 'a.ts' } })).toThrow('file_path must be a string');
+    expect(simulator.simulate(hook, { tool_name: 'Bash', tool_input: { command: 'git push' } }).result.pattern.matches).toBe(true);
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * Tests for importing an existing CLAUDE.md and .claude/ directory
+ * **Feature: claude-code-bootstrap, Claude Code config import**
+ * **Validates: Requirements 3.1, 3.2, 3.5**
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import { ZipArchiveBuilder, ZipArchiveReader, ClaudeConfigImporter } from './index.js';
+
+// Mock database backed by in-memory tables; INSERTs and UPDATEs are recorded
+const createMockDb = (tables = {}) => {
+  const writes = [];
+  const db = {
+    writes,
+    prepare: (query) => {
+      const statement = (params = []) => ({
+        all: () => {
+          if (query.includes('FROM agents')) return { results: tables.agents || [] };
+          if (query.includes('FROM agent_rules')) return { results: tables.agent_rules || [] };
+          if (query.includes('FROM hooks')) return { results: tables.hooks || [] };
+          if (query.includes('FROM custom_agents')) return { results: tables.custom_agents || [] };
+          if (query.includes('FROM project_resources')) return { results: tables.project_resources || [] };
+          return { results: [] };
+        },
+        first: () => {
+          if (query.includes('FROM projects')) return { id: params[0] };
+          if (query.includes('FROM project_resources')) {
+            return (tables.project_resources || []).find((row) => params.includes(row.resource_id)) || null;
+          }
+          if (query.includes('FROM custom_agents')) {
+            return (tables.custom_agents || []).find((row) => row.name === params[1]) || null;
+          }
+          if (/FROM (agents|agent_rules|hooks) WHERE id = \?/.test(query)) return { id: params[0] };
+          if (query.includes('WHERE pr.id')) return { id: params[0] };
+          return null;
+        },
+        run: () => {
+          writes.push({ query, params });
+          return { success: true, meta: { changes: 1 } };
+        }
+      });
+      return { ...statement(), bind: (...params) => statement(params) };
+    }
+  };
+  return db;
+};
+
+// Build a ZIP with a DEFLATE entry by hand (ZipArchiveBuilder only writes STORE)
+const deflatedZip = (path, content) => {
+  const name = new TextEncoder().encode(path);
+  const data = new TextEncoder().encode(content);
+  const compressed = deflateRawSync(data);
+  const crc = ZipArchiveBuilder.crc32(data);
+
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(14, crc, true);
+  local.setUint32(18, compressed.length, true);
+  local.setUint32(22, data.length, true);
+  local.setUint16(26, name.length, true);
+
+  const central = new DataView(new ArrayBuffer(46));
+  central.setUint32(0, 0x02014b50, true);
+  central.setUint16(10, 8, true);
+  central.setUint32(16, crc, true);
+  central.setUint32(20, compressed.length, true);
+  central.setUint32(24, data.length, true);
+  central.setUint16(28, name.length, true);
+
+  const centralOffset = 30 + name.length + compressed.length;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, 46 + name.length, true);
+  end.setUint32(16, centralOffset, true);
+
+  const parts = [local, name, compressed, central, name, end].map((part) =>
+    part instanceof DataView ? new Uint8Array(part.buffer) : new Uint8Array(part)
+  );
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+const settingsJson = JSON.stringify({
+  permissions: { allow: ['Bash(npm test)'] },
+  hooks: {
+    PostToolUse: [
+      {
+        matcher: 'Write|Edit',
+        hooks: [{ type: 'command', command: 'cd "$CLAUDE_PROJECT_DIR/web" && npx prettier --write .', timeout: 30 }]
+      }
+    ],
+    SessionStart: [{ matcher: 'startup|resume', hooks: [{ type: 'command', command: 'git status --short' }] }]
+  }
+});
+
+const repoFiles = {
+  'CLAUDE.md': [
+    '# Acme',
+    '',
+    'Acme web app.',
+    '',
+    '## Code Style',
+    '',
+    '### Use TypeScript',
+    'All new modules are TypeScript.',
+    '',
+    '### Prefer named exports',
+    'Avoid default exports.',
+    '',
+    '## Testing',
+    '',
+    'Run `npm test` before pushing.',
+    '',
+    '```md',
+    '## Not a heading',
+    '```'
+  ].join('\n'),
+  '.claude/settings.json': settingsJson,
+  '.claude/agents/code-reviewer.md': [
+    '---',
+    'name: code-reviewer',
+    'description: "Reviews diffs: correctness first"',
+    'tools: Read, Grep, Glob',
+    'model: sonnet',
+    '---',
+    'You review code.',
+    '',
+    'Communication style: terse'
+  ].join('\n'),
+  '.claude/commands/git/commit.md': [
+    '---',
+    'allowed-tools:',
+    '  - Bash(git add:*)',
+    '  - Bash(git commit:*)',
+    'argument-hint: "[message]"',
+    'description: Create a commit',
+    '---',
+    'Commit with message: $ARGUMENTS'
+  ].join('\n'),
+  'src/CLAUDE.md': '# Nested',
+  'package.json': '{}'
+};
+
+describe('ZipArchiveReader', () => {
+  it('should read back archives written by ZipArchiveBuilder', async () => {
+    const files = { 'CLAUDE.md': '# Project\n', '.claude/settings.json': '{"hooks":{}}' };
+    const archive = new ZipArchiveBuilder().addFiles(files).build();
+
+    expect(await new ZipArchiveReader(archive).readTextFiles()).toEqual(files);
+  });
+
+  it('should inflate DEFLATE entries', async () => {
+    const content = '# Rules\n'.repeat(50);
+
+    expect(await new ZipArchiveReader(deflatedZip('CLAUDE.md', content)).readTextFiles()).toEqual({
+      'CLAUDE.md': content
+    });
+  });
+
+  it('should reject uploads that are not ZIP archives', async () => {
+    await expect(new ZipArchiveReader(new TextEncoder().encode('not a zip')).readTextFiles()).rejects.toThrow(
+      'Upload is not a ZIP archive'
+    );
+  });
+});
+
+describe('ClaudeConfigImporter.parse', () => {
+  let importer;
+
+  beforeEach(() => {
+    importer = new ClaudeConfigImporter(createMockDb());
+  });
+
+  it('should strip a wrapping folder from archive paths', () => {
+    expect(
+      Object.keys(
+        ClaudeConfigImporter.normalizePaths({
+          'acme-main/CLAUDE.md': '',
+          'acme-main/.claude/settings.json': '',
+          'acme-main/src/CLAUDE.md': ''
+        })
+      )
+    ).toEqual(['CLAUDE.md', '.claude/settings.json', 'src/CLAUDE.md']);
+  });
+
+  it('should turn CLAUDE.md sections into categorized rules', () => {
+    const { rules } = importer.parse(repoFiles);
+
+    expect(rules.map((rule) => [rule.name, rule.category])).toEqual([
+      ['Use TypeScript', 'code-style'],
+      ['Prefer named exports', 'code-style'],
+      ['Testing', 'general']
+    ]);
+    expect(rules[2].rule_content).toContain('## Not a heading');
+  });
+
+  it('should turn settings.json hooks into hook rows', () => {
+    const { hooks, warnings } = importer.parse(repoFiles);
+
+    expect(hooks[0]).toMatchObject({
+      hook_type: 'PostToolUse',
+      tool_matcher: { tool: 'Write|Edit' },
+      command: 'npx prettier --write .',
+      working_directory: 'web',
+      timeout_ms: 30000
+    });
+    expect(hooks[1]).toMatchObject({
+      hook_type: 'SessionStart',
+      tool_matcher: { source: ['startup', 'resume'] },
+      timeout_ms: 60000
+    });
+    expect(warnings).toContain('.claude/settings.json: permissions is not imported; only hooks are stored');
+  });
+
+  it('should skip malformed hook groups and entries with a warning', () => {
+    const parseHooks = (hooks) => importer.parse({ '.claude/settings.json': JSON.stringify({ hooks }) });
+    const valid = { type: 'command', command: 'npm test' };
+    const source = '.claude/settings.json';
+
+    let result = parseHooks({ PostToolUse: [null, { hooks: 'npm test' }] });
+    expect(result.hooks).toEqual([]);
+    expect(result.warnings.filter((w) => w.includes('matcher group is not an object'))).toHaveLength(2);
+
+    result = parseHooks({ PostToolUse: [{ hooks: [null, valid] }] });
+    expect(result.hooks).toHaveLength(1);
+    expect(result.warnings).toContain(`${source}: PostToolUse hook entry is not an object; skipped`);
+
+    result = parseHooks({ PostToolUse: [{ hooks: [{ type: 'command', command: 42 }] }] });
+    expect(result.hooks).toEqual([]);
+    expect(result.warnings).toContain(`${source}: PostToolUse hook command must be a string; skipped`);
+
+    result = parseHooks({ PostToolUse: [{ matcher: ['Write'], hooks: [valid] }] });
+    expect(result.hooks).toEqual([]);
+    expect(result.warnings).toContain(`${source}: PostToolUse matcher must be a string; group skipped`);
+
+    result = parseHooks({ PostToolUse: [{ hooks: [{ ...valid, timeout: 'abc' }] }] });
+    expect(result.hooks[0].timeout_ms).toBe(60000);
+    expect(result.warnings).toContain(
+      `${source}: PostToolUse hook timeout "abc" is not a positive number of seconds; default used`
+    );
+  });
+
+  it('should parse subagent and command frontmatter', () => {
+    const { agents, commands } = importer.parse(repoFiles);
+
+    expect(agents[0]).toMatchObject({
+      name: 'code-reviewer',
+      role: 'Reviews diffs: correctness first',
+      system_prompt: 'You review code.',
+      style: 'terse',
+      configOverrides: { tools: ['Read', 'Grep', 'Glob'], model: 'sonnet' }
+    });
+    expect(commands[0]).toMatchObject({
+      name: 'git-commit',
+      description: 'Create a commit',
+      prompt_content: 'Commit with message: $ARGUMENTS',
+      agent_config: { allowedTools: ['Bash(git add:*)', 'Bash(git commit:*)'], argumentHint: '[message]' }
+    });
+  });
+
+  it('should report nested CLAUDE.md files and ignore unrelated files', () => {
+    const { warnings, ignoredFiles } = importer.parse(repoFiles);
+
+    expect(warnings).toContain('src/CLAUDE.md: nested CLAUDE.md files are not imported');
+    expect(ignoredFiles).toEqual(['src/CLAUDE.md', 'package.json']);
+  });
+});
+
+describe('ClaudeConfigImporter.preview and commit', () => {
+  const existing = {
+    agents: [{ id: 'agent-1', name: 'Code Reviewer' }],
+    agent_rules: [{ id: 'rule-1', name: 'Testing' }],
+    hooks: [{ id: 'hook-1', name: 'Status', hook_type: 'SessionStart', command: 'git status --short' }],
+    custom_agents: []
+  };
+
+  it('should flag conflicts with existing resources', async () => {
+    const preview = await new ClaudeConfigImporter(createMockDb(existing)).preview(1, repoFiles);
+
+    expect(preview.summary).toEqual({ agents: 1, rules: 3, hooks: 2, commands: 1, conflicts: 3 });
+    expect(preview.items.filter((item) => item.conflict).map((item) => [item.key, item.conflict.id])).toEqual([
+      ['agent:code-reviewer', 'agent-1'],
+      ['rule:Testing', 'rule-1'],
+      ['hook:SessionStart (startup|resume): git status --short', 'hook-1']
+    ]);
+  });
+
+  it('should skip conflicts by default and apply requested resolutions', async () => {
+    const db = createMockDb(existing);
+    const result = await new ClaudeConfigImporter(db).commit(1, repoFiles, {
+      'agent:code-reviewer': 'overwrite',
+      'rule:Testing': 'keep-both'
+    });
+
+    expect(result.updated.map((item) => item.id)).toEqual(['agent-1']);
+    expect(result.created.map((item) => item.key)).toEqual([
+      'rule:Use TypeScript',
+      'rule:Prefer named exports',
+      'rule:Testing',
+      'hook:PostToolUse (Write|Edit): npx prettier --write',
+      'command:git-commit'
+    ]);
+    expect(result.skipped.map((item) => item.key)).toEqual(['hook:SessionStart (startup|resume): git status --short']);
+    expect(result.assigned).toBe(5);
+    expect(db.writes.some(({ query }) => query.startsWith('UPDATE agents'))).toBe(true);
+  });
+
+  it('should overwrite resources already assigned to the project without reassigning them', async () => {
+    const db = createMockDb({ ...existing, project_resources: [{ resource_id: 'agent-1' }] });
+    const result = await new ClaudeConfigImporter(db).commit(1, repoFiles, { 'agent:code-reviewer': 'overwrite' });
+
+    expect(result.updated.map((item) => item.id)).toEqual(['agent-1']);
+    expect(result.assigned).toBe(3);
+    expect(db.writes.some(({ query, params }) => query.includes('INTO project_resources') && params.includes('agent-1'))).toBe(false);
+  });
+
+  it('should number keep-both command names until one is free', async () => {
+    const commands = [
+      { id: 'cmd-1', name: 'git-commit', project_id: 1 },
+      { id: 'cmd-2', name: 'git-commit-imported', project_id: 1 }
+    ];
+    const db = createMockDb({ ...existing, custom_agents: commands });
+    await new ClaudeConfigImporter(db).commit(1, repoFiles, { 'command:git-commit': 'keep-both' });
+
+    const insert = db.writes.find(({ query }) => query.includes('INSERT INTO custom_agents'));
+    expect(insert.params[2]).toBe('git-commit-imported-2');
+  });
+
+  it('should reject unknown resolutions', async () => {
+    await expect(
+      new ClaudeConfigImporter(createMockDb()).commit(1, repoFiles, { 'rule:Testing': 'merge' })
+    ).rejects.toThrow('Resolution for rule:Testing must be one of');
+  });
+});
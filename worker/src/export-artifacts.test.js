@@ -0,0 +1,137 @@
+/**
+ * Tests for stored export archives
+ * **Feature: claude-code-bootstrap, Export artifacts**
+ * **Validates: Requirements 5.3, 5.5**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ExportArtifactStore } from './index.js';
+
+// Mock D1 database keeping export_artifacts and export_history rows in memory
+const createMockDb = (history = []) => {
+  const chunks = [];
+
+  const execute = (query, params) => {
+    if (query.startsWith('INSERT INTO export_artifacts')) {
+      const [key, index, content] = params;
+      if (chunks.some((row) => row.artifact_key === key && row.chunk_index === index)) {
+        throw new Error('UNIQUE constraint failed: export_artifacts.artifact_key, export_artifacts.chunk_index');
+      }
+      chunks.push({ artifact_key: key, chunk_index: index, content: content.slice().buffer });
+      return { results: [] };
+    }
+    if (query.startsWith('SELECT content FROM export_artifacts')) {
+      return {
+        results: chunks
+          .filter((row) => row.artifact_key === params[0])
+          .sort((a, b) => a.chunk_index - b.chunk_index)
+      };
+    }
+    if (query.startsWith('DELETE FROM export_artifacts')) {
+      chunks.splice(0, chunks.length, ...chunks.filter((row) => row.artifact_key !== params[0]));
+      return { results: [] };
+    }
+    if (query.includes('FROM export_history')) {
+      const [now, limit] = params;
+      return {
+        results: history
+          .filter((row) => row.status === 'completed' && row.expires_at && row.expires_at <= now)
+          .slice(0, limit)
+      };
+    }
+    if (query.startsWith('UPDATE export_history')) {
+      const row = history.find((candidate) => candidate.id === params[0]);
+      Object.assign(row, { status: 'expired', file_path: null });
+      return { results: [] };
+    }
+    throw new Error(`Unexpected query: ${query}`);
+  };
+
+  const db = {
+    chunks,
+    prepare: (query) => {
+      const statement = (params = []) => ({
+        all: async () => execute(query.trim(), params),
+        run: async () => (execute(query.trim(), params), { success: true }),
+        first: async () => execute(query.trim(), params).results[0] || null
+      });
+      return { ...statement(), bind: (...params) => statement(params) };
+    }
+  };
+  return db;
+};
+
+// R2 stand-in with the subset of the bucket API the store uses
+const createMockBucket = () => {
+  const objects = new Map();
+  return {
+    objects,
+    put: async (key, bytes, options) => objects.set(key, { bytes: new Uint8Array(bytes), options }),
+    get: async (key) => {
+      const object = objects.get(key);
+      return object ? { arrayBuffer: async () => object.bytes.buffer } : null;
+    },
+    delete: async (keys) => [].concat(keys).forEach((key) => objects.delete(key))
+  };
+};
+
+const bytes = (length) => Uint8Array.from({ length }, (_, index) => index % 251);
+
+describe('ExportArtifactStore', () => {
+  it('should store archives in D1 chunks and read them back intact', async () => {
+    const db = createMockDb();
+    const store = new ExportArtifactStore(db);
+    const archive = bytes(2500000);
+
+    const artifact = await store.put(ExportArtifactStore.key(7, 'exp-1'), archive);
+
+    expect(artifact).toEqual({
+      key: 'exports/7/exp-1.zip',
+      size: 2500000,
+      sha256: await ExportArtifactStore.sha256(archive)
+    });
+    expect(db.chunks.map((row) => row.chunk_index)).toEqual([0, 1, 2]);
+    const stored = await store.get('exports/7/exp-1.zip');
+    expect(stored.length).toBe(archive.length);
+    expect(await ExportArtifactStore.sha256(stored)).toBe(artifact.sha256);
+    expect(await store.get('exports/7/missing.zip')).toBeNull();
+  });
+
+  it('should refuse to overwrite a stored archive', async () => {
+    const store = new ExportArtifactStore(createMockDb());
+    await store.put('exports/1/a.zip', bytes(10));
+
+    await expect(store.put('exports/1/a.zip', bytes(20))).rejects.toThrow('UNIQUE constraint failed');
+    expect(await store.get('exports/1/a.zip')).toEqual(bytes(10));
+  });
+
+  it('should use the R2 bucket when one is bound', async () => {
+    const db = createMockDb();
+    const bucket = createMockBucket();
+    const store = ExportArtifactStore.fromEnv({ DB: db, EXPORT_ARTIFACTS: bucket });
+
+    const { sha256 } = await store.put('exports/1/a.zip', bytes(100));
+
+    expect(db.chunks).toEqual([]);
+    expect(bucket.objects.get('exports/1/a.zip').options.customMetadata).toEqual({ sha256 });
+    expect(await store.get('exports/1/a.zip')).toEqual(bytes(100));
+  });
+
+  it('should delete archives of expired exports and mark them expired', async () => {
+    const history = [
+      { id: 'old', status: 'completed', file_path: 'exports/1/old.zip', expires_at: '2026-01-01T00:00:00.000Z' },
+      { id: 'new', status: 'completed', file_path: 'exports/1/new.zip', expires_at: '2026-03-01T00:00:00.000Z' }
+    ];
+    const store = new ExportArtifactStore(createMockDb(history));
+    await store.put('exports/1/old.zip', bytes(10));
+    await store.put('exports/1/new.zip', bytes(10));
+
+    const result = await store.purgeExpired(new Date('2026-02-01T00:00:00Z'));
+
+    expect(result).toEqual({ expired: 1 });
+    expect(history[0]).toMatchObject({ status: 'expired', file_path: null });
+    expect(history[1].status).toBe('completed');
+    expect(await store.get('exports/1/old.zip')).toBeNull();
+    expect(await store.get('exports/1/new.zip')).toEqual(bytes(10));
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for comparing two recorded exports
+ * **Feature: claude-code-bootstrap, Export history diff**
+ * **Validates: Requirements 5.4, 5.5**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ExportHistoryDiff } from './index.js';
+
+describe('ExportHistoryDiff.compareFiles', () => {
+  it('should diff modified files and list added and removed ones', () => {
+    const { files, summary } = ExportHistoryDiff.compareFiles(
+      {
+        'CLAUDE.md': '# Acme\n\n- Use TypeScript\n',
+        '.claude/agents/old.md': 'old\n',
+        '.claude/settings.json': '{}\n'
+      },
+      {
+        'CLAUDE.md': '# Acme\n\n- Use TypeScript\n- Run tests\n',
+        '.claude/agents/new.md': 'new\n',
+        '.claude/settings.json': '{}\n'
+      }
+    );
+
+    expect(summary).toEqual({ added: 1, removed: 1, modified: 1, unchanged: 1 });
+    expect(files.map(({ path, status, additions, deletions }) => ({ path, status, additions, deletions }))).toEqual([
+      { path: '.claude/agents/new.md', status: 'added', additions: 1, deletions: 0 },
+      { path: '.claude/agents/old.md', status: 'removed', additions: 0, deletions: 1 },
+      { path: 'CLAUDE.md', status: 'modified', additions: 1, deletions: 0 }
+    ]);
+    expect(files[2].diff).toBe(
+      '--- a/CLAUDE.md\n+++ b/CLAUDE.md\n@@ -1,3 +1,4 @@\n # Acme\n \n - Use TypeScript\n+- Run tests\n'
+    );
+  });
+});
+
+describe('ExportHistoryDiff.compareResources', () => {
+  const snapshot = (rules) => ({ agents: {}, rules, hooks: {} });
+
+  it('should name the resources added, removed and changed', () => {
+    const result = ExportHistoryDiff.compareResources(
+      snapshot({ r1: { name: 'Use TypeScript', hash: 'a' }, r2: { name: 'Run tests', hash: 'b' } }),
+      snapshot({ r1: { name: 'Use TypeScript', hash: 'changed' }, r3: { name: 'Lint', hash: 'c' } })
+    );
+
+    expect(result.rules).toEqual({ added: ['Lint'], removed: ['Run tests'], modified: ['Use TypeScript'] });
+    expect(result.agents).toEqual({ added: [], removed: [], modified: [] });
+  });
+
+  it('should return null when an export has no snapshot', () => {
+    expect(ExportHistoryDiff.compareResources(null, snapshot({}))).toBeNull();
+  });
+});
+
+describe('ExportHistoryDiff.snapshotResources', () => {
+  const createMockDb = (rules) => ({
+    prepare: (query) => ({
+      bind: (id) => ({
+        first: async () => (query.includes('agent_rules') ? rules.find((rule) => rule.id === id) : null) || null
+      })
+    })
+  });
+
+  it('should fingerprint definitions but ignore bookkeeping columns', async () => {
+    const rule = { id: 'r1', name: 'Use TypeScript', rule_content: 'Always.', updated_at: '2026-01-01', usage_count: 1 };
+    const resources = { rules: [{ resource_id: 'r1' }] };
+
+    const first = await new ExportHistoryDiff(createMockDb([rule])).snapshotResources(resources);
+    const touched = await new ExportHistoryDiff(
+      createMockDb([{ ...rule, updated_at: '2026-02-01', usage_count: 9 }])
+    ).snapshotResources(resources);
+    const edited = await new ExportHistoryDiff(
+      createMockDb([{ ...rule, rule_content: 'Usually.' }])
+    ).snapshotResources(resources);
+    const scoped = await new ExportHistoryDiff(createMockDb([rule])).snapshotResources({
+      rules: [{ resource_id: 'r1', path_scope: 'packages/api' }]
+    });
+
+    expect(first.rules.r1.name).toBe('Use TypeScript');
+    expect(touched.rules.r1.hash).toBe(first.rules.r1.hash);
+    expect(edited.rules.r1.hash).not.toBe(first.rules.r1.hash);
+    expect(scoped.rules.r1.hash).not.toBe(first.rules.r1.hash);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for round-trip re-export against the repo copy
+ * **Feature: claude-code-bootstrap, Round-trip export merge**
+ * **Validates: Requirements 5.1, 5.4**
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { ClaudeCodeExporter, ExportMerger } from './index.js';
+
+const previous = [
+  '# Acme',
+  '',
+  'Acme web app.',
+  '',
+  '## Code Style',
+  '',
+  '- Use TypeScript',
+  '',
+  '## Testing',
+  '',
+  'Run `npm test`.',
+  ''
+].join('\n');
+
+describe('ExportMerger.splitSections', () => {
+  it('should split on level-two headings outside code fences and round-trip', () => {
+    const content = `${previous}\n\`\`\`md\n## Not a heading\n\`\`\`\n\n## Testing\n\nAgain.\n`;
+    const sections = ExportMerger.splitSections(content);
+
+    expect(sections.map((section) => section.key)).toEqual(['', 'Code Style', 'Testing', 'Testing #2']);
+    expect(sections.map((section) => section.text).join('')).toBe(content);
+  });
+});
+
+describe('ExportMerger.unifiedDiff', () => {
+  it('should render hunks with context and line numbers', () => {
+    const diff = ExportMerger.unifiedDiff(previous, previous.replace('- Use TypeScript', '- Use TypeScript\n- Prefer named exports'), 'CLAUDE.md');
+
+    expect(diff).toBe(
+      [
+        '--- a/CLAUDE.md',
+        '+++ b/CLAUDE.md',
+        '@@ -5,6 +5,7 @@',
+        ' ## Code Style',
+        ' ',
+        ' - Use TypeScript',
+        '+- Prefer named exports',
+        ' ',
+        ' ## Testing',
+        ' ',
+        ''
+      ].join('\n')
+    );
+  });
+
+  it('should list removed lines before their replacements', () => {
+    const diff = ExportMerger.unifiedDiff('a\nold\nb\n', 'a\nnew\nb\n', 'x');
+
+    expect(diff).toBe('--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n-old\n+new\n b\n');
+  });
+
+  it('should return an empty string for identical texts and diff new files against /dev/null', () => {
+    expect(ExportMerger.unifiedDiff('a\n', 'a\n', 'x')).toBe('');
+    expect(ExportMerger.unifiedDiff(null, 'a\n', 'AGENTS.md')).toBe('--- /dev/null\n+++ b/AGENTS.md\n@@ -0,0 +1,1 @@\n+a\n');
+  });
+});
+
+describe('ExportMerger.merge3', () => {
+  it('should combine non-overlapping edits from the repo and the export', () => {
+    const ours = previous.replace('Acme web app.', 'Acme web app, maintained by the web team.');
+    const theirs = previous.replace('Run `npm test`.', 'Run `npm test` and `npm run lint`.');
+
+    expect(ExportMerger.merge3(previous, ours, theirs)).toEqual({
+      content: ours.replace('Run `npm test`.', 'Run `npm test` and `npm run lint`.'),
+      conflicts: 0
+    });
+  });
+
+  it('should emit diff3 conflict markers when both sides change the same lines', () => {
+    const { content, conflicts } = ExportMerger.merge3(
+      previous,
+      previous.replace('- Use TypeScript', '- Use TypeScript strictly'),
+      previous.replace('- Use TypeScript', '- Use TypeScript 5')
+    );
+
+    expect(conflicts).toBe(1);
+    expect(content).toContain(
+      '<<<<<<< repo\n- Use TypeScript strictly\n||||||| previous export\n- Use TypeScript\n=======\n- Use TypeScript 5\n>>>>>>> export\n'
+    );
+  });
+});
+
+describe('ExportMerger.reconcile', () => {
+  it('should not report an unchanged project as updated on re-export', async () => {
+    const exporter = new ClaudeCodeExporter({});
+    const project = { id: 1, name: 'Acme', slug: 'acme', created_at: '2024-01-01', updated_at: '2024-01-02' };
+    const previousSettings = await exporter.generateProjectSettings(project, {});
+    const hashes = await ExportMerger.hashFiles({ '.claude/project_settings.json': previousSettings });
+
+    vi.useFakeTimers();
+    vi.setSystemTime(Date.now() + 60_000);
+    const settings = await exporter.generateProjectSettings(project, {});
+    vi.useRealTimers();
+
+    const { summary } = await new ExportMerger().reconcile(
+      { '.claude/project_settings.json': settings },
+      { '.claude/project_settings.json': previousSettings },
+      { hashes }
+    );
+    expect(summary).toEqual({ unchanged: 1 });
+  });
+
+  const next = previous.replace('Run `npm test`.', 'Run `npm test` before pushing.');
+
+  it('should take the new export for files untouched since the last export', async () => {
+    const hashes = await ExportMerger.hashFiles({ 'CLAUDE.md': previous });
+    const result = await new ExportMerger().reconcile({ 'CLAUDE.md': next, 'AGENTS.md': '# Acme\n' }, { 'CLAUDE.md': previous }, { hashes });
+
+    expect(result.files).toEqual({ 'CLAUDE.md': next, 'AGENTS.md': '# Acme\n' });
+    expect(result.summary).toEqual({ updated: 1, added: 1 });
+    expect(result.report['CLAUDE.md'].diff).toContain('+Run `npm test` before pushing.');
+  });
+
+  it('should keep and flag sections edited in the repo while updating the rest', async () => {
+    const hashes = await ExportMerger.hashFiles({ 'CLAUDE.md': previous });
+    const repo = previous.replace('- Use TypeScript', '- Use TypeScript\n- Never use enums') + '\n## Local Notes\n\nOurs.\n';
+
+    const { files, report } = await new ExportMerger().reconcile({ 'CLAUDE.md': next }, { 'CLAUDE.md': repo }, { hashes });
+
+    expect(files['CLAUDE.md']).toContain('- Never use enums');
+    expect(files['CLAUDE.md']).toContain('Run `npm test` before pushing.');
+    expect(files['CLAUDE.md']).toContain('## Local Notes');
+    expect(report['CLAUDE.md']).toMatchObject({
+      status: 'drifted',
+      conflicts: 0,
+      driftedSections: [
+        { section: 'Code Style', resolution: 'kept-repo' },
+        { section: 'Local Notes', resolution: 'added-in-repo' }
+      ]
+    });
+  });
+
+  it('should flag sections changed on both sides as conflicts without clobbering them', async () => {
+    const hashes = await ExportMerger.hashFiles({ 'CLAUDE.md': previous });
+    const repo = previous.replace('Run `npm test`.', 'Run `pnpm test`.');
+
+    const { files, report } = await new ExportMerger().reconcile({ 'CLAUDE.md': next }, { 'CLAUDE.md': repo }, { hashes });
+
+    expect(files['CLAUDE.md']).toBe(repo);
+    expect(report['CLAUDE.md'].status).toBe('conflict');
+    expect(report['CLAUDE.md'].exportDiff).toContain('+Run `npm test` before pushing.');
+  });
+
+  it('should use a line-level merge when the previous export files are supplied', async () => {
+    const repo = previous.replace('Acme web app.', 'Acme web app (v2).');
+    const { files, report } = await new ExportMerger().reconcile({ 'CLAUDE.md': next }, { 'CLAUDE.md': repo }, { files: { 'CLAUDE.md': previous } });
+
+    expect(files['CLAUDE.md']).toBe(next.replace('Acme web app.', 'Acme web app (v2).'));
+    expect(report['CLAUDE.md'].status).toBe('merged');
+  });
+
+  it('should report previously exported files the export no longer writes', async () => {
+    const hashes = await ExportMerger.hashFiles({ '.claude/agents/old.md': 'old\n', '.claude/agents/kept.md': 'kept\n' });
+    const { files, report } = await new ExportMerger().reconcile(
+      {},
+      { '.claude/agents/old.md': 'old\n', '.claude/agents/kept.md': 'kept, edited\n' },
+      { hashes }
+    );
+
+    expect(files).toEqual({ '.claude/agents/kept.md': 'kept, edited\n' });
+    expect(report['.claude/agents/old.md'].status).toBe('removed');
+    expect(report['.claude/agents/kept.md'].status).toBe('drifted');
+  });
+
+  it('should mark repo files with no export history as diverged', async () => {
+    const { files, report } = await new ExportMerger().reconcile({ 'CLAUDE.md': next }, { 'CLAUDE.md': previous });
+
+    expect(files['CLAUDE.md']).toBe(previous);
+    expect(report['CLAUDE.md'].status).toBe('diverged');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for user-defined export templates
+ * **Feature: claude-code-bootstrap, Export templates**
+ * **Validates: Requirements 5.1, 5.3**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ClaudeCodeExporter, ExportTemplateRenderer } from './index.js';
+
+const render = (source, context) => new ExportTemplateRenderer(source).render(context);
+
+describe('ExportTemplateRenderer', () => {
+  it('should render values, dotted names and arrays', () => {
+    expect(render('# {{project.name}} ({{project.tags}}){{missing}}', { project: { name: 'Acme', tags: ['web', 'api'] } })).toBe(
+      '# Acme (web, api)'
+    );
+  });
+
+  it('should loop over sections and drop standalone tag lines', () => {
+    const source = [
+      '## Rules',
+      '',
+      '{{#rules}}',
+      '{{@number}}. **{{name}}**: {{content}}',
+      '{{/rules}}',
+      '{{^hooks}}',
+      'No hooks.',
+      '{{/hooks}}',
+      ''
+    ].join('\n');
+
+    expect(render(source, { rules: [{ name: 'A', content: 'x' }, { name: 'B', content: 'y' }], hooks: [] })).toBe(
+      '## Rules\n\n1. **A**: x\n2. **B**: y\nNo hooks.\n'
+    );
+  });
+
+  it('should support handlebars-style helpers with else', () => {
+    const source = '{{#each tags}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}|{{#if lead}}{{lead.name}}{{else}}none{{/if}}|{{name}}';
+
+    expect(render(source, { tags: ['a', 'b', 'c'], lead: null, name: 'outer' })).toBe('a, b, c|none|outer');
+    expect(render(source, { tags: [], lead: { name: 'Ann' }, name: 'outer' })).toBe('|Ann|outer');
+  });
+
+  it('should resolve names through enclosing contexts', () => {
+    expect(render('{{#project}}{{#rules}}{{name}}@{{slug}} {{/rules}}{{/project}}', {
+      project: { slug: 'acme' },
+      rules: [{ name: 'A' }, { name: 'B' }]
+    })).toBe('A@acme B@acme ');
+  });
+
+  it('should reject unbalanced sections with the offending line', () => {
+    expect(() => new ExportTemplateRenderer('{{#rules}}\n{{name}}\n')).toThrow('{{#rules}} on line 1 is never closed');
+    expect(() => new ExportTemplateRenderer('{{#each rules}}\n{{/agents}}')).toThrow(
+      '{{/agents}} on line 2 does not close {{#each rules}} from line 1'
+    );
+    expect(() => new ExportTemplateRenderer('{{else}}')).toThrow('Unexpected {{else}} on line 1');
+    expect(() => new ExportTemplateRenderer('  ')).toThrow('Template content is required');
+  });
+});
+
+const tables = {
+  projects: [{ id: 1, name: 'Acme', slug: 'acme', description: 'Acme web app.', status: 'active', priority: 'high', created_at: '2026-01-02T00:00:00Z' }],
+  agents: [{ id: 'agent-1', name: 'Code Reviewer', role: 'Senior reviewer', system_prompt: 'You review code.' }],
+  agent_rules: [
+    { id: 'rule-1', name: 'Use TypeScript', category: 'Code Style', priority: 1, rule_content: 'All new modules are TypeScript.' },
+    { id: 'rule-2', name: 'Run tests', category: 'Testing', priority: 5, rule_content: 'Run `npm test`.\n' }
+  ],
+  export_templates: [
+    {
+      id: 'tpl-claude',
+      name: 'House style',
+      kind: 'claude-md',
+      template_content: '# {{project.name}}\n\n{{#rulesByCategory}}\n## {{category}}\n{{#rules}}\n- {{content}}\n{{/rules}}\n{{/rulesByCategory}}\n{{#primaryAgent}}\nLead: {{name}} ({{role}})\n{{/primaryAgent}}\n'
+    },
+    { id: 'tpl-rules', name: 'Terse rules', kind: 'rules-file', template_content: '{{#rules}}{{name}};{{/rules}}\n' },
+    { id: 'tpl-set', name: 'Rule set', kind: 'rule-set', template_content: '{{ruleSet.name}}' }
+  ]
+};
+
+const assignments = [
+  { project_id: 1, resource_type: 'agent', resource_id: 'agent-1', name: 'Code Reviewer', metadata: 'Senior reviewer', is_primary: 1 },
+  { project_id: 1, resource_type: 'rule', resource_id: 'rule-1', name: 'Use TypeScript', metadata: 'Code Style' },
+  { project_id: 1, resource_type: 'rule', resource_id: 'rule-2', name: 'Run tests', metadata: 'Testing' }
+];
+
+// Mock database answering the exporter's lookups from the tables above;
+// a hook's command only comes back when the query selects it
+const createMockDb = (rows = assignments) => ({
+  prepare: (query) => {
+    const statement = (params = []) => ({
+      all: () => ({
+        results: query.includes('FROM project_resources')
+          ? rows.map(({ command, ...row }) => (query.includes('h.command') ? { ...row, command } : row))
+          : []
+      }),
+      first: () => {
+        const table = query.match(/FROM (\w+) WHERE id = \?/)?.[1];
+        return (tables[table] || []).find((row) => row.id === params[0]) || null;
+      },
+      run: () => ({ success: true })
+    });
+    return { ...statement(), bind: (...params) => statement(params) };
+  }
+});
+
+const exportProject = (templates) =>
+  new ClaudeCodeExporter(createMockDb()).generateProjectStructure(1, {
+    includeHooks: false,
+    includeCommands: false,
+    templates
+  });
+
+describe('ClaudeCodeExporter with export templates', () => {
+  it('should render CLAUDE.md and rules.md from the chosen templates', async () => {
+    const { files } = await exportProject({ 'claude-md': 'tpl-claude', 'rules-file': 'tpl-rules' });
+
+    expect(files['CLAUDE.md']).toBe(
+      '# Acme\n\n## Code Style\n- All new modules are TypeScript.\n## Testing\n- Run `npm test`.\nLead: Code Reviewer (Senior reviewer)\n'
+    );
+    expect(files['.claude/rules.md']).toBe('Use TypeScript;Run tests;\n');
+  });
+
+  it('should keep the built-in layout for files without a template', async () => {
+    const { files } = await exportProject({ 'rules-file': 'tpl-rules' });
+
+    expect(files['CLAUDE.md']).toContain('## Project Details');
+  });
+
+  it('should reject templates of another kind or unknown IDs', async () => {
+    await expect(exportProject({ 'claude-md': 'tpl-set' })).rejects.toThrow(
+      'Export template "Rule set" is a rule-set template, not claude-md'
+    );
+    await expect(exportProject({ 'claude-md': 'nope' })).rejects.toThrow('Export template nope not found');
+    await expect(exportProject({ 'rule-set': 'tpl-set' })).rejects.toThrow('not rule-set');
+  });
+
+  it('should preview a template with the context it renders against', async () => {
+    const { content, context } = await new ClaudeCodeExporter(createMockDb()).renderTemplate(
+      1,
+      new ExportTemplateRenderer('{{counts.rules}} rules, created {{project.createdAt}}')
+    );
+
+    expect(content).toBe('2 rules, created 2026-01-02');
+    expect(context.agents[0]).toEqual({
+      name: 'Code Reviewer',
+      role: 'Senior reviewer',
+      description: null,
+      isPrimary: true,
+      file: '.claude/agents/code-reviewer.md'
+    });
+  });
+
+  it('should give templates the command of each hook', async () => {
+    const rows = [
+      ...assignments,
+      { project_id: 1, resource_type: 'hook', resource_id: 'hook-1', name: 'Format', metadata: 'PostToolUse', command: 'npx prettier --write .' }
+    ];
+    const { content } = await new ClaudeCodeExporter(createMockDb(rows)).renderTemplate(
+      1,
+      new ExportTemplateRenderer('{{#hooks}}{{name}} ({{type}}): {{command}}{{/hooks}}')
+    );
+
+    expect(content).toBe('Format (PostToolUse): npx prettier --write .');
+  });
+});
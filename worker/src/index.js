@@ -7,6 +7,7 @@
 import { Hono } from "hono";
 import { cors } from "hono/cors";
 import { secureHeaders } from "hono/secure-headers";
+import { streamSSE } from "hono/streaming";
 
 const app = new Hono();
 
@@ -31,7 +32,7 @@ app.use(
   cors({
     origin: "*",
     allowMethods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowHeaders: ["Content-Type"],
+    allowHeaders: ["Content-Type", "X-AI-Cache"],
   }),
 );
 
@@ -178,6 +179,24 @@ class TransactionError extends SystemError {
   }
 }
 
+class AIOutputError extends SystemError {
+  constructor(feature, errors, raw, details = {}) {
+    super(
+      `AI response for ${feature} did not match the expected format: ${errors[0]}`,
+      "AI_OUTPUT_INVALID",
+      { feature, errors, ...details },
+      [
+        "Try the request again",
+        "Route this feature to a more capable model in the AI settings",
+      ],
+    );
+    this.name = "AIOutputError";
+    this.feature = feature;
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
 /**
  * Error Handler - Provides centralized error handling and recovery
  */
@@ -1539,6 +1558,70 @@ function generateId() {
   return crypto.randomUUID().replace(/-/g, "");
 }
 
+/**
+ * Normalize a directory scope for nested CLAUDE.md files
+ * @param {string|null} scope - Repository-relative directory, e.g. "packages/api"
+ * @returns {string|null} - Normalized scope, or null for the repository root
+ * @throws {ValidationError} - When the scope leaves the repo or is not a plain directory
+ */
+function normalizePathScope(scope) {
+  if (scope === undefined || scope === null) return null;
+
+  const normalized = String(scope)
+    .trim()
+    .replace(/\\/g, "/")
+    .replace(/^\.\/+/, "")
+    .replace(/\/+/g, "/")
+    .replace(/^\/|\/$/g, "");
+
+  if (normalized === "" || normalized === ".") return null;
+
+  const segments = normalized.split("/");
+  if (
+    /^[a-zA-Z]:/.test(normalized) ||
+    segments.some((segment) => segment === "." || segment === "..")
+  ) {
+    throw new ValidationError(
+      "Path scope must be a directory inside the repository",
+      "path_scope",
+      scope,
+    );
+  }
+  if (/[*?[\]{}!]/.test(normalized)) {
+    throw new ValidationError(
+      "Path scope must be a directory, not a glob pattern",
+      "path_scope",
+      scope,
+    );
+  }
+  if (segments[0] === ".claude") {
+    throw new ValidationError(
+      "Path scope cannot be inside .claude/",
+      "path_scope",
+      scope,
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Decode base64 sent in a JSON request body
+ * @param {string} text - Base64 text
+ * @param {string} field - Request field reported when the text is not base64
+ * @returns {Uint8Array} - Binary data
+ * @throws {ValidationError} When the text is not valid base64
+ */
+function decodeBase64(text, field = "archive") {
+  let binary;
+  try {
+    binary = atob(text);
+  } catch {
+    throw new ValidationError(`${field} must be base64 encoded`, field, null);
+  }
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
 /**
  * Generate SEO-friendly slug from project name
  * @param {string} name - Project name
@@ -2795,6 +2878,7 @@ class ResourceManager {
           assignedBy = null,
           assignmentReason = null,
         } = options;
+        const pathScope = normalizePathScope(options.pathScope);
 
         // Validate resource type
         const validTypes = ["agent", "rule", "hook"];
@@ -2818,6 +2902,12 @@ class ResourceManager {
 
         // Verify resource exists based on type
         await this._verifyResourceExists(resourceType, resourceId, db);
+        await this._verifyPinnedVersion(
+          resourceType,
+          resourceId,
+          configOverrides,
+          db,
+        );
 
         // Check for existing assignment
         const existingAssignment = await db
@@ -2870,8 +2960,9 @@ class ResourceManager {
             `
           INSERT INTO project_resources (
             id, project_id, resource_type, resource_id, is_primary,
-            assignment_order, config_overrides, assigned_by, assignment_reason
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            assignment_order, config_overrides, path_scope, assigned_by,
+            assignment_reason
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `,
           )
           .bind(
@@ -2882,6 +2973,7 @@ class ResourceManager {
             isPrimary ? 1 : 0,
             assignmentOrder,
             configOverrides ? JSON.stringify(configOverrides) : null,
+            pathScope,
             assignedBy,
             assignmentReason,
           )
@@ -3127,8 +3219,13 @@ class ResourceManager {
    * @returns {Object} - Updated assignment
    */
   async updateResourceAssignment(assignmentId, updates) {
-    const { isPrimary, assignmentOrder, configOverrides, assignmentReason } =
-      updates;
+    const {
+      isPrimary,
+      assignmentOrder,
+      configOverrides,
+      pathScope,
+      assignmentReason,
+    } = updates;
 
     const existing = await this.getResourceAssignment(assignmentId);
     if (!existing) {
@@ -3159,10 +3256,20 @@ class ResourceManager {
     }
 
     if (configOverrides !== undefined) {
+      await this._verifyPinnedVersion(
+        existing.resource_type,
+        existing.resource_id,
+        configOverrides,
+      );
       updateFields.push("config_overrides = ?");
       values.push(configOverrides ? JSON.stringify(configOverrides) : null);
     }
 
+    if (pathScope !== undefined) {
+      updateFields.push("path_scope = ?");
+      values.push(normalizePathScope(pathScope));
+    }
+
     if (assignmentReason !== undefined) {
       updateFields.push("assignment_reason = ?");
       values.push(assignmentReason);
@@ -3186,6 +3293,39 @@ class ResourceManager {
     return await this.getResourceAssignment(assignmentId);
   }
 
+  /**
+   * Verify that a pinned rule version in config overrides exists
+   * @private
+   * @param {string} resourceType - Type of resource
+   * @param {string} resourceId - Resource ID
+   * @param {Object} configOverrides - Assignment config overrides
+   * @param {Object} db - Database connection (for transaction support)
+   */
+  async _verifyPinnedVersion(resourceType, resourceId, configOverrides, db = null) {
+    const version = RuleVersionManager.pinnedVersion(configOverrides);
+    if (version === null) return;
+
+    if (resourceType !== "rule") {
+      throw new ValidationError(
+        "Only rule assignments can pin a version",
+        "config_overrides.ruleVersion",
+        version,
+      );
+    }
+
+    const snapshot = await new RuleVersionManager(db || this.db).get(
+      resourceId,
+      version,
+    );
+    if (!snapshot) {
+      throw new ValidationError(
+        `Rule version ${version} does not exist`,
+        "config_overrides.ruleVersion",
+        version,
+      );
+    }
+  }
+
   /**
    * Verify that a resource exists based on its type
    * @private
@@ -3289,1132 +3429,8990 @@ class ResourceManager {
 }
 
 // ============================================
-// AI ENHANCEMENT ENGINE CLASS
+// RULE VERSION HISTORY
 // ============================================
 
 /**
- * AIEnhancementEngine - Provides AI-powered contextual suggestions for resource creation
- * Implements requirements 2.1, 2.2, 4.1, 4.2, 4.3
+ * agent_rules columns captured in each version snapshot
  */
-class AIEnhancementEngine {
-  constructor(ai, db) {
-    this.ai = ai;
+const RULE_VERSIONED_FIELDS = [
+  "name",
+  "description",
+  "rule_content",
+  "ide_id",
+  "agent_id",
+  "category",
+  "priority",
+  "tags",
+  "path_scope",
+];
+
+/**
+ * RuleVersionManager - Immutable version history for agent rules
+ * Versions are numbered per rule from 1. Reverting copies an old snapshot
+ * forward as a new version, so history is never rewritten.
+ */
+class RuleVersionManager {
+  constructor(db) {
     this.db = db;
   }
 
   /**
-   * Enhance resource creation with AI-powered suggestions
-   * @param {string} resourceType - Type of resource ('agent', 'rule', 'hook')
-   * @param {Object} projectContext - Project context information
-   * @param {Object} resourceData - Partial resource data for enhancement
-   * @returns {Object} - Enhanced resource suggestions
+   * Snapshot the live rule as its next version
+   * @param {string} ruleId - Rule ID
+   * @param {Object} meta - { author, reason, revertedFrom }
+   * @returns {number|null} - New version number, or null when the rule is missing
    */
-  async enhanceResourceCreation(
-    resourceType,
-    projectContext,
-    resourceData = {},
-  ) {
-    if (!this.ai) {
-      throw new Error("AI service not available");
-    }
+  async record(ruleId, { author = null, reason = null, revertedFrom = null } = {}) {
+    const rule = await this.db
+      .prepare("SELECT * FROM agent_rules WHERE id = ?")
+      .bind(ruleId)
+      .first();
+    if (!rule) return null;
 
-    const validTypes = ["agent", "rule", "hook"];
-    if (!validTypes.includes(resourceType)) {
-      throw new Error(
-        `Invalid resource type. Must be one of: ${validTypes.join(", ")}`,
-      );
-    }
+    const latest = await this.db
+      .prepare(
+        "SELECT MAX(version) AS version FROM agent_rules_versions WHERE rule_id = ?",
+      )
+      .bind(ruleId)
+      .first();
+    const version = (latest?.version || 0) + 1;
 
-    try {
-      const contextPrompt = await this.buildContextPrompt(
-        projectContext,
-        resourceType,
-      );
-      const enhancementPrompt = this._buildEnhancementPrompt(
-        resourceType,
-        resourceData,
-        contextPrompt,
-      );
+    await this.db
+      .prepare(
+        `INSERT INTO agent_rules_versions
+         (id, rule_id, version, ${RULE_VERSIONED_FIELDS.join(", ")}, author, reason, reverted_from)
+         VALUES (?, ?, ?, ${RULE_VERSIONED_FIELDS.map(() => "?").join(", ")}, ?, ?, ?)`,
+      )
+      .bind(
+        generateId(),
+        ruleId,
+        version,
+        ...RULE_VERSIONED_FIELDS.map((field) => rule[field] ?? null),
+        author,
+        reason,
+        revertedFrom,
+      )
+      .run();
 
-      const response = await this.ai.run("@cf/meta/llama-3.1-8b-instruct", {
-        messages: [
-          {
-            role: "system",
-            content: this._getSystemPrompt(resourceType),
-          },
-          {
-            role: "user",
-            content: enhancementPrompt,
-          },
-        ],
-        max_tokens: 2048,
-        temperature: 0.3,
-      });
+    await this.db
+      .prepare("UPDATE agent_rules SET version = ? WHERE id = ?")
+      .bind(version, ruleId)
+      .run();
 
-      return this._parseEnhancementResponse(response.response, resourceType);
-    } catch (error) {
-      // Provide fallback suggestions when AI fails
-      return this._getFallbackSuggestions(resourceType, resourceData);
-    }
+    return version;
   }
 
   /**
-   * Build context prompt from project data
-   * @param {Object} projectContext - Project context information
-   * @param {string} resourceType - Type of resource being created
-   * @returns {string} - Formatted context prompt
+   * List a rule's versions, newest first
+   * @param {string} ruleId - Rule ID
+   * @returns {Array} - Version rows
    */
-  async buildContextPrompt(projectContext, resourceType) {
-    if (!projectContext || !projectContext.projectId) {
-      return "No project context available.";
-    }
+  async list(ruleId) {
+    const result = await this.db
+      .prepare(
+        "SELECT * FROM agent_rules_versions WHERE rule_id = ? ORDER BY version DESC",
+      )
+      .bind(ruleId)
+      .all();
 
-    try {
-      // Get project details
-      const project = await this.db
-        .prepare("SELECT * FROM projects WHERE id = ?")
-        .bind(projectContext.projectId)
-        .first();
+    return result.results || [];
+  }
 
-      if (!project) {
-        return "Project not found.";
-      }
+  /**
+   * Get one version of a rule
+   * @param {string} ruleId - Rule ID
+   * @param {number} version - Version number
+   * @returns {Object|null} - Version row
+   */
+  async get(ruleId, version) {
+    return await this.db
+      .prepare(
+        "SELECT * FROM agent_rules_versions WHERE rule_id = ? AND version = ?",
+      )
+      .bind(ruleId, version)
+      .first();
+  }
 
-      // Get existing resources of the same type
-      const existingResources = await this._getExistingResources(
-        projectContext.projectId,
-        resourceType,
-      );
+  /**
+   * Restore an old version's fields onto the live rule and record it as a new version
+   * @param {string} ruleId - Rule ID
+   * @param {number} version - Version to restore
+   * @param {Object} meta - { author, reason }
+   * @returns {Object|null} - Updated rule, or null when the version is missing
+   */
+  async revert(ruleId, version, { author = null, reason = null } = {}) {
+    const snapshot = await this.get(ruleId, version);
+    if (!snapshot) return null;
 
-      // Build context string
-      let context = `Project: ${project.name}\n`;
-      if (project.description) {
-        context += `Description: ${project.description}\n`;
-      }
-      if (project.category) {
-        context += `Category: ${project.category}\n`;
-      }
-      if (project.ai_context_summary) {
-        context += `AI Context: ${project.ai_context_summary}\n`;
-      }
+    await this.db
+      .prepare(
+        `UPDATE agent_rules
+         SET ${RULE_VERSIONED_FIELDS.map((field) => `${field} = ?`).join(", ")},
+             updated_at = datetime('now')
+         WHERE id = ?`,
+      )
+      .bind(...RULE_VERSIONED_FIELDS.map((field) => snapshot[field]), ruleId)
+      .run();
 
-      if (existingResources.length > 0) {
-        context += `\nExisting ${resourceType}s in project:\n`;
-        existingResources.forEach((resource, index) => {
-          context += `${index + 1}. ${resource.name || resource.title}: ${resource.description || "No description"}\n`;
-        });
-      }
+    await this.record(ruleId, {
+      author,
+      reason: reason || `Reverted to version ${version}`,
+      revertedFrom: version,
+    });
 
-      return context;
-    } catch (error) {
-      console.error("Error building context prompt:", error);
-      return `Project ID: ${projectContext.projectId} (context unavailable)`;
-    }
+    return await this.db
+      .prepare("SELECT * FROM agent_rules WHERE id = ?")
+      .bind(ruleId)
+      .first();
   }
 
   /**
-   * Validate resource compatibility using AI
-   * @param {string} resourceType - Type of resource
-   * @param {Object} resourceData - Resource data to validate
-   * @param {Object} projectContext - Project context
-   * @returns {Object} - Compatibility validation result
+   * Swap a rule's versioned fields for those of a pinned version
+   * @param {Object} rule - Live rule row
+   * @param {number} version - Pinned version
+   * @returns {Object} - Rule row as of that version
    */
-  async validateResourceCompatibility(
-    resourceType,
-    resourceData,
-    projectContext,
-  ) {
-    if (!this.ai) {
-      return {
-        isCompatible: true,
-        confidence: 0.5,
-        warnings: ["AI validation unavailable"],
-        suggestions: [],
-      };
-    }
-
-    try {
-      const contextPrompt = await this.buildContextPrompt(
-        projectContext,
-        resourceType,
-      );
-      const validationPrompt = this._buildValidationPrompt(
-        resourceType,
-        resourceData,
-        contextPrompt,
+  async applyVersion(rule, version) {
+    if (rule.version === version) return rule;
+
+    const snapshot = await this.get(rule.id, version);
+    if (!snapshot) {
+      throw new ValidationError(
+        `Rule "${rule.name}" is pinned to version ${version}, which does not exist`,
+        "config_overrides.ruleVersion",
+        version,
       );
+    }
 
-      const response = await this.ai.run("@cf/meta/llama-3.1-8b-instruct", {
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are an expert at validating Claude Code project resources for compatibility and best practices. Analyze the resource and provide compatibility assessment.",
-          },
-          {
-            role: "user",
-            content: validationPrompt,
-          },
-        ],
-        max_tokens: 1024,
-        temperature: 0.2,
-      });
+    const pinned = { ...rule, version };
+    for (const field of RULE_VERSIONED_FIELDS) {
+      pinned[field] = snapshot[field];
+    }
+    return pinned;
+  }
 
-      return this._parseValidationResponse(response.response);
-    } catch (error) {
-      console.error("AI validation failed:", error);
-      return {
-        isCompatible: true,
-        confidence: 0.3,
-        warnings: ["AI validation failed"],
-        suggestions: [],
-      };
+  /**
+   * Read the pinned rule version from assignment config overrides
+   * @param {Object|string|null} configOverrides - project_resources.config_overrides
+   * @returns {number|null} - Pinned version, or null to follow the latest
+   */
+  static pinnedVersion(configOverrides) {
+    const overrides =
+      typeof configOverrides === "string"
+        ? JSON.parse(configOverrides)
+        : configOverrides || {};
+    const version = overrides.ruleVersion;
+
+    if (version === undefined || version === null) return null;
+
+    if (!Number.isInteger(version) || version < 1) {
+      throw new ValidationError(
+        "ruleVersion must be a positive integer",
+        "config_overrides.ruleVersion",
+        version,
+      );
     }
+
+    return version;
   }
 
   /**
-   * Get existing resources for context
-   * @private
+   * Compare two versions of a rule
+   * @param {Object} from - Older version row
+   * @param {Object} to - Newer version row
+   * @returns {Object} - { from, to, fields: [{ field, from, to }], contentDiff }
    */
-  async _getExistingResources(projectId, resourceType) {
-    try {
-      let query, table;
+  static diff(from, to) {
+    const fields = RULE_VERSIONED_FIELDS.filter(
+      (field) => field !== "rule_content" && (from[field] ?? null) !== (to[field] ?? null),
+    ).map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
 
-      switch (resourceType) {
-        case "agent":
-          table = "agents";
-          query = `
-            SELECT a.name, a.description, a.role
-            FROM agents a
-            JOIN project_resources pr ON pr.resource_id = a.id
-            WHERE pr.project_id = ? AND pr.resource_type = 'agent' AND a.is_active = 1
-          `;
-          break;
-        case "rule":
-          table = "agent_rules";
-          query = `
-            SELECT ar.name, ar.description, ar.category
-            FROM agent_rules ar
-            JOIN project_resources pr ON pr.resource_id = ar.id
-            WHERE pr.project_id = ? AND pr.resource_type = 'rule' AND ar.is_active = 1
-          `;
-          break;
-        case "hook":
-          table = "hooks";
-          query = `
-            SELECT h.name, h.description, h.hook_type
-            FROM hooks h
-            JOIN project_resources pr ON pr.resource_id = h.id
-            WHERE pr.project_id = ? AND pr.resource_type = 'hook' AND h.is_enabled = 1
-          `;
-          break;
-        default:
-          return [];
-      }
+    return {
+      from: from.version,
+      to: to.version,
+      fields,
+      contentDiff: ExportMerger.unifiedDiff(
+        from.rule_content,
+        to.rule_content,
+        `${to.name}.md`,
+      ),
+    };
+  }
+}
 
-      const result = await this.db.prepare(query).bind(projectId).all();
-      return result.results || [];
-    } catch (error) {
-      console.error("Error getting existing resources:", error);
-      return [];
-    }
+// ============================================
+// RULE CONFLICT DETECTOR
+// ============================================
+
+/**
+ * Cosine similarity at which two rules count as near-duplicates
+ */
+const RULE_DUPLICATE_SIMILARITY = 0.75;
+
+/**
+ * Words ignored when comparing rule text
+ */
+const RULE_SIMILARITY_STOPWORDS = new Set(
+  (
+    "the and for are but not you all any can has have had was were will with " +
+    "this that these those from into when then than them they their there " +
+    "its our your should must always never use using used make sure each " +
+    "every also only other more most some such very about over under"
+  ).split(" "),
+);
+
+/**
+ * Settings a rule can only take one value for; a rule mentioning two values of
+ * the same topic is ambiguous and skipped for that topic
+ */
+const RULE_CONFLICT_TOPICS = [
+  {
+    topic: "indentation",
+    category: "code-style",
+    options: {
+      tabs: /\b(?:indent(?:ation)?\s+with\s+tabs|use\s+tabs|tabs\s+for\s+indentation|tab\s+indentation|hard\s+tabs)\b/gi,
+      "2 spaces": /\b(?:2|two)[- ]spaces?\b/gi,
+      "4 spaces": /\b(?:4|four)[- ]spaces?\b/gi,
+    },
+  },
+  {
+    topic: "quotes",
+    category: "code-style",
+    options: {
+      "single quotes": /\bsingle[- ]quot(?:es?|ed)\b/gi,
+      "double quotes": /\bdouble[- ]quot(?:es?|ed)\b/gi,
+    },
+  },
+  {
+    topic: "semicolons",
+    category: "code-style",
+    options: {
+      required: /\b(?:(?:use|add|include|require)\s+semicolons|semicolons\s+(?:are\s+)?required)\b/gi,
+      omitted: /\b(?:no|omit|without|skip)\s+semicolons\b/gi,
+    },
+  },
+  {
+    topic: "naming",
+    category: "code-style",
+    options: {
+      camelCase: /\bcamel[- ]?case\b/gi,
+      snake_case: /\bsnake[_ -]?case\b/gi,
+    },
+  },
+  {
+    topic: "module system",
+    category: "code-style",
+    options: {
+      "ES modules": /\b(?:es\s?modules|esm)\b/gi,
+      CommonJS: /\b(?:commonjs|require\(\))/gi,
+    },
+  },
+  {
+    topic: "package manager",
+    category: "tooling",
+    options: {
+      npm: /\b(?:use|run)\s+npm\b/gi,
+      yarn: /\b(?:use|run)\s+yarn\b/gi,
+      pnpm: /\b(?:use|run)\s+pnpm\b/gi,
+    },
+  },
+];
+
+/**
+ * Words that negate a setting mentioned right after them
+ */
+const RULE_NEGATION_PATTERN =
+  /\b(?:never|not|don't|avoid|no|instead\s+of|over|rather\s+than)\s+(?:\w+\s+){0,2}$/i;
+
+/**
+ * RuleConflictDetector - Finds near-duplicate and contradictory rules in a project
+ *
+ * Duplicates are clustered by cosine similarity of the rules' word counts.
+ * Contradictions come from two sources: rules choosing different values for
+ * one of RULE_CONFLICT_TOPICS, and rules in the same category where one says
+ * "always/use X" and the other "never/avoid X". Rules whose path scopes do not
+ * overlap never load together, so they are not compared.
+ */
+class RuleConflictDetector {
+  constructor(db) {
+    this.db = db;
   }
 
   /**
-   * Build enhancement prompt for AI
-   * @private
+   * Load a project's assigned rules and check them
+   * @param {Object} resources - Resources from ClaudeCodeExporter._getProjectResources
+   * @returns {Object} - See analyze()
    */
-  _buildEnhancementPrompt(resourceType, resourceData, contextPrompt) {
-    const basePrompt = `Project Context:\n${contextPrompt}\n\n`;
+  async detect(resources) {
+    const exporter = new ClaudeCodeExporter(this.db);
+    const rules = [];
+
+    for (const ruleResource of resources.rules || []) {
+      const rule = await exporter._getRule(ruleResource);
+      if (rule) {
+        rules.push({ ...rule, path_scope: ruleResource.path_scope || null });
+      }
+    }
 
-    switch (resourceType) {
-      case "agent":
-        return (
-          basePrompt +
-          `Suggest an AI agent for this project. ${resourceData.name ? `Name: ${resourceData.name}` : ""} ${resourceData.role ? `Role: ${resourceData.role}` : ""}\n\nProvide suggestions for name, role, description, and system prompt that would be helpful for this project context.`
-        );
+    return this.analyze(rules);
+  }
 
-      case "rule":
-        return (
-          basePrompt +
-          `Suggest a development rule for this project. ${resourceData.name ? `Name: ${resourceData.name}` : ""} ${resourceData.category ? `Category: ${resourceData.category}` : ""}\n\nProvide suggestions for name, description, and rule content that would be valuable for this project.`
-        );
+  /**
+   * Find near-duplicate clusters and contradictory pairs
+   * @param {Array} rules - Rule rows; path_scope is the scope they export to
+   * @returns {Object} - { duplicates: [{ rules, similarity }], contradictions: [{ topic, category, rules, message }] }
+   */
+  analyze(rules) {
+    const contradictions = [];
+    const contradicting = new Set();
+    const stances = rules.map((rule) => this._stances(rule));
+    const vectors = rules.map((rule) => RuleConflictDetector.termVector(this._text(rule)));
+    const parent = rules.map((_, index) => index);
+    const find = (index) =>
+      parent[index] === index ? index : (parent[index] = find(parent[index]));
+    const similarities = [];
+
+    for (let i = 0; i < rules.length; i++) {
+      for (let j = i + 1; j < rules.length; j++) {
+        if (!RuleConflictDetector.scopesOverlap(rules[i].path_scope, rules[j].path_scope)) {
+          continue;
+        }
 
-      case "hook":
-        return (
-          basePrompt +
-          `Suggest an automation hook for this project. ${resourceData.name ? `Name: ${resourceData.name}` : ""} ${resourceData.hook_type ? `Type: ${resourceData.hook_type}` : ""}\n\nProvide suggestions for name, description, hook type, and command that would be useful for this project workflow.`
-        );
+        const conflict = this._contradiction(rules[i], rules[j], stances[i], stances[j]);
+        if (conflict) {
+          contradictions.push(conflict);
+          contradicting.add(`${i}:${j}`);
+          continue;
+        }
 
-      default:
-        return (
-          basePrompt + `Suggest a ${resourceType} for this project context.`
-        );
+        const similarity = RuleConflictDetector.cosineSimilarity(vectors[i], vectors[j]);
+        if (similarity >= RULE_DUPLICATE_SIMILARITY) {
+          parent[find(j)] = find(i);
+          similarities.push({ i, j, similarity });
+        }
+      }
+    }
+
+    const clusters = new Map();
+    for (const { i, j, similarity } of similarities) {
+      const root = find(i);
+      if (!clusters.has(root)) clusters.set(root, { members: new Set(), similarity: 1 });
+      const cluster = clusters.get(root);
+      cluster.members.add(i).add(j);
+      cluster.similarity = Math.min(cluster.similarity, similarity);
     }
+
+    const duplicates = [...clusters.values()].map((cluster) => ({
+      rules: [...cluster.members].sort((a, b) => a - b).map((index) => this._summary(rules[index])),
+      similarity: Math.round(cluster.similarity * 100) / 100,
+    }));
+
+    return { rules: rules.length, duplicates, contradictions };
   }
 
   /**
-   * Build validation prompt for AI
-   * @private
+   * Term frequency vector of lowercased, lightly stemmed words
+   * @param {string} text - Text to vectorize
+   * @returns {Map} - word => count
    */
-  _buildValidationPrompt(resourceType, resourceData, contextPrompt) {
-    return (
-      "Project Context:\n" +
-      contextPrompt +
-      "\n\nResource to validate:\nType: " +
-      resourceType +
-      "\nData: " +
-      JSON.stringify(resourceData, null, 2) +
-      "\n\nAnalyze this resource for compatibility with the project context. Consider:\n" +
-      "1. Does it fit the project's purpose?\n" +
-      "2. Does it conflict with existing resources?\n" +
-      "3. Are there any best practice violations?\n" +
-      "4. What improvements could be made?\n\n" +
-      'Respond with JSON format: {"isCompatible": true/false, "confidence": number between 0 and 1, "warnings": array of strings, "suggestions": array of strings}'
-    );
+  static termVector(text) {
+    const vector = new Map();
+    for (const [word] of String(text).toLowerCase().matchAll(/[a-z][a-z0-9]+/g)) {
+      if (word.length < 3 || RULE_SIMILARITY_STOPWORDS.has(word)) continue;
+      const stem = word.replace(/(?:ies|es|s)$/, (suffix) => (suffix === "ies" ? "y" : ""));
+      vector.set(stem, (vector.get(stem) || 0) + 1);
+    }
+    return vector;
   }
 
   /**
-   * Get system prompt for resource type
-   * @private
+   * Cosine similarity of two term vectors
+   * @param {Map} a - Term vector
+   * @param {Map} b - Term vector
+   * @returns {number} - 0 to 1
    */
-  _getSystemPrompt(resourceType) {
-    const basePrompt =
-      "You are an expert Claude Code project consultant. Provide practical, actionable suggestions based on the project context.";
+  static cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (const [term, count] of a) {
+      normA += count * count;
+      dot += count * (b.get(term) || 0);
+    }
+    for (const count of b.values()) normB += count * count;
 
-    switch (resourceType) {
-      case "agent":
-        return (
-          basePrompt +
-          " Focus on creating AI agents that are well-suited for the project's development needs. Consider the project's technology stack, goals, and existing agents."
-        );
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
 
-      case "rule":
-        return (
-          basePrompt +
-          " Focus on development rules that improve code quality, consistency, and team productivity. Consider the project's technology stack and existing rules."
-        );
+  /**
+   * Whether rules with these path scopes can load together
+   * @param {string|null} a - Path scope, null for the repository root
+   * @param {string|null} b - Path scope
+   * @returns {boolean}
+   */
+  static scopesOverlap(a, b) {
+    return !a || !b || a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+  }
 
-      case "hook":
-        return (
-          basePrompt +
-          " Focus on automation hooks that streamline development workflows. Consider the project's toolchain and existing automation."
-        );
+  /**
+   * Topic values and always/never directives stated by a rule
+   * @private
+   */
+  _stances(rule) {
+    const text = this._text(rule);
+    const topics = {};
+
+    for (const { topic, options } of RULE_CONFLICT_TOPICS) {
+      const chosen = Object.keys(options).filter((option) =>
+        [...text.matchAll(options[option])].some(
+          (match) => !RULE_NEGATION_PATTERN.test(text.slice(Math.max(0, match.index - 30), match.index)),
+        ),
+      );
+      if (chosen.length === 1) topics[topic] = chosen[0];
+    }
 
-      default:
-        return basePrompt;
+    // Normalized phrase => phrase as written
+    const directives = { positive: new Map(), negative: new Map() };
+    const object = "((?:[a-z][\\w-]*\\s*){1,3}?)(?=$|[.,;:!)\\n]|\\s(?:for|in|when|with|and|or|to|instead|over|unless|because)\\b)";
+    for (const [, phrase] of text.matchAll(
+      new RegExp(`(?:^|[.!\\n]\\s*|\\b(?:always|must|should)\\s+)(?:use|prefer)\\s+${object}`, "gim"),
+    )) {
+      directives.positive.set(this._normalizePhrase(phrase), phrase.trim());
     }
+    for (const [, phrase] of text.matchAll(
+      new RegExp(`\\b(?:never|do not|don't|must not|should not|avoid)\\s+(?:use\\s+|using\\s+)?${object}`, "gi"),
+    )) {
+      directives.negative.set(this._normalizePhrase(phrase), phrase.trim());
+    }
+
+    return { topics, directives };
   }
 
   /**
-   * Parse AI enhancement response
+   * Describe the contradiction between two rules, if any
    * @private
    */
-  _parseEnhancementResponse(response, resourceType) {
-    try {
-      // Try to extract JSON if present
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
+  _contradiction(a, b, stancesA, stancesB) {
+    for (const { topic, category } of RULE_CONFLICT_TOPICS) {
+      const valueA = stancesA.topics[topic];
+      const valueB = stancesB.topics[topic];
+      if (valueA && valueB && valueA !== valueB) {
         return {
-          suggestions: parsed,
-          confidence: 0.8,
-          source: "ai",
+          topic,
+          category,
+          rules: [
+            { ...this._summary(a), stance: valueA },
+            { ...this._summary(b), stance: valueB },
+          ],
+          message: `Rules "${a.name}" and "${b.name}" disagree on ${topic} (${valueA} vs ${valueB})`,
         };
       }
-    } catch (error) {
-      // Fall through to text parsing
     }
 
-    // Parse as text and extract suggestions
-    return {
-      suggestions: this._extractTextSuggestions(response, resourceType),
-      confidence: 0.6,
-      source: "ai_text",
-    };
+    const categoryA = (a.category || "").toLowerCase();
+    const categoryB = (b.category || "").toLowerCase();
+    if (categoryA && categoryB && categoryA !== categoryB) return null;
+
+    for (const [positive, negative, flipped] of [
+      [stancesA.directives.positive, stancesB.directives.negative, false],
+      [stancesB.directives.positive, stancesA.directives.negative, true],
+    ]) {
+      const key = [...positive.keys()].find((candidate) => candidate && negative.has(candidate));
+      if (!key) continue;
+      const phrase = positive.get(key);
+
+      return {
+        topic: phrase,
+        category: a.category || b.category || "General",
+        rules: [
+          { ...this._summary(a), stance: flipped ? "avoid" : "use" },
+          { ...this._summary(b), stance: flipped ? "use" : "avoid" },
+        ],
+        message: `Rule "${flipped ? b.name : a.name}" says to use ${phrase} but "${flipped ? a.name : b.name}" says not to`,
+      };
+    }
+
+    return null;
   }
 
   /**
-   * Parse AI validation response
    * @private
    */
-  _parseValidationResponse(response) {
-    try {
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (error) {
-      // Fall through to default
-    }
-
-    return {
-      isCompatible: true,
-      confidence: 0.5,
-      warnings: ["Could not parse AI validation response"],
-      suggestions: [],
-    };
+  _normalizePhrase(phrase) {
+    return [...RuleConflictDetector.termVector(phrase).keys()].join(" ");
   }
 
   /**
-   * Extract suggestions from text response
    * @private
    */
-  _extractTextSuggestions(response, resourceType) {
-    const suggestions = {};
-
-    // Basic text parsing for common patterns
-    const lines = response.split("\n");
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed.toLowerCase().includes("name:")) {
-        suggestions.name = trimmed.split(":")[1]?.trim();
-      } else if (trimmed.toLowerCase().includes("description:")) {
-        suggestions.description = trimmed.split(":")[1]?.trim();
-      } else if (
-        resourceType === "agent" &&
-        trimmed.toLowerCase().includes("role:")
-      ) {
-        suggestions.role = trimmed.split(":")[1]?.trim();
-      } else if (
-        resourceType === "rule" &&
-        trimmed.toLowerCase().includes("category:")
-      ) {
-        suggestions.category = trimmed.split(":")[1]?.trim();
-      }
-    }
-
-    return suggestions;
+  _text(rule) {
+    return [rule.name, rule.description, rule.rule_content].filter(Boolean).join("\n");
   }
 
   /**
-   * Get fallback suggestions when AI is unavailable
    * @private
    */
-  _getFallbackSuggestions(resourceType, resourceData) {
-    const fallbacks = {
-      agent: {
-        name: resourceData.name || "Project Assistant",
-        role: resourceData.role || "Development Assistant",
-        description: "AI assistant for project development tasks",
-        system_prompt:
-          "You are a helpful development assistant for this project.",
-      },
-      rule: {
-        name: resourceData.name || "Code Quality Rule",
-        description: "Maintain code quality and consistency",
-        rule_content: "Follow established coding standards and best practices.",
-        category: resourceData.category || "general",
-      },
-      hook: {
-        name: resourceData.name || "Development Hook",
-        description: "Automation hook for development workflow",
-        hook_type: resourceData.hook_type || "PreToolUse",
-        command: 'echo "Hook executed"',
-      },
-    };
-
+  _summary(rule) {
     return {
-      suggestions: fallbacks[resourceType] || {},
-      confidence: 0.3,
-      source: "fallback",
+      id: rule.id,
+      name: rule.name,
+      category: rule.category || null,
+      pathScope: rule.path_scope || null,
     };
   }
 }
 
 // ============================================
-// CLAUDE CODE EXPORTER CLASS
+// RULE SET ARGUMENT SCHEMA
 // ============================================
 
 /**
- * ClaudeCodeExporter - Generates complete Claude Code project structures
- * Implements requirements 5.1, 5.2, 5.3, 5.4, 5.5
+ * Placeholder syntax for rule set arguments: {UPPER_CASE}
  */
-class ClaudeCodeExporter {
-  constructor(db) {
-    this.db = db;
-  }
+const RULE_SET_ARGUMENT_PATTERN = /\{([A-Z_][A-Z0-9_]*)\}/g;
+
+/**
+ * Argument types a rule set schema can declare
+ */
+const RULE_SET_ARGUMENT_TYPES = ["string", "number", "boolean", "enum"];
 
+/**
+ * RuleSetArgumentSchema - Typed arguments for rule set templates
+ *
+ * A rule set declares its {ARGUMENT} placeholders as
+ * `{ name, type, options, default, required, description }`. resolve() checks
+ * argument values against those declarations, fills in defaults, and reports
+ * every placeholder that would otherwise be left verbatim in the generated file.
+ */
+class RuleSetArgumentSchema {
   /**
-   * Generate complete Claude Code project structure
-   * @param {number} projectId - Project ID to export
-   * @param {Object} options - Export options
-   * @returns {Object} - Complete project structure with all files
+   * @param {Array<object>} definitions - Normalized argument definitions
    */
-  async generateProjectStructure(projectId, options = {}) {
-    const {
-      includeAgents = true,
-      includeRules = true,
-      includeHooks = true,
-      includeProjectSettings = true,
-      includeClaudeMD = true,
-      format = "files", // 'files' or 'zip'
-    } = options;
+  constructor(definitions = []) {
+    this.definitions = definitions;
+  }
 
-    // Get project details
-    const project = await this._getProjectDetails(projectId);
-    if (!project) {
-      throw new Error("Project not found");
+  /**
+   * Parses and validates a schema from a rule_sets row or request body
+   * @param {string|Array<object>|null} raw - JSON string or array of definitions
+   * @returns {RuleSetArgumentSchema} Schema with normalized definitions
+   * @throws {ValidationError} When the schema is malformed
+   */
+  static parse(raw) {
+    let definitions = raw ?? [];
+    if (typeof definitions === "string") {
+      try {
+        definitions = JSON.parse(definitions || "[]");
+      } catch {
+        throw new ValidationError("argument_schema must be valid JSON", "argument_schema", raw);
+      }
     }
-
-    // Get all assigned resources
-    const resources = await this._getProjectResources(projectId);
-
-    // Validate required components using comprehensive validation
-    const validator = new ProjectValidator(this.db);
-    const validationResult = await validator.validateExportRequirements(
-      project,
-      resources,
-    );
-
-    if (!validationResult.isValid) {
-      throw new Error(
-        `Export validation failed: ${validationResult.errors.join(", ")}`,
+    if (!Array.isArray(definitions)) {
+      throw new ValidationError(
+        "argument_schema must be an array of argument definitions",
+        "argument_schema",
+        raw,
       );
     }
 
-    // Log warnings for user awareness
-    if (validationResult.warnings.length > 0) {
-      console.warn("Export validation warnings:", validationResult.warnings);
+    const names = new Set();
+    return new RuleSetArgumentSchema(
+      definitions.map((definition, index) => {
+        const normalized = RuleSetArgumentSchema._normalizeDefinition(definition, index);
+        if (names.has(normalized.name)) {
+          throw new ValidationError(
+            `Argument ${normalized.name} is declared more than once`,
+            "argument_schema",
+            normalized.name,
+          );
+        }
+        names.add(normalized.name);
+        return normalized;
+      }),
+    );
+  }
+
+  /**
+   * Lists the placeholders used in rule content
+   * @param {Array<string>} contents - Rule content strings
+   * @returns {Array<string>} Unique placeholder names in order of first use
+   */
+  static placeholders(contents) {
+    const names = new Set();
+    for (const content of contents) {
+      for (const match of (content || "").matchAll(RULE_SET_ARGUMENT_PATTERN)) {
+        names.add(match[1]);
+      }
     }
+    return [...names];
+  }
 
-    const structure = {
-      project,
-      files: {},
-      metadata: {
-        exportedAt: new Date().toISOString(),
-        projectId,
-        projectName: project.name,
-        projectSlug: project.slug,
-        totalFiles: 0,
-        includedComponents: {
-          agents: includeAgents,
-          rules: includeRules,
-          hooks: includeHooks,
-          projectSettings: includeProjectSettings,
-          claudeMD: includeClaudeMD,
-        },
-      },
+  /**
+   * Validates argument values and resolves the value for every placeholder
+   *
+   * Declared arguments are coerced to their type, fall back to their default,
+   * and become empty when optional. Placeholders used in `contents` but missing
+   * from the schema still accept a plain text value.
+   * @param {object} values - Argument values keyed by name
+   * @param {Array<string>} contents - Rule content the values will be substituted into
+   * @returns {{values: object, errors: Array<{argument: string, code: string, message: string}>}}
+   */
+  resolve(values, contents = []) {
+    const provided = values && typeof values === "object" ? values : {};
+    const resolved = {};
+    const errors = [];
+
+    for (const definition of this.definitions) {
+      const raw = provided[definition.name];
+
+      if (RuleSetArgumentSchema._isBlank(raw)) {
+        if (definition.default !== null) {
+          resolved[definition.name] = definition.default;
+        } else if (definition.required) {
+          errors.push({
+            argument: definition.name,
+            code: "required",
+            message: `${definition.name} is required`,
+          });
+        } else {
+          resolved[definition.name] = "";
+        }
+        continue;
+      }
+
+      const coerced = RuleSetArgumentSchema._coerce(definition, raw);
+      if (coerced.error) {
+        errors.push({
+          argument: definition.name,
+          code: definition.type === "enum" ? "enum" : "type",
+          message: `${definition.name}: ${coerced.error}`,
+        });
+      } else {
+        resolved[definition.name] = coerced.value;
+      }
+    }
+
+    const declared = new Set(this.definitions.map((definition) => definition.name));
+    for (const name of RuleSetArgumentSchema.placeholders(contents)) {
+      if (declared.has(name)) continue;
+
+      if (RuleSetArgumentSchema._isBlank(provided[name])) {
+        errors.push({
+          argument: name,
+          code: "undeclared",
+          message: `{${name}} is used in the rules but has no value and is not declared in the argument schema`,
+        });
+      } else {
+        resolved[name] = String(provided[name]);
+      }
+    }
+
+    return { values: resolved, errors };
+  }
+
+  /**
+   * @private
+   */
+  static _normalizeDefinition(definition, index) {
+    if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+      throw new ValidationError(
+        `argument_schema[${index}] must be an object`,
+        "argument_schema",
+        definition,
+      );
+    }
+
+    const { name, type = "string", options, description, required } = definition;
+    if (typeof name !== "string" || !/^[A-Z_][A-Z0-9_]*$/.test(name)) {
+      throw new ValidationError(
+        `argument_schema[${index}].name must be an UPPER_CASE placeholder name`,
+        "argument_schema",
+        name,
+      );
+    }
+    if (!RULE_SET_ARGUMENT_TYPES.includes(type)) {
+      throw new ValidationError(
+        `Argument ${name} has type "${type}"; expected one of: ${RULE_SET_ARGUMENT_TYPES.join(", ")}`,
+        "argument_schema",
+        type,
+      );
+    }
+    if (
+      type === "enum" &&
+      (!Array.isArray(options) ||
+        options.length === 0 ||
+        options.some((option) => typeof option !== "string" || option === ""))
+    ) {
+      throw new ValidationError(
+        `Argument ${name} is an enum and needs a non-empty list of string options`,
+        "argument_schema",
+        options,
+      );
+    }
+
+    const normalized = {
+      name,
+      type,
+      options: type === "enum" ? [...new Set(options)] : null,
+      default: null,
+      required: Boolean(required),
+      description: description ? String(description) : null,
     };
 
-    try {
-      // Generate CLAUDE.md file
-      if (includeClaudeMD) {
-        structure.files["CLAUDE.md"] = await this.generateClaudeMD(
-          project,
-          resources,
+    if (!RuleSetArgumentSchema._isBlank(definition.default)) {
+      const coerced = RuleSetArgumentSchema._coerce(normalized, definition.default);
+      if (coerced.error) {
+        throw new ValidationError(
+          `Default for argument ${name} is invalid: ${coerced.error}`,
+          "argument_schema",
+          definition.default,
         );
-        structure.metadata.totalFiles++;
       }
+      normalized.default = coerced.value;
+    }
 
-      // Generate .claude/project_settings.json
-      if (includeProjectSettings) {
-        structure.files[".claude/project_settings.json"] =
-          await this.generateProjectSettings(project, resources);
-        structure.metadata.totalFiles++;
+    return normalized;
+  }
+
+  /**
+   * Converts a submitted value to the argument's type
+   * @private
+   * @returns {{value?: *, error?: string}}
+   */
+  static _coerce(definition, raw) {
+    if (typeof raw === "object") {
+      return { error: `expected a ${definition.type} value` };
+    }
+
+    const text = String(raw).trim();
+    switch (definition.type) {
+      case "number": {
+        const value = typeof raw === "number" ? raw : Number(text);
+        if (typeof raw === "boolean" || !Number.isFinite(value)) {
+          return { error: `expected a number, got "${raw}"` };
+        }
+        return { value };
       }
+      case "boolean":
+        if (typeof raw === "boolean") return { value: raw };
+        if (text === "true" || text === "false") return { value: text === "true" };
+        return { error: `expected true or false, got "${raw}"` };
+      case "enum":
+        if (!definition.options.includes(text)) {
+          return { error: `expected one of ${definition.options.join(", ")}, got "${raw}"` };
+        }
+        return { value: text };
+      default:
+        return { value: String(raw) };
+    }
+  }
 
-      // Generate individual agent files
-      if (includeAgents) {
-        const agentFiles = await this.generateAgentFiles(
-          resources.agents || [],
+  /**
+   * @private
+   */
+  static _isBlank(value) {
+    return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+  }
+}
+
+// ============================================
+// RULE SET COMPOSITION
+// ============================================
+
+/**
+ * Priorities a rule inside a rule set can have
+ */
+const RULE_SET_PRIORITIES = ["high", "medium", "low"];
+
+/**
+ * RuleSetResolver - Inlines the rule sets a rule set extends and the agent
+ * rules it includes
+ *
+ * Rules are collected in this order, later entries overriding earlier ones:
+ * 1. each rule set in `extends`, in order (resolved recursively, so a parent's
+ *    own parents come first)
+ * 2. each agent rule in `includes`, in order
+ * 3. the rule set's own `rules`
+ *
+ * A rule overrides an earlier rule with the same title (case-insensitive) and
+ * takes its place. Argument schemas merge in the same order by argument name.
+ * Every resolved rule carries the rule set or agent rule it came from.
+ */
+class RuleSetResolver {
+  /**
+   * @param {D1Database} db - Database holding rule_sets and agent_rules
+   */
+  constructor(db) {
+    this.db = db;
+    this.ruleSets = new Map();
+  }
+
+  /**
+   * Parse the rule sets a rule set extends
+   * @param {string|Array<string>|null} raw - JSON string or array of rule set IDs
+   * @returns {Array<string>} Parent rule set IDs in override order
+   * @throws {ValidationError} When the list is malformed
+   */
+  static parseExtends(raw) {
+    const ids = RuleSetResolver._parseList(raw, "extends");
+    if (ids.some((id) => typeof id !== "string" || id === "")) {
+      throw new ValidationError("extends must be an array of rule set IDs", "extends", raw);
+    }
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Parse the agent rules a rule set includes
+   *
+   * Entries are agent rule IDs or `{ rule_id, priority, version }` objects;
+   * priority defaults to "medium" and version pins the included rule.
+   * @param {string|Array<string|Object>|null} raw - JSON string or array of entries
+   * @returns {Array<{rule_id: string, priority: string, version: number|null}>}
+   * @throws {ValidationError} When an entry is malformed
+   */
+  static parseIncludes(raw) {
+    return RuleSetResolver._parseList(raw, "includes").map((entry) => {
+      const include = typeof entry === "string" ? { rule_id: entry } : entry || {};
+      if (typeof include.rule_id !== "string" || include.rule_id === "") {
+        throw new ValidationError(
+          "includes entries must be agent rule IDs or { rule_id, priority, version } objects",
+          "includes",
+          entry,
         );
-        Object.assign(structure.files, agentFiles);
-        structure.metadata.totalFiles += Object.keys(agentFiles).length;
       }
 
-      // Generate rules file
-      if (includeRules) {
-        const rulesFile = await this.generateRulesFile(resources.rules || []);
-        if (rulesFile) {
-          structure.files[".claude/rules.md"] = rulesFile;
-          structure.metadata.totalFiles++;
-        }
+      const priority = include.priority ?? "medium";
+      if (!RULE_SET_PRIORITIES.includes(priority)) {
+        throw new ValidationError(
+          `Included rule ${include.rule_id} has priority "${priority}"; expected one of: ${RULE_SET_PRIORITIES.join(", ")}`,
+          "includes",
+          priority,
+        );
       }
 
-      // Generate hooks files
-      if (includeHooks) {
-        const hookFiles = await this.generateHookFiles(resources.hooks || []);
-        Object.assign(structure.files, hookFiles);
-        structure.metadata.totalFiles += Object.keys(hookFiles).length;
+      const version = include.version ?? null;
+      if (version !== null && (!Number.isInteger(version) || version < 1)) {
+        throw new ValidationError(
+          `Included rule ${include.rule_id} version must be a positive integer`,
+          "includes",
+          version,
+        );
       }
 
-      return structure;
-    } catch (error) {
-      throw new Error(`Export generation failed: ${error.message}`);
-    }
+      return { rule_id: include.rule_id, priority, version };
+    });
   }
 
   /**
-   * Generate CLAUDE.md file with project documentation
-   * @param {Object} project - Project details
-   * @param {Object} resources - Project resources
-   * @returns {string} - CLAUDE.md content
+   * Parse a rule set's own rules
+   * @param {string|Array<Object>|null} raw - JSON string or array of `{ title, content, priority }`
+   * @returns {Array<Object>} The rule entries
+   * @throws {ValidationError} When an entry is not an object with a title
    */
-  async generateClaudeMD(project, resources) {
-    const agents = resources.agents || [];
-    const rules = resources.rules || [];
-    const hooks = resources.hooks || [];
+  static parseRules(raw) {
+    const rules = RuleSetResolver._parseList(raw, "rules");
+    rules.forEach((rule, index) => {
+      if (
+        !rule ||
+        typeof rule !== "object" ||
+        Array.isArray(rule) ||
+        typeof rule.title !== "string" ||
+        rule.title.trim() === "" ||
+        (rule.content != null && typeof rule.content !== "string")
+      ) {
+        throw new ValidationError(
+          `rules[${index}] must be an object with a string title and content`,
+          "rules",
+          rule,
+        );
+      }
+    });
+    return rules;
+  }
 
-    let content = `# ${project.name}\n\n`;
+  /**
+   * Resolve a rule set into the flat list of rules it generates
+   * @param {Object} ruleSet - rule_sets row, or an unsaved rule set with the same fields
+   * @returns {Promise<{rules: Array<Object>, argumentSchema: Array<Object>}>} Rules as
+   *   `{ title, content, priority, source, overrides }`, where source and overrides
+   *   are `{ type: "rule-set"|"agent-rule", id, name }`, plus the merged argument schema
+   * @throws {ValidationError} On cycles, unknown references or malformed lists
+   */
+  async resolve(ruleSet) {
+    if (ruleSet.id) this.ruleSets.set(ruleSet.id, ruleSet);
+    return await this._resolve(ruleSet, []);
+  }
 
-    if (project.description) {
-      content += `${project.description}\n\n`;
+  /**
+   * @private
+   */
+  async _resolve(ruleSet, path) {
+    const cycleStart = path.findIndex((entry) => entry.id === ruleSet.id);
+    if (ruleSet.id && cycleStart !== -1) {
+      const cycle = [...path.slice(cycleStart), ruleSet];
+      throw new ValidationError(
+        `Rule set extends cycle: ${cycle.map((entry) => entry.name).join(" → ")}`,
+        "extends",
+        cycle.map((entry) => entry.id),
+      );
     }
 
-    // Project information
-    if (project.project_info) {
-      content += `## Project Information\n\n${project.project_info}\n\n`;
-    }
+    const rules = [];
+    const argumentSchema = new Map();
 
-    // Project metadata
-    content += `## Project Details\n\n`;
-    content += `- **Status**: ${project.status}\n`;
-    content += `- **Priority**: ${project.priority}\n`;
-    if (project.category) {
-      content += `- **Category**: ${project.category}\n`;
-    }
-    if (project.tags && project.tags.length > 0) {
-      content += `- **Tags**: ${project.tags.join(", ")}\n`;
-    }
-    content += `- **Created**: ${new Date(project.created_at).toLocaleDateString()}\n`;
-    content += `- **Last Updated**: ${new Date(project.updated_at).toLocaleDateString()}\n\n`;
+    for (const parentId of RuleSetResolver.parseExtends(ruleSet.extends)) {
+      const parent = await this._loadRuleSet(parentId);
+      if (!parent) {
+        throw new ValidationError(
+          `Rule set "${ruleSet.name}" extends unknown rule set ${parentId}`,
+          "extends",
+          parentId,
+        );
+      }
 
-    // AI Context Summary
-    if (project.ai_context_summary) {
-      content += `## AI Context\n\n${project.ai_context_summary}\n\n`;
+      const resolved = await this._resolve(parent, [...path, ruleSet]);
+      resolved.rules.forEach((rule) => this._merge(rules, rule));
+      resolved.argumentSchema.forEach((definition) => argumentSchema.set(definition.name, definition));
     }
 
-    // Agents section
-    if (agents.length > 0) {
-      content += `## Agents\n\n`;
-      content += `This project includes ${agents.length} specialized agent${agents.length > 1 ? "s" : ""}:\n\n`;
+    const exporter = new ClaudeCodeExporter(this.db);
+    for (const include of RuleSetResolver.parseIncludes(ruleSet.includes)) {
+      const rule = await exporter._getRule({
+        resource_id: include.rule_id,
+        config_overrides: include.version ? { ruleVersion: include.version } : null,
+      });
+      if (!rule) {
+        throw new ValidationError(
+          `Rule set "${ruleSet.name}" includes unknown agent rule ${include.rule_id}`,
+          "includes",
+          include.rule_id,
+        );
+      }
+      if (!rule.is_active) {
+        throw new ValidationError(
+          `Rule set "${ruleSet.name}" includes deleted agent rule ${rule.name}`,
+          "includes",
+          include.rule_id,
+        );
+      }
 
-      agents.forEach((agent) => {
-        content += `### ${agent.name}\n`;
-        if (agent.role) {
-          content += `**Role**: ${agent.role}\n\n`;
-        }
-        if (agent.description) {
-          content += `${agent.description}\n\n`;
-        }
-        if (agent.is_primary) {
-          content += `*This is the primary agent for this project.*\n\n`;
-        }
+      this._merge(rules, {
+        title: rule.name,
+        content: rule.rule_content || "",
+        priority: include.priority,
+        source: { type: "agent-rule", id: rule.id, name: rule.name },
       });
     }
 
-    // Rules section
-    if (rules.length > 0) {
-      content += `## Development Rules\n\n`;
-      content += `This project follows ${rules.length} development rule${rules.length > 1 ? "s" : ""}:\n\n`;
-
-      rules.forEach((rule) => {
-        content += `### ${rule.name}\n`;
-        if (rule.category) {
-          content += `**Category**: ${rule.category}\n\n`;
-        }
-        if (rule.description) {
-          content += `${rule.description}\n\n`;
-        }
+    const source = { type: "rule-set", id: ruleSet.id || null, name: ruleSet.name };
+    for (const rule of RuleSetResolver.parseRules(ruleSet.rules)) {
+      this._merge(rules, {
+        title: rule.title,
+        content: rule.content || "",
+        priority: rule.priority || "medium",
+        source,
       });
     }
 
-    // Hooks section
-    if (hooks.length > 0) {
-      content += `## Automation Hooks\n\n`;
-      content += `This project includes ${hooks.length} automation hook${hooks.length > 1 ? "s" : ""}:\n\n`;
-
-      hooks.forEach((hook) => {
-        content += `### ${hook.name}\n`;
-        content += `**Type**: ${hook.hook_type}\n\n`;
-        if (hook.description) {
-          content += `${hook.description}\n\n`;
-        }
-      });
+    for (const definition of RuleSetArgumentSchema.parse(ruleSet.argument_schema).definitions) {
+      argumentSchema.set(definition.name, definition);
     }
 
-    // Setup instructions
-    content += `## Setup Instructions\n\n`;
-    content += `1. Extract this project structure to your development directory\n`;
-    content += `2. Open the project in Claude Code\n`;
-    content += `3. The agents, rules, and hooks will be automatically loaded\n`;
-    if (agents.length > 0) {
-      const primaryAgent = agents.find((a) => a.is_primary);
-      if (primaryAgent) {
-        content += `4. Start with the primary agent: **${primaryAgent.name}**\n`;
-      }
+    return { rules, argumentSchema: [...argumentSchema.values()] };
+  }
+
+  /**
+   * Add a rule, replacing an earlier rule with the same title in place
+   * @private
+   */
+  _merge(rules, rule) {
+    const key = (rule.title || "").trim().toLowerCase();
+    const index = rules.findIndex((existing) => (existing.title || "").trim().toLowerCase() === key);
+
+    if (index === -1) {
+      rules.push({ ...rule, overrides: null });
+      return;
     }
-    content += `\n`;
 
-    // Usage notes
-    content += `## Usage Notes\n\n`;
-    content += `- All project resources are configured and ready to use\n`;
+    // A rule set reached twice through different parents is not an override
+    const existing = rules[index];
+    const sameSource =
+      existing.source.type === rule.source.type && existing.source.id === rule.source.id;
+    rules[index] = { ...rule, overrides: sameSource ? existing.overrides : existing.source };
+  }
+
+  /**
+   * @private
+   */
+  async _loadRuleSet(id) {
+    if (!this.ruleSets.has(id)) {
+      const row = await this.db
+        .prepare("SELECT * FROM rule_sets WHERE id = ?")
+        .bind(id)
+        .first();
+      this.ruleSets.set(id, row || null);
+    }
+    return this.ruleSets.get(id);
+  }
+
+  /**
+   * @private
+   */
+  static _parseList(raw, field) {
+    let list = raw ?? [];
+    if (typeof list === "string") {
+      try {
+        list = JSON.parse(list || "[]");
+      } catch {
+        throw new ValidationError(`${field} must be valid JSON`, field, raw);
+      }
+    }
+    if (!Array.isArray(list)) {
+      throw new ValidationError(`${field} must be an array`, field, raw);
+    }
+    return list;
+  }
+}
+
+// ============================================
+// RULE LINTER
+// ============================================
+
+/**
+ * Severities a lint check can report at; "off" disables the check
+ */
+const RULE_LINT_SEVERITIES = ["error", "warning", "info", "off"];
+
+/**
+ * Named rule lint checks with their default severity and options
+ *
+ * Each check's run(rule, options, context) returns findings as
+ * `{ message, line }`; context.rules holds every rule linted together.
+ */
+const RULE_LINT_CHECKS = {
+  "vague-wording": {
+    description: "Hedging phrases that leave Claude to guess what is wanted",
+    severity: "warning",
+    options: {
+      phrases: [
+        "try to",
+        "maybe",
+        "perhaps",
+        "if possible",
+        "where possible",
+        "as needed",
+        "when appropriate",
+        "ideally",
+        "probably",
+        "etc.",
+      ],
+    },
+    run(rule, options) {
+      const findings = [];
+      for (const { text, line } of RuleLinter.proseLines(rule.rule_content)) {
+        const lower = text.toLowerCase();
+        for (const phrase of options.phrases) {
+          const index = lower.indexOf(phrase.toLowerCase());
+          // Require word boundaries so "maybe" does not match inside "maybeMock"
+          if (index !== -1 && !/\w/.test(lower[index - 1] || "") && !/\w/.test(lower[index + phrase.length] || "")) {
+            findings.push({ message: `Vague wording "${phrase}"; say exactly what to do`, line });
+          }
+        }
+      }
+      return findings;
+    },
+  },
+  "missing-example": {
+    description: "Longer rules without a code snippet or example",
+    severity: "info",
+    options: { minWords: 40 },
+    run(rule, options) {
+      const content = rule.rule_content || "";
+      const words = content.split(/\s+/).filter(Boolean).length;
+      if (words < options.minWords) return [];
+      if (/`|\be\.g\.|\bfor example\b|\bexample\b|\bsuch as\b/i.test(content)) return [];
+      return [{ message: `Rule has ${words} words but no example; add a snippet or "for example"`, line: null }];
+    },
+  },
+  "rule-too-long": {
+    description: "Rules that take a large share of the memory token budget",
+    severity: "warning",
+    options: { maxTokens: 400 },
+    run(rule, options) {
+      const tokens = TokenBudgetAnalyzer.estimateTokens(rule.rule_content);
+      if (tokens <= options.maxTokens) return [];
+      return [
+        {
+          message: `Rule is about ${tokens} tokens, over the ${options.maxTokens} token limit; split it or give it a path scope`,
+          line: null,
+        },
+      ];
+    },
+  },
+  "negative-only": {
+    description: "Rules that only say what not to do",
+    severity: "info",
+    options: {},
+    run(rule) {
+      // Clauses, so "never X; always Y" counts one of each
+      const sentences = RuleLinter.proseLines(rule.rule_content).flatMap(({ text }) =>
+        text.split(/(?<=[.!?;])\s+/),
+      );
+      const negative = /\b(?:never|don't|do not|avoid|must not|should not|shouldn't|cannot|can't|no)\b/i;
+      const negatives = sentences.filter((sentence) => negative.test(sentence)).length;
+      const positives = sentences.filter(
+        (sentence) => !negative.test(sentence) && /\b(?:always|use|prefer|must|should|keep|write|run|add|make|put)\b/i.test(sentence),
+      ).length;
+
+      if (negatives === 0 || positives > 0) return [];
+      return [{ message: "Rule only says what not to do; add what to do instead", line: null }];
+    },
+  },
+  "duplicate-heading": {
+    description: "Headings repeated within a rule or rule names shared by several rules",
+    severity: "warning",
+    options: {},
+    run(rule, options, context) {
+      const findings = [];
+      const seen = new Set();
+      for (const { text, line } of RuleLinter.proseLines(rule.rule_content)) {
+        const heading = text.match(/^#{1,6}\s+(.+?)\s*#*$/);
+        if (!heading) continue;
+
+        const key = heading[1].toLowerCase();
+        if (seen.has(key)) {
+          findings.push({ message: `Heading "${heading[1]}" appears more than once`, line });
+        }
+        seen.add(key);
+      }
+
+      const name = (rule.name || "").trim().toLowerCase();
+      const namesakes = (context.rules || []).filter(
+        (other) => other !== rule && (other.name || "").trim().toLowerCase() === name,
+      );
+      if (name && namesakes.length > 0) {
+        findings.push({
+          message: `Another rule is also named "${rule.name}"; their CLAUDE.md headings will collide`,
+          line: null,
+        });
+      }
+      return findings;
+    },
+  },
+  "unresolved-placeholder": {
+    description: "{ARGUMENT} placeholders and TODO markers left in the rule",
+    severity: "warning",
+    options: { markers: ["TODO", "TBD", "FIXME"] },
+    run(rule, options) {
+      const findings = [];
+      const content = rule.rule_content || "";
+      content.split("\n").forEach((text, index) => {
+        for (const match of text.matchAll(RULE_SET_ARGUMENT_PATTERN)) {
+          findings.push({ message: `Placeholder ${match[0]} is not filled in`, line: index + 1 });
+        }
+        for (const marker of options.markers) {
+          // Plain search with word boundaries, so markers such as "C++" need no escaping
+          let at = text.indexOf(marker);
+          while (at !== -1 && (/\w/.test(text[at - 1] || "") || /\w/.test(text[at + marker.length] || ""))) {
+            at = text.indexOf(marker, at + 1);
+          }
+          if (at !== -1) {
+            findings.push({ message: `"${marker}" marker left in the rule`, line: index + 1 });
+          }
+        }
+      });
+      return findings;
+    },
+  },
+  "non-actionable": {
+    description: "Rules without directive language such as must, should or when",
+    severity: "info",
+    options: {},
+    run(rule) {
+      const actionable = [/must|should|shall|will/i, /always|never|only/i, /when|if|unless/i];
+      if (actionable.some((pattern) => pattern.test(rule.rule_content || ""))) return [];
+      return [{ message: "Consider using more actionable language (must, should, when, if)", line: null }];
+    },
+  },
+};
+
+/**
+ * RuleLinter - Runs the named RULE_LINT_CHECKS over agent rules
+ *
+ * Configuration maps check names to a severity or to
+ * `{ severity, options }`; options are merged over the check's defaults.
+ * Projects store their configuration in projects.rule_lint_config.
+ */
+class RuleLinter {
+  /**
+   * @param {Object} config - Check overrides, validated with parseConfig
+   */
+  constructor(config = {}) {
+    this.config = RuleLinter.parseConfig(config);
+  }
+
+  /**
+   * Validate lint configuration
+   * @param {string|Object|null} raw - JSON string or object of check overrides
+   * @returns {Object} - Overrides as { [check]: { severity?, options? } }
+   * @throws {ValidationError} For unknown checks, severities or options
+   */
+  static parseConfig(raw) {
+    let config = raw ?? {};
+    if (typeof config === "string") {
+      try {
+        config = JSON.parse(config || "{}");
+      } catch {
+        throw new ValidationError("rule_lint_config must be valid JSON", "rule_lint_config", raw);
+      }
+    }
+    if (typeof config !== "object" || Array.isArray(config)) {
+      throw new ValidationError("rule_lint_config must be an object", "rule_lint_config", raw);
+    }
+
+    const parsed = {};
+    for (const [name, value] of Object.entries(config)) {
+      const check = RULE_LINT_CHECKS[name];
+      if (!check) {
+        throw new ValidationError(
+          `Unknown lint check "${name}". Available: ${Object.keys(RULE_LINT_CHECKS).join(", ")}`,
+          "rule_lint_config",
+          name,
+        );
+      }
+
+      const override = typeof value === "string" ? { severity: value } : value || {};
+      if (override.severity !== undefined && !RULE_LINT_SEVERITIES.includes(override.severity)) {
+        throw new ValidationError(
+          `Lint check "${name}" has severity "${override.severity}"; expected one of: ${RULE_LINT_SEVERITIES.join(", ")}`,
+          "rule_lint_config",
+          override.severity,
+        );
+      }
+
+      for (const [option, optionValue] of Object.entries(override.options || {})) {
+        const fallback = check.options[option];
+        const valid =
+          fallback === undefined
+            ? false
+            : Array.isArray(fallback)
+              ? Array.isArray(optionValue) && optionValue.every((item) => typeof item === "string" && item.trim() !== "")
+              : typeof optionValue === typeof fallback &&
+                (typeof fallback !== "number" || optionValue > 0);
+        if (!valid) {
+          throw new ValidationError(
+            `Invalid option "${option}" for lint check "${name}"`,
+            "rule_lint_config",
+            optionValue,
+          );
+        }
+      }
+
+      parsed[name] = {};
+      if (override.severity !== undefined) parsed[name].severity = override.severity;
+      if (override.options) parsed[name].options = { ...override.options };
+    }
+    return parsed;
+  }
+
+  /**
+   * Layer one lint configuration over another, check by check
+   * @param {string|Object|null} base - Configuration overridden, e.g. the project's
+   * @param {string|Object|null} override - Configuration that wins, e.g. the request's
+   * @returns {Object} - Overrides as { [check]: { severity?, options? } }
+   * @throws {ValidationError} When either configuration is invalid
+   */
+  static mergeConfig(base, override) {
+    const merged = RuleLinter.parseConfig(base);
+    for (const [name, value] of Object.entries(RuleLinter.parseConfig(override))) {
+      const options = { ...merged[name]?.options, ...value.options };
+      merged[name] = { ...merged[name], ...value };
+      if (Object.keys(options).length > 0) merged[name].options = options;
+    }
+    return merged;
+  }
+
+  /**
+   * List every check with its effective severity and options
+   * @returns {Array<Object>} - [{ name, description, severity, options }]
+   */
+  describe() {
+    return Object.entries(RULE_LINT_CHECKS).map(([name, check]) => ({
+      name,
+      description: check.description,
+      ...this._settings(name),
+    }));
+  }
+
+  /**
+   * Lint rules together so checks can compare them
+   * @param {Array<Object>} rules - Rules with id, name and rule_content
+   * @returns {Object} - { results: [{ ruleId, name, findings }], summary: { error, warning, info } }
+   */
+  lint(rules) {
+    const summary = { error: 0, warning: 0, info: 0 };
+    const results = rules.map((rule) => {
+      const findings = this.lintRule(rule, { rules });
+      findings.forEach((finding) => summary[finding.severity]++);
+      return { ruleId: rule.id || null, name: rule.name || null, findings };
+    });
+    return { results, summary };
+  }
+
+  /**
+   * Run every enabled check against one rule
+   * @param {Object} rule - Rule with name and rule_content
+   * @param {Object} context - { rules } linted alongside it
+   * @returns {Array<Object>} - Findings as { check, severity, message, line }
+   */
+  lintRule(rule, context = {}) {
+    const findings = [];
+    for (const [name, check] of Object.entries(RULE_LINT_CHECKS)) {
+      const { severity, options } = this._settings(name);
+      if (severity === "off") continue;
+
+      for (const finding of check.run(rule, options, context)) {
+        findings.push({ check: name, severity, ...finding });
+      }
+    }
+    return findings;
+  }
+
+  /**
+   * Rule content lines outside fenced code blocks
+   * @param {string} content - Rule content
+   * @returns {Array<{text: string, line: number}>} - Lines with 1-based numbers
+   */
+  static proseLines(content) {
+    const lines = [];
+    let inFence = false;
+    (content || "").split("\n").forEach((text, index) => {
+      if (/^\s*(```|~~~)/.test(text)) {
+        inFence = !inFence;
+      } else if (!inFence) {
+        lines.push({ text, line: index + 1 });
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * @private
+   */
+  _settings(name) {
+    const check = RULE_LINT_CHECKS[name];
+    const override = this.config[name] || {};
+    return {
+      severity: override.severity || check.severity,
+      options: { ...check.options, ...override.options },
+    };
+  }
+}
+
+// ============================================
+// AI PROVIDERS
+// ============================================
+
+/**
+ * Model used when neither the environment nor ai_settings picks one
+ */
+const AI_DEFAULT_MODEL = "@cf/meta/llama-3.1-8b-instruct";
+
+/**
+ * Features that call a model; each can be routed to its own provider and model
+ */
+const AI_FEATURES = [
+  "enhance-resource",
+  "validate-compatibility",
+  "enhance-prompt",
+  "suggest-improvements",
+  "analyze-prompt",
+  "learn-from-prompt",
+  "convert-to-xml",
+  "suggest-rules",
+  "bootstrap-rules",
+];
+
+/**
+ * Read a Server-Sent Events body
+ * @param {ReadableStream} body - Response body of text/event-stream bytes
+ * @returns {AsyncGenerator<Object>} - { event, data } per event; event is "message" when unnamed
+ */
+async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const parse = (block) => {
+    let event = "message";
+    const data = [];
+    for (const line of block.split("\n")) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    }
+    return data.length > 0 ? { event, data: data.join("\n") } : null;
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    // A trailing "\r" may be the first half of a "\r\n" split across reads
+    buffer = (buffer + decoder.decode(value, { stream: !done })).replace(
+      done ? /\r\n?/g : /\r\n|\r(?=[\s\S])/g,
+      "\n",
+    );
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const parsed = parse(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) yield parsed;
+      boundary = buffer.indexOf("\n\n");
+    }
+
+    if (done) {
+      const parsed = parse(buffer);
+      if (parsed) yield parsed;
+      return;
+    }
+  }
+}
+
+/**
+ * WorkersAIProvider - Runs models through the Workers AI binding
+ */
+class WorkersAIProvider {
+  constructor(binding) {
+    this.binding = binding;
+    this.name = "workers-ai";
+    this.defaultModel = AI_DEFAULT_MODEL;
+  }
+
+  isAvailable() {
+    return Boolean(this.binding);
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { model, messages, max_tokens, temperature }
+   * @returns {Promise<string>} - Generated text
+   */
+  async complete({ model, messages, max_tokens, temperature }) {
+    const response = await this.binding.run(model, {
+      messages,
+      max_tokens,
+      temperature,
+    });
+    return response.response;
+  }
+
+  /**
+   * Run a chat completion, yielding text as the model produces it
+   * @param {Object} request - { model, messages, max_tokens, temperature }
+   * @returns {AsyncGenerator<string>} - Text chunks
+   */
+  async *stream({ model, messages, max_tokens, temperature }) {
+    const body = await this.binding.run(model, {
+      messages,
+      max_tokens,
+      temperature,
+      stream: true,
+    });
+    for await (const { data } of readServerSentEvents(body)) {
+      if (data === "[DONE]") return;
+      const chunk = JSON.parse(data).response;
+      if (chunk) yield chunk;
+    }
+  }
+}
+
+/**
+ * OpenAICompatibleProvider - Runs models through any endpoint that speaks the
+ * OpenAI chat completions API (OpenAI, OpenRouter, vLLM, Ollama, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey = null, defaultModel = "gpt-4o-mini", fetcher = null } = {}) {
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, "") : null;
+    this.apiKey = apiKey;
+    this.fetcher = fetcher || ((...args) => fetch(...args));
+    this.name = "openai";
+    this.defaultModel = defaultModel;
+  }
+
+  isAvailable() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { model, messages, max_tokens, temperature }
+   * @returns {Promise<string>} - Generated text
+   */
+  async complete({ model, messages, max_tokens, temperature }) {
+    const response = await this._post({ model, messages, max_tokens, temperature });
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new SystemError("AI endpoint returned no completion", "AI_PROVIDER_ERROR", {
+        provider: this.name,
+        model,
+      });
+    }
+    return content;
+  }
+
+  /**
+   * Run a chat completion, yielding text as the model produces it
+   * @param {Object} request - { model, messages, max_tokens, temperature }
+   * @returns {AsyncGenerator<string>} - Text chunks
+   */
+  async *stream({ model, messages, max_tokens, temperature }) {
+    const response = await this._post({ model, messages, max_tokens, temperature, stream: true });
+    for await (const { data } of readServerSentEvents(response.body)) {
+      if (data === "[DONE]") return;
+      const chunk = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (chunk) yield chunk;
+    }
+  }
+
+  /**
+   * POST a chat completions request
+   * @private
+   */
+  async _post(payload) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await this.fetcher(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) {
+      const text = await response.text();
+      throw new SystemError(
+        `AI endpoint returned ${response.status}: ${text.slice(0, 200)}`,
+        "AI_PROVIDER_ERROR",
+        { provider: this.name, model: payload.model, status: response.status },
+      );
+    }
+    return response;
+  }
+}
+
+/**
+ * MockAIProvider - Deterministic offline provider
+ *
+ * Returns a fixed response per feature in the format that feature's route
+ * parses, so the whole AI surface works without network access. Responses
+ * can be replaced per feature with a string or a function of the request.
+ */
+class MockAIProvider {
+  constructor({ responses = {} } = {}) {
+    this.responses = responses;
+    this.name = "mock";
+    this.defaultModel = "mock";
+    this.requests = [];
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Answer a chat completion without calling a model
+   * @param {Object} request - { feature, model, messages, max_tokens, temperature }
+   * @returns {Promise<string>} - Canned text for the feature
+   */
+  async complete(request) {
+    this.requests.push(request);
+
+    const override = this.responses[request.feature];
+    if (override !== undefined) {
+      return typeof override === "function" ? override(request) : override;
+    }
+
+    const input = MockAIProvider._lastUserMessage(request.messages);
+    switch (request.feature) {
+      case "enhance-resource":
+        // One reply that fits the agent, rule and hook suggestion schemas
+        return JSON.stringify({
+          name: "Mock suggestion",
+          description: "Suggested by the mock AI provider",
+          role: "Project assistant",
+          system_prompt: "Follow the project's existing conventions.",
+          rule_content: "Follow the project's existing conventions.",
+          hook_type: "PostToolUse",
+          command: "npm test",
+        });
+      case "validate-compatibility":
+        return JSON.stringify({
+          isCompatible: true,
+          confidence: 0.9,
+          warnings: [],
+          suggestions: ["Reviewed by the mock AI provider"],
+        });
+      case "enhance-prompt":
+        // Drop the instruction and project context paragraphs, keep the prompt
+        return `${
+          input
+            .split("\n\n")
+            .slice(1)
+            .filter((paragraph) => !paragraph.startsWith("Project Context:"))
+            .join("\n\n")
+            .trim() || input
+        }\n\nState the expected output format explicitly.`;
+      case "suggest-improvements":
+        return JSON.stringify([
+          { suggestion: "State the expected output format", priority: "high" },
+          { suggestion: "Add an example of a good answer", priority: "medium" },
+          { suggestion: "Name the audience", priority: "low" },
+        ]);
+      case "analyze-prompt":
+        return JSON.stringify({
+          clarity: 7,
+          specificity: 6,
+          structure: 5,
+          overall: 6,
+          summary: "Clear intent; add constraints and an output format.",
+        });
+      case "learn-from-prompt":
+        return JSON.stringify({
+          context_update: "",
+          technologies: [],
+          requirements: [],
+          should_update: false,
+        });
+      case "convert-to-xml": {
+        const original = input.match(/Input prompt:\n([\s\S]*?)\n\n(?:Additional context|Convert to)/);
+        return [
+          "<context>\nProvided by the mock AI provider.\n</context>",
+          `<instructions>\n${(original ? original[1] : input).trim()}\n</instructions>`,
+          "<constraints>\nKeep the original intent.\n</constraints>",
+          "<output_requirements>\nRespond in Markdown.\n</output_requirements>",
+        ].join("\n");
+      }
+      case "suggest-rules":
+        return JSON.stringify([
+          {
+            title: "Run {TEST_COMMAND} before committing",
+            content: "Run {TEST_COMMAND} and fix failures before every commit.",
+            priority: "high",
+            arguments: ["TEST_COMMAND"],
+          },
+          {
+            title: "Keep functions small",
+            content: "Split functions longer than 50 lines.",
+            priority: "medium",
+            arguments: [],
+          },
+        ]);
+      case "bootstrap-rules":
+        return JSON.stringify({
+          name: "Mock rules",
+          description: "Rules generated by the mock AI provider",
+          rules: [
+            {
+              title: "Use {LANGUAGE} idioms",
+              content: "Write idiomatic {LANGUAGE} and follow its style guide.",
+              priority: "high",
+              arguments: ["LANGUAGE"],
+            },
+            {
+              title: "Test new behavior",
+              content: "Add a test for every new behavior.",
+              priority: "medium",
+              arguments: [],
+            },
+          ],
+        });
+      default:
+        return "Mock response";
+    }
+  }
+
+  /**
+   * Stream the canned text a word at a time
+   * @param {Object} request - { feature, model, messages, max_tokens, temperature }
+   * @returns {AsyncGenerator<string>} - Text chunks
+   */
+  async *stream(request) {
+    const text = await this.complete(request);
+    for (const chunk of text.split(/(?<=\s)(?=\S)/)) {
+      if (chunk) yield chunk;
+    }
+  }
+
+  static _lastUserMessage(messages = []) {
+    const user = messages.filter((message) => message.role === "user");
+    return user.length > 0 ? String(user[user.length - 1].content) : "";
+  }
+}
+
+/**
+ * AIClient - Routes each AI feature to a provider and model
+ *
+ * Settings map a feature name, or "*" for every feature, to
+ * { provider, model }. They come from environment variables (AI_PROVIDER,
+ * AI_MODEL and AI_PROVIDER_<FEATURE>/AI_MODEL_<FEATURE>, e.g.
+ * AI_MODEL_SUGGEST_RULES) and from the ai_settings table, whose rows win
+ * over the environment. A feature's own entry wins over "*"; a provider set
+ * without a model uses that provider's default model.
+ *
+ * With an AIUsage, every call is recorded in ai_usage_tracking. With an
+ * AIResponseCache, features in AI_CACHEABLE_FEATURES reuse earlier responses
+ * to identical requests; cache hits make no model call and are not recorded.
+ */
+class AIClient {
+  constructor(providers, settings = {}, usage = null, cache = null, options = {}) {
+    this.providers = providers;
+    this.settings = settings;
+    this.usage = usage;
+    this.cache = cache;
+    this.bypassCache = Boolean(options.bypassCache);
+  }
+
+  /**
+   * Create a client from the worker bindings and the ai_settings table
+   * @param {Object} env - Worker environment
+   * @param {Object} options - { bypassCache } to skip cached responses
+   * @returns {Promise<AIClient>}
+   */
+  static async fromEnv(env, options = {}) {
+    const providers = {
+      "workers-ai": new WorkersAIProvider(env.AI || null),
+      openai: new OpenAICompatibleProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        defaultModel: env.OPENAI_MODEL || undefined,
+      }),
+      mock: new MockAIProvider(),
+    };
+
+    const settings = AIClient.envSettings(env);
+    for (const [feature, entry] of Object.entries(await AIClient.loadSettings(env.DB))) {
+      settings[feature] = { ...settings[feature], ...entry };
+    }
+    return new AIClient(
+      providers,
+      settings,
+      env.DB ? new AIUsage(env.DB) : null,
+      AIResponseCache.fromEnv(env),
+      options,
+    );
+  }
+
+  /**
+   * Read settings from environment variables
+   * @param {Object} env - Worker environment
+   * @returns {Object} - { [feature]: { provider, model } }
+   */
+  static envSettings(env) {
+    const settings = {};
+    for (const feature of ["*", ...AI_FEATURES]) {
+      const suffix = feature === "*" ? "" : `_${feature.toUpperCase().replace(/-/g, "_")}`;
+      const entry = {};
+      if (env[`AI_PROVIDER${suffix}`]) entry.provider = env[`AI_PROVIDER${suffix}`];
+      if (env[`AI_MODEL${suffix}`]) entry.model = env[`AI_MODEL${suffix}`];
+      if (Object.keys(entry).length > 0) {
+        settings[feature] = entry;
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * Read settings stored in the ai_settings table
+   * @param {Object} db - D1 database
+   * @returns {Promise<Object>} - { [feature]: { provider, model } }
+   */
+  static async loadSettings(db) {
+    if (!db) {
+      return {};
+    }
+
+    let rows;
+    try {
+      const result = await db.prepare("SELECT feature, provider, model FROM ai_settings").all();
+      rows = result.results || [];
+    } catch {
+      // Databases without migration 0022 fall back to environment settings
+      return {};
+    }
+
+    const settings = {};
+    for (const row of rows) {
+      const entry = {};
+      if (row.provider) entry.provider = row.provider;
+      if (row.model) entry.model = row.model;
+      settings[row.feature] = entry;
+    }
+    return settings;
+  }
+
+  /**
+   * Validate settings submitted for the ai_settings table
+   * @param {Object} raw - { [feature]: { provider, model } | null }
+   * @returns {Object} - Normalized settings; null entries clear a feature
+   */
+  static parseSettings(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      throw new ValidationError("settings must be an object", "settings", raw);
+    }
+
+    const providers = ["workers-ai", "openai", "mock"];
+    const parsed = {};
+    for (const [feature, entry] of Object.entries(raw)) {
+      if (feature !== "*" && !AI_FEATURES.includes(feature)) {
+        throw new ValidationError(
+          `Unknown AI feature "${feature}". Available: *, ${AI_FEATURES.join(", ")}`,
+          "settings",
+          feature,
+        );
+      }
+      if (entry === null) {
+        parsed[feature] = null;
+        continue;
+      }
+      if (typeof entry !== "object" || Array.isArray(entry)) {
+        throw new ValidationError(`Settings for "${feature}" must be an object`, "settings", entry);
+      }
+      if (entry.provider != null && !providers.includes(entry.provider)) {
+        throw new ValidationError(
+          `AI feature "${feature}" has provider "${entry.provider}"; expected one of: ${providers.join(", ")}`,
+          "settings",
+          entry.provider,
+        );
+      }
+      if (entry.model != null && (typeof entry.model !== "string" || !entry.model.trim())) {
+        throw new ValidationError(`Model for "${feature}" must be a non-empty string`, "settings", entry.model);
+      }
+      parsed[feature] = {
+        provider: entry.provider ?? null,
+        model: entry.model != null ? entry.model.trim() : null,
+      };
+    }
+    return parsed;
+  }
+
+  /**
+   * Provider and model a feature runs on
+   * @param {string} feature - Feature name from AI_FEATURES
+   * @returns {Object} - { provider, model }
+   */
+  resolve(feature) {
+    const base = this.settings["*"] || {};
+    const own = this.settings[feature] || {};
+    const provider = own.provider || base.provider || "workers-ai";
+
+    let model = own.model;
+    if (!model && (!own.provider || own.provider === (base.provider || "workers-ai"))) {
+      model = base.model;
+    }
+    return {
+      provider,
+      model: model || this.providers[provider]?.defaultModel || AI_DEFAULT_MODEL,
+    };
+  }
+
+  /**
+   * Whether the provider chosen for a feature is configured
+   * @param {string} feature - Feature name
+   * @returns {boolean}
+   */
+  isAvailable(feature) {
+    const provider = this.providers[this.resolve(feature).provider];
+    return Boolean(provider && provider.isAvailable());
+  }
+
+  /**
+   * Run a chat completion for a feature
+   * @param {string} feature - Feature name
+   * @param {Object} options - { messages, max_tokens, temperature, projectId,
+   *   cacheable }, where cacheable(response) may refuse to cache a response
+   * @returns {Promise<Object>} - { response, provider, model }
+   */
+  async run(feature, { messages, max_tokens = 1024, temperature = 0.3, projectId = null, cacheable = null }) {
+    const { provider, name, model } = this._provider(feature);
+    const cacheKey = await this._cacheKey(feature, { provider: name, model, messages, max_tokens, temperature });
+    if (cacheKey) {
+      const cached = await this.cache.lookup(cacheKey, feature, this.bypassCache);
+      if (cached !== null) {
+        return { response: cached, provider: name, model, cached: true };
+      }
+    }
+
+    const call = { feature, provider: name, model, projectId, messages, started: Date.now() };
+    let response;
+    try {
+      response = await provider.complete({ feature, model, messages, max_tokens, temperature });
+    } catch (error) {
+      await this._record({ ...call, error });
+      throw error;
+    }
+    await this._record({ ...call, response });
+
+    if (cacheKey && (!cacheable || cacheable(response))) {
+      await this.cache.store(cacheKey, { feature, provider: name, model, response });
+    }
+    return { response, provider: name, model, cached: false };
+  }
+
+  /**
+   * Run a chat completion for a feature, yielding text as it is generated
+   * @param {string} feature - Feature name
+   * @param {Object} options - { messages, max_tokens, temperature, projectId,
+   *   cacheable }, as for run
+   * @returns {AsyncGenerator<string>} - Text chunks
+   */
+  async *stream(feature, { messages, max_tokens = 1024, temperature = 0.3, projectId = null, cacheable = null }) {
+    const { provider, name, model } = this._provider(feature);
+    const cacheKey = await this._cacheKey(feature, { provider: name, model, messages, max_tokens, temperature });
+    if (cacheKey) {
+      const cached = await this.cache.lookup(cacheKey, feature, this.bypassCache);
+      if (cached !== null) {
+        yield cached;
+        return;
+      }
+    }
+
+    const call = { feature, provider: name, model, projectId, messages, started: Date.now(), streamed: true };
+    let response = "";
+    let failure = null;
+    let complete = false;
+    try {
+      for await (const chunk of provider.stream({ feature, model, messages, max_tokens, temperature })) {
+        response += chunk;
+        yield chunk;
+      }
+      complete = true;
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      await this._record({ ...call, response, error: failure });
+    }
+
+    // Streams abandoned by the reader never get here, so partial text isn't cached
+    if (cacheKey && complete && (!cacheable || cacheable(response))) {
+      await this.cache.store(cacheKey, { feature, provider: name, model, response });
+    }
+  }
+
+  /**
+   * Quota a call for a project would exceed
+   * @param {number|string|null} projectId - Project of the call, if any
+   * @returns {Promise<Object|null>} - Quota status (see AIUsage), or null
+   */
+  async checkQuota(projectId = null) {
+    return this.usage ? this.usage.checkQuota(projectId) : null;
+  }
+
+  /**
+   * Cache key of a request, or null when the feature is not cached
+   * @private
+   */
+  async _cacheKey(feature, request) {
+    if (!this.cache || !AI_CACHEABLE_FEATURES.includes(feature)) {
+      return null;
+    }
+    return AIResponseCache.key(request);
+  }
+
+  /**
+   * Record a finished call when usage tracking is enabled
+   * @private
+   */
+  async _record({ started, ...call }) {
+    if (this.usage) {
+      await this.usage.record({ ...call, latencyMs: Date.now() - started });
+    }
+  }
+
+  /**
+   * Provider chosen for a feature, failing when it is not configured
+   * @private
+   */
+  _provider(feature) {
+    const { provider: name, model } = this.resolve(feature);
+    const provider = this.providers[name];
+    if (!provider || !provider.isAvailable()) {
+      throw new SystemError(`AI provider "${name}" is not configured`, "AI_PROVIDER_UNAVAILABLE", {
+        feature,
+        provider: name,
+      });
+    }
+    return { provider, name, model };
+  }
+
+  /**
+   * Describe how every feature is routed
+   * @returns {Array<Object>} - [{ feature, provider, model, available }]
+   */
+  describe() {
+    return AI_FEATURES.map((feature) => ({
+      feature,
+      ...this.resolve(feature),
+      available: this.isAvailable(feature),
+    }));
+  }
+}
+
+// ============================================
+// AI STRUCTURED OUTPUT
+// ============================================
+
+/**
+ * Repair turns allowed after the first response fails validation
+ */
+const AI_OUTPUT_REPAIR_ATTEMPTS = 1;
+
+const AI_RULE_PRIORITY_SCHEMA = { type: "string", enum: ["high", "medium", "low"] };
+
+const AI_SUGGESTED_RULE_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+    content: { type: "string" },
+    priority: AI_RULE_PRIORITY_SCHEMA,
+    arguments: { type: "array", items: { type: "string" } },
+  },
+  required: ["title", "content"],
+};
+
+/**
+ * JSON schemas for AI tasks that answer with structured data
+ *
+ * A subset of JSON Schema: type, properties, required, items, minItems,
+ * enum, minimum and maximum. Extra properties are allowed.
+ */
+const AI_OUTPUT_SCHEMAS = {
+  "agent-suggestion": {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      role: { type: "string" },
+      description: { type: "string" },
+      system_prompt: { type: "string" },
+    },
+    required: ["name", "description"],
+  },
+  "rule-suggestion": {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      description: { type: "string" },
+      rule_content: { type: "string" },
+      category: { type: "string" },
+    },
+    required: ["name", "rule_content"],
+  },
+  "hook-suggestion": {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      description: { type: "string" },
+      hook_type: { type: "string" },
+      command: { type: "string" },
+    },
+    required: ["name", "command"],
+  },
+  compatibility: {
+    type: "object",
+    properties: {
+      isCompatible: { type: "boolean" },
+      confidence: { type: "number", minimum: 0, maximum: 1 },
+      warnings: { type: "array", items: { type: "string" } },
+      suggestions: { type: "array", items: { type: "string" } },
+    },
+    required: ["isCompatible", "confidence", "warnings", "suggestions"],
+  },
+  "prompt-suggestions": {
+    type: "array",
+    minItems: 1,
+    items: {
+      type: "object",
+      properties: {
+        suggestion: { type: "string" },
+        priority: AI_RULE_PRIORITY_SCHEMA,
+      },
+      required: ["suggestion", "priority"],
+    },
+  },
+  "prompt-analysis": {
+    type: "object",
+    properties: {
+      clarity: { type: "number", minimum: 1, maximum: 10 },
+      specificity: { type: "number", minimum: 1, maximum: 10 },
+      structure: { type: "number", minimum: 1, maximum: 10 },
+      overall: { type: "number", minimum: 1, maximum: 10 },
+      summary: { type: "string" },
+    },
+    required: ["clarity", "specificity", "structure", "overall", "summary"],
+  },
+  "prompt-insights": {
+    type: "object",
+    properties: {
+      context_update: { type: "string" },
+      technologies: { type: "array", items: { type: "string" } },
+      requirements: { type: "array", items: { type: "string" } },
+      should_update: { type: "boolean" },
+    },
+    required: ["should_update"],
+  },
+  "rule-suggestions": {
+    type: "array",
+    minItems: 1,
+    items: AI_SUGGESTED_RULE_SCHEMA,
+  },
+  "rule-template": {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      description: { type: "string" },
+      rules: { type: "array", minItems: 1, items: AI_SUGGESTED_RULE_SCHEMA },
+    },
+    required: ["rules"],
+  },
+};
+
+/**
+ * AIStructuredOutput - Runs AI tasks that must answer with JSON
+ *
+ * Appends the task's schema to the system prompt, pulls the JSON out of the
+ * reply and validates it. An invalid reply gets a repair turn listing what
+ * was wrong; if that fails too an AIOutputError is thrown. Every run that
+ * needed a repair is recorded in ai_usage_tracking as "ai_output_parse".
+ */
+class AIStructuredOutput {
+  constructor(ai, db = null) {
+    this.ai = ai;
+    this.db = db;
+  }
+
+  /**
+   * Run a task and return its validated JSON
+   * @param {string} feature - AI feature (see AI_FEATURES)
+   * @param {string} schemaName - Key of AI_OUTPUT_SCHEMAS
+   * @param {Object} request - { messages, max_tokens, temperature }
+   * @param {Object} options - { projectId, repairs }
+   * @returns {Promise<Object>} - { data, attempts, repaired, provider, model }
+   */
+  async run(feature, schemaName, request, options = {}) {
+    const { projectId = null, repairs = AI_OUTPUT_REPAIR_ATTEMPTS } = options;
+    const schema = AI_OUTPUT_SCHEMAS[schemaName];
+    if (!schema) {
+      throw new Error(`Unknown AI output schema: ${schemaName}`);
+    }
+
+    const messages = [...request.messages];
+    const instruction = `Respond with only JSON, without code fences or commentary, matching this JSON Schema:\n${JSON.stringify(schema)}`;
+    if (messages[0] && messages[0].role === "system") {
+      messages[0] = { ...messages[0], content: `${messages[0].content}\n\n${instruction}` };
+    } else {
+      messages.unshift({ role: "system", content: instruction });
+    }
+
+    // Only replies that pass validation may be served from the response cache
+    const cacheable = (text) => AIStructuredOutput.parse(text, schema).errors.length === 0;
+
+    const failures = [];
+    let result;
+    for (let attempt = 1; attempt <= repairs + 1; attempt++) {
+      result = await this.ai.run(feature, { ...request, messages, projectId, cacheable });
+
+      const { data, errors } = AIStructuredOutput.parse(result.response, schema);
+      if (errors.length === 0) {
+        if (failures.length > 0) {
+          await this._recordFailures(feature, schemaName, result, failures, true, projectId);
+        }
+        return {
+          data,
+          attempts: attempt,
+          repaired: failures.length > 0,
+          provider: result.provider,
+          model: result.model,
+        };
+      }
+
+      failures.push({ attempt, errors });
+      messages.push(
+        { role: "assistant", content: result.response },
+        { role: "user", content: AIStructuredOutput.repairPrompt(errors) },
+      );
+    }
+
+    await this._recordFailures(feature, schemaName, result, failures, false, projectId);
+    throw new AIOutputError(feature, failures[failures.length - 1].errors, result.response, {
+      attempts: failures.length,
+    });
+  }
+
+  /**
+   * Extract and validate JSON from model output
+   * @param {string} text - Model output
+   * @param {Object} schema - Schema from AI_OUTPUT_SCHEMAS
+   * @returns {Object} - { data, errors }; errors is empty when data is valid
+   */
+  static parse(text, schema) {
+    let data;
+    try {
+      data = AIStructuredOutput.extractJson(text, schema.type);
+    } catch (error) {
+      return { data: null, errors: [error.message] };
+    }
+    return { data, errors: AIStructuredOutput.validate(data, schema) };
+  }
+
+  /**
+   * Find the first JSON value in text that may wrap it in prose or code fences
+   * @param {string} text - Model output
+   * @param {string} type - "object" or "array" to skip values of the other kind
+   * @returns {*} - Parsed value
+   */
+  static extractJson(text, type = null) {
+    const source = String(text ?? "");
+    const openers = type === "array" ? "[" : type === "object" ? "{" : "{[";
+
+    for (let start = 0; start < source.length; start++) {
+      if (!openers.includes(source[start])) continue;
+
+      const end = AIStructuredOutput._closingBracket(source, start);
+      if (end === -1) continue;
+      try {
+        return JSON.parse(source.slice(start, end + 1));
+      } catch {
+        // Bracketed prose such as "[see below]"; keep scanning
+      }
+    }
+
+    throw new Error(
+      type ? `Response contains no JSON ${type}` : "Response contains no JSON",
+    );
+  }
+
+  /**
+   * Check a value against a schema
+   * @param {*} value - Parsed JSON
+   * @param {Object} schema - Schema from AI_OUTPUT_SCHEMAS
+   * @param {string} path - JSON path used in messages
+   * @returns {Array<string>} - One message per problem
+   */
+  static validate(value, schema, path = "$") {
+    const kind = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+    const errors = [];
+
+    switch (schema.type) {
+      case "object":
+        if (kind !== "object") {
+          return [`${path}: expected an object, got ${kind}`];
+        }
+        for (const key of schema.required || []) {
+          if (value[key] === undefined || value[key] === null) {
+            errors.push(`${path}.${key}: is required`);
+          }
+        }
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+          if (value[key] !== undefined && value[key] !== null) {
+            errors.push(...AIStructuredOutput.validate(value[key], child, `${path}.${key}`));
+          }
+        }
+        return errors;
+
+      case "array":
+        if (kind !== "array") {
+          return [`${path}: expected an array, got ${kind}`];
+        }
+        if (schema.minItems && value.length < schema.minItems) {
+          errors.push(`${path}: expected at least ${schema.minItems} item(s)`);
+        }
+        value.forEach((item, index) => {
+          errors.push(...AIStructuredOutput.validate(item, schema.items, `${path}[${index}]`));
+        });
+        return errors;
+
+      case "number":
+        if (kind !== "number" || !Number.isFinite(value)) {
+          return [`${path}: expected a number, got ${kind}`];
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+          errors.push(`${path}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+          errors.push(`${path}: must be at most ${schema.maximum}`);
+        }
+        return errors;
+
+      default:
+        if (kind !== schema.type) {
+          return [`${path}: expected a ${schema.type}, got ${kind}`];
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+          errors.push(`${path}: expected one of ${schema.enum.join(", ")}, got ${JSON.stringify(value)}`);
+        }
+        return errors;
+    }
+  }
+
+  /**
+   * Follow-up message asking the model to fix its reply
+   * @param {Array<string>} errors - Validation errors of the previous reply
+   * @returns {string}
+   */
+  static repairPrompt(errors) {
+    return `Your previous reply could not be used:\n${errors
+      .slice(0, 10)
+      .map((error) => `- ${error}`)
+      .join("\n")}\n\nReply again with only the corrected JSON.`;
+  }
+
+  /**
+   * Index of the bracket closing the one at start, or -1
+   * @private
+   */
+  static _closingBracket(source, start) {
+    let depth = 0;
+    let inString = false;
+
+    for (let index = start; index < source.length; index++) {
+      const char = source[index];
+      if (inString) {
+        if (char === "\\") index++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        depth++;
+      } else if (char === "}" || char === "]") {
+        depth--;
+        if (depth === 0) return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Record a run that needed repairs in ai_usage_tracking
+   * @private
+   */
+  async _recordFailures(feature, schemaName, result, failures, repaired, projectId) {
+    if (!this.db) return;
+
+    try {
+      await this.db
+        .prepare(
+          `
+        INSERT INTO ai_usage_tracking (request_type, project_id, success, error_message, request_context)
+        VALUES (?, ?, ?, ?, ?)
+      `,
+        )
+        .bind(
+          "ai_output_parse",
+          projectId,
+          repaired ? 1 : 0,
+          failures[failures.length - 1].errors.join("; ").slice(0, 500),
+          JSON.stringify({
+            feature,
+            schema: schemaName,
+            provider: result.provider,
+            model: result.model,
+            parse_failures: failures.length,
+            repaired,
+            failures,
+          }),
+        )
+        .run();
+    } catch (trackingError) {
+      console.error("Failed to track usage:", trackingError);
+    }
+  }
+}
+
+// ============================================
+// AI USAGE AND QUOTAS
+// ============================================
+
+const AI_QUOTA_PERIODS = ["day", "month"];
+
+/**
+ * AIUsage - Records AI calls and enforces AI quotas
+ *
+ * Every model call made through AIClient becomes an ai_usage_tracking row
+ * with the feature as request_type, plus provider, model, latency, an
+ * estimated token count and success. Quotas in ai_quotas cap the requests or
+ * tokens of one project, or of all calls ("*"), per UTC day or month.
+ */
+class AIUsage {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Rough token count of text, about four characters per token
+   * @param {string} text - Prompt or completion text
+   * @returns {number}
+   */
+  static estimateTokens(text) {
+    return Math.ceil(String(text ?? "").length / 4);
+  }
+
+  /**
+   * Record one model call
+   * @param {Object} call - { feature, provider, model, projectId, messages,
+   *   response, latencyMs, error, streamed }
+   */
+  async record(call) {
+    const promptTokens = AIUsage.estimateTokens(
+      (call.messages || []).map((message) => message.content).join("\n"),
+    );
+    const completionTokens = AIUsage.estimateTokens(call.response);
+
+    try {
+      await this.db
+        .prepare(
+          `
+        INSERT INTO ai_usage_tracking (request_type, project_id, provider, model, token_count, processing_time_ms, success, error_message, request_context)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        )
+        .bind(
+          call.feature,
+          call.projectId ?? null,
+          call.provider,
+          call.model,
+          promptTokens + completionTokens,
+          call.latencyMs,
+          call.error ? 0 : 1,
+          call.error ? String(call.error.message).slice(0, 500) : null,
+          JSON.stringify({
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            streamed: Boolean(call.streamed),
+          }),
+        )
+        .run();
+    } catch (trackingError) {
+      console.error("Failed to track usage:", trackingError);
+    }
+  }
+
+  /**
+   * Validate quotas submitted for the ai_quotas table
+   * @param {Object} raw - { [scope]: { requestLimit, tokenLimit, period } | null },
+   *   where scope is "*" or a project id
+   * @returns {Object} - Normalized quotas; null entries remove a quota
+   */
+  static parseQuotas(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      throw new ValidationError("quotas must be an object", "quotas", raw);
+    }
+
+    const parsed = {};
+    for (const [scope, entry] of Object.entries(raw)) {
+      if (scope !== "*" && !/^[1-9]\d*$/.test(scope)) {
+        throw new ValidationError(`Quota scope "${scope}" must be "*" or a project id`, "quotas", scope);
+      }
+      if (entry === null) {
+        parsed[scope] = null;
+        continue;
+      }
+      if (typeof entry !== "object" || Array.isArray(entry)) {
+        throw new ValidationError(`Quota for "${scope}" must be an object`, "quotas", entry);
+      }
+      for (const key of ["requestLimit", "tokenLimit"]) {
+        if (entry[key] != null && (!Number.isInteger(entry[key]) || entry[key] < 1)) {
+          throw new ValidationError(`${key} for "${scope}" must be a positive integer`, "quotas", entry[key]);
+        }
+      }
+      if (entry.requestLimit == null && entry.tokenLimit == null) {
+        throw new ValidationError(
+          `Quota for "${scope}" needs a requestLimit or tokenLimit; use null to remove it`,
+          "quotas",
+          entry,
+        );
+      }
+      const period = entry.period ?? "day";
+      if (!AI_QUOTA_PERIODS.includes(period)) {
+        throw new ValidationError(
+          `Quota period for "${scope}" must be one of: ${AI_QUOTA_PERIODS.join(", ")}`,
+          "quotas",
+          period,
+        );
+      }
+      parsed[scope] = {
+        requestLimit: entry.requestLimit ?? null,
+        tokenLimit: entry.tokenLimit ?? null,
+        period,
+      };
+    }
+    return parsed;
+  }
+
+  /**
+   * Read quotas stored in the ai_quotas table
+   * @returns {Promise<Object>} - { [scope]: { requestLimit, tokenLimit, period } }
+   */
+  async loadQuotas() {
+    let rows;
+    try {
+      const result = await this.db
+        .prepare("SELECT scope, request_limit, token_limit, period FROM ai_quotas")
+        .all();
+      rows = result.results || [];
+    } catch {
+      // Databases without migration 0023 have no quotas
+      return {};
+    }
+
+    const quotas = {};
+    for (const row of rows) {
+      quotas[row.scope] = {
+        requestLimit: row.request_limit,
+        tokenLimit: row.token_limit,
+        period: row.period,
+      };
+    }
+    return quotas;
+  }
+
+  /**
+   * Usage of every configured quota, or of those applying to one project
+   * @param {number|string|null} projectId - Limit to "*" and this project
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} - Quota statuses (see _quotaStatus)
+   */
+  async quotaStatus(projectId = null, now = new Date()) {
+    const quotas = await this.loadQuotas();
+    const scopes =
+      projectId == null ? Object.keys(quotas) : ["*", String(projectId)].filter((scope) => quotas[scope]);
+
+    const statuses = [];
+    for (const scope of scopes) {
+      statuses.push(await this._quotaStatus(scope, quotas[scope], now));
+    }
+    return statuses;
+  }
+
+  /**
+   * First quota a call for a project would exceed
+   * @param {number|string|null} projectId - Project of the call, if any
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} - Quota status, or null when the call may proceed
+   */
+  async checkQuota(projectId = null, now = new Date()) {
+    const quotas = await this.loadQuotas();
+    const scopes = projectId == null ? ["*"] : ["*", String(projectId)];
+
+    for (const scope of scopes) {
+      if (!quotas[scope]) continue;
+      const status = await this._quotaStatus(scope, quotas[scope], now);
+      if (status.exceeded) {
+        return status;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start of the current quota period and the moment it resets, in UTC
+   * @param {string} period - "day" or "month"
+   * @param {Date} now - Current time
+   * @returns {Object} - { start, reset } Dates
+   */
+  static quotaWindow(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+
+    return period === "month"
+      ? { start: new Date(Date.UTC(year, month, 1)), reset: new Date(Date.UTC(year, month + 1, 1)) }
+      : { start: new Date(Date.UTC(year, month, day)), reset: new Date(Date.UTC(year, month, day + 1)) };
+  }
+
+  /**
+   * Model calls aggregated per day, project and feature
+   * @param {Object} options - { days, projectId, now }
+   * @returns {Promise<Object>} - { from, to, days, projectId, totals, daily,
+   *   projects, features, quotas, cache }
+   */
+  async summarize({ days = 30, projectId = null, now = new Date() } = {}) {
+    const { reset } = AIUsage.quotaWindow("day", now);
+    const since = new Date(reset.getTime() - days * 86400000);
+
+    const filter = `u.model IS NOT NULL AND u.created_at >= ?${projectId != null ? " AND u.project_id = ?" : ""}`;
+    const params = projectId != null ? [AIUsage._sqlTime(since), projectId] : [AIUsage._sqlTime(since)];
+    const measures = `
+      COUNT(*) AS calls,
+      SUM(CASE WHEN u.success = 1 THEN 0 ELSE 1 END) AS failures,
+      COALESCE(SUM(u.token_count), 0) AS tokens,
+      ROUND(AVG(u.processing_time_ms)) AS avg_latency_ms`;
+
+    const [dailyResult, projectResult, featureResult] = await Promise.all([
+      this.db
+        .prepare(
+          `SELECT date(u.created_at) AS day, ${measures}
+           FROM ai_usage_tracking u WHERE ${filter}
+           GROUP BY day ORDER BY day`,
+        )
+        .bind(...params)
+        .all(),
+      this.db
+        .prepare(
+          `SELECT u.project_id, p.name AS project_name, ${measures}
+           FROM ai_usage_tracking u LEFT JOIN projects p ON p.id = u.project_id
+           WHERE ${filter}
+           GROUP BY u.project_id ORDER BY calls DESC`,
+        )
+        .bind(...params)
+        .all(),
+      this.db
+        .prepare(
+          `SELECT u.request_type AS feature, u.provider, u.model, ${measures}
+           FROM ai_usage_tracking u WHERE ${filter}
+           GROUP BY u.request_type, u.provider, u.model ORDER BY calls DESC`,
+        )
+        .bind(...params)
+        .all(),
+    ]);
+
+    const measured = (row) => ({
+      calls: row.calls || 0,
+      failures: row.failures || 0,
+      tokens: row.tokens || 0,
+      avgLatencyMs: row.avg_latency_ms ?? null,
+    });
+
+    // One entry per day, including days without calls, so charts have no gaps
+    const byDay = new Map((dailyResult.results || []).map((row) => [row.day, measured(row)]));
+    const daily = [];
+    for (let time = since.getTime(); time < reset.getTime(); time += 86400000) {
+      const date = new Date(time).toISOString().slice(0, 10);
+      daily.push({ date, ...(byDay.get(date) || measured({})) });
+    }
+
+    const totals = daily.reduce(
+      (sum, day) => ({
+        calls: sum.calls + day.calls,
+        failures: sum.failures + day.failures,
+        tokens: sum.tokens + day.tokens,
+        latencyMs: sum.latencyMs + (day.avgLatencyMs || 0) * day.calls,
+      }),
+      { calls: 0, failures: 0, tokens: 0, latencyMs: 0 },
+    );
+
+    return {
+      from: daily[0].date,
+      to: daily[daily.length - 1].date,
+      days,
+      projectId,
+      totals: {
+        calls: totals.calls,
+        failures: totals.failures,
+        tokens: totals.tokens,
+        avgLatencyMs: totals.calls > 0 ? Math.round(totals.latencyMs / totals.calls) : null,
+      },
+      daily,
+      projects: (projectResult.results || []).map((row) => ({
+        projectId: row.project_id,
+        name: row.project_name || null,
+        ...measured(row),
+      })),
+      features: (featureResult.results || []).map((row) => ({
+        feature: row.feature,
+        provider: row.provider,
+        model: row.model,
+        ...measured(row),
+      })),
+      quotas: await this.quotaStatus(projectId, now),
+      // Cache lookups are not tied to a project, so these cover all projects
+      cache: await AIResponseCache.stats(this.db, daily[0].date),
+    };
+  }
+
+  /**
+   * Requests and tokens counted against one quota in its current period
+   * @private
+   */
+  async _quotaStatus(scope, quota, now) {
+    const { start, reset } = AIUsage.quotaWindow(quota.period, now);
+    const usage = await this.db
+      .prepare(
+        `SELECT COUNT(*) AS requests, COALESCE(SUM(token_count), 0) AS tokens
+         FROM ai_usage_tracking
+         WHERE model IS NOT NULL AND created_at >= ?${scope === "*" ? "" : " AND project_id = ?"}`,
+      )
+      .bind(...(scope === "*" ? [AIUsage._sqlTime(start)] : [AIUsage._sqlTime(start), Number(scope)]))
+      .first();
+
+    const requests = usage?.requests || 0;
+    const tokens = usage?.tokens || 0;
+    return {
+      scope,
+      projectId: scope === "*" ? null : Number(scope),
+      ...quota,
+      requests,
+      tokens,
+      exceeded:
+        (quota.requestLimit != null && requests >= quota.requestLimit) ||
+        (quota.tokenLimit != null && tokens >= quota.tokenLimit),
+      resetAt: reset.toISOString(),
+    };
+  }
+
+  /**
+   * Date in the format of SQLite's datetime('now')
+   * @private
+   */
+  static _sqlTime(date) {
+    return date.toISOString().slice(0, 19).replace("T", " ");
+  }
+}
+
+// ============================================
+// AI RESPONSE CACHE
+// ============================================
+
+/**
+ * Seconds a cached AI response stays valid unless AI_CACHE_TTL says otherwise
+ */
+const AI_CACHE_DEFAULT_TTL = 86400;
+
+/**
+ * Features whose output depends only on their input, so identical requests
+ * can share a response. detect-platforms makes no model call, so its route
+ * caches the detections itself rather than going through AIClient.
+ */
+const AI_CACHEABLE_FEATURES = ["analyze-prompt", "convert-to-xml", "validate-compatibility", "detect-platforms"];
+
+/**
+ * AIResponseCache - Content-addressed cache of model responses in D1
+ *
+ * Entries are keyed by a hash of the provider, model, generation options,
+ * system prompt and input messages, so a changed prompt or model never
+ * serves a stale answer. Lookups are counted per day and feature in
+ * ai_cache_stats.
+ */
+class AIResponseCache {
+  constructor(db, ttl = AI_CACHE_DEFAULT_TTL) {
+    this.db = db;
+    this.ttl = ttl;
+  }
+
+  /**
+   * Create the cache from worker bindings; AI_CACHE_TTL=0 disables it
+   * @param {Object} env - Worker environment
+   * @returns {AIResponseCache|null}
+   */
+  static fromEnv(env) {
+    const ttl = env.AI_CACHE_TTL != null && env.AI_CACHE_TTL !== "" ? Number(env.AI_CACHE_TTL) : AI_CACHE_DEFAULT_TTL;
+    if (!env.DB || !Number.isFinite(ttl) || ttl <= 0) {
+      return null;
+    }
+    return new AIResponseCache(env.DB, ttl);
+  }
+
+  /**
+   * Cache key of a completion request
+   * @param {Object} request - { provider, model, messages, max_tokens, temperature }
+   * @returns {Promise<string>} - SHA-256 hex digest
+   */
+  static key({ provider, model, messages, max_tokens, temperature }) {
+    const system = messages.filter((message) => message.role === "system").map((message) => message.content);
+    const input = messages
+      .filter((message) => message.role !== "system")
+      .map((message) => [message.role, message.content]);
+    return ExportMerger.hash(JSON.stringify({ provider, model, max_tokens, temperature, system, input }));
+  }
+
+  /**
+   * Look up a response, counting the hit, miss or bypass
+   * @param {string} key - Cache key
+   * @param {string} feature - AI feature
+   * @param {boolean} bypass - Skip the lookup (the fresh response is still stored)
+   * @param {Date} now - Current time
+   * @returns {Promise<string|null>} - Cached response, or null
+   */
+  async lookup(key, feature, bypass = false, now = new Date()) {
+    if (bypass) {
+      await this._count(feature, "bypasses", now);
+      return null;
+    }
+
+    let entry = null;
+    try {
+      entry = await this.db
+        .prepare("SELECT response FROM ai_response_cache WHERE cache_key = ? AND expires_at > ?")
+        .bind(key, now.toISOString())
+        .first();
+    } catch (error) {
+      console.error("AI cache lookup failed:", error);
+    }
+
+    await this._count(feature, entry ? "hits" : "misses", now);
+    return entry ? entry.response : null;
+  }
+
+  /**
+   * Store a response until the TTL runs out
+   * @param {string} key - Cache key
+   * @param {Object} entry - { feature, provider, model, response }
+   * @param {Date} now - Current time
+   */
+  async store(key, { feature, provider, model, response }, now = new Date()) {
+    try {
+      await this.db
+        .prepare(
+          `
+        INSERT OR REPLACE INTO ai_response_cache (cache_key, feature, provider, model, response, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `,
+        )
+        .bind(
+          key,
+          feature,
+          provider,
+          model,
+          response,
+          now.toISOString(),
+          new Date(now.getTime() + this.ttl * 1000).toISOString(),
+        )
+        .run();
+    } catch (error) {
+      console.error("AI cache store failed:", error);
+    }
+  }
+
+  /**
+   * Delete expired entries
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { purged }
+   */
+  async purgeExpired(now = new Date()) {
+    const result = await this.db
+      .prepare("DELETE FROM ai_response_cache WHERE expires_at <= ?")
+      .bind(now.toISOString())
+      .run();
+    return { purged: result.meta?.changes ?? 0 };
+  }
+
+  /**
+   * Hits, misses and bypasses per feature since a date
+   * @param {Object} db - D1 database
+   * @param {string} since - First UTC day counted, YYYY-MM-DD
+   * @returns {Promise<Object>} - { hits, misses, bypasses, hitRate, features }
+   */
+  static async stats(db, since) {
+    let rows = [];
+    try {
+      const result = await db
+        .prepare(
+          `SELECT feature, SUM(hits) AS hits, SUM(misses) AS misses, SUM(bypasses) AS bypasses
+           FROM ai_cache_stats WHERE day >= ?
+           GROUP BY feature ORDER BY feature`,
+        )
+        .bind(since)
+        .all();
+      rows = result.results || [];
+    } catch {
+      // Databases without migration 0024 have no cache counters
+    }
+
+    const hitRate = (hits, misses) => (hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null);
+    const features = rows.map((row) => ({
+      feature: row.feature,
+      hits: row.hits || 0,
+      misses: row.misses || 0,
+      bypasses: row.bypasses || 0,
+      hitRate: hitRate(row.hits || 0, row.misses || 0),
+    }));
+
+    const hits = features.reduce((sum, row) => sum + row.hits, 0);
+    const misses = features.reduce((sum, row) => sum + row.misses, 0);
+    return {
+      hits,
+      misses,
+      bypasses: features.reduce((sum, row) => sum + row.bypasses, 0),
+      hitRate: hitRate(hits, misses),
+      features,
+    };
+  }
+
+  /**
+   * Add one to a feature's counter for today
+   * @private
+   */
+  async _count(feature, counter, now) {
+    try {
+      await this.db
+        .prepare(
+          `
+        INSERT INTO ai_cache_stats (day, feature, ${counter}) VALUES (?, ?, 1)
+        ON CONFLICT (day, feature) DO UPDATE SET ${counter} = ${counter} + 1
+      `,
+        )
+        .bind(now.toISOString().slice(0, 10), feature)
+        .run();
+    } catch (error) {
+      console.error("Failed to count AI cache lookup:", error);
+    }
+  }
+}
+
+// ============================================
+// AI ENHANCEMENT ENGINE CLASS
+// ============================================
+
+/**
+ * AIEnhancementEngine - Provides AI-powered contextual suggestions for resource creation
+ * Implements requirements 2.1, 2.2, 4.1, 4.2, 4.3
+ */
+class AIEnhancementEngine {
+  constructor(ai, db) {
+    this.ai = ai;
+    this.db = db;
+  }
+
+  /**
+   * Enhance resource creation with AI-powered suggestions
+   * @param {string} resourceType - Type of resource ('agent', 'rule', 'hook')
+   * @param {Object} projectContext - Project context information
+   * @param {Object} resourceData - Partial resource data for enhancement
+   * @returns {Object} - Enhanced resource suggestions
+   */
+  async enhanceResourceCreation(
+    resourceType,
+    projectContext,
+    resourceData = {},
+  ) {
+    if (!this.ai || !this.ai.isAvailable("enhance-resource")) {
+      throw new Error("AI service not available");
+    }
+
+    const validTypes = ["agent", "rule", "hook"];
+    if (!validTypes.includes(resourceType)) {
+      throw new Error(
+        `Invalid resource type. Must be one of: ${validTypes.join(", ")}`,
+      );
+    }
+
+    try {
+      const contextPrompt = await this.buildContextPrompt(
+        projectContext,
+        resourceType,
+      );
+      const enhancementPrompt = this._buildEnhancementPrompt(
+        resourceType,
+        resourceData,
+        contextPrompt,
+      );
+
+      const { data } = await new AIStructuredOutput(this.ai, this.db).run(
+        "enhance-resource",
+        `${resourceType}-suggestion`,
+        {
+          messages: [
+            {
+              role: "system",
+              content: this._getSystemPrompt(resourceType),
+            },
+            {
+              role: "user",
+              content: enhancementPrompt,
+            },
+          ],
+          max_tokens: 2048,
+          temperature: 0.3,
+        },
+        { projectId: (projectContext && projectContext.projectId) || null },
+      );
+
+      return {
+        suggestions: data,
+        confidence: 0.8,
+        source: "ai",
+      };
+    } catch (error) {
+      // Provide fallback suggestions when AI fails, saying why
+      return {
+        ...this._getFallbackSuggestions(resourceType, resourceData),
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Build context prompt from project data
+   * @param {Object} projectContext - Project context information
+   * @param {string} resourceType - Type of resource being created
+   * @returns {string} - Formatted context prompt
+   */
+  async buildContextPrompt(projectContext, resourceType) {
+    if (!projectContext || !projectContext.projectId) {
+      return "No project context available.";
+    }
+
+    try {
+      // Get project details
+      const project = await this.db
+        .prepare("SELECT * FROM projects WHERE id = ?")
+        .bind(projectContext.projectId)
+        .first();
+
+      if (!project) {
+        return "Project not found.";
+      }
+
+      // Get existing resources of the same type
+      const existingResources = await this._getExistingResources(
+        projectContext.projectId,
+        resourceType,
+      );
+
+      // Build context string
+      let context = `Project: ${project.name}\n`;
+      if (project.description) {
+        context += `Description: ${project.description}\n`;
+      }
+      if (project.category) {
+        context += `Category: ${project.category}\n`;
+      }
+      if (project.ai_context_summary) {
+        context += `AI Context: ${project.ai_context_summary}\n`;
+      }
+
+      if (existingResources.length > 0) {
+        context += `\nExisting ${resourceType}s in project:\n`;
+        existingResources.forEach((resource, index) => {
+          context += `${index + 1}. ${resource.name || resource.title}: ${resource.description || "No description"}\n`;
+        });
+      }
+
+      return context;
+    } catch (error) {
+      console.error("Error building context prompt:", error);
+      return `Project ID: ${projectContext.projectId} (context unavailable)`;
+    }
+  }
+
+  /**
+   * Validate resource compatibility using AI
+   * @param {string} resourceType - Type of resource
+   * @param {Object} resourceData - Resource data to validate
+   * @param {Object} projectContext - Project context
+   * @returns {Object} - Compatibility validation result
+   */
+  async validateResourceCompatibility(
+    resourceType,
+    resourceData,
+    projectContext,
+  ) {
+    if (!this.ai || !this.ai.isAvailable("validate-compatibility")) {
+      return {
+        isCompatible: true,
+        confidence: 0.5,
+        warnings: ["AI validation unavailable"],
+        suggestions: [],
+      };
+    }
+
+    try {
+      const contextPrompt = await this.buildContextPrompt(
+        projectContext,
+        resourceType,
+      );
+      const validationPrompt = this._buildValidationPrompt(
+        resourceType,
+        resourceData,
+        contextPrompt,
+      );
+
+      const { data } = await new AIStructuredOutput(this.ai, this.db).run(
+        "validate-compatibility",
+        "compatibility",
+        {
+          messages: [
+            {
+              role: "system",
+              content:
+                "You are an expert at validating Claude Code project resources for compatibility and best practices. Analyze the resource and provide compatibility assessment.",
+            },
+            {
+              role: "user",
+              content: validationPrompt,
+            },
+          ],
+          max_tokens: 1024,
+          temperature: 0.2,
+        },
+        { projectId: (projectContext && projectContext.projectId) || null },
+      );
+
+      return data;
+    } catch (error) {
+      console.error("AI validation failed:", error);
+      return {
+        isCompatible: true,
+        confidence: 0.3,
+        warnings: [`AI validation failed: ${error.message}`],
+        suggestions: [],
+      };
+    }
+  }
+
+  /**
+   * Get existing resources for context
+   * @private
+   */
+  async _getExistingResources(projectId, resourceType) {
+    try {
+      let query, table;
+
+      switch (resourceType) {
+        case "agent":
+          table = "agents";
+          query = `
+            SELECT a.name, a.description, a.role
+            FROM agents a
+            JOIN project_resources pr ON pr.resource_id = a.id
+            WHERE pr.project_id = ? AND pr.resource_type = 'agent' AND a.is_active = 1
+          `;
+          break;
+        case "rule":
+          table = "agent_rules";
+          query = `
+            SELECT ar.name, ar.description, ar.category
+            FROM agent_rules ar
+            JOIN project_resources pr ON pr.resource_id = ar.id
+            WHERE pr.project_id = ? AND pr.resource_type = 'rule' AND ar.is_active = 1
+          `;
+          break;
+        case "hook":
+          table = "hooks";
+          query = `
+            SELECT h.name, h.description, h.hook_type
+            FROM hooks h
+            JOIN project_resources pr ON pr.resource_id = h.id
+            WHERE pr.project_id = ? AND pr.resource_type = 'hook' AND h.is_enabled = 1
+          `;
+          break;
+        default:
+          return [];
+      }
+
+      const result = await this.db.prepare(query).bind(projectId).all();
+      return result.results || [];
+    } catch (error) {
+      console.error("Error getting existing resources:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Build enhancement prompt for AI
+   * @private
+   */
+  _buildEnhancementPrompt(resourceType, resourceData, contextPrompt) {
+    const basePrompt = `Project Context:\n${contextPrompt}\n\n`;
+
+    switch (resourceType) {
+      case "agent":
+        return (
+          basePrompt +
+          `Suggest an AI agent for this project. ${resourceData.name ? `Name: ${resourceData.name}` : ""} ${resourceData.role ? `Role: ${resourceData.role}` : ""}\n\nProvide suggestions for name, role, description, and system prompt that would be helpful for this project context.`
+        );
+
+      case "rule":
+        return (
+          basePrompt +
+          `Suggest a development rule for this project. ${resourceData.name ? `Name: ${resourceData.name}` : ""} ${resourceData.category ? `Category: ${resourceData.category}` : ""}\n\nProvide suggestions for name, description, and rule content that would be valuable for this project.`
+        );
+
+      case "hook":
+        return (
+          basePrompt +
+          `Suggest an automation hook for this project. ${resourceData.name ? `Name: ${resourceData.name}` : ""} ${resourceData.hook_type ? `Type: ${resourceData.hook_type}` : ""}\n\nProvide suggestions for name, description, hook type, and command that would be useful for this project workflow.`
+        );
+
+      default:
+        return (
+          basePrompt + `Suggest a ${resourceType} for this project context.`
+        );
+    }
+  }
+
+  /**
+   * Build validation prompt for AI
+   * @private
+   */
+  _buildValidationPrompt(resourceType, resourceData, contextPrompt) {
+    return (
+      "Project Context:\n" +
+      contextPrompt +
+      "\n\nResource to validate:\nType: " +
+      resourceType +
+      "\nData: " +
+      JSON.stringify(resourceData, null, 2) +
+      "\n\nAnalyze this resource for compatibility with the project context. Consider:\n" +
+      "1. Does it fit the project's purpose?\n" +
+      "2. Does it conflict with existing resources?\n" +
+      "3. Are there any best practice violations?\n" +
+      "4. What improvements could be made?\n\n" +
+      'Respond with JSON format: {"isCompatible": true/false, "confidence": number between 0 and 1, "warnings": array of strings, "suggestions": array of strings}'
+    );
+  }
+
+  /**
+   * Get system prompt for resource type
+   * @private
+   */
+  _getSystemPrompt(resourceType) {
+    const basePrompt =
+      "You are an expert Claude Code project consultant. Provide practical, actionable suggestions based on the project context.";
+
+    switch (resourceType) {
+      case "agent":
+        return (
+          basePrompt +
+          " Focus on creating AI agents that are well-suited for the project's development needs. Consider the project's technology stack, goals, and existing agents."
+        );
+
+      case "rule":
+        return (
+          basePrompt +
+          " Focus on development rules that improve code quality, consistency, and team productivity. Consider the project's technology stack and existing rules."
+        );
+
+      case "hook":
+        return (
+          basePrompt +
+          " Focus on automation hooks that streamline development workflows. Consider the project's toolchain and existing automation."
+        );
+
+      default:
+        return basePrompt;
+    }
+  }
+
+  /**
+   * Get fallback suggestions when AI is unavailable
+   * @private
+   */
+  _getFallbackSuggestions(resourceType, resourceData) {
+    const fallbacks = {
+      agent: {
+        name: resourceData.name || "Project Assistant",
+        role: resourceData.role || "Development Assistant",
+        description: "AI assistant for project development tasks",
+        system_prompt:
+          "You are a helpful development assistant for this project.",
+      },
+      rule: {
+        name: resourceData.name || "Code Quality Rule",
+        description: "Maintain code quality and consistency",
+        rule_content: "Follow established coding standards and best practices.",
+        category: resourceData.category || "general",
+      },
+      hook: {
+        name: resourceData.name || "Development Hook",
+        description: "Automation hook for development workflow",
+        hook_type: resourceData.hook_type || "PreToolUse",
+        command: 'echo "Hook executed"',
+      },
+    };
+
+    return {
+      suggestions: fallbacks[resourceType] || {},
+      confidence: 0.3,
+      source: "fallback",
+    };
+  }
+}
+
+// ============================================
+// ZIP ARCHIVE BUILDER
+// ============================================
+
+/**
+ * Lazily built CRC-32 lookup table (IEEE 802.3 polynomial)
+ */
+let CRC32_TABLE = null;
+
+/**
+ * ZipArchiveBuilder - Packs a flat path => content map into a ZIP archive
+ * Entries are written with the STORE method so the archive can be produced
+ * synchronously inside the worker without a compression dependency.
+ */
+class ZipArchiveBuilder {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} path - Relative path inside the archive (e.g. ".claude/rules.md")
+   * @param {string|Uint8Array} content - File content
+   * @param {Date} modifiedAt - Modification time recorded in the entry headers
+   * @returns {ZipArchiveBuilder} - The builder, for chaining
+   */
+  addFile(path, content, modifiedAt = new Date()) {
+    const normalizedPath = String(path).replace(/\\/g, "/").replace(/^\/+/, "");
+    if (!normalizedPath || normalizedPath.split("/").includes("..")) {
+      throw new Error(`Invalid archive path: ${path}`);
+    }
+
+    const data =
+      content instanceof Uint8Array
+        ? content
+        : this.encoder.encode(
+            typeof content === "string" ? content : JSON.stringify(content, null, 2),
+          );
+
+    this.entries.push({
+      name: this.encoder.encode(normalizedPath),
+      data,
+      crc: ZipArchiveBuilder.crc32(data),
+      ...ZipArchiveBuilder._toDosDateTime(modifiedAt),
+    });
+
+    return this;
+  }
+
+  /**
+   * Add every entry of a file map to the archive
+   * @param {Object} files - Map of relative path to content
+   * @returns {ZipArchiveBuilder} - The builder, for chaining
+   */
+  addFiles(files) {
+    const modifiedAt = new Date();
+    for (const [path, content] of Object.entries(files || {})) {
+      this.addFile(path, content, modifiedAt);
+    }
+    return this;
+  }
+
+  /**
+   * Serialize the archive
+   * @returns {Uint8Array} - Complete ZIP file bytes
+   */
+  build() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      // Bit 11 marks the file name as UTF-8
+      const local = new Uint8Array(30 + entry.name.length);
+      const localView = new DataView(local.buffer);
+      localView.setUint32(0, 0x04034b50, true);
+      localView.setUint16(4, 20, true);
+      localView.setUint16(6, 0x0800, true);
+      localView.setUint16(8, 0, true);
+      localView.setUint16(10, entry.time, true);
+      localView.setUint16(12, entry.date, true);
+      localView.setUint32(14, entry.crc, true);
+      localView.setUint32(18, entry.data.length, true);
+      localView.setUint32(22, entry.data.length, true);
+      localView.setUint16(26, entry.name.length, true);
+      localView.setUint16(28, 0, true);
+      local.set(entry.name, 30);
+
+      const central = new Uint8Array(46 + entry.name.length);
+      const centralView = new DataView(central.buffer);
+      centralView.setUint32(0, 0x02014b50, true);
+      centralView.setUint16(4, 20, true);
+      centralView.setUint16(6, 20, true);
+      centralView.setUint16(8, 0x0800, true);
+      centralView.setUint16(10, 0, true);
+      centralView.setUint16(12, entry.time, true);
+      centralView.setUint16(14, entry.date, true);
+      centralView.setUint32(16, entry.crc, true);
+      centralView.setUint32(20, entry.data.length, true);
+      centralView.setUint32(24, entry.data.length, true);
+      centralView.setUint16(28, entry.name.length, true);
+      centralView.setUint32(42, offset, true);
+      central.set(entry.name, 46);
+
+      localParts.push(local, entry.data);
+      centralParts.push(central);
+      offset += local.length + entry.data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, this.entries.length, true);
+    endView.setUint16(10, this.entries.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, end];
+    const archive = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+    for (const part of parts) {
+      archive.set(part, position);
+      position += part.length;
+    }
+
+    return archive;
+  }
+
+  /**
+   * Compute the CRC-32 checksum used by ZIP entries
+   * @param {Uint8Array} data - Bytes to checksum
+   * @returns {number} - Unsigned 32-bit checksum
+   */
+  static crc32(data) {
+    if (!CRC32_TABLE) {
+      CRC32_TABLE = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        CRC32_TABLE[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Convert a Date to MS-DOS date/time fields
+   * @private
+   */
+  static _toDosDateTime(date) {
+    const year = Math.max(date.getUTCFullYear(), 1980);
+    return {
+      time:
+        (date.getUTCHours() << 11) |
+        (date.getUTCMinutes() << 5) |
+        Math.floor(date.getUTCSeconds() / 2),
+      date:
+        ((year - 1980) << 9) |
+        ((date.getUTCMonth() + 1) << 5) |
+        date.getUTCDate(),
+    };
+  }
+}
+
+/**
+ * Limits applied when reading uploaded archives
+ */
+const ZIP_READER_MAX_ENTRIES = 1000;
+const ZIP_READER_MAX_TOTAL_BYTES = 10 * 1024 * 1024;
+
+/**
+ * ZipArchiveReader - Reads files back out of an uploaded ZIP archive
+ * Handles STORE and DEFLATE entries, which covers archives written by
+ * ZipArchiveBuilder, `zip`, GitHub downloads and desktop archivers.
+ */
+class ZipArchiveReader {
+  /**
+   * @param {Uint8Array|ArrayBuffer} bytes - Archive contents
+   */
+  constructor(bytes) {
+    this.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    this.view = new DataView(
+      this.bytes.buffer,
+      this.bytes.byteOffset,
+      this.bytes.byteLength,
+    );
+  }
+
+  /**
+   * List the entries recorded in the central directory
+   * @returns {Array} - [{ path, method, compressedSize, size, dataOffset, isDirectory }]
+   */
+  entries() {
+    const view = this.view;
+    const eocd = this._findEndOfCentralDirectory();
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+
+    if (count > ZIP_READER_MAX_ENTRIES) {
+      throw new ValidationError(
+        `Archive has ${count} entries; at most ${ZIP_READER_MAX_ENTRIES} are supported`,
+        "archive",
+        count,
+      );
+    }
+
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== 0x02014b50) {
+        throw new ValidationError("Corrupt ZIP central directory", "archive", offset);
+      }
+
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const size = view.getUint32(offset + 24, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const path = decoder.decode(
+        this.bytes.subarray(offset + 46, offset + 46 + nameLength),
+      );
+
+      if (flags & 0x1) {
+        throw new ValidationError("Encrypted ZIP entries are not supported", "archive", path);
+      }
+      if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+        throw new ValidationError("ZIP64 archives are not supported", "archive", path);
+      }
+
+      // Local headers repeat the name but may carry a different extra field
+      const localNameLength = view.getUint16(localOffset + 26, true);
+      const localExtraLength = view.getUint16(localOffset + 28, true);
+
+      entries.push({
+        path: path.replace(/\\/g, "/"),
+        method,
+        compressedSize,
+        size,
+        dataOffset: localOffset + 30 + localNameLength + localExtraLength,
+        isDirectory: path.endsWith("/"),
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read every file as UTF-8 text
+   * @returns {Promise<Object>} - Map of path to content
+   */
+  async readTextFiles() {
+    const decoder = new TextDecoder();
+    const files = {};
+    let totalBytes = 0;
+
+    for (const entry of this.entries()) {
+      if (entry.isDirectory || entry.path.startsWith("__MACOSX/")) continue;
+
+      totalBytes += entry.size;
+      if (totalBytes > ZIP_READER_MAX_TOTAL_BYTES) {
+        throw new ValidationError(
+          `Archive expands to more than ${ZIP_READER_MAX_TOTAL_BYTES} bytes`,
+          "archive",
+          totalBytes,
+        );
+      }
+
+      files[entry.path] = decoder.decode(await this.readEntry(entry));
+    }
+
+    return files;
+  }
+
+  /**
+   * Extract the bytes of one entry
+   * @param {Object} entry - Entry from entries()
+   * @returns {Promise<Uint8Array>} - Uncompressed content
+   */
+  async readEntry(entry) {
+    const data = this.bytes.subarray(
+      entry.dataOffset,
+      entry.dataOffset + entry.compressedSize,
+    );
+
+    if (entry.method === 0) {
+      return data;
+    }
+
+    if (entry.method === 8) {
+      const stream = new Blob([data])
+        .stream()
+        .pipeThrough(new DecompressionStream("deflate-raw"));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    throw new ValidationError(
+      `Unsupported compression method ${entry.method} for ${entry.path}`,
+      "archive",
+      entry.method,
+    );
+  }
+
+  /**
+   * Locate the end of central directory record (it may be followed by a comment)
+   * @private
+   */
+  _findEndOfCentralDirectory() {
+    const view = this.view;
+    const lowest = Math.max(0, view.byteLength - 22 - 0xffff);
+
+    for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+      if (view.getUint32(offset, true) === 0x06054b50) {
+        return offset;
+      }
+    }
+
+    throw new ValidationError("Upload is not a ZIP archive", "archive", null);
+  }
+}
+
+// ============================================
+// CLAUDE CODE SETTINGS GENERATOR
+// ============================================
+
+/**
+ * Claude Code hook events and the tool_matcher field each one matches on
+ * Events without a matcherField ignore matchers entirely.
+ */
+const CLAUDE_HOOK_EVENTS = {
+  PreToolUse: { matcherField: "tool" },
+  PostToolUse: { matcherField: "tool" },
+  UserPromptSubmit: { matcherField: null },
+  Notification: { matcherField: null },
+  Stop: { matcherField: null },
+  SubagentStop: { matcherField: null },
+  PreCompact: { matcherField: "trigger", values: ["manual", "auto"] },
+  SessionStart: {
+    matcherField: "source",
+    values: ["startup", "resume", "clear", "compact"],
+  },
+  SessionEnd: { matcherField: null },
+};
+
+/**
+ * Check a hook event and its event-specific matcher configuration
+ * @param {string} hookType - Claude Code hook event
+ * @param {Object|string|null} toolMatcher - Stored or submitted tool_matcher
+ * @returns {Object} - { errors, warnings }
+ */
+function validateHookEventConfig(hookType, toolMatcher) {
+  const errors = [];
+  const warnings = [];
+  const event = CLAUDE_HOOK_EVENTS[hookType];
+
+  if (!event) {
+    errors.push(
+      `hook_type must be one of: ${Object.keys(CLAUDE_HOOK_EVENTS).join(", ")}`,
+    );
+    return { errors, warnings };
+  }
+
+  const matcher = ClaudeSettingsGenerator.parseToolMatcher(toolMatcher);
+  if (!matcher) {
+    return { errors, warnings };
+  }
+
+  if (!event.matcherField) {
+    warnings.push(`${hookType} hooks do not use a matcher; it will be ignored`);
+    return { errors, warnings };
+  }
+
+  if (event.values && typeof matcher === "object") {
+    const value = matcher[event.matcherField];
+    const values = Array.isArray(value) ? value : value ? [value] : [];
+    const invalid = values.filter((v) => !event.values.includes(v));
+
+    if (invalid.length > 0) {
+      errors.push(
+        `${hookType} ${event.matcherField} must be one of: ${event.values.join(", ")}`,
+      );
+    }
+
+    const unexpected = Object.keys(matcher).filter(
+      (key) => key !== event.matcherField,
+    );
+    if (unexpected.length > 0) {
+      warnings.push(
+        `${hookType} only matches on "${event.matcherField}"; ignoring ${unexpected.join(", ")}`,
+      );
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Claude Code's default hook timeout (seconds)
+ */
+const CLAUDE_DEFAULT_HOOK_TIMEOUT_SECONDS = 60;
+
+/**
+ * ClaudeSettingsGenerator - Builds .claude/settings.json in the official hooks schema
+ * Every export path goes through this class so the emitted settings stay identical:
+ * { hooks: { <Event>: [{ matcher, hooks: [{ type: "command", command, timeout }] }] } }
+ */
+class ClaudeSettingsGenerator {
+  constructor() {
+    this.warnings = [];
+  }
+
+  /**
+   * Generate settings, merging hooks into an optional base settings.json
+   * @param {Array} hooks - Rows from the hooks table
+   * @param {Object|string} baseSettings - Existing settings.json content to merge into
+   * @returns {Object} - Settings object ready to serialize
+   */
+  generate(hooks, baseSettings = null) {
+    const settings = ClaudeSettingsGenerator.parseBaseSettings(baseSettings);
+    const enabledHooks = (hooks || [])
+      .filter((hook) => hook && hook.is_enabled !== 0 && hook.is_enabled !== false)
+      .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+
+    if (enabledHooks.length === 0) {
+      return settings;
+    }
+
+    settings.hooks =
+      settings.hooks && typeof settings.hooks === "object" ? settings.hooks : {};
+
+    for (const hook of enabledHooks) {
+      const event = hook.hook_type;
+      const matcher = this.toMatcher(hook);
+      const entry = this.toHookEntry(hook);
+
+      if (!Array.isArray(settings.hooks[event])) {
+        settings.hooks[event] = [];
+      }
+
+      // Hooks sharing an event and matcher live in one matcher group
+      let group = settings.hooks[event].find(
+        (candidate) => (candidate.matcher ?? null) === (matcher ?? null),
+      );
+      if (!group) {
+        group = matcher === null ? { hooks: [] } : { matcher, hooks: [] };
+        settings.hooks[event].push(group);
+      }
+      if (!Array.isArray(group.hooks)) {
+        group.hooks = [];
+      }
+
+      // Don't duplicate commands already present in the base settings
+      if (!group.hooks.some((existing) => existing.command === entry.command)) {
+        group.hooks.push(entry);
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Convert a stored tool_matcher into a Claude Code matcher string
+   * @param {Object} hook - Hook row
+   * @returns {string|null} - Matcher, or null to match every occurrence of the event
+   */
+  toMatcher(hook) {
+    const event = CLAUDE_HOOK_EVENTS[hook.hook_type];
+    if (!event || !event.matcherField) {
+      return null;
+    }
+
+    const toolMatcher = ClaudeSettingsGenerator.parseToolMatcher(hook.tool_matcher);
+    const fallback = event.matcherField === "tool" ? "*" : null;
+    if (!toolMatcher) {
+      return fallback;
+    }
+
+    if (typeof toolMatcher === "string") {
+      return toolMatcher.trim() || fallback;
+    }
+
+    // SessionStart matches on source, PreCompact on trigger
+    if (event.matcherField !== "tool") {
+      const value = toolMatcher[event.matcherField];
+      const values = Array.isArray(value) ? value : value ? [value] : [];
+      return values.length > 0 ? values.join("|") : null;
+    }
+
+    const tools = Array.isArray(toolMatcher.tool)
+      ? toolMatcher.tool
+      : toolMatcher.tool
+        ? [toolMatcher.tool]
+        : [];
+
+    // Claude Code matches tool names only; file/command patterns need the hook itself
+    if (toolMatcher.pattern) {
+      this.warnings.push(
+        `Hook "${hook.name}": pattern "${toolMatcher.pattern}" cannot be expressed as a matcher and must be checked by the command`,
+      );
+    }
+
+    return tools.length > 0 ? tools.join("|") : "*";
+  }
+
+  /**
+   * Convert a hook row into a command hook entry
+   * @param {Object} hook - Hook row
+   * @returns {Object} - { type: "command", command, timeout }
+   */
+  toHookEntry(hook) {
+    let command = hook.command;
+
+    // settings.json has no working directory field, so change into it first
+    if (hook.working_directory) {
+      const directory = hook.working_directory.replace(/^\.?\/+/, "");
+      command = `cd "$CLAUDE_PROJECT_DIR/${directory}" && ${command}`;
+    }
+
+    return {
+      type: "command",
+      command,
+      timeout: hook.timeout_ms
+        ? Math.max(1, Math.ceil(hook.timeout_ms / 1000))
+        : CLAUDE_DEFAULT_HOOK_TIMEOUT_SECONDS,
+    };
+  }
+
+  /**
+   * Parse a stored tool_matcher (JSON object, JSON string or plain matcher)
+   * @param {Object|string|null} toolMatcher - Stored value
+   * @returns {Object|string|null} - Parsed matcher
+   */
+  static parseToolMatcher(toolMatcher) {
+    if (!toolMatcher) return null;
+    if (typeof toolMatcher !== "string") return toolMatcher;
+
+    try {
+      return JSON.parse(toolMatcher);
+    } catch (error) {
+      return toolMatcher;
+    }
+  }
+
+  /**
+   * Parse a user-supplied base settings.json
+   * @param {Object|string|null} baseSettings - Settings object or JSON text
+   * @returns {Object} - A deep copy safe to mutate
+   */
+  static parseBaseSettings(baseSettings) {
+    if (!baseSettings) return {};
+
+    let parsed = baseSettings;
+    if (typeof baseSettings === "string") {
+      try {
+        parsed = JSON.parse(baseSettings);
+      } catch {
+        throw new ValidationError(
+          "Base settings must be valid JSON",
+          "baseSettings",
+          baseSettings,
+        );
+      }
+    }
+
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new ValidationError(
+        "Base settings must be a JSON object",
+        "baseSettings",
+        baseSettings,
+      );
+    }
+
+    // Hook groups and entries are merged into, so they must be objects
+    const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+    for (const [event, groups] of Object.entries(isObject(parsed.hooks) ? parsed.hooks : {})) {
+      if (!Array.isArray(groups)) continue;
+      for (const group of groups) {
+        if (!isObject(group) || (Array.isArray(group.hooks) && !group.hooks.every(isObject))) {
+          throw new ValidationError(
+            `Base settings hooks.${event} must contain matcher groups whose hooks are objects`,
+            "baseSettings",
+            group,
+          );
+        }
+      }
+    }
+
+    return JSON.parse(JSON.stringify(parsed));
+  }
+}
+
+// ============================================
+// HOOK DRY-RUN SIMULATOR
+// ============================================
+
+/**
+ * What each exit code means for a hook, per event
+ * Exit code 0 is success and any code other than 0 or 2 is a non-blocking error
+ * for every event; exit code 2 is where the events differ.
+ */
+const CLAUDE_HOOK_EXIT_CODE_2 = {
+  PreToolUse: "Blocks the tool call; stderr is shown to Claude",
+  PostToolUse: "Tool already ran; stderr is shown to Claude",
+  UserPromptSubmit: "Blocks the prompt and erases it; stderr is shown to the user",
+  Notification: "Not blocking; stderr is shown to the user",
+  Stop: "Prevents Claude from stopping; stderr is shown to Claude",
+  SubagentStop: "Prevents the subagent from stopping; stderr is shown to the subagent",
+  PreCompact: "Not blocking; stderr is shown to the user",
+  SessionStart: "Not blocking; stderr is shown to the user",
+  SessionEnd: "Not blocking; stderr is shown to the user",
+};
+
+/**
+ * Events whose stdout on exit code 0 is added to Claude's context
+ */
+const CLAUDE_CONTEXT_HOOK_EVENTS = ["UserPromptSubmit", "SessionStart"];
+
+/**
+ * Environment variables Claude Code sets for every hook command
+ */
+const CLAUDE_HOOK_ENVIRONMENT = ["CLAUDE_PROJECT_DIR"];
+
+/**
+ * HookDryRunSimulator - Evaluates a hook against a sample event payload
+ * Nothing is executed: the simulator reports whether the matcher fires, the
+ * command and environment Claude Code would use, and how exit codes are treated.
+ */
+class HookDryRunSimulator {
+  constructor() {
+    this.settingsGenerator = new ClaudeSettingsGenerator();
+  }
+
+  /**
+   * Simulate a hook invocation
+   * @param {Object} hook - Hook row
+   * @param {Object} input - Sample payload (hook input JSON or tool_name/tool_input/file_path shorthand)
+   * @returns {Object} - { result, logs }
+   */
+  simulate(hook, input = {}) {
+    const logs = [];
+    const payload = this.buildPayload(hook, input);
+    const event = hook.hook_type;
+
+    logs.push(`Simulating ${event} hook "${hook.name}" (dry run, command not executed)`);
+
+    // Matcher evaluation
+    const matcher = this.settingsGenerator.toMatcher(hook);
+    const matcherField = CLAUDE_HOOK_EVENTS[event]?.matcherField || null;
+    const subject =
+      matcherField === "tool"
+        ? payload.tool_name
+        : matcherField
+          ? payload[matcherField]
+          : null;
+    const matcherResult = {
+      matcher,
+      field: matcherField,
+      subject: subject ?? null,
+      fires: this.matches(matcher, subject),
+    };
+
+    if (payload.hook_event_name !== event) {
+      matcherResult.fires = false;
+      logs.push(
+        `Payload is a ${payload.hook_event_name} event; this hook only runs on ${event}`,
+      );
+    } else if (matcher === null) {
+      logs.push(`${event} hooks run on every event (no matcher)`);
+    } else {
+      logs.push(
+        `Matcher "${matcher}" ${matcherResult.fires ? "matches" : "does not match"} ${matcherField} "${subject ?? ""}"`,
+      );
+    }
+
+    // File/command patterns are stored but Claude Code cannot enforce them
+    const toolMatcher = ClaudeSettingsGenerator.parseToolMatcher(hook.tool_matcher);
+    let patternResult = null;
+    if (toolMatcher && typeof toolMatcher === "object" && toolMatcher.pattern) {
+      const target =
+        payload.tool_input?.file_path ||
+        payload.tool_input?.notebook_path ||
+        payload.tool_input?.command ||
+        null;
+      patternResult = {
+        pattern: toolMatcher.pattern,
+        subject: target,
+        matches: target ? this.matchesGlob(toolMatcher.pattern, target) : false,
+        enforcedByClaudeCode: false,
+      };
+      logs.push(
+        `Pattern "${toolMatcher.pattern}" ${patternResult.matches ? "matches" : "does not match"} "${target ?? ""}", but settings.json cannot express it; the command must filter itself`,
+      );
+    }
+
+    // Command and environment expansion
+    const entry = this.settingsGenerator.toHookEntry(hook);
+    const environment = {
+      CLAUDE_PROJECT_DIR: payload.cwd,
+    };
+    const { expanded, unresolved } = this.expandCommand(entry.command, environment);
+
+    for (const name of unresolved) {
+      logs.push(
+        `$${name} is not set by Claude Code; read the event JSON from stdin instead`,
+      );
+    }
+
+    const wouldRun = matcherResult.fires;
+    logs.push(
+      wouldRun
+        ? `Would run: ${expanded} (timeout ${entry.timeout}s)`
+        : "Hook would not run for this payload",
+    );
+
+    return {
+      result: {
+        hook: { id: hook.id, name: hook.name, hook_type: event },
+        executed: false,
+        wouldRun,
+        matcher: matcherResult,
+        pattern: patternResult,
+        command: {
+          configured: hook.command,
+          expanded,
+          timeout: entry.timeout,
+          workingDirectory: hook.working_directory || null,
+        },
+        environment,
+        unresolvedVariables: unresolved,
+        stdin: payload,
+        exitCodes: {
+          0: CLAUDE_CONTEXT_HOOK_EVENTS.includes(event)
+            ? "Success; stdout is added to Claude's context"
+            : "Success; stdout is shown in transcript mode",
+          2:
+            CLAUDE_HOOK_EXIT_CODE_2[event] ||
+            "Blocking error; stderr is shown to Claude",
+          other: "Non-blocking error; stderr is shown to the user and execution continues",
+        },
+      },
+      logs,
+    };
+  }
+
+  /**
+   * Normalize a sample payload into the JSON Claude Code sends on stdin
+   * @param {Object} hook - Hook row
+   * @param {Object} input - Sample payload or shorthand fields
+   * @returns {Object} - Hook input JSON
+   * @throws {ValidationError} When tool_input or a path or command field has the wrong type
+   */
+  buildPayload(hook, input = {}) {
+    const toolInput = input.tool_input;
+    if (toolInput != null && (typeof toolInput !== "object" || Array.isArray(toolInput))) {
+      throw new ValidationError("tool_input must be an object", "tool_input", toolInput);
+    }
+    for (const [field, value] of [
+      ["tool_name", input.tool_name],
+      ["file_path", input.file_path],
+      ["command", input.command],
+      ["tool_input.file_path", toolInput?.file_path],
+      ["tool_input.notebook_path", toolInput?.notebook_path],
+      ["tool_input.command", toolInput?.command],
+    ]) {
+      if (value != null && typeof value !== "string") {
+        throw new ValidationError(`${field} must be a string`, field, value);
+      }
+    }
+
+    const event = input.hook_event_name || input.event || hook.hook_type;
+    const payload = {
+      session_id: input.session_id || "dry-run-session",
+      transcript_path:
+        input.transcript_path || "~/.claude/projects/dry-run/transcript.jsonl",
+      cwd: input.cwd || "/path/to/project",
+      hook_event_name: event,
+    };
+
+    if (CLAUDE_HOOK_EVENTS[event]?.matcherField === "tool") {
+      const toolMatcher = ClaudeSettingsGenerator.parseToolMatcher(hook.tool_matcher);
+      const defaultTool =
+        (typeof toolMatcher === "object" && [].concat(toolMatcher?.tool || [])[0]) ||
+        "Write";
+      payload.tool_name = input.tool_name || input.tool || defaultTool;
+      payload.tool_input = { ...(input.tool_input || {}) };
+
+      if (input.file_path) {
+        payload.tool_input.file_path = input.file_path;
+      }
+      if (input.command && payload.tool_name === "Bash") {
+        payload.tool_input.command = input.command;
+      }
+      if (Object.keys(payload.tool_input).length === 0) {
+        payload.tool_input =
+          payload.tool_name === "Bash"
+            ? { command: "npm test" }
+            : { file_path: `${payload.cwd}/src/index.ts` };
+      }
+      if (event === "PostToolUse") {
+        payload.tool_response = input.tool_response || { success: true };
+      }
+    } else if (event === "UserPromptSubmit") {
+      payload.prompt = input.prompt || "Sample prompt";
+    } else if (event === "SessionStart") {
+      payload.source = input.source || "startup";
+    } else if (event === "PreCompact") {
+      payload.trigger = input.trigger || "manual";
+      payload.custom_instructions = input.custom_instructions || "";
+    } else if (event === "SessionEnd") {
+      payload.reason = input.reason || "other";
+    } else if (event === "Notification") {
+      payload.message = input.message || "Claude needs your permission to use Bash";
+    } else if (event === "Stop" || event === "SubagentStop") {
+      payload.stop_hook_active = Boolean(input.stop_hook_active);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Check a Claude Code matcher against a tool name, source or trigger
+   * @param {string|null} matcher - Matcher string (regex, exact name, "*" or null)
+   * @param {string|null} subject - Value being matched
+   * @returns {boolean} - Whether the hook fires
+   */
+  matches(matcher, subject) {
+    if (matcher === null || matcher === "" || matcher === "*") {
+      return true;
+    }
+    if (!subject) {
+      return false;
+    }
+
+    try {
+      return new RegExp(`^(?:${matcher})$`).test(subject);
+    } catch (error) {
+      return matcher === subject;
+    }
+  }
+
+  /**
+   * Match a glob such as "*.{ts,tsx}" or "git commit*" against a path or command
+   * Patterns without a slash are compared with the file name only.
+   * @param {string} pattern - Glob pattern
+   * @param {string} subject - File path or command
+   * @returns {boolean} - Whether the glob matches
+   */
+  matchesGlob(pattern, subject) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === "*" && pattern[i + 1] === "*") {
+        source += ".*";
+        i++;
+      } else if (char === "*") {
+        source += pattern.includes("/") ? "[^/]*" : ".*";
+      } else if (char === "?") {
+        source += ".";
+      } else if (char === "{") {
+        source += "(?:";
+      } else if (char === "}") {
+        source += ")";
+      } else if (char === "," && source.lastIndexOf("(?:") > source.lastIndexOf(")")) {
+        source += "|";
+      } else {
+        source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+      }
+    }
+
+    const regex = new RegExp(`^${source}$`);
+    const isPath = !/\s/.test(subject);
+    const name = isPath && !pattern.includes("/") ? subject.split("/").pop() : subject;
+    return regex.test(name);
+  }
+
+  /**
+   * Expand $VAR and ${VAR} references using the hook environment
+   * @param {string} command - Command as written to settings.json
+   * @param {Object} environment - Variables Claude Code provides
+   * @returns {Object} - { expanded, unresolved }
+   */
+  expandCommand(command, environment) {
+    const unresolved = new Set();
+    const expanded = command.replace(
+      /\$\{([A-Za-z_][A-Za-z0-9_]*)\}|\$([A-Za-z_][A-Za-z0-9_]*)/g,
+      (match, braced, bare) => {
+        const name = braced || bare;
+        if (environment[name] !== undefined) {
+          return environment[name];
+        }
+        if (name.startsWith("CLAUDE_") && !CLAUDE_HOOK_ENVIRONMENT.includes(name)) {
+          unresolved.add(name);
+        }
+        return match;
+      },
+    );
+
+    return { expanded, unresolved: [...unresolved] };
+  }
+}
+
+// ============================================
+// HOOK COMMAND SAFETY ANALYZER
+// ============================================
+
+/**
+ * Hook safety severities, lowest first
+ */
+const HOOK_SAFETY_SEVERITIES = ["info", "low", "medium", "high", "critical"];
+
+/**
+ * Commands that reach the network
+ */
+const HOOK_NETWORK_COMMANDS = [
+  "curl",
+  "wget",
+  "nc",
+  "ncat",
+  "ssh",
+  "scp",
+  "sftp",
+  "rsync",
+  "ftp",
+  "telnet",
+];
+
+/**
+ * Hook timeout above which Claude Code can stall for a long time (milliseconds)
+ */
+const HOOK_LONG_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * HookSafetyAnalyzer - Static analysis of hook commands before they reach settings.json
+ * Commands are tokenized as a POSIX shell would (quotes, pipes, redirects) and
+ * checked against rules that each report a severity.
+ */
+class HookSafetyAnalyzer {
+  /**
+   * Analyze a single hook
+   * @param {Object} hook - Hook row (command, hook_type, timeout_ms, ...)
+   * @returns {Object} - { hookId, hookName, hookType, severity, findings }
+   */
+  analyze(hook) {
+    const command = hook.command || "";
+    const segments = this._unwrapScripts(HookSafetyAnalyzer.parse(command));
+    const findings = [
+      ...this._checkDestructiveCommands(segments, command),
+      ...this._checkRemoteExecution(command),
+      ...this._checkWritesOutsideProject(segments),
+      ...this._checkUnquotedPathVariables(command),
+      ...this._checkTimeout(hook, segments),
+      ...this._checkNetworkCalls(hook, segments, command),
+    ];
+
+    findings.sort(
+      (a, b) =>
+        HOOK_SAFETY_SEVERITIES.indexOf(b.severity) -
+        HOOK_SAFETY_SEVERITIES.indexOf(a.severity),
+    );
+
+    return {
+      hookId: hook.id || null,
+      hookName: hook.name || null,
+      hookType: hook.hook_type || null,
+      severity: findings.length > 0 ? findings[0].severity : null,
+      findings,
+    };
+  }
+
+  /**
+   * Analyze a set of hooks and summarize findings by severity
+   * @param {Array} hooks - Hook rows
+   * @param {string|null} blockSeverity - Severity at which export is blocked
+   * @returns {Object} - { hooks, summary, highestSeverity, blocked, blockSeverity }
+   */
+  analyzeAll(hooks, blockSeverity = null) {
+    const results = (hooks || []).map((hook) => this.analyze(hook));
+    const summary = Object.fromEntries(
+      HOOK_SAFETY_SEVERITIES.map((severity) => [severity, 0]),
+    );
+
+    let highestSeverity = null;
+    for (const result of results) {
+      for (const finding of result.findings) {
+        summary[finding.severity]++;
+      }
+      if (
+        result.severity &&
+        HookSafetyAnalyzer.meetsSeverity(result.severity, highestSeverity || "info")
+      ) {
+        highestSeverity = result.severity;
+      }
+    }
+
+    return {
+      hooks: results.filter((result) => result.findings.length > 0),
+      summary,
+      highestSeverity,
+      blockSeverity,
+      blocked: Boolean(
+        blockSeverity &&
+          highestSeverity &&
+          HookSafetyAnalyzer.meetsSeverity(highestSeverity, blockSeverity),
+      ),
+    };
+  }
+
+  /**
+   * Whether a severity is at or above a threshold
+   * @param {string} severity - Finding severity
+   * @param {string} threshold - Threshold severity
+   * @returns {boolean}
+   */
+  static meetsSeverity(severity, threshold) {
+    return (
+      HOOK_SAFETY_SEVERITIES.indexOf(severity) >=
+      HOOK_SAFETY_SEVERITIES.indexOf(threshold)
+    );
+  }
+
+  /**
+   * Validate a user-supplied block threshold
+   * @param {string|null} blockSeverity - Requested threshold
+   * @returns {string|null} - The threshold, or null when not set
+   */
+  static parseBlockSeverity(blockSeverity) {
+    if (!blockSeverity) return null;
+
+    if (!HOOK_SAFETY_SEVERITIES.includes(blockSeverity)) {
+      throw new ValidationError(
+        `Block severity must be one of: ${HOOK_SAFETY_SEVERITIES.join(", ")}`,
+        "blockHookSeverity",
+        blockSeverity,
+      );
+    }
+
+    return blockSeverity;
+  }
+
+  /**
+   * Split a command into simple commands with their words and redirects
+   * Quoted text stays in one word; `$(...)` bodies are not descended into.
+   * @param {string} command - Shell command
+   * @returns {Array} - [{ words, redirects: [{ op, target }], pipedFrom }]
+   */
+  static parse(command) {
+    const segments = [];
+    let segment = { words: [], redirects: [], pipedFrom: false };
+    let word = null;
+    let quote = null;
+    let pendingRedirect = null;
+
+    const endWord = () => {
+      if (word === null) return;
+      if (pendingRedirect) {
+        segment.redirects.push({ op: pendingRedirect, target: word });
+        pendingRedirect = null;
+      } else {
+        segment.words.push(word);
+      }
+      word = null;
+    };
+    const endSegment = (piped) => {
+      endWord();
+      pendingRedirect = null;
+      if (segment.words.length > 0 || segment.redirects.length > 0) {
+        segments.push(segment);
+      }
+      segment = { words: [], redirects: [], pipedFrom: piped };
+    };
+
+    for (let i = 0; i < command.length; i++) {
+      const char = command[i];
+      const next = command[i + 1];
+
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        } else if (char === "\\" && quote === '"' && next !== undefined) {
+          word += next;
+          i++;
+        } else {
+          word += char;
+        }
+        continue;
+      }
+
+      if (char === "'" || char === '"') {
+        word = word ?? "";
+        quote = char;
+      } else if (char === "\\" && next !== undefined) {
+        word = (word ?? "") + next;
+        i++;
+      } else if (char === "#" && word === null) {
+        // Comment to end of line
+        while (i + 1 < command.length && command[i + 1] !== "\n") i++;
+      } else if (char === " " || char === "\t") {
+        endWord();
+      } else if (char === ";" || char === "\n" || char === "(" || char === ")") {
+        endSegment(false);
+      } else if (char === "&" && next === "&") {
+        endSegment(false);
+        i++;
+      } else if (char === "|" && next === "|") {
+        endSegment(false);
+        i++;
+      } else if (char === "|") {
+        endSegment(true);
+      } else if (char === "&" && next === ">") {
+        endWord();
+        pendingRedirect = command[i + 2] === ">" ? "&>>" : "&>";
+        i += pendingRedirect.length - 1;
+      } else if (char === "&") {
+        endSegment(false);
+      } else if (char === ">") {
+        // A bare file descriptor number before > belongs to the redirect
+        if (word !== null && /^\d+$/.test(word)) word = null;
+        endWord();
+        pendingRedirect = next === ">" ? ">>" : ">";
+        if (next === ">") i++;
+        if (command[i + 1] === "&") {
+          // Duplicating a descriptor (2>&1) writes nowhere new
+          pendingRedirect = null;
+          i++;
+          while (i + 1 < command.length && /[\d-]/.test(command[i + 1])) i++;
+        }
+      } else if (char === "<") {
+        endWord();
+        pendingRedirect = "<";
+      } else {
+        word = (word ?? "") + char;
+      }
+    }
+    endSegment(false);
+
+    return segments.map((s) => ({
+      ...s,
+      redirects: s.redirects.filter((r) => r.op !== "<"),
+    }));
+  }
+
+  /**
+   * Add the commands of `sh -c "..."` and `eval ...` scripts to a command's segments
+   * @private
+   */
+  _unwrapScripts(segments, depth = 0) {
+    const unwrapped = [];
+    for (const segment of segments) {
+      unwrapped.push(segment);
+      if (depth >= 3) continue;
+
+      const { name, args } = this._commandName(segment);
+      let script = null;
+      if (name === "eval") {
+        script = args.join(" ");
+      } else if (["sh", "bash", "zsh", "dash", "ksh"].includes(name)) {
+        // -c may be combined with other flags, as in bash -lc or sh -ec
+        const flag = args.findIndex((arg) => /^-[a-zA-Z]*c[a-zA-Z]*$/.test(arg));
+        script = flag !== -1 ? args[flag + 1] ?? null : null;
+      }
+
+      if (script) {
+        unwrapped.push(...this._unwrapScripts(HookSafetyAnalyzer.parse(script), depth + 1));
+      }
+    }
+    return unwrapped;
+  }
+
+  /**
+   * The command name of a segment, skipping sudo/env prefixes and assignments
+   * @private
+   */
+  _commandName(segment) {
+    const words = segment.words;
+    let index = 0;
+    while (
+      index < words.length &&
+      (/^[A-Za-z_][A-Za-z0-9_]*=/.test(words[index]) ||
+        ["sudo", "doas", "env", "command", "exec", "nohup", "time"].includes(
+          words[index],
+        ))
+    ) {
+      index++;
+    }
+    return {
+      name: (words[index] || "").split("/").pop(),
+      args: words.slice(index + 1),
+      prefix: words.slice(0, index),
+    };
+  }
+
+  /**
+   * Classify a path a hook writes to or deletes
+   * @private
+   * @returns {string} - "device", "project", "temp" or "outside"
+   */
+  _classifyPath(target) {
+    if (/^\/dev\/(null|stdout|stderr|tty)$/.test(target)) return "device";
+    if (/^\$\{?CLAUDE_PROJECT_DIR\}?(\/|$)/.test(target)) {
+      return target.includes("..") ? "outside" : "project";
+    }
+    if (/^(\/tmp\/|\/var\/tmp\/|\$\{?TMPDIR\}?)/.test(target)) return "temp";
+    if (/^(\/|~|\$\{?HOME\}?)/.test(target)) return "outside";
+    if (/(^|\/)\.\.(\/|$)/.test(target)) return "outside";
+    return "project";
+  }
+
+  /**
+   * rm -rf, privilege escalation and Windows format/del /s
+   * @private
+   */
+  _checkDestructiveCommands(segments, command) {
+    const findings = [];
+
+    for (const segment of segments) {
+      const { name, args, prefix } = this._commandName(segment);
+      const escalation = prefix.find((w) => ["sudo", "doas"].includes(w));
+
+      if (escalation) {
+        findings.push({
+          rule: "privilege-escalation",
+          severity: "high",
+          message: `Hook runs "${name}" with ${escalation}`,
+          suggestion: "Hooks run unattended; never escalate privileges from a hook",
+        });
+      }
+
+      if (name !== "rm") continue;
+
+      const flags = args.filter((a) => a.startsWith("-")).join(" ");
+      const recursive = /(^|\s)-[a-zA-Z]*[rR]|--recursive/.test(flags);
+      const force = /(^|\s)-[a-zA-Z]*f|--force/.test(flags);
+      if (!recursive || !force) continue;
+
+      const targets = args.filter((a) => !a.startsWith("-"));
+      // Whole trees, paths outside the project, and variables that may be empty
+      const sweeping = targets.find(
+        (t) =>
+          ["/", "/*", "~", "~/", "*", ".", "..", "./*"].includes(t) ||
+          /^\$\{?CLAUDE_PROJECT_DIR\}?\/?\*?$/.test(t) ||
+          this._classifyPath(t) === "outside" ||
+          /^\$\{?(?!CLAUDE_PROJECT_DIR\b)[A-Za-z_][A-Za-z0-9_]*\}?(\/|$)/.test(t),
+      );
+
+      findings.push({
+        rule: "recursive-delete",
+        severity: sweeping ? "critical" : "high",
+        message: sweeping
+          ? `rm -rf on "${sweeping}" can delete files outside the intended directory`
+          : `rm -rf deletes ${targets.join(", ") || "files"} without confirmation`,
+        suggestion:
+          "Delete specific paths under $CLAUDE_PROJECT_DIR, or move files aside instead of removing them",
+      });
+    }
+
+    if (/\bformat\s+[a-z]:/i.test(command) || /\b(del|rd|rmdir)\s+\/s\b/i.test(command)) {
+      findings.push({
+        rule: "recursive-delete",
+        severity: "critical",
+        message: "Hook formats a drive or recursively deletes with del/rd /s",
+        suggestion: "Remove the destructive command from the hook",
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * curl | sh and friends
+   * @private
+   */
+  _checkRemoteExecution(command) {
+    const fetch = "(?:curl|wget)\\b";
+    const shell = "(?:sudo\\s+)?(?:ba|z|da|k|fi)?sh|python3?|node|perl|ruby";
+    const patterns = [
+      new RegExp(`\\b${fetch}[^|;&\\n]*\\|\\s*(?:${shell})\\b`),
+      new RegExp(`(?:${shell})\\s+(?:-c\\s+)?["']?\\$\\(\\s*${fetch}`),
+      new RegExp(`(?:${shell}|source|\\.)\\s+<\\(\\s*${fetch}`),
+    ];
+
+    if (!patterns.some((pattern) => pattern.test(command))) {
+      return [];
+    }
+
+    return [
+      {
+        rule: "remote-script-execution",
+        severity: "critical",
+        message: "Hook downloads a script and executes it",
+        suggestion:
+          "Commit the script to the repository and run it from $CLAUDE_PROJECT_DIR",
+      },
+    ];
+  }
+
+  /**
+   * Redirects, tee, cp and mv that write outside the project
+   * @private
+   */
+  _checkWritesOutsideProject(segments) {
+    const findings = [];
+    const targets = [];
+
+    for (const segment of segments) {
+      targets.push(...segment.redirects.map((r) => r.target));
+
+      const { name, args } = this._commandName(segment);
+      const paths = args.filter((a) => !a.startsWith("-"));
+      if (name === "tee") {
+        targets.push(...paths);
+      } else if (["cp", "mv", "ln", "install"].includes(name) && paths.length > 1) {
+        targets.push(paths[paths.length - 1]);
+      } else if (["touch", "mkdir"].includes(name)) {
+        targets.push(...paths);
+      }
+    }
+
+    for (const target of [...new Set(targets)]) {
+      const location = this._classifyPath(target);
+      if (location === "outside") {
+        findings.push({
+          rule: "write-outside-project",
+          severity: "high",
+          message: `Hook writes to "${target}", outside the project`,
+          suggestion: 'Write under "$CLAUDE_PROJECT_DIR" instead',
+        });
+      } else if (location === "temp") {
+        findings.push({
+          rule: "write-outside-project",
+          severity: "low",
+          message: `Hook writes to the temporary path "${target}"`,
+          suggestion: "Use mktemp so concurrent sessions do not collide",
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * $CLAUDE_FILE_PATHS and other path variables used outside double quotes
+   * @private
+   */
+  _checkUnquotedPathVariables(command) {
+    const unquoted = new Set();
+    let quote = null;
+
+    for (let i = 0; i < command.length; i++) {
+      const char = command[i];
+      if (quote) {
+        if (char === quote) quote = null;
+        else if (char === "\\" && quote === '"') i++;
+        continue;
+      }
+      if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === "\\") {
+        i++;
+      } else if (char === "$") {
+        const match = /^\{?(CLAUDE_[A-Z_]+)\}?/.exec(command.slice(i + 1));
+        if (match) unquoted.add(match[1]);
+      }
+    }
+
+    return [...unquoted].map((variable) => ({
+      rule: "unquoted-path-variable",
+      severity: "medium",
+      message: `$${variable} is not quoted; paths with spaces or glob characters will be split`,
+      suggestion: `Wrap it in double quotes: "$${variable}"`,
+    }));
+  }
+
+  /**
+   * Missing, excessive or ineffective timeouts
+   * @private
+   */
+  _checkTimeout(hook, segments) {
+    const findings = [];
+    const timeout = hook.timeout_ms;
+
+    if (!timeout) {
+      findings.push({
+        rule: "missing-timeout",
+        severity: "low",
+        message: `No timeout set; Claude Code falls back to ${CLAUDE_DEFAULT_HOOK_TIMEOUT_SECONDS} seconds`,
+        suggestion: "Set an explicit timeout that matches how long the command should take",
+      });
+    } else if (timeout > HOOK_LONG_TIMEOUT_MS) {
+      findings.push({
+        rule: "missing-timeout",
+        severity: "low",
+        message: `Timeout of ${Math.round(timeout / 1000)} seconds can stall Claude Code for a long time`,
+        suggestion: "Keep hook timeouts under 10 minutes",
+      });
+    }
+
+    const longRunning = segments.find((segment) => {
+      const { name, args } = this._commandName(segment);
+      return (
+        args.some((a) => /^--watch(=|$)/.test(a)) ||
+        (name === "tail" && args.some((a) => /^-[a-zA-Z]*[fF]/.test(a))) ||
+        ["watch", "nodemon"].includes(name) ||
+        (["npm", "yarn", "pnpm", "bun"].includes(name) &&
+          ["start", "dev", "serve"].includes(args[args[0] === "run" ? 1 : 0]))
+      );
+    });
+
+    if (longRunning) {
+      findings.push({
+        rule: "missing-timeout",
+        severity: "medium",
+        message: `"${longRunning.words.join(" ")}" does not exit on its own and will run until the hook times out`,
+        suggestion: "Run a one-shot command instead of a watcher or server",
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Network access from PreToolUse hooks, which block every matching tool call
+   * @private
+   */
+  _checkNetworkCalls(hook, segments, command) {
+    if (hook.hook_type !== "PreToolUse") return [];
+
+    const calls = new Set();
+    for (const segment of segments) {
+      const { name, args } = this._commandName(segment);
+      if (HOOK_NETWORK_COMMANDS.includes(name)) {
+        calls.add(name);
+      } else if (
+        name === "git" &&
+        ["fetch", "pull", "push", "clone"].includes(args[0])
+      ) {
+        calls.add(`git ${args[0]}`);
+      } else if (
+        ["npm", "pnpm", "yarn"].includes(name) &&
+        ["install", "i", "add", "publish"].includes(args[0])
+      ) {
+        calls.add(`${name} ${args[0]}`);
+      }
+    }
+    if (calls.size === 0 && /https?:\/\//.test(command)) {
+      calls.add("a URL");
+    }
+
+    if (calls.size === 0) return [];
+
+    return [
+      {
+        rule: "network-in-pre-tool-use",
+        severity: "medium",
+        message: `PreToolUse hook calls ${[...calls].join(", ")}; every matching tool call waits on the network and its input may leave the machine`,
+        suggestion: "Move network calls to a PostToolUse or Stop hook, or cache results locally",
+      },
+    ];
+  }
+}
+
+// ============================================
+// TOKEN BUDGET ANALYZER
+// ============================================
+
+/**
+ * Default budget for the memory Claude Code loads at session start, in tokens
+ */
+const CLAUDE_MEMORY_TOKEN_BUDGET = 5000;
+
+/**
+ * Exported files Claude Code reads at the start of every session
+ */
+const CLAUDE_MEMORY_FILES = ["CLAUDE.md", ".claude/rules.md"];
+
+/**
+ * Pieces the token estimate counts separately: words, digit groups, newline
+ * runs, space runs, runs of one punctuation character and anything else
+ */
+const TOKEN_ESTIMATE_PATTERN =
+  /[A-Za-z]+|\d{1,3}|\n+|[ \t]+|([!-/:-@[-`{-~])\1*|[^]/gu;
+
+/**
+ * TokenBudgetAnalyzer - Estimates how much of the context window exported files use
+ *
+ * Counts approximate a BPE tokenizer locally: short words are one token and
+ * longer ones one per six letters, digits go three to a token, a single space
+ * merges into the next word, and other characters are a token each. Estimates
+ * land within roughly 15% of real counts for English Markdown.
+ */
+class TokenBudgetAnalyzer {
+  /**
+   * @param {number} budget - Memory budget in tokens
+   */
+  constructor(budget = CLAUDE_MEMORY_TOKEN_BUDGET) {
+    this.budget = budget;
+  }
+
+  /**
+   * Estimate the token count of a text
+   * @param {string} text - Text to measure
+   * @returns {number} - Estimated tokens
+   */
+  static estimateTokens(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    for (const [piece, punctuation] of String(text).matchAll(
+      TOKEN_ESTIMATE_PATTERN,
+    )) {
+      if (/^[A-Za-z]/.test(piece)) {
+        tokens += Math.ceil(piece.length / 6);
+      } else if (punctuation) {
+        tokens += Math.ceil(piece.length / 4);
+      } else if (piece === " " || piece === "\t") {
+        continue;
+      } else {
+        tokens++;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Split Markdown into `#` and `##` sections with their token counts
+   * Headings inside fenced code blocks do not start a section.
+   * @param {string} content - Markdown content
+   * @returns {Array} - [{ heading, level, tokens }]; text before the first
+   *   heading has a null heading
+   */
+  static sections(content) {
+    const sections = [];
+    let current = { heading: null, level: 0, lines: [] };
+    let fence = null;
+
+    for (const line of String(content || "").split("\n")) {
+      const fenceMatch = line.match(/^\s*(```|~~~)/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1];
+        else if (fence === fenceMatch[1]) fence = null;
+      }
+
+      const heading = fence ? null : line.match(/^(#{1,2})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        sections.push(current);
+        current = { heading: heading[2], level: heading[1].length, lines: [] };
+      }
+      current.lines.push(line);
+    }
+    sections.push(current);
+
+    return sections
+      .filter((section) => section.heading || section.lines.join("").trim())
+      .map(({ heading, level, lines }) => ({
+        heading,
+        level,
+        tokens: TokenBudgetAnalyzer.estimateTokens(lines.join("\n")),
+      }));
+  }
+
+  /**
+   * Validate a requested memory budget
+   * @param {*} budget - Budget from a request; empty means the default
+   * @returns {number} - Budget in tokens
+   */
+  static parseBudget(budget) {
+    if (budget === undefined || budget === null || budget === "") {
+      return CLAUDE_MEMORY_TOKEN_BUDGET;
+    }
+
+    const value = Number(budget);
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new ValidationError(
+        "Memory token budget must be a positive whole number of tokens",
+        "memoryTokenBudget",
+        budget,
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Measure generated files and suggest rules to trim when root memory or
+   * any scope is over budget
+   *
+   * Root memory is CLAUDE.md plus .claude/rules.md. A nested `<dir>/CLAUDE.md`
+   * loads on top of it for work in that directory, so each scope is checked
+   * with the root memory included. Agent and command files only load when
+   * invoked and are reported but not budgeted.
+   * @param {Object} files - Map of relative path to content
+   * @param {Array} rules - Rule rows exported to the root memory
+   * @returns {Object} - { budget, memoryTokens, overBudget, files, scopes, suggestions }
+   */
+  analyze(files, rules = []) {
+    const report = Object.keys(files)
+      .sort()
+      .map((path) => {
+        const content = files[path];
+        const scope = path.match(/^(.+)\/CLAUDE\.md$/)?.[1];
+        const entry = {
+          path,
+          tokens: TokenBudgetAnalyzer.estimateTokens(content),
+          loaded: CLAUDE_MEMORY_FILES.includes(path)
+            ? "startup"
+            : scope && !scope.startsWith(".claude")
+              ? "directory"
+              : path.endsWith(".json")
+                ? "config"
+                : "on-demand",
+        };
+        if (/\.mdc?$/.test(path)) {
+          entry.sections = TokenBudgetAnalyzer.sections(content);
+        }
+        return entry;
+      });
+
+    const memoryTokens = report
+      .filter((file) => file.loaded === "startup")
+      .reduce((sum, file) => sum + file.tokens, 0);
+
+    const scopes = report
+      .filter((file) => file.loaded === "directory")
+      .map((file) => {
+        const tokens = memoryTokens + file.tokens;
+        return {
+          path: file.path.slice(0, -"/CLAUDE.md".length),
+          tokens,
+          overBudget: tokens > this.budget,
+        };
+      });
+
+    // Root rules load under every scope, so trim for the largest memory
+    const peakTokens = Math.max(
+      memoryTokens,
+      ...scopes.map((scope) => scope.tokens),
+    );
+
+    return {
+      budget: this.budget,
+      memoryTokens,
+      overBudget: memoryTokens > this.budget,
+      files: report,
+      scopes,
+      suggestions: this.suggestTrims(
+        rules,
+        peakTokens - this.budget,
+        scopes.map((scope) => scope.path),
+      ),
+    };
+  }
+
+  /**
+   * Pick the lowest-priority rules whose removal brings memory under budget
+   *
+   * Rules that mention a directory are suggested for that directory's
+   * CLAUDE.md, preferring directories the project already scopes; the rest
+   * are suggested for removal. Larger rules go first within a priority.
+   * @param {Array} rules - Rule rows in the root memory
+   * @param {number} excess - Tokens over budget
+   * @param {Array} pathScopes - Directories that already have a nested CLAUDE.md
+   * @returns {Array} - [{ ruleId, name, priority, tokens, action, pathScope }]
+   */
+  suggestTrims(rules, excess, pathScopes = []) {
+    if (excess <= 0) return [];
+
+    const candidates = rules
+      .map((rule) => ({
+        rule,
+        tokens: TokenBudgetAnalyzer.estimateTokens(
+          [rule.name, rule.description, rule.rule_content]
+            .filter(Boolean)
+            .join("\n\n"),
+        ),
+      }))
+      .sort(
+        (a, b) =>
+          (a.rule.priority || 0) - (b.rule.priority || 0) || b.tokens - a.tokens,
+      );
+
+    const suggestions = [];
+    let saved = 0;
+
+    for (const { rule, tokens } of candidates) {
+      if (saved >= excess) break;
+
+      const pathScope = this._mentionedDirectory(rule, pathScopes);
+      suggestions.push({
+        ruleId: rule.id,
+        name: rule.name,
+        priority: rule.priority || 0,
+        tokens,
+        action: pathScope ? "move" : "drop",
+        pathScope,
+      });
+      saved += tokens;
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Find the directory a rule is about, if its text names one
+   * @private
+   */
+  _mentionedDirectory(rule, pathScopes) {
+    const text = [rule.name, rule.description, rule.rule_content]
+      .filter(Boolean)
+      .join("\n");
+
+    const known = [...pathScopes]
+      .sort((a, b) => b.length - a.length)
+      .find((scope) => text.includes(`${scope}/`) || text.includes(`\`${scope}\``));
+    if (known) return known;
+
+    for (const [, directory] of text.matchAll(
+      /(?:^|[\s`'"(])((?:[\w@-][\w@.-]*\/)+)/g,
+    )) {
+      try {
+        const scope = normalizePathScope(directory);
+        if (scope) return scope;
+      } catch {
+        // Not a directory a CLAUDE.md can live in
+      }
+    }
+
+    return null;
+  }
+}
+
+// ============================================
+// EXPORT TEMPLATE RENDERER
+// ============================================
+
+/**
+ * Generated files a stored export template can replace
+ */
+const EXPORT_TEMPLATE_KINDS = ["claude-md", "rules-file", "rule-set"];
+
+/**
+ * Upper bound on stored template source, in characters
+ */
+const EXPORT_TEMPLATE_MAX_LENGTH = 100000;
+
+/**
+ * ExportTemplateRenderer - Renders mustache/handlebars-style export templates
+ *
+ * Supported tags:
+ * - `{{name}}` / `{{project.name}}` - value lookup through the context stack;
+ *   arrays render comma-separated, missing values render empty
+ * - `{{#rules}}...{{/rules}}` - loop over an array, or render once with an
+ *   object / truthy value as the new context; `{{^rules}}...{{/rules}}` renders
+ *   when the value is empty or falsy
+ * - `{{#each rules}}`, `{{#if x}}`, `{{#unless x}}` with `{{else}}` and the
+ *   matching `{{/each}}`, `{{/if}}`, `{{/unless}}`
+ * - `{{.}}` / `{{this}}` for the current item, and `{{@index}}`, `{{@number}}`,
+ *   `{{@first}}`, `{{@last}}` inside loops
+ * - `{{! comment }}`
+ *
+ * Block tags alone on a line drop the whole line, so templates can be laid out
+ * one tag per line without leaving blank lines in the Markdown.
+ */
+class ExportTemplateRenderer {
+  /**
+   * @param {string} source - Template source
+   * @throws {ValidationError} - When the template is too long or its sections do not balance
+   */
+  constructor(source) {
+    if (typeof source !== "string" || !source.trim()) {
+      throw new ValidationError(
+        "Template content is required",
+        "template_content",
+        source,
+      );
+    }
+    if (source.length > EXPORT_TEMPLATE_MAX_LENGTH) {
+      throw new ValidationError(
+        `Template content must be at most ${EXPORT_TEMPLATE_MAX_LENGTH} characters`,
+        "template_content",
+        source.length,
+      );
+    }
+
+    this.nodes = ExportTemplateRenderer.compile(source);
+  }
+
+  /**
+   * Parse template source into a tree of text, variable and section nodes
+   * @param {string} source - Template source
+   * @returns {Array} - Top-level nodes
+   */
+  static compile(source) {
+    const root = { children: [] };
+    const stack = [root];
+
+    for (const token of ExportTemplateRenderer._tokenize(source)) {
+      const top = stack[stack.length - 1];
+      const target = top.inElse ? top.otherwise : top.children;
+
+      switch (token.type) {
+        case "text":
+          target.push(token);
+          break;
+        case "variable":
+          target.push({ type: "variable", name: token.name });
+          break;
+        case "section": {
+          const node = { ...token, children: [], otherwise: [], inElse: false };
+          target.push(node);
+          stack.push(node);
+          break;
+        }
+        case "else":
+          if (top === root || top.inElse) {
+            throw ExportTemplateRenderer._syntaxError(
+              `Unexpected {{else}} on line ${token.line}`,
+              "else",
+            );
+          }
+          top.inElse = true;
+          break;
+        case "close":
+          if (top === root) {
+            throw ExportTemplateRenderer._syntaxError(
+              `Unexpected {{/${token.name}}} on line ${token.line}`,
+              token.name,
+            );
+          }
+          if (token.name !== top.name && token.name !== top.keyword) {
+            throw ExportTemplateRenderer._syntaxError(
+              `{{/${token.name}}} on line ${token.line} does not close {{#${top.tag}}} from line ${top.line}`,
+              token.name,
+            );
+          }
+          stack.pop();
+          break;
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw ExportTemplateRenderer._syntaxError(
+        `{{#${open.tag}}} on line ${open.line} is never closed`,
+        open.name,
+      );
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Render the template against a context object
+   * @param {Object} context - Template data
+   * @returns {string} - Rendered output
+   */
+  render(context = {}) {
+    return this._renderNodes(this.nodes, [{ value: context }]);
+  }
+
+  /**
+   * Split source into text and tag tokens, dropping standalone block-tag lines
+   * @private
+   */
+  static _tokenize(source) {
+    const tokens = [];
+    const tagPattern = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+    let cursor = 0;
+    let line = 1;
+    let counted = 0;
+    let match;
+
+    while ((match = tagPattern.exec(source))) {
+      const [, sigil, body] = match;
+      for (; counted < match.index; counted++) {
+        if (source[counted] === "\n") line++;
+      }
+      let start = match.index;
+      let end = tagPattern.lastIndex;
+
+      let token;
+      if (sigil === "!") {
+        token = { type: "comment" };
+      } else if (sigil === "/") {
+        token = { type: "close", name: body, line };
+      } else if (sigil === "#" || sigil === "^") {
+        const [keyword, ...rest] = body.split(/\s+/);
+        const helper = ["each", "if", "unless"].includes(keyword) && rest.length > 0;
+        token = {
+          type: "section",
+          tag: body,
+          keyword: helper ? keyword : null,
+          name: helper ? rest.join(" ") : body,
+          inverted: sigil === "^" || keyword === "unless",
+          line,
+        };
+      } else if (body === "else") {
+        token = { type: "else", line };
+      } else {
+        token = { type: "variable", name: body };
+      }
+
+      // A block tag alone on its line takes the line's indentation and newline with it
+      if (token.type !== "variable") {
+        const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+        const newline = source.indexOf("\n", end);
+        const lineEnd = newline === -1 ? source.length : newline + 1;
+
+        if (
+          lineStart >= cursor &&
+          /^[ \t]*$/.test(source.slice(lineStart, start)) &&
+          /^[ \t]*\r?\n?$/.test(source.slice(end, lineEnd))
+        ) {
+          start = lineStart;
+          end = lineEnd;
+          tagPattern.lastIndex = end;
+        }
+      }
+
+      if (start > cursor) {
+        tokens.push({ type: "text", value: source.slice(cursor, start) });
+      }
+      if (token.type !== "comment") {
+        tokens.push(token);
+      }
+      cursor = end;
+    }
+
+    if (cursor < source.length) {
+      tokens.push({ type: "text", value: source.slice(cursor) });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * @private
+   */
+  _renderNodes(nodes, stack) {
+    let output = "";
+
+    for (const node of nodes) {
+      if (node.type === "text") {
+        output += node.value;
+        continue;
+      }
+
+      const value = this._lookup(node.name, stack);
+
+      if (node.type === "variable") {
+        output += this._format(value);
+        continue;
+      }
+
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      if (node.inverted ? truthy : !truthy) {
+        output += this._renderNodes(node.otherwise, stack);
+      } else if (node.inverted || node.keyword === "if") {
+        output += this._renderNodes(node.children, stack);
+      } else if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+          output += this._renderNodes(node.children, [
+            ...stack,
+            {
+              value: item,
+              loop: {
+                index,
+                number: index + 1,
+                first: index === 0,
+                last: index === value.length - 1,
+              },
+            },
+          ]);
+        });
+      } else {
+        output += this._renderNodes(
+          node.children,
+          typeof value === "object" ? [...stack, { value }] : stack,
+        );
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Resolve a (dotted) name against the innermost context that defines it
+   * @private
+   */
+  _lookup(name, stack) {
+    if (name === "." || name === "this") {
+      return stack[stack.length - 1].value;
+    }
+
+    if (name.startsWith("@")) {
+      const frame = [...stack].reverse().find((candidate) => candidate.loop);
+      return frame ? frame.loop[name.slice(1)] : undefined;
+    }
+
+    const [head, ...path] = name.replace(/^this\./, "").split(".");
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const scope = stack[i].value;
+      if (scope && typeof scope === "object" && head in scope) {
+        return path.reduce(
+          (value, key) =>
+            value !== null && value !== undefined ? value[key] : undefined,
+          scope[head],
+        );
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * @private
+   */
+  _format(value) {
+    if (value === null || value === undefined) return "";
+    if (Array.isArray(value)) return value.map((item) => this._format(item)).join(", ");
+    if (typeof value === "object") return "";
+    return String(value);
+  }
+
+  /**
+   * @private
+   */
+  static _syntaxError(message, tag) {
+    return new ValidationError(
+      `Invalid template: ${message}`,
+      "template_content",
+      tag,
+    );
+  }
+}
+
+/**
+ * Load an active export template of the given kind
+ * @param {Object} db - D1 database
+ * @param {string} id - Template ID
+ * @param {string} kind - One of EXPORT_TEMPLATE_KINDS
+ * @returns {Promise<{template: Object, renderer: ExportTemplateRenderer}>}
+ * @throws {ValidationError} - When the template is missing, inactive or for another kind
+ */
+async function loadExportTemplate(db, id, kind) {
+  const template = await db
+    .prepare("SELECT * FROM export_templates WHERE id = ? AND is_active = 1")
+    .bind(id)
+    .first();
+
+  if (!template) {
+    throw new ValidationError(
+      `Export template ${id} not found`,
+      "template_id",
+      id,
+    );
+  }
+  if (template.kind !== kind) {
+    throw new ValidationError(
+      `Export template "${template.name}" is a ${template.kind} template, not ${kind}`,
+      "template_id",
+      id,
+    );
+  }
+
+  return {
+    template,
+    renderer: new ExportTemplateRenderer(template.template_content),
+  };
+}
+
+// ============================================
+// CLAUDE CODE EXPORTER CLASS
+// ============================================
+
+/**
+ * ClaudeCodeExporter - Generates complete Claude Code project structures
+ * Implements requirements 5.1, 5.2, 5.3, 5.4, 5.5
+ */
+class ClaudeCodeExporter {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Generate complete Claude Code project structure
+   * @param {number} projectId - Project ID to export
+   * @param {Object} options - Export options
+   * @returns {Object} - Complete project structure with all files
+   */
+  async generateProjectStructure(projectId, options = {}) {
+    const {
+      includeAgents = true,
+      includeRules = true,
+      includeHooks = true,
+      includeProjectSettings = true,
+      includeClaudeMD = true,
+      includeCommands = true,
+      baseSettings = null,
+      blockHookSeverity = null,
+      templates = null, // { "claude-md"?: templateId, "rules-file"?: templateId }
+      memoryTokenBudget = null,
+      format = "files", // 'files' or 'zip'
+    } = options;
+
+    const budget = TokenBudgetAnalyzer.parseBudget(memoryTokenBudget);
+
+    // Get project details
+    const project = await this._getProjectDetails(projectId);
+    if (!project) {
+      throw new Error("Project not found");
+    }
+
+    const renderers = await this._loadTemplates(templates);
+
+    // Get all assigned resources
+    const resources = await this._getProjectResources(projectId);
+
+    // Validate required components using comprehensive validation
+    const validator = new ProjectValidator(this.db);
+    const validationResult = await validator.validateExportRequirements(
+      project,
+      resources,
+    );
+
+    if (!validationResult.isValid) {
+      throw new Error(
+        `Export validation failed: ${validationResult.errors.join(", ")}`,
+      );
+    }
+
+    // Log warnings for user awareness
+    if (validationResult.warnings.length > 0) {
+      console.warn("Export validation warnings:", validationResult.warnings);
+    }
+
+    // Scoped agents and rules go to nested CLAUDE.md files; the root keeps shared ones
+    const { scopes, rootResources } = this._splitByPathScope(resources);
+
+    const structure = {
+      project,
+      files: {},
+      metadata: {
+        exportedAt: new Date().toISOString(),
+        projectId,
+        projectName: project.name,
+        projectSlug: project.slug,
+        pathScopes: [...scopes.keys()],
+        totalFiles: 0,
+        includedComponents: {
+          agents: includeAgents,
+          rules: includeRules,
+          hooks: includeHooks,
+          projectSettings: includeProjectSettings,
+          claudeMD: includeClaudeMD,
+          commands: includeCommands,
+        },
+        warnings: [],
+      },
+    };
+
+    // Refuse to export hooks whose commands reach the blocking severity
+    if (includeHooks) {
+      const hookSafety = new HookSafetyAnalyzer().analyzeAll(
+        await this._loadHookRows(resources.hooks),
+        HookSafetyAnalyzer.parseBlockSeverity(blockHookSeverity),
+      );
+      structure.metadata.hookSafety = hookSafety;
+
+      if (hookSafety.blocked) {
+        throw new ValidationError(
+          `Export blocked: hook commands have ${hookSafety.highestSeverity} severity findings`,
+          "blockHookSeverity",
+          blockHookSeverity,
+          { hookSafety },
+        );
+      }
+    }
+
+    try {
+      // Stored templates share one context built from the root resources
+      const templateContext =
+        renderers["claude-md"] || renderers["rules-file"]
+          ? await this.buildTemplateContext(project, rootResources, [
+              ...scopes.keys(),
+            ])
+          : null;
+
+      // Generate CLAUDE.md file
+      if (includeClaudeMD) {
+        structure.files["CLAUDE.md"] = renderers["claude-md"]
+          ? renderers["claude-md"].render(templateContext)
+          : await this.generateClaudeMD(project, rootResources, [
+              ...scopes.keys(),
+            ]);
+        structure.metadata.totalFiles++;
+
+        const nestedFiles = await this.generateNestedClaudeMDs(
+          project,
+          scopes,
+          { includeAgents, includeRules },
+        );
+        Object.assign(structure.files, nestedFiles);
+        structure.metadata.totalFiles += Object.keys(nestedFiles).length;
+      }
+
+      // Generate .claude/project_settings.json
+      if (includeProjectSettings) {
+        structure.files[".claude/project_settings.json"] =
+          await this.generateProjectSettings(project, resources);
+        structure.metadata.totalFiles++;
+      }
+
+      // Generate individual agent files
+      if (includeAgents) {
+        const agentFiles = await this.generateAgentFiles(
+          resources.agents || [],
+        );
+        Object.assign(structure.files, agentFiles);
+        structure.metadata.totalFiles += Object.keys(agentFiles).length;
+      }
+
+      // Generate slash commands from the project's custom agents
+      if (includeCommands) {
+        const commandFiles = await this.generateCommandFiles(
+          await this._getProjectCommands(projectId),
+          structure.metadata.warnings,
+        );
+        Object.assign(structure.files, commandFiles);
+        structure.metadata.totalFiles += Object.keys(commandFiles).length;
+      }
+
+      // Generate rules file
+      if (includeRules) {
+        const rulesFile =
+          renderers["rules-file"] && templateContext.rules.length > 0
+            ? renderers["rules-file"].render(templateContext)
+            : await this.generateRulesFile(rootResources.rules);
+        if (rulesFile) {
+          structure.files[".claude/rules.md"] = rulesFile;
+          structure.metadata.totalFiles++;
+        }
+      }
+
+      // Generate hooks into .claude/settings.json
+      if (includeHooks) {
+        const hookFiles = await this.generateHookFiles(
+          resources.hooks || [],
+          baseSettings,
+          structure.metadata.warnings,
+        );
+        Object.assign(structure.files, hookFiles);
+        structure.metadata.totalFiles += Object.keys(hookFiles).length;
+      }
+
+      // Size the files against the memory budget; only root rules can be trimmed
+      const budgetResult = validator.validateTokenBudget(
+        structure.files,
+        includeRules ? await this._loadRuleRows(rootResources.rules) : [],
+        budget,
+      );
+      structure.metadata.tokenBudget = budgetResult.tokenBudget;
+      structure.metadata.warnings.push(...budgetResult.warnings);
+      structure.metadata.recommendations = budgetResult.recommendations;
+
+      // Package the generated files, preserving the .claude/ layout
+      if (format === "zip") {
+        structure.archive = this.generateZipArchive(structure.files);
+        structure.metadata.archiveSize = structure.archive.length;
+      }
+
+      return structure;
+    } catch (error) {
+      // Invalid input such as malformed base settings stays a 400
+      if (error instanceof ValidationError) throw error;
+      throw new Error(`Export generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Package generated files into a ZIP archive
+   * @param {Object} files - Map of relative path to file content
+   * @returns {Uint8Array} - ZIP archive bytes
+   */
+  generateZipArchive(files) {
+    return new ZipArchiveBuilder().addFiles(files).build();
+  }
+
+  /**
+   * Generate CLAUDE.md file with project documentation
+   * @param {Object} project - Project details
+   * @param {Object} resources - Project resources
+   * @param {Array} pathScopes - Directories that get their own nested CLAUDE.md
+   * @returns {string} - CLAUDE.md content
+   */
+  async generateClaudeMD(project, resources, pathScopes = []) {
+    const agents = resources.agents || [];
+    const rules = resources.rules || [];
+    const hooks = resources.hooks || [];
+
+    let content = `# ${project.name}\n\n`;
+
+    if (project.description) {
+      content += `${project.description}\n\n`;
+    }
+
+    // Project information
+    if (project.project_info) {
+      content += `## Project Information\n\n${project.project_info}\n\n`;
+    }
+
+    // Project metadata
+    content += `## Project Details\n\n`;
+    content += `- **Status**: ${project.status}\n`;
+    content += `- **Priority**: ${project.priority}\n`;
+    if (project.category) {
+      content += `- **Category**: ${project.category}\n`;
+    }
+    if (project.tags && project.tags.length > 0) {
+      content += `- **Tags**: ${project.tags.join(", ")}\n`;
+    }
+    content += `- **Created**: ${new Date(project.created_at).toLocaleDateString()}\n`;
+    content += `- **Last Updated**: ${new Date(project.updated_at).toLocaleDateString()}\n\n`;
+
+    // AI Context Summary
+    if (project.ai_context_summary) {
+      content += `## AI Context\n\n${project.ai_context_summary}\n\n`;
+    }
+
+    // Agents section
+    if (agents.length > 0) {
+      content += `## Agents\n\n`;
+      content += `This project includes ${agents.length} specialized agent${agents.length > 1 ? "s" : ""}:\n\n`;
+
+      agents.forEach((agent) => {
+        content += `### ${agent.name}\n`;
+        if (agent.role) {
+          content += `**Role**: ${agent.role}\n\n`;
+        }
+        if (agent.description) {
+          content += `${agent.description}\n\n`;
+        }
+        if (agent.is_primary) {
+          content += `*This is the primary agent for this project.*\n\n`;
+        }
+      });
+    }
+
+    // Rules section
+    if (rules.length > 0) {
+      content += `## Development Rules\n\n`;
+      content += `This project follows ${rules.length} development rule${rules.length > 1 ? "s" : ""}:\n\n`;
+
+      rules.forEach((rule) => {
+        content += `### ${rule.name}\n`;
+        if (rule.category) {
+          content += `**Category**: ${rule.category}\n\n`;
+        }
+        if (rule.description) {
+          content += `${rule.description}\n\n`;
+        }
+      });
+    }
+
+    // Nested CLAUDE.md files
+    if (pathScopes.length > 0) {
+      content += `## Directory Guidance\n\n`;
+      content += `These directories have their own CLAUDE.md with additional rules, loaded when working there:\n\n`;
+      pathScopes.forEach((scope) => {
+        content += `- \`${scope}/CLAUDE.md\`\n`;
+      });
+      content += `\n`;
+    }
+
+    // Hooks section
+    if (hooks.length > 0) {
+      content += `## Automation Hooks\n\n`;
+      content += `This project includes ${hooks.length} automation hook${hooks.length > 1 ? "s" : ""}:\n\n`;
+
+      hooks.forEach((hook) => {
+        content += `### ${hook.name}\n`;
+        content += `**Type**: ${hook.hook_type}\n\n`;
+        if (hook.description) {
+          content += `${hook.description}\n\n`;
+        }
+      });
+    }
+
+    // Setup instructions
+    content += `## Setup Instructions\n\n`;
+    content += `1. Extract this project structure to your development directory\n`;
+    content += `2. Open the project in Claude Code\n`;
+    content += `3. The agents, rules, and hooks will be automatically loaded\n`;
+    if (agents.length > 0) {
+      const primaryAgent = agents.find((a) => a.is_primary);
+      if (primaryAgent) {
+        content += `4. Start with the primary agent: **${primaryAgent.name}**\n`;
+      }
+    }
+    content += `\n`;
+
+    // Usage notes
+    content += `## Usage Notes\n\n`;
+    content += `- All project resources are configured and ready to use\n`;
     content += `- Agents are available in the .claude/agents/ directory\n`;
     if (rules.length > 0) {
-      content += `- Development rules are defined in .claude/rules.md\n`;
+      content += `- Development rules are defined in .claude/rules.md\n`;
+    }
+    if (hooks.length > 0) {
+      content += `- Automation hooks are configured in .claude/settings.json\n`;
+    }
+    content += `- Project settings are configured in .claude/project_settings.json\n\n`;
+
+    content += `---\n\n`;
+    content += `*This project was exported from Semantic Prompt Workstation on ${new Date().toLocaleDateString()}*\n`;
+
+    return content;
+  }
+
+  /**
+   * Build the data export templates render against
+   *
+   * Shape: `project` (name, slug, description, info, status, priority,
+   * category, tags, aiContext, createdAt, updatedAt), `agents` (name, role,
+   * description, isPrimary, file), `primaryAgent`, `rules` (name, category,
+   * description, content, priority), `rulesByCategory` ({ category, rules }),
+   * `hooks` (name, type, description, command), `pathScopes` ({ path, file }),
+   * `counts` ({ agents, rules, hooks }) and `exportedAt`.
+   * @param {Object} project - Project details
+   * @param {Object} resources - Project resources
+   * @param {Array} pathScopes - Directories that get their own nested CLAUDE.md
+   * @returns {Object} - Template context
+   */
+  async buildTemplateContext(project, resources, pathScopes = []) {
+    const formatDate = (value) =>
+      value ? new Date(value).toISOString().slice(0, 10) : null;
+
+    const agents = (resources.agents || []).map((agent) => ({
+      name: agent.name,
+      role: agent.role || agent.metadata || null,
+      description: agent.description || null,
+      isPrimary: Boolean(agent.is_primary),
+      file: `.claude/agents/${this._sanitizeFilename(agent.name)}.md`,
+    }));
+
+    const rules = [];
+    for (const ruleResource of resources.rules || []) {
+      const rule = await this._getRule(ruleResource);
+      if (!rule) continue;
+
+      rules.push({
+        name: rule.name,
+        category: rule.category || "General",
+        description: rule.description || null,
+        content: rule.rule_content ? rule.rule_content.trim() : "",
+        priority: rule.priority || 0,
+      });
+    }
+
+    const byCategory = {};
+    for (const rule of rules) {
+      if (!byCategory[rule.category]) {
+        byCategory[rule.category] = [];
+      }
+      byCategory[rule.category].push(rule);
+    }
+
+    const hooks = (resources.hooks || []).map((hook) => ({
+      name: hook.name,
+      type: hook.hook_type || hook.metadata || null,
+      description: hook.description || null,
+      command: hook.command || null,
+    }));
+
+    return {
+      project: {
+        name: project.name,
+        slug: project.slug,
+        description: project.description || null,
+        info: project.project_info || null,
+        status: project.status,
+        priority: project.priority,
+        category: project.category || null,
+        tags: project.tags || [],
+        aiContext: project.ai_context_summary || null,
+        createdAt: formatDate(project.created_at),
+        updatedAt: formatDate(project.updated_at),
+      },
+      agents,
+      primaryAgent: agents.find((agent) => agent.isPrimary) || null,
+      rules,
+      rulesByCategory: Object.keys(byCategory)
+        .sort()
+        .map((category) => ({
+          category,
+          rules: byCategory[category].sort((a, b) => b.priority - a.priority),
+        })),
+      hooks,
+      pathScopes: pathScopes.map((scope) => ({
+        path: scope,
+        file: `${scope}/CLAUDE.md`,
+      })),
+      counts: {
+        agents: agents.length,
+        rules: rules.length,
+        hooks: hooks.length,
+      },
+      exportedAt: formatDate(Date.now()),
+    };
+  }
+
+  /**
+   * Render an export template against a project without exporting it
+   * @param {number} projectId - Project ID
+   * @param {ExportTemplateRenderer} renderer - Compiled template
+   * @returns {Object} - Rendered content and the context it was rendered with
+   */
+  async renderTemplate(projectId, renderer) {
+    const project = await this._getProjectDetails(projectId);
+    if (!project) {
+      throw new Error("Project not found");
+    }
+
+    const { scopes, rootResources } = this._splitByPathScope(
+      await this._getProjectResources(projectId),
+    );
+    const context = await this.buildTemplateContext(project, rootResources, [
+      ...scopes.keys(),
+    ]);
+
+    return { content: renderer.render(context), context };
+  }
+
+  /**
+   * Load the stored templates chosen for this export
+   * @private
+   */
+  async _loadTemplates(templates) {
+    const renderers = {};
+    if (!templates) return renderers;
+
+    if (typeof templates !== "object" || Array.isArray(templates)) {
+      throw new ValidationError(
+        "templates must map claude-md / rules-file to a template ID",
+        "templates",
+        templates,
+      );
+    }
+
+    for (const [kind, id] of Object.entries(templates)) {
+      if (!id) continue;
+      if (kind !== "claude-md" && kind !== "rules-file") {
+        throw new ValidationError(
+          `Project exports accept claude-md and rules-file templates, not ${kind}`,
+          "templates",
+          kind,
+        );
+      }
+      renderers[kind] = (await loadExportTemplate(this.db, id, kind)).renderer;
+    }
+
+    return renderers;
+  }
+
+  /**
+   * Generate a nested CLAUDE.md for each path scope
+   *
+   * Claude Code reads every CLAUDE.md from the repository root down to the
+   * working directory, so each file holds only the rules and agents scoped to
+   * exactly its directory.
+   * @param {Object} project - Project details
+   * @param {Map} scopes - Path scope => { agents, rules } assignments
+   * @param {Object} options - includeAgents / includeRules
+   * @returns {Object} - Map of "<scope>/CLAUDE.md" to content
+   */
+  async generateNestedClaudeMDs(project, scopes, options = {}) {
+    const { includeAgents = true, includeRules = true } = options;
+    const files = {};
+
+    for (const [scope, scoped] of scopes) {
+      const rules = [];
+      if (includeRules) {
+        for (const ruleResource of scoped.rules) {
+          const rule = await this._getRule(ruleResource);
+          if (rule) rules.push(rule);
+        }
+      }
+      const agents = includeAgents ? scoped.agents : [];
+
+      if (rules.length === 0 && agents.length === 0) continue;
+
+      const parents = [...scopes.keys()].filter((other) =>
+        scope.startsWith(`${other}/`),
+      );
+
+      let content = `# ${scope}\n\n`;
+      content += `Guidance for \`${scope}/\` in ${project.name}. `;
+      content += `It adds to the root CLAUDE.md`;
+      if (parents.length > 0) {
+        content += ` and ${parents.map((parent) => `\`${parent}/CLAUDE.md\``).join(", ")}`;
+      }
+      content += ` and only lists what differs here.\n\n`;
+
+      if (rules.length > 0) {
+        content += `## Development Rules\n\n`;
+
+        const byCategory = {};
+        for (const rule of rules) {
+          const category = rule.category || "General";
+          if (!byCategory[category]) {
+            byCategory[category] = [];
+          }
+          byCategory[category].push(rule);
+        }
+
+        for (const category of Object.keys(byCategory).sort()) {
+          content += `### ${category}\n\n`;
+
+          const categoryRules = byCategory[category].sort(
+            (a, b) => (b.priority || 0) - (a.priority || 0),
+          );
+          for (const rule of categoryRules) {
+            content += `#### ${rule.name}\n\n`;
+            if (rule.description) {
+              content += `${rule.description}\n\n`;
+            }
+            if (rule.rule_content) {
+              content += `${rule.rule_content.trim()}\n\n`;
+            }
+          }
+        }
+      }
+
+      if (agents.length > 0) {
+        content += `## Agents\n\n`;
+        content += `Prefer these subagents for work in this directory:\n\n`;
+        agents.forEach((agent) => {
+          content += `- **${agent.name}**${agent.metadata ? `: ${agent.metadata}` : ""}\n`;
+        });
+        content += `\n`;
+      }
+
+      files[`${scope}/CLAUDE.md`] = `${content.trimEnd()}\n`;
+    }
+
+    return files;
+  }
+
+  /**
+   * Generate .claude/project_settings.json
+   * @param {Object} project - Project details
+   * @param {Object} resources - Project resources
+   * @returns {string} - JSON content for project settings
+   */
+  async generateProjectSettings(project, resources) {
+    const agents = resources.agents || [];
+    const rules = resources.rules || [];
+    const hooks = resources.hooks || [];
+
+    const settings = {
+      name: project.name,
+      description: project.description || "",
+      version: "1.0.0",
+
+      // Agent configuration
+      agents: agents.map((agent) => ({
+        id: agent.resource_id,
+        name: agent.name,
+        role: agent.role || "",
+        isPrimary: Boolean(agent.is_primary),
+        file: `.claude/agents/${this._sanitizeFilename(agent.name)}.md`,
+        config: agent.config_overrides
+          ? JSON.parse(agent.config_overrides)
+          : {},
+      })),
+
+      // Rules configuration
+      rules: {
+        enabled: rules.length > 0,
+        file: rules.length > 0 ? ".claude/rules.md" : null,
+        categories: [...new Set(rules.map((r) => r.category).filter(Boolean))],
+      },
+
+      // Hooks configuration
+      hooks: hooks.map((hook) => ({
+        id: hook.resource_id,
+        name: hook.name,
+        type: hook.hook_type,
+        enabled: Boolean(hook.is_enabled),
+        command: hook.command || "",
+        workingDirectory: hook.working_directory || null,
+        timeout: hook.timeout_ms || 60000,
+        toolMatcher: hook.tool_matcher ? JSON.parse(hook.tool_matcher) : null,
+        sortOrder: hook.sort_order || 0,
+      })),
+
+      // Project metadata
+      metadata: {
+        projectId: project.id,
+        slug: project.slug,
+        status: project.status,
+        priority: project.priority,
+        category: project.category || null,
+        tags: project.tags || [],
+        createdAt: project.created_at,
+        updatedAt: project.updated_at,
+      },
+
+      // AI context
+      aiContext: {
+        summary: project.ai_context_summary || "",
+        includeInContext: Boolean(project.include_in_ai_context),
+      },
+    };
+
+    return JSON.stringify(settings, null, 2);
+  }
+
+  /**
+   * Generate Claude Code subagent definitions in .claude/agents/
+   * Each file carries name/description/tools/model frontmatter with the
+   * system prompt as its body
+   * @param {Array} agents - Array of agent resources
+   * @returns {Object} - Object with filename keys and content values
+   */
+  async generateAgentFiles(agents) {
+    const files = {};
+
+    for (const agentResource of agents) {
+      try {
+        // Get full agent details
+        const agent = await this.db
+          .prepare("SELECT * FROM agents WHERE id = ?")
+          .bind(agentResource.resource_id)
+          .first();
+
+        if (!agent) {
+          console.warn(`Agent ${agentResource.resource_id} not found`);
+          continue;
+        }
+
+        const subagentName = this._sanitizeFilename(agent.name);
+        const filename = `.claude/agents/${subagentName}.md`;
+
+        // Project-level overrides win over the custom agent configuration
+        const overrides =
+          typeof agentResource.config_overrides === "string"
+            ? JSON.parse(agentResource.config_overrides)
+            : agentResource.config_overrides || {};
+        const agentConfig = await this._getCustomAgentConfig(
+          agentResource.project_id,
+          subagentName,
+        );
+
+        const tools = this._normalizeToolList(
+          overrides.tools ?? overrides.allowedTools ?? agentConfig.allowedTools,
+        );
+
+        const description =
+          overrides.description ||
+          [agent.role, agent.description].filter(Boolean).join(". ") ||
+          `${agent.name} subagent`;
+
+        // Claude Code treats a missing tools field as "inherit every tool"
+        const frontmatter = {
+          name: subagentName,
+          description,
+          ...(tools.length > 0 ? { tools: tools.join(", ") } : {}),
+          model: overrides.model || agentConfig.model || "inherit",
+        };
+
+        // The body of a subagent file is its system prompt
+        let body = agent.system_prompt
+          ? `${agent.system_prompt.trim()}\n`
+          : `You are ${agent.name}${agent.role ? `, ${agent.role}` : ""}.\n`;
+
+        if (agent.style) {
+          body += `\nCommunication style: ${agent.style}\n`;
+        }
+
+        const content = `${this._formatFrontmatter(frontmatter)}\n${body}`;
+
+        files[filename] = content;
+      } catch (error) {
+        console.error(
+          `Error generating agent file for ${agentResource.resource_id}:`,
+          error,
+        );
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Generate Claude Code slash commands in .claude/commands/
+   * @param {Array} commands - Array of custom_agents rows
+   * @param {Array} warnings - Optional collector for argument consistency warnings
+   * @returns {Object} - Object with filename keys and content values
+   */
+  async generateCommandFiles(commands, warnings = []) {
+    const files = {};
+    const validator = new ProjectValidator(this.db);
+    const used = new Set();
+
+    for (const command of commands || []) {
+      try {
+        const config =
+          typeof command.agent_config === "string"
+            ? JSON.parse(command.agent_config)
+            : command.agent_config || {};
+        const analysis = validator.analyzeCommandArguments(
+          command.prompt_content,
+          config.argumentHint,
+        );
+
+        for (const issue of analysis.issues) {
+          warnings.push(`/${command.name}: ${issue}`);
+        }
+
+        const tools = this._normalizeToolList(config.allowedTools);
+        const frontmatter = {
+          ...(tools.length > 0 ? { "allowed-tools": tools.join(", ") } : {}),
+          "argument-hint": analysis.suggestedHint,
+          description: command.description || command.display_name,
+          ...(config.model ? { model: config.model } : {}),
+        };
+
+        // Names that sanitize alike get a numeric suffix instead of overwriting each other
+        const base = this._sanitizeFilename(command.name) || "command";
+        let filename = base;
+        for (let n = 2; used.has(filename); n++) filename = `${base}-${n}`;
+        used.add(filename);
+        if (filename !== base) {
+          warnings.push(`/${command.name}: /${base} is already taken, exported as /${filename}`);
+        }
+
+        files[`.claude/commands/${filename}.md`] =
+          `${this._formatFrontmatter(frontmatter)}\n${command.prompt_content.trim()}\n`;
+      } catch (error) {
+        console.error(
+          `Error generating command file for ${command.name}:`,
+          error,
+        );
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Generate .claude/rules.md file
+   * @param {Array} rules - Array of rule resources
+   * @returns {string|null} - Rules file content or null if no rules
+   */
+  async generateRulesFile(rules) {
+    if (!rules || rules.length === 0) {
+      return null;
+    }
+
+    let content = `# Development Rules\n\n`;
+    content += `This document contains the development rules and guidelines for this project.\n\n`;
+
+    // Group rules by category
+    const rulesByCategory = {};
+    const rulesWithDetails = [];
+
+    for (const ruleResource of rules) {
+      try {
+        const rule = await this._getRule(ruleResource);
+
+        if (rule) {
+          rulesWithDetails.push(rule);
+          const category = rule.category || "General";
+          if (!rulesByCategory[category]) {
+            rulesByCategory[category] = [];
+          }
+          rulesByCategory[category].push(rule);
+        }
+      } catch (error) {
+        console.error(`Error loading rule ${ruleResource.resource_id}:`, error);
+      }
+    }
+
+    // Generate content by category
+    const categories = Object.keys(rulesByCategory).sort();
+
+    for (const category of categories) {
+      content += `## ${category}\n\n`;
+
+      const categoryRules = rulesByCategory[category].sort(
+        (a, b) => (b.priority || 0) - (a.priority || 0),
+      );
+
+      for (const rule of categoryRules) {
+        content += `### ${rule.name}\n\n`;
+
+        if (rule.description) {
+          content += `${rule.description}\n\n`;
+        }
+
+        if (rule.rule_content) {
+          content += `${rule.rule_content}\n\n`;
+        }
+
+        if (rule.priority && rule.priority > 0) {
+          content += `*Priority: ${rule.priority}*\n\n`;
+        }
+      }
+    }
+
+    content += `---\n\n`;
+    content += `*Generated from ${rulesWithDetails.length} rule${rulesWithDetails.length > 1 ? "s" : ""} on ${new Date().toLocaleDateString()}*\n`;
+
+    return content;
+  }
+
+  /**
+   * Generate .claude/settings.json hooks and accompanying documentation
+   * @param {Array} hooks - Array of hook resources
+   * @param {Object|string} baseSettings - Existing settings.json to merge hooks into
+   * @param {Array} warnings - Optional collector for matcher conversion warnings
+   * @returns {Object} - Object with hook configuration files
+   */
+  async generateHookFiles(hooks, baseSettings = null, warnings = []) {
+    const files = {};
+    const hookRows = await this._loadHookRows(hooks);
+
+    if (hookRows.length === 0 && !baseSettings) {
+      return files;
+    }
+
+    const generator = new ClaudeSettingsGenerator();
+    const settings = generator.generate(hookRows, baseSettings);
+    warnings.push(...generator.warnings);
+
+    files[".claude/settings.json"] = JSON.stringify(settings, null, 2);
+
+    if (hookRows.length === 0) {
+      return files;
+    }
+
+    hookRows.sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+
+    // Generate individual hook documentation
+    let hooksDoc = `# Project Hooks\n\n`;
+    hooksDoc += `This project includes ${hookRows.length} automation hook${hookRows.length > 1 ? "s" : ""}, configured in \`.claude/settings.json\`.\n\n`;
+
+    for (const hook of hookRows) {
+      const matcher = generator.toMatcher(hook);
+      const entry = generator.toHookEntry(hook);
+
+      hooksDoc += `## ${hook.name}\n\n`;
+      hooksDoc += `**Event**: ${hook.hook_type}\n\n`;
+
+      if (hook.description) {
+        hooksDoc += `${hook.description}\n\n`;
+      }
+
+      hooksDoc += `**Command**: \`${entry.command}\`\n\n`;
+
+      if (matcher !== null) {
+        hooksDoc += `**Matcher**: \`${matcher}\`\n\n`;
+      }
+
+      hooksDoc += `**Timeout**: ${entry.timeout}s\n\n`;
+      hooksDoc += `**Enabled**: ${hook.is_enabled === 0 ? "No" : "Yes"}\n\n`;
+    }
+
+    files[".claude/hooks.md"] = hooksDoc;
+
+    return files;
+  }
+
+  /**
+   * Get project details
+   * @private
+   */
+  async _getProjectDetails(projectId) {
+    try {
+      const project = await this.db
+        .prepare("SELECT * FROM projects WHERE id = ?")
+        .bind(projectId)
+        .first();
+
+      if (!project) {
+        return null;
+      }
+
+      return {
+        ...project,
+        tags: project.tags ? JSON.parse(project.tags) : [],
+      };
+    } catch (error) {
+      throw new Error(`Failed to get project details: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all resources assigned to a project
+   * @private
+   */
+  async _getProjectResources(projectId) {
+    try {
+      // Get all resource assignments
+      const assignments = await this.db
+        .prepare(
+          `
+        SELECT pr.*,
+               CASE pr.resource_type
+                 WHEN 'agent' THEN a.name
+                 WHEN 'rule' THEN ar.name
+                 WHEN 'hook' THEN h.name
+               END as name,
+               CASE pr.resource_type
+                 WHEN 'agent' THEN a.description
+                 WHEN 'rule' THEN ar.description
+                 WHEN 'hook' THEN h.description
+               END as description,
+               CASE pr.resource_type
+                 WHEN 'agent' THEN a.role
+                 WHEN 'rule' THEN ar.category
+                 WHEN 'hook' THEN h.hook_type
+               END as metadata,
+               CASE pr.resource_type
+                 WHEN 'rule' THEN ar.path_scope
+               END as default_path_scope,
+               CASE pr.resource_type
+                 WHEN 'hook' THEN h.command
+               END as command
+        FROM project_resources pr
+        LEFT JOIN agents a ON pr.resource_type = 'agent' AND pr.resource_id = a.id
+        LEFT JOIN agent_rules ar ON pr.resource_type = 'rule' AND pr.resource_id = ar.id
+        LEFT JOIN hooks h ON pr.resource_type = 'hook' AND pr.resource_id = h.id
+        WHERE pr.project_id = ?
+        ORDER BY pr.resource_type, pr.assignment_order, pr.created_at
+      `,
+        )
+        .bind(projectId)
+        .all();
+
+      const resources = {
+        agents: [],
+        rules: [],
+        hooks: [],
+      };
+
+      for (const assignment of assignments.results) {
+        const resource = {
+          ...assignment,
+          config_overrides: assignment.config_overrides
+            ? JSON.parse(assignment.config_overrides)
+            : null,
+          is_primary: Boolean(assignment.is_primary),
+          // The assignment's scope wins over the rule's default scope
+          path_scope:
+            assignment.path_scope || assignment.default_path_scope || null,
+        };
+
+        switch (assignment.resource_type) {
+          case "agent":
+            resources.agents.push(resource);
+            break;
+          case "rule":
+            resources.rules.push(resource);
+            break;
+          case "hook":
+            resources.hooks.push(resource);
+            break;
+        }
+      }
+
+      return resources;
+    } catch (error) {
+      throw new Error(`Failed to get project resources: ${error.message}`);
+    }
+  }
+
+  /**
+   * Separate path-scoped assignments from the ones the root CLAUDE.md keeps
+   * @private
+   */
+  _splitByPathScope(resources) {
+    return {
+      scopes: this._groupByPathScope(resources),
+      rootResources: {
+        ...resources,
+        agents: resources.agents.filter((agent) => !agent.path_scope),
+        rules: resources.rules.filter((rule) => !rule.path_scope),
+      },
+    };
+  }
+
+  /**
+   * Group scoped agent and rule assignments by path scope, sorted by path
+   * @private
+   */
+  _groupByPathScope(resources) {
+    const scopes = new Map();
+
+    for (const type of ["agents", "rules"]) {
+      for (const resource of resources[type] || []) {
+        if (!resource.path_scope) continue;
+
+        if (!scopes.has(resource.path_scope)) {
+          scopes.set(resource.path_scope, { agents: [], rules: [] });
+        }
+        scopes.get(resource.path_scope)[type].push(resource);
+      }
+    }
+
+    return new Map([...scopes.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  /**
+   * Load the rule rows behind project rule assignments
+   * @private
+   */
+  async _loadRuleRows(ruleResources) {
+    const ruleRows = [];
+
+    for (const ruleResource of ruleResources || []) {
+      const rule = await this._getRule(ruleResource);
+
+      if (rule) {
+        ruleRows.push(rule);
+      }
+    }
+
+    return ruleRows;
+  }
+
+  /**
+   * Load the rule behind an assignment, as of its pinned version if any
+   * @private
+   */
+  async _getRule(ruleResource) {
+    const rule = await this.db
+      .prepare("SELECT * FROM agent_rules WHERE id = ?")
+      .bind(ruleResource.resource_id)
+      .first();
+
+    const version = RuleVersionManager.pinnedVersion(
+      ruleResource.config_overrides,
+    );
+    if (!rule || version === null) return rule;
+
+    return await new RuleVersionManager(this.db).applyVersion(rule, version);
+  }
+
+  /**
+   * Load the hook rows behind project hook assignments
+   * @private
+   */
+  async _loadHookRows(hookResources) {
+    const hookRows = [];
+
+    for (const hookResource of hookResources || []) {
+      try {
+        const hook = await this.db
+          .prepare("SELECT * FROM hooks WHERE id = ?")
+          .bind(hookResource.resource_id)
+          .first();
+
+        if (!hook) {
+          console.warn(`Hook ${hookResource.resource_id} not found`);
+          continue;
+        }
+
+        hookRows.push(hook);
+      } catch (error) {
+        console.error(`Error loading hook ${hookResource.resource_id}:`, error);
+      }
+    }
+
+    return hookRows;
+  }
+
+  /**
+   * Get enabled custom agents exported as slash commands
+   * @private
+   */
+  async _getProjectCommands(projectId) {
+    const result = await this.db
+      .prepare(
+        "SELECT * FROM custom_agents WHERE project_id = ? AND is_enabled = 1 ORDER BY name",
+      )
+      .bind(projectId)
+      .all();
+
+    return result.results || [];
+  }
+
+  /**
+   * Validate export requirements
+   * @private
+   */
+  async _validateExportRequirements(project, resources) {
+    const warnings = [];
+    const errors = [];
+
+    // Check if project has basic information
+    if (!project.name || project.name.trim().length === 0) {
+      errors.push("Project must have a name");
+    }
+
+    // Check if project has any resources
+    const totalResources =
+      (resources.agents?.length || 0) +
+      (resources.rules?.length || 0) +
+      (resources.hooks?.length || 0);
+
+    if (totalResources === 0) {
+      warnings.push(
+        "Project has no assigned resources (agents, rules, or hooks)",
+      );
+    }
+
+    // Check for primary agent
+    const primaryAgents = resources.agents?.filter((a) => a.is_primary) || [];
+    if (resources.agents?.length > 0 && primaryAgents.length === 0) {
+      warnings.push(
+        "No primary agent assigned - consider setting one agent as primary",
+      );
+    }
+
+    if (primaryAgents.length > 1) {
+      warnings.push(
+        "Multiple primary agents found - only one should be primary",
+      );
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Export validation failed: ${errors.join(", ")}`);
+    }
+
+    return { warnings, errors };
+  }
+
+  /**
+   * Look up the custom agent configuration matching a subagent name
+   * @private
+   */
+  async _getCustomAgentConfig(projectId, name) {
+    try {
+      const customAgent = await this.db
+        .prepare(
+          `
+        SELECT agent_config FROM custom_agents
+        WHERE name = ? AND (project_id = ? OR project_id IS NULL)
+        ORDER BY project_id IS NULL
+        LIMIT 1
+      `,
+        )
+        .bind(name, projectId ?? null)
+        .first();
+
+      return customAgent?.agent_config
+        ? JSON.parse(customAgent.agent_config)
+        : {};
+    } catch (error) {
+      console.warn(`Failed to load custom agent config for ${name}:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Normalize a tool list given as an array or comma-separated string
+   * @private
+   */
+  _normalizeToolList(tools) {
+    if (!tools) return [];
+    const list = Array.isArray(tools) ? tools : String(tools).split(",");
+    return [...new Set(list.map((tool) => String(tool).trim()).filter(Boolean))];
+  }
+
+  /**
+   * Render a YAML frontmatter block from flat key/value pairs
+   * @private
+   */
+  _formatFrontmatter(fields) {
+    const lines = ["---"];
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined || value === null || value === "") continue;
+
+      const text = String(value).replace(/\s*\n\s*/g, " ").trim();
+      // Quote values YAML would otherwise misread (colons, leading symbols, etc.)
+      const needsQuotes =
+        /[:#]|^[\s\-?\[\]{},&*!|>'"%@`]/.test(text) ||
+        /^(true|false|null|yes|no|~|[\d.+-]+)$/i.test(text);
+      lines.push(`${key}: ${needsQuotes ? JSON.stringify(text) : text}`);
+    }
+
+    lines.push("---");
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Sanitize filename for file system compatibility
+   * @private
+   */
+  _sanitizeFilename(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, "") // Remove special characters
+      .replace(/\s+/g, "-") // Replace spaces with hyphens
+      .replace(/-+/g, "-") // Replace multiple hyphens with single
+      .replace(/^-|-$/g, ""); // Remove leading/trailing hyphens
+  }
+}
+
+// ============================================
+// MULTI-TOOL EXPORTERS
+// ============================================
+
+/**
+ * Windsurf ignores workspace rules beyond this many characters
+ */
+const WINDSURF_RULES_MAX_CHARS = 6000;
+
+/**
+ * InstructionsExporter - Base class for exporters that render project
+ * resources as another coding assistant's instruction files
+ *
+ * Subclasses set `target`, `label` and `ideId` and implement render(context);
+ * targets read by tools without an IDE entry leave `ideId` null.
+ * Resource loading and metadata mirror ClaudeCodeExporter so every target
+ * reports the same structure shape.
+ */
+class InstructionsExporter {
+  constructor(db) {
+    this.db = db;
+    this.claudeExporter = new ClaudeCodeExporter(db);
+    this.target = null;
+    this.label = "Instructions";
+    this.ideId = null;
+  }
+
+  /**
+   * Generate the instruction files for this target
+   * @param {number} projectId - Project ID to export
+   * @param {Object} options - Same include* flags as ClaudeCodeExporter
+   * @returns {Object} - Project structure with files and metadata
+   */
+  async generateProjectStructure(projectId, options = {}) {
+    const {
+      includeAgents = true,
+      includeRules = true,
+      includeHooks = true,
+      includeCommands = true,
+      format = "files",
+    } = options;
+
+    const project = await this.claudeExporter._getProjectDetails(projectId);
+    if (!project) {
+      throw new Error("Project not found");
+    }
+
+    const resources = await this.claudeExporter._getProjectResources(projectId);
+    const warnings = [];
+
+    const context = {
+      project,
+      agents: includeAgents ? await this._loadAgents(resources.agents) : [],
+      rules: includeRules
+        ? await this._loadRules(resources.rules, warnings)
+        : [],
+      warnings,
+    };
+
+    // Hooks and slash commands have no equivalent in plain instruction files
+    if (includeHooks && resources.hooks.length > 0) {
+      warnings.push(
+        `${this.label} has no hook support; ${resources.hooks.length} hook${resources.hooks.length === 1 ? " was" : "s were"} not exported`,
+      );
+    }
+    if (includeCommands) {
+      const commands = await this.claudeExporter._getProjectCommands(projectId);
+      if (commands.length > 0) {
+        warnings.push(
+          `${this.label} has no slash command support; ${commands.length} command${commands.length === 1 ? " was" : "s were"} not exported`,
+        );
+      }
+    }
+
+    const files = this.render(context);
+
+    const structure = {
+      project,
+      files,
+      metadata: {
+        exportedAt: new Date().toISOString(),
+        projectId,
+        projectName: project.name,
+        projectSlug: project.slug,
+        target: this.target,
+        totalFiles: Object.keys(files).length,
+        includedComponents: {
+          agents: includeAgents,
+          rules: includeRules,
+          hooks: false,
+          projectSettings: false,
+          claudeMD: false,
+          commands: false,
+        },
+        warnings,
+      },
+    };
+
+    if (format === "zip") {
+      structure.archive = new ZipArchiveBuilder().addFiles(files).build();
+      structure.metadata.archiveSize = structure.archive.length;
+    }
+
+    return structure;
+  }
+
+  /**
+   * Render the target's files
+   * @param {Object} context - { project, agents, rules, warnings }
+   * @returns {Object} - Map of relative path to file content
+   */
+  render(context) {
+    throw new Error(`${this.constructor.name} must implement render()`);
+  }
+
+  /**
+   * Render project overview, rules and agents as a single Markdown document
+   * @param {Object} context - Render context
+   * @param {string} intro - Sentence placed under the project description
+   * @returns {string} - Markdown content
+   */
+  renderMarkdown({ project, agents, rules }, intro) {
+    let content = `# ${project.name}\n\n`;
+
+    if (project.description) {
+      content += `${project.description}\n\n`;
+    }
+    if (intro) {
+      content += `${intro}\n\n`;
+    }
+    if (project.project_info) {
+      content += `## Project Information\n\n${project.project_info}\n\n`;
+    }
+
+    if (rules.length > 0) {
+      content += `## Rules\n\n`;
+
+      for (const [category, categoryRules] of this._groupByCategory(rules)) {
+        content += `### ${category}\n\n`;
+
+        for (const rule of categoryRules) {
+          content += `#### ${rule.name}\n\n`;
+          if (rule.globs.length > 0) {
+            content += `Applies to: ${rule.globs.map((glob) => `\`${glob}\``).join(", ")}\n\n`;
+          }
+          if (rule.description) {
+            content += `${rule.description}\n\n`;
+          }
+          if (rule.rule_content) {
+            content += `${rule.rule_content.trim()}\n\n`;
+          }
+        }
+      }
+    }
+
+    if (agents.length > 0) {
+      content += `## Agents\n\n`;
+      content += `Adopt the matching role when a task calls for it.\n\n`;
+
+      for (const agent of agents) {
+        content += `### ${agent.name}\n\n`;
+        if (agent.role) {
+          content += `**Role**: ${agent.role}\n\n`;
+        }
+        if (agent.description) {
+          content += `${agent.description}\n\n`;
+        }
+        if (agent.system_prompt) {
+          content += `${agent.system_prompt.trim()}\n\n`;
+        }
+        if (agent.style) {
+          content += `Communication style: ${agent.style}\n\n`;
+        }
+      }
+    }
+
+    return `${content.trimEnd()}\n`;
+  }
+
+  /**
+   * Load assigned agent rows
+   * @private
+   */
+  async _loadAgents(agentResources) {
+    const agents = [];
+
+    for (const agentResource of agentResources || []) {
+      const agent = await this.db
+        .prepare("SELECT * FROM agents WHERE id = ?")
+        .bind(agentResource.resource_id)
+        .first();
+
+      if (agent) {
+        agents.push(agent);
+      }
+    }
+
+    return agents;
+  }
+
+  /**
+   * Load assigned rule rows, dropping rules scoped to a different IDE;
+   * targets without an ideId keep every rule
+   *
+   * File globs come from the assignment's config_overrides.globs, falling
+   * back to everything under the rule's path scope.
+   * @private
+   */
+  async _loadRules(ruleResources, warnings) {
+    const rules = [];
+
+    for (const ruleResource of ruleResources || []) {
+      const rule = await this.claudeExporter._getRule(ruleResource);
+
+      if (!rule) continue;
+
+      if (this.ideId && rule.ide_id && rule.ide_id !== this.ideId) {
+        warnings.push(
+          `Rule "${rule.name}" is scoped to ${rule.ide_id} and was not exported to ${this.label}`,
+        );
+        continue;
+      }
+
+      const overrides = ruleResource.config_overrides || {};
+      const scope = ruleResource.path_scope;
+      rules.push({
+        ...rule,
+        globs: this.claudeExporter._normalizeToolList(
+          overrides.globs ?? (scope ? `${scope}/**` : null),
+        ),
+      });
+    }
+
+    return rules.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  /**
+   * Group rules by category, keeping priority order within each group
+   * @private
+   */
+  _groupByCategory(rules) {
+    const groups = new Map();
+
+    for (const rule of rules) {
+      const category = rule.category || "General";
+      if (!groups.has(category)) {
+        groups.set(category, []);
+      }
+      groups.get(category).push(rule);
+    }
+
+    return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+  }
+}
+
+/**
+ * CursorRulesExporter - One .cursor/rules/*.mdc file per rule and agent
+ *
+ * Rules with globs attach automatically to matching files; rules without
+ * globs are always applied. Agents become agent-requested rules that Cursor
+ * pulls in by description.
+ */
+class CursorRulesExporter extends InstructionsExporter {
+  constructor(db) {
+    super(db);
+    this.target = "cursor";
+    this.label = "Cursor";
+    this.ideId = "ide_cursor";
+  }
+
+  render({ project, agents, rules }) {
+    const files = {};
+    const used = new Set();
+    const pathFor = (name) => {
+      const base = this.claudeExporter._sanitizeFilename(name) || "rule";
+      let slug = base;
+      for (let n = 2; used.has(slug); n++) {
+        slug = `${base}-${n}`;
+      }
+      used.add(slug);
+      return `.cursor/rules/${slug}.mdc`;
+    };
+
+    let overview = `# ${project.name}\n\n`;
+    if (project.description) {
+      overview += `${project.description}\n\n`;
+    }
+    if (project.project_info) {
+      overview += `${project.project_info}\n\n`;
+    }
+    files[pathFor("project")] = this._formatRule(
+      { description: `${project.name} project overview`, alwaysApply: true },
+      overview,
+    );
+
+    for (const rule of rules) {
+      let body = `# ${rule.name}\n\n`;
+      if (rule.description) {
+        body += `${rule.description}\n\n`;
+      }
+      if (rule.rule_content) {
+        body += `${rule.rule_content.trim()}\n`;
+      }
+
+      files[pathFor(rule.name)] = this._formatRule(
+        {
+          description: rule.description || rule.name,
+          globs: rule.globs.join(","),
+          alwaysApply: rule.globs.length === 0,
+        },
+        body,
+      );
+    }
+
+    for (const agent of agents) {
+      let body = agent.system_prompt
+        ? `${agent.system_prompt.trim()}\n`
+        : `You are ${agent.name}${agent.role ? `, ${agent.role}` : ""}.\n`;
+      if (agent.style) {
+        body += `\nCommunication style: ${agent.style}\n`;
+      }
+
+      files[pathFor(`agent-${agent.name}`)] = this._formatRule(
+        {
+          description:
+            [agent.role, agent.description].filter(Boolean).join(". ") ||
+            `${agent.name} agent`,
+          alwaysApply: false,
+        },
+        body,
+      );
+    }
+
+    return files;
+  }
+
+  /**
+   * Cursor reads globs as a bare comma-separated list, so only the
+   * description goes through YAML quoting
+   * @private
+   */
+  _formatRule({ description, globs = "", alwaysApply }, body) {
+    const frontmatter = this.claudeExporter
+      ._formatFrontmatter({ description })
+      .replace(
+        /---\n$/,
+        `globs:${globs ? ` ${globs}` : ""}\nalwaysApply: ${alwaysApply}\n---\n`,
+      );
+    return `${frontmatter}\n${body.trimEnd()}\n`;
+  }
+}
+
+/**
+ * WindsurfRulesExporter - Writes the workspace .windsurfrules file
+ */
+class WindsurfRulesExporter extends InstructionsExporter {
+  constructor(db) {
+    super(db);
+    this.target = "windsurf";
+    this.label = "Windsurf";
+    this.ideId = "ide_windsurf";
+  }
+
+  render(context) {
+    const content = this.renderMarkdown(context);
+
+    if (content.length > WINDSURF_RULES_MAX_CHARS) {
+      context.warnings.push(
+        `.windsurfrules is ${content.length} characters; Windsurf ignores workspace rules beyond ${WINDSURF_RULES_MAX_CHARS}`,
+      );
+    }
+
+    return { ".windsurfrules": content };
+  }
+}
+
+/**
+ * CopilotInstructionsExporter - Writes .github/copilot-instructions.md
+ */
+class CopilotInstructionsExporter extends InstructionsExporter {
+  constructor(db) {
+    super(db);
+    this.target = "copilot";
+    this.label = "GitHub Copilot";
+    this.ideId = "ide_vscode";
+  }
+
+  render(context) {
+    return {
+      ".github/copilot-instructions.md": this.renderMarkdown(
+        context,
+        "Follow these instructions when generating code or answering questions about this repository.",
+      ),
+    };
+  }
+}
+
+/**
+ * AgentsMdExporter - Writes AGENTS.md for Codex and other AGENTS.md readers
+ */
+class AgentsMdExporter extends InstructionsExporter {
+  constructor(db) {
+    super(db);
+    this.target = "agents-md";
+    this.label = "AGENTS.md";
+  }
+
+  render(context) {
+    return {
+      "AGENTS.md": this.renderMarkdown(
+        context,
+        "Instructions for coding agents working in this repository.",
+      ),
+    };
+  }
+}
+
+/**
+ * GeminiMdExporter - Writes the GEMINI.md context file for Gemini CLI
+ */
+class GeminiMdExporter extends InstructionsExporter {
+  constructor(db) {
+    super(db);
+    this.target = "gemini";
+    this.label = "Gemini CLI";
+  }
+
+  render(context) {
+    return {
+      "GEMINI.md": this.renderMarkdown(
+        context,
+        "Project context and instructions for Gemini CLI.",
+      ),
+    };
+  }
+}
+
+/**
+ * ExportTargetRegistry - Maps export target ids to the exporter that renders
+ * them, and combines several targets into one export
+ */
+class ExportTargetRegistry {
+  constructor() {
+    this.targets = new Map();
+  }
+
+  /**
+   * Register an exporter for a target
+   * @param {string} id - Target id used by the API
+   * @param {Object} definition - { label, description, files, exporter }
+   * @returns {ExportTargetRegistry} - This registry, for chaining
+   */
+  register(id, { label, description, files, exporter }) {
+    this.targets.set(id, { id, label, description, files, exporter });
+    return this;
+  }
+
+  /**
+   * List registered targets without their exporter classes
+   * @returns {Array} - [{ id, label, description, files }]
+   */
+  list() {
+    return [...this.targets.values()].map(({ exporter, ...target }) => target);
+  }
+
+  /**
+   * Normalize a target id or list of ids
+   * @param {string|Array} value - Requested targets; defaults to claude-code
+   * @returns {Array} - Unique, registered target ids
+   */
+  resolve(value) {
+    const requested = Array.isArray(value) ? value : [value || "claude-code"];
+    const targets = [...new Set(requested.map((id) => String(id).trim()))];
+    const unknown = targets.filter((id) => !this.targets.has(id));
+
+    if (targets.length === 0 || unknown.length > 0) {
+      throw new ValidationError(
+        `Export target must be one of: ${[...this.targets.keys()].join(", ")}`,
+        "targets",
+        value,
+      );
+    }
+
+    return targets;
+  }
+
+  /**
+   * Create the exporter for a target
+   * @param {string} id - Target id
+   * @param {Object} db - D1 database
+   */
+  create(id, db) {
+    const [target] = this.resolve(id);
+    return new (this.targets.get(target).exporter)(db);
+  }
+
+  /**
+   * Generate and merge the structures of several targets
+   * @param {Object} db - D1 database
+   * @param {number} projectId - Project ID to export
+   * @param {string|Array} targets - Target ids
+   * @param {Object} options - Exporter options; `format: "zip"` packs all files
+   * @returns {Object} - Combined project structure
+   */
+  async generate(db, projectId, targets, options = {}) {
+    const { format = "files", ...exportOptions } = options;
+    const ids = this.resolve(targets);
+
+    // A single target keeps its exporter's structure as-is
+    if (ids.length === 1) {
+      const structure = await this.create(ids[0], db).generateProjectStructure(
+        projectId,
+        options,
+      );
+      structure.metadata.targets = ids;
+      return structure;
+    }
+
+    let structure = null;
+
+    for (const id of ids) {
+      const part = await this.create(id, db).generateProjectStructure(
+        projectId,
+        exportOptions,
+      );
+
+      if (!structure) {
+        structure = {
+          project: part.project,
+          files: {},
+          metadata: {
+            ...part.metadata,
+            includedComponents: { ...part.metadata.includedComponents },
+            targets: ids,
+            warnings: [],
+          },
+        };
+        delete structure.metadata.target;
+      }
+
+      Object.assign(structure.files, part.files);
+      structure.metadata.warnings.push(...part.metadata.warnings);
+      const components = structure.metadata.includedComponents;
+      for (const [component, included] of Object.entries(
+        part.metadata.includedComponents,
+      )) {
+        components[component] = components[component] || included;
+      }
+      if (part.metadata.hookSafety) {
+        structure.metadata.hookSafety = part.metadata.hookSafety;
+      }
+      if (part.metadata.tokenBudget) {
+        structure.metadata.tokenBudget = part.metadata.tokenBudget;
+        structure.metadata.recommendations = part.metadata.recommendations;
+      }
+    }
+
+    structure.metadata.totalFiles = Object.keys(structure.files).length;
+
+    if (format === "zip") {
+      structure.archive = new ZipArchiveBuilder()
+        .addFiles(structure.files)
+        .build();
+      structure.metadata.archiveSize = structure.archive.length;
+    }
+
+    return structure;
+  }
+}
+
+const EXPORT_TARGETS = new ExportTargetRegistry()
+  .register("claude-code", {
+    label: "Claude Code",
+    description: "CLAUDE.md, subagents, slash commands and hooks",
+    files: ["CLAUDE.md", ".claude/"],
+    exporter: ClaudeCodeExporter,
+  })
+  .register("cursor", {
+    label: "Cursor",
+    description: "Project rules with globs frontmatter",
+    files: [".cursor/rules/*.mdc"],
+    exporter: CursorRulesExporter,
+  })
+  .register("windsurf", {
+    label: "Windsurf",
+    description: "Workspace rules file",
+    files: [".windsurfrules"],
+    exporter: WindsurfRulesExporter,
+  })
+  .register("copilot", {
+    label: "GitHub Copilot",
+    description: "Repository custom instructions",
+    files: [".github/copilot-instructions.md"],
+    exporter: CopilotInstructionsExporter,
+  })
+  .register("agents-md", {
+    label: "Codex (AGENTS.md)",
+    description: "AGENTS.md for Codex and compatible agents",
+    files: ["AGENTS.md"],
+    exporter: AgentsMdExporter,
+  })
+  .register("gemini", {
+    label: "Gemini CLI",
+    description: "GEMINI.md context file",
+    files: ["GEMINI.md"],
+    exporter: GeminiMdExporter,
+  });
+
+// ============================================
+// ROUND-TRIP EXPORT MERGE
+// ============================================
+
+/**
+ * Line-diff inputs above this many cells (old lines x new lines) are treated
+ * as a full replacement instead of running the quadratic LCS
+ */
+const EXPORT_DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Generated files that are reconciled section by section when only hashes
+ * of the previous export are known
+ */
+const EXPORT_MARKDOWN_FILE_PATTERN = /(\.md|\.mdc)$|(^|\/)\.windsurfrules$/;
+
+/**
+ * ExportMerger - Reconciles a fresh export with the copy in the user's repo
+ *
+ * The previous export is the merge base. When its files are supplied the
+ * merge is a line-level three-way merge with conflict markers. Otherwise the
+ * content hashes recorded on export_history are used: files the developer has
+ * not touched take the new export, and Markdown files are reconciled per
+ * `## ` section so edited sections are kept and flagged instead of clobbered.
+ */
+class ExportMerger {
+  /**
+   * SHA-256 hex digest of a string
+   * @param {string} content - Text to hash
+   * @returns {Promise<string>} - Hex digest
+   */
+  static async hash(content) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(String(content)),
+    );
+    return [...new Uint8Array(digest)]
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Hash every file and every Markdown section of an export
+   * @param {Object} files - Map of path to content
+   * @returns {Promise<Object>} - { files: {path: hash}, sections: {path: {key: hash}} }
+   */
+  static async hashFiles(files) {
+    const hashes = { files: {}, sections: {} };
+
+    for (const [path, content] of Object.entries(files || {})) {
+      hashes.files[path] = await ExportMerger.hash(content);
+
+      if (EXPORT_MARKDOWN_FILE_PATTERN.test(path)) {
+        hashes.sections[path] = {};
+        for (const section of ExportMerger.splitSections(content)) {
+          hashes.sections[path][section.key] = await ExportMerger._hashSection(
+            section.text,
+          );
+        }
+      }
+    }
+
+    return hashes;
+  }
+
+  /**
+   * Split Markdown into `## ` sections whose texts concatenate back to the input
+   * @param {string} content - Markdown
+   * @returns {Array} - [{ key, text }]; the text before the first section has key ""
+   */
+  static splitSections(content) {
+    const sections = [{ key: "", text: "" }];
+    const seen = new Map();
+    let inFence = false;
+
+    for (const line of String(content).split(/(?<=\n)/)) {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+      const heading = !inFence && /^##\s+(.+?)\s*#*\s*$/.exec(line);
+      if (heading) {
+        // Repeated headings get a counter so every key stays unique
+        const title = heading[1].trim();
+        const count = (seen.get(title) || 0) + 1;
+        seen.set(title, count);
+        sections.push({ key: count > 1 ? `${title} #${count}` : title, text: "" });
+      }
+
+      sections[sections.length - 1].text += line;
+    }
+
+    return sections.filter((section) => section.key !== "" || section.text !== "");
+  }
+
+  /**
+   * Line-level edit script between two texts
+   * @param {string} before - Original text
+   * @param {string} after - Changed text
+   * @returns {Array} - [{ type: 'equal'|'delete'|'insert', line }]
+   */
+  static diffLines(before, after) {
+    const a = ExportMerger._lines(before);
+    const b = ExportMerger._lines(after);
+    const ops = [];
+
+    // Common prefix and suffix are cheap and keep the LCS table small
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      ops.push({ type: "equal", line: a[start] });
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const rows = endA - start;
+    const cols = endB - start;
+
+    if (rows * cols > EXPORT_DIFF_MAX_CELLS) {
+      for (let i = start; i < endA; i++) ops.push({ type: "delete", line: a[i] });
+      for (let j = start; j < endB; j++) ops.push({ type: "insert", line: b[j] });
+    } else {
+      // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+      const width = cols + 1;
+      const lcs = new Uint32Array((rows + 1) * width);
+      for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+          lcs[i * width + j] =
+            a[start + i] === b[start + j]
+              ? lcs[(i + 1) * width + j + 1] + 1
+              : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+      }
+
+      // Ties go to delete so a replaced line reads -old then +new
+      let i = 0;
+      let j = 0;
+      while (i < rows || j < cols) {
+        if (i < rows && j < cols && a[start + i] === b[start + j]) {
+          ops.push({ type: "equal", line: a[start + i] });
+          i++;
+          j++;
+        } else if (
+          j < cols &&
+          (i === rows || lcs[i * width + j + 1] > lcs[(i + 1) * width + j])
+        ) {
+          ops.push({ type: "insert", line: b[start + j] });
+          j++;
+        } else {
+          ops.push({ type: "delete", line: a[start + i] });
+          i++;
+        }
+      }
     }
-    if (hooks.length > 0) {
-      content += `- Automation hooks are configured for this project\n`;
+
+    for (let i = endA; i < a.length; i++) ops.push({ type: "equal", line: a[i] });
+
+    return ops;
+  }
+
+  /**
+   * Render a unified diff
+   * @param {string|null} before - Original text (null for a new file)
+   * @param {string|null} after - Changed text (null for a deleted file)
+   * @param {string} path - File path used in the headers
+   * @param {number} context - Unchanged lines shown around each change
+   * @returns {string} - Unified diff, or "" when the texts are identical
+   */
+  static unifiedDiff(before, after, path, context = 3) {
+    if (before === after) return "";
+
+    const ops = ExportMerger.diffLines(before ?? "", after ?? "");
+    const changed = ops
+      .map((op, index) => (op.type === "equal" ? -1 : index))
+      .filter((index) => index >= 0);
+    if (changed.length === 0) return "";
+
+    // Group changes whose context windows touch into hunks
+    const hunks = [];
+    for (const index of changed) {
+      const last = hunks[hunks.length - 1];
+      if (last && index - last.end <= context * 2 + 1) {
+        last.end = index;
+      } else {
+        hunks.push({ start: index, end: index });
+      }
     }
-    content += `- Project settings are configured in .claude/project_settings.json\n\n`;
 
-    content += `---\n\n`;
-    content += `*This project was exported from Semantic Prompt Workstation on ${new Date().toLocaleDateString()}*\n`;
+    const lines = [
+      `--- ${before === null ? "/dev/null" : `a/${path}`}`,
+      `+++ ${after === null ? "/dev/null" : `b/${path}`}`,
+    ];
+
+    for (const hunk of hunks) {
+      const from = Math.max(0, hunk.start - context);
+      const to = Math.min(ops.length - 1, hunk.end + context);
+
+      // Line numbers are 1-based positions in each side before the hunk
+      let oldLine = 1;
+      let newLine = 1;
+      for (let i = 0; i < from; i++) {
+        if (ops[i].type !== "insert") oldLine++;
+        if (ops[i].type !== "delete") newLine++;
+      }
+
+      const body = [];
+      let oldCount = 0;
+      let newCount = 0;
+      for (let i = from; i <= to; i++) {
+        const { type, line } = ops[i];
+        const prefix = type === "equal" ? " " : type === "delete" ? "-" : "+";
+        body.push(`${prefix}${line}`);
+        if (type !== "insert") oldCount++;
+        if (type !== "delete") newCount++;
+      }
+
+      lines.push(
+        `@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`,
+        ...body,
+      );
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Three-way merge of two edits of a common base (diff3)
+   * @param {string} base - Previously exported content
+   * @param {string} ours - Content currently in the repo
+   * @param {string} theirs - Newly exported content
+   * @param {Object} labels - Conflict marker labels
+   * @returns {Object} - { content, conflicts }
+   */
+  static merge3(base, ours, theirs, labels = {}) {
+    const { ours: oursLabel = "repo", base: baseLabel = "previous export", theirs: theirsLabel = "export" } = labels;
+    const baseLines = ExportMerger._lines(base);
+    const oursLines = ExportMerger._lines(ours);
+    const theirsLines = ExportMerger._lines(theirs);
+    const oursMatch = ExportMerger._matchLines(base, ours);
+    const theirsMatch = ExportMerger._matchLines(base, theirs);
+
+    const output = [];
+    let conflicts = 0;
+    let i = 0;
+    let a = 0;
+    let b = 0;
+
+    const resolve = (baseChunk, oursChunk, theirsChunk) => {
+      const same = (x, y) => x.length === y.length && x.every((line, n) => line === y[n]);
+
+      if (same(oursChunk, baseChunk)) {
+        output.push(...theirsChunk);
+      } else if (same(theirsChunk, baseChunk) || same(oursChunk, theirsChunk)) {
+        output.push(...oursChunk);
+      } else {
+        conflicts++;
+        output.push(
+          `<<<<<<< ${oursLabel}`,
+          ...oursChunk,
+          `||||||| ${baseLabel}`,
+          ...baseChunk,
+          "=======",
+          ...theirsChunk,
+          `>>>>>>> ${theirsLabel}`,
+        );
+      }
+    };
+
+    while (i <= baseLines.length) {
+      // Next base line that both sides kept marks the end of an unstable chunk
+      let k = i;
+      while (k < baseLines.length && (oursMatch[k] < 0 || theirsMatch[k] < 0)) k++;
+
+      const oursEnd = k < baseLines.length ? oursMatch[k] : oursLines.length;
+      const theirsEnd = k < baseLines.length ? theirsMatch[k] : theirsLines.length;
+      resolve(
+        baseLines.slice(i, k),
+        oursLines.slice(a, oursEnd),
+        theirsLines.slice(b, theirsEnd),
+      );
+
+      if (k < baseLines.length) output.push(baseLines[k]);
+      i = k + 1;
+      a = oursEnd + 1;
+      b = theirsEnd + 1;
+    }
+
+    return { content: ExportMerger._joinLines(output, ours, theirs), conflicts };
+  }
+
+  /**
+   * Reconcile newly exported files with the repo copy
+   * @param {Object} generated - Newly exported path => content
+   * @param {Object} repo - Current repo path => content
+   * @param {Object} base - { files?: previous export path => content, hashes?: from hashFiles }
+   * @returns {Promise<Object>} - { files, report, summary }
+   */
+  async reconcile(generated, repo, base = {}) {
+    const baseFiles = base.files || {};
+    const baseHashes = base.hashes || { files: {}, sections: {} };
+    const files = {};
+    const report = {};
+
+    for (const [path, next] of Object.entries(generated)) {
+      const current = repo[path];
+      let entry;
+
+      if (current === undefined) {
+        entry = { status: "added", content: next };
+      } else if (current === next) {
+        entry = { status: "unchanged", content: next };
+      } else if (baseFiles[path] !== undefined) {
+        const merged = ExportMerger.merge3(baseFiles[path], current, next);
+        entry = {
+          status: merged.conflicts > 0 ? "conflict" : merged.content === next ? "updated" : "merged",
+          content: merged.content,
+          conflicts: merged.conflicts,
+        };
+      } else if (!baseHashes.files?.[path]) {
+        // Never exported before, so the repo copy cannot be told apart from drift
+        entry = { status: "diverged", content: current };
+      } else if ((await ExportMerger.hash(current)) === baseHashes.files[path]) {
+        entry = { status: "updated", content: next };
+      } else if (baseHashes.sections?.[path]) {
+        entry = await this._reconcileSections(current, next, baseHashes.sections[path]);
+      } else {
+        entry = { status: "drifted", content: current };
+      }
+
+      const { content, ...details } = entry;
+      files[path] = content;
+      report[path] = {
+        ...details,
+        diff: ExportMerger.unifiedDiff(current ?? null, content, path),
+        // What the export would still change, for entries that kept repo text
+        ...(content !== next
+          ? { exportDiff: ExportMerger.unifiedDiff(content, next, path) }
+          : {}),
+      };
+    }
+
+    // Files the previous export wrote that this export no longer produces
+    for (const [path, hash] of Object.entries(baseHashes.files || {})) {
+      if (path in generated || repo[path] === undefined) continue;
+
+      const untouched = (await ExportMerger.hash(repo[path])) === hash;
+      if (!untouched) {
+        files[path] = repo[path];
+      }
+      report[path] = {
+        status: untouched ? "removed" : "drifted",
+        diff: untouched ? ExportMerger.unifiedDiff(repo[path], null, path) : "",
+      };
+    }
+
+    const summary = {};
+    for (const { status } of Object.values(report)) {
+      summary[status] = (summary[status] || 0) + 1;
+    }
+
+    return { files, report, summary };
+  }
+
+  /**
+   * Reconcile a Markdown file section by section against the previous
+   * export's section hashes, keeping the repo's section order
+   * @private
+   */
+  async _reconcileSections(current, next, baseSections) {
+    const repoSections = ExportMerger.splitSections(current);
+    const nextSections = ExportMerger.splitSections(next);
+    const nextByKey = new Map(nextSections.map((section) => [section.key, section]));
+    const repoKeys = new Set(repoSections.map((section) => section.key));
+    const driftedSections = [];
+    let conflicts = 0;
+
+    // New export sections go after the nearest preceding section the repo still has
+    const pending = new Map();
+    let anchor = null;
+    for (const section of nextSections) {
+      if (repoKeys.has(section.key)) {
+        anchor = section.key;
+        continue;
+      }
+
+      const hash = await ExportMerger._hashSection(section.text);
+      if (!(section.key in baseSections)) {
+        if (!pending.has(anchor)) pending.set(anchor, []);
+        pending.get(anchor).push(section.text);
+      } else if (hash === baseSections[section.key]) {
+        driftedSections.push({ section: section.key, resolution: "removed-in-repo" });
+      } else {
+        conflicts++;
+        driftedSections.push({ section: section.key, resolution: "conflict", reason: "removed in repo but changed by the export" });
+      }
+    }
+
+    const output = [...(pending.get(null) || [])];
+
+    for (const section of repoSections) {
+      const repoHash = await ExportMerger._hashSection(section.text);
+      const baseHash = baseSections[section.key];
+      const nextSection = nextByKey.get(section.key);
+
+      if (!nextSection) {
+        if (baseHash === undefined) {
+          output.push(section.text);
+          driftedSections.push({ section: section.key, resolution: "added-in-repo" });
+        } else if (repoHash !== baseHash) {
+          output.push(section.text);
+          conflicts++;
+          driftedSections.push({ section: section.key, resolution: "conflict", reason: "edited in repo but removed by the export" });
+        }
+      } else if (repoHash === baseHash) {
+        output.push(nextSection.text);
+      } else if ((await ExportMerger._hashSection(nextSection.text)) === baseHash) {
+        output.push(section.text);
+        driftedSections.push({ section: section.key, resolution: "kept-repo" });
+      } else if (section.text.trimEnd() === nextSection.text.trimEnd()) {
+        output.push(nextSection.text);
+      } else {
+        output.push(section.text);
+        conflicts++;
+        driftedSections.push({ section: section.key, resolution: "conflict", reason: "edited in repo and changed by the export" });
+      }
+
+      output.push(...(pending.get(section.key) || []));
+    }
+
+    const content = output
+      .map((text, index) => (index < output.length - 1 && !text.endsWith("\n") ? `${text}\n` : text))
+      .join("");
+
+    return {
+      status: conflicts > 0 ? "conflict" : driftedSections.length > 0 ? "drifted" : "updated",
+      content,
+      conflicts,
+      driftedSections,
+    };
+  }
+
+  /**
+   * Map each base line to its position in the other text (-1 when changed)
+   * @private
+   */
+  static _matchLines(base, other) {
+    const match = [];
+    let j = 0;
+
+    for (const op of ExportMerger.diffLines(base, other)) {
+      if (op.type === "equal") {
+        match.push(j++);
+      } else if (op.type === "delete") {
+        match.push(-1);
+      } else {
+        j++;
+      }
+    }
+
+    return match;
+  }
+
+  /**
+   * Split text into lines without their terminators
+   * @private
+   */
+  static _lines(text) {
+    const value = String(text ?? "");
+    if (value === "") return [];
+    return value.replace(/\r?\n$/, "").split(/\r?\n/);
+  }
+
+  /**
+   * Join merged lines, ending with a newline when either side did
+   * @private
+   */
+  static _joinLines(lines, ...sources) {
+    if (lines.length === 0) return "";
+    const trailing = sources.some((source) => String(source ?? "").endsWith("\n"));
+    return `${lines.join("\n")}${trailing ? "\n" : ""}`;
+  }
+
+  /**
+   * Hash a section ignoring trailing whitespace, so the last section of a
+   * file matches whether or not the file ends with a newline
+   * @private
+   */
+  static async _hashSection(text) {
+    return ExportMerger.hash(String(text).trimEnd());
+  }
+}
+
+// ============================================
+// EXPORT ARTIFACT STORE
+// ============================================
+
+/**
+ * Days a stored export stays downloadable
+ */
+const EXPORT_ARTIFACT_RETENTION_DAYS = 30;
+
+/**
+ * Bytes per export_artifacts row; D1 rejects rows larger than 2 MB
+ */
+const EXPORT_ARTIFACT_CHUNK_SIZE = 1000000;
+
+/**
+ * ExportArtifactStore - Immutable storage for generated export archives
+ *
+ * Archives go to the EXPORT_ARTIFACTS R2 bucket when it is bound and to
+ * chunked rows in the export_artifacts table otherwise, so local development
+ * needs no extra binding. Any object with R2's put/get/delete methods can
+ * stand in for the bucket.
+ */
+class ExportArtifactStore {
+  constructor(db, bucket = null) {
+    this.db = db;
+    this.bucket = bucket;
+  }
+
+  /**
+   * Create a store from the worker bindings
+   * @param {Object} env - Worker environment
+   * @returns {ExportArtifactStore}
+   */
+  static fromEnv(env) {
+    return new ExportArtifactStore(env.DB, env.EXPORT_ARTIFACTS || null);
+  }
+
+  /**
+   * Storage key of an export's archive
+   * @param {number} projectId - Project ID
+   * @param {string} exportId - export_history ID
+   * @returns {string}
+   */
+  static key(projectId, exportId) {
+    return `exports/${projectId}/${exportId}.zip`;
+  }
+
+  /**
+   * Whether an export_history row still has a downloadable archive
+   * @param {Object} record - export_history row with file_path, status and expires_at
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  static isAvailable(record, now = new Date()) {
+    return Boolean(
+      record.file_path &&
+        record.status === "completed" &&
+        !(record.expires_at && new Date(record.expires_at) <= now),
+    );
+  }
+
+  /**
+   * SHA-256 hex digest of binary data
+   * @param {Uint8Array} bytes - Archive bytes
+   * @returns {Promise<string>}
+   */
+  static async sha256(bytes) {
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return [...new Uint8Array(digest)]
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Store an archive; keys are never rewritten
+   * @param {string} key - Artifact key
+   * @param {Uint8Array} bytes - Archive bytes
+   * @returns {Promise<{key: string, size: number, sha256: string}>}
+   */
+  async put(key, bytes) {
+    const sha256 = await ExportArtifactStore.sha256(bytes);
+
+    if (this.bucket) {
+      await this.bucket.put(key, bytes, {
+        httpMetadata: { contentType: "application/zip" },
+        customMetadata: { sha256 },
+      });
+    } else {
+      // The primary key rejects a second write to the same artifact
+      let index = 0;
+      do {
+        await this.db
+          .prepare(
+            "INSERT INTO export_artifacts (artifact_key, chunk_index, content) VALUES (?, ?, ?)",
+          )
+          .bind(
+            key,
+            index,
+            bytes.slice(
+              index * EXPORT_ARTIFACT_CHUNK_SIZE,
+              (index + 1) * EXPORT_ARTIFACT_CHUNK_SIZE,
+            ),
+          )
+          .run();
+        index++;
+      } while (index * EXPORT_ARTIFACT_CHUNK_SIZE < bytes.length);
+    }
+
+    return { key, size: bytes.length, sha256 };
+  }
+
+  /**
+   * Read a stored archive
+   * @param {string} key - Artifact key
+   * @returns {Promise<Uint8Array|null>} - Archive bytes, or null when missing
+   */
+  async get(key) {
+    if (this.bucket) {
+      const object = await this.bucket.get(key);
+      return object ? new Uint8Array(await object.arrayBuffer()) : null;
+    }
+
+    const { results } = await this.db
+      .prepare(
+        "SELECT content FROM export_artifacts WHERE artifact_key = ? ORDER BY chunk_index",
+      )
+      .bind(key)
+      .all();
+    if (results.length === 0) return null;
+
+    // D1 returns BLOB columns as number arrays or ArrayBuffers
+    const chunks = results.map((row) => new Uint8Array(row.content));
+    const bytes = new Uint8Array(
+      chunks.reduce((size, chunk) => size + chunk.length, 0),
+    );
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return bytes;
+  }
+
+  /**
+   * Delete stored archives
+   * @param {Array<string>} keys - Artifact keys
+   */
+  async delete(keys) {
+    if (keys.length === 0) return;
+
+    if (this.bucket) {
+      await this.bucket.delete(keys);
+      return;
+    }
+
+    for (const key of keys) {
+      await this.db
+        .prepare("DELETE FROM export_artifacts WHERE artifact_key = ?")
+        .bind(key)
+        .run();
+    }
+  }
+
+  /**
+   * Delete the artifacts of exports past their expiry and mark them expired
+   * @param {Date} now - Cut-off time
+   * @param {number} limit - Maximum exports to expire in one run
+   * @returns {Promise<{expired: number}>}
+   */
+  async purgeExpired(now = new Date(), limit = 100) {
+    const { results } = await this.db
+      .prepare(
+        `
+      SELECT id, file_path FROM export_history
+      WHERE status = 'completed' AND expires_at IS NOT NULL AND expires_at <= ?
+      ORDER BY expires_at
+      LIMIT ?
+    `,
+      )
+      .bind(now.toISOString(), limit)
+      .all();
+
+    await this.delete(
+      results.map((record) => record.file_path).filter(Boolean),
+    );
+
+    for (const record of results) {
+      await this.db
+        .prepare(
+          "UPDATE export_history SET status = 'expired', file_path = NULL WHERE id = ?",
+        )
+        .bind(record.id)
+        .run();
+    }
+
+    return { expired: results.length };
+  }
+}
+
+// ============================================
+// EXPORT HISTORY DIFF
+// ============================================
+
+/**
+ * ExportHistoryDiff - Compares two recorded exports of a project
+ *
+ * File diffs come from the stored archives. The resource summary compares the
+ * snapshots of assigned agents, rules and hooks recorded with each export, so
+ * it stays accurate when a template changes how the files are laid out.
+ */
+class ExportHistoryDiff {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Fingerprint the agents, rules and hooks assigned to a project
+   * @param {Object} resources - Resources from ClaudeCodeExporter._getProjectResources
+   * @returns {Promise<Object>} - { agents|rules|hooks: { [id]: { name, hash } } }
+   */
+  async snapshotResources(resources) {
+    const tables = { agents: "agents", rules: "agent_rules", hooks: "hooks" };
+    const snapshot = {};
+
+    for (const [type, table] of Object.entries(tables)) {
+      snapshot[type] = {};
+
+      for (const resource of resources[type] || []) {
+        let row = await this.db
+          .prepare(`SELECT * FROM ${table} WHERE id = ?`)
+          .bind(resource.resource_id)
+          .first();
+        if (!row) continue;
+
+        // Pinned rules export as their pinned version, whatever the live row says
+        const pinnedVersion =
+          type === "rules"
+            ? RuleVersionManager.pinnedVersion(resource.config_overrides)
+            : null;
+        if (pinnedVersion !== null) {
+          row = await new RuleVersionManager(this.db).applyVersion(
+            row,
+            pinnedVersion,
+          );
+        }
+
+        // Bookkeeping columns change without changing what gets exported
+        const { created_at, updated_at, usage_count, ...definition } = row;
+        snapshot[type][resource.resource_id] = {
+          name: row.name,
+          hash: await ExportMerger.hash(
+            JSON.stringify({
+              definition,
+              isPrimary: Boolean(resource.is_primary),
+              pathScope: resource.path_scope || null,
+              configOverrides: resource.config_overrides || null,
+            }),
+          ),
+        };
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Compare the files and resources of two exports
+   * @param {Object} from - Older export: { files, snapshot }
+   * @param {Object} to - Newer export: { files, snapshot }
+   * @returns {Object} - { files, summary: { files, resources } }
+   */
+  static compare(from, to) {
+    const { files, summary } = ExportHistoryDiff.compareFiles(
+      from.files,
+      to.files,
+    );
+
+    return {
+      files,
+      summary: {
+        files: summary,
+        resources: ExportHistoryDiff.compareResources(
+          from.snapshot,
+          to.snapshot,
+        ),
+      },
+    };
+  }
+
+  /**
+   * Unified diffs for every file that was added, removed or modified
+   * @param {Object} fromFiles - Map of path to content
+   * @param {Object} toFiles - Map of path to content
+   * @returns {Object} - { files: [{ path, status, additions, deletions, diff }], summary }
+   */
+  static compareFiles(fromFiles, toFiles) {
+    const paths = [
+      ...new Set([...Object.keys(fromFiles), ...Object.keys(toFiles)]),
+    ].sort();
+    const files = [];
+    const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+
+    for (const path of paths) {
+      const before = fromFiles[path] ?? null;
+      const after = toFiles[path] ?? null;
+      const status =
+        before === null
+          ? "added"
+          : after === null
+            ? "removed"
+            : before === after
+              ? "unchanged"
+              : "modified";
+
+      summary[status]++;
+      if (status === "unchanged") continue;
+
+      const diff = ExportMerger.unifiedDiff(before, after, path);
+      // Skip the ---/+++ header when counting changed lines
+      const lines = diff.split("\n").slice(2);
+      files.push({
+        path,
+        status,
+        additions: lines.filter((line) => line.startsWith("+")).length,
+        deletions: lines.filter((line) => line.startsWith("-")).length,
+        diff,
+      });
+    }
+
+    return { files, summary };
+  }
+
+  /**
+   * Names of agents, rules and hooks added, removed or changed between snapshots
+   * @param {Object|null} from - Older snapshot
+   * @param {Object|null} to - Newer snapshot
+   * @returns {Object|null} - Null when either export predates snapshots
+   */
+  static compareResources(from, to) {
+    if (!from || !to) return null;
+
+    const result = {};
+    for (const type of ["agents", "rules", "hooks"]) {
+      const before = from[type] || {};
+      const after = to[type] || {};
+      const changes = { added: [], removed: [], modified: [] };
+
+      for (const [id, resource] of Object.entries(after)) {
+        if (!before[id]) {
+          changes.added.push(resource.name);
+        } else if (before[id].hash !== resource.hash) {
+          changes.modified.push(resource.name);
+        }
+      }
+      for (const [id, resource] of Object.entries(before)) {
+        if (!after[id]) changes.removed.push(resource.name);
+      }
+
+      result[type] = changes;
+    }
+
+    return result;
+  }
+}
+
+// ============================================
+// CLAUDE CODE CONFIG IMPORTER
+// ============================================
+
+/**
+ * CLAUDE.md sections written by ClaudeCodeExporter that describe the export
+ * itself rather than project rules; they are skipped on import
+ */
+const CLAUDE_MD_GENERATED_SECTIONS = [
+  "project information",
+  "project details",
+  "ai context",
+  "agents",
+  "automation hooks",
+  "setup instructions",
+  "usage notes",
+  "directory guidance",
+];
 
-    return content;
+/**
+ * How a conflicting import item is resolved
+ */
+const CLAUDE_IMPORT_RESOLUTIONS = ["skip", "overwrite", "keep-both"];
+
+/**
+ * ClaudeConfigImporter - Turns an existing repository's Claude Code files back into resources
+ * CLAUDE.md and .claude/rules.md sections become agent_rules, settings.json hooks
+ * become hooks, .claude/agents/*.md become agents and .claude/commands/*.md become
+ * custom_agents. preview() reports conflicts with existing resources; commit()
+ * applies the chosen resolutions and assigns the results to the project.
+ */
+class ClaudeConfigImporter {
+  constructor(db) {
+    this.db = db;
+    this.exporter = new ClaudeCodeExporter(db);
   }
 
   /**
-   * Generate .claude/project_settings.json
-   * @param {Object} project - Project details
-   * @param {Object} resources - Project resources
-   * @returns {string} - JSON content for project settings
+   * Read an uploaded ZIP archive into a path => content map
+   * @param {Uint8Array|ArrayBuffer} bytes - Archive bytes
+   * @returns {Promise<Object>} - File map
    */
-  async generateProjectSettings(project, resources) {
-    const agents = resources.agents || [];
-    const rules = resources.rules || [];
-    const hooks = resources.hooks || [];
-
-    const settings = {
-      name: project.name,
-      description: project.description || "",
-      version: "1.0.0",
+  static async filesFromArchive(bytes) {
+    return new ZipArchiveReader(bytes).readTextFiles();
+  }
 
-      // Agent configuration
-      agents: agents.map((agent) => ({
-        id: agent.resource_id,
-        name: agent.name,
-        role: agent.role || "",
-        isPrimary: Boolean(agent.is_primary),
-        file: `.claude/agents/${this._sanitizeFilename(agent.name)}.md`,
-        config: agent.config_overrides
-          ? JSON.parse(agent.config_overrides)
-          : {},
-      })),
+  /**
+   * Strip any folder wrapping the repository root (e.g. "repo-main/") from paths
+   * @param {Object} files - Map of path to content
+   * @returns {Object} - Map keyed by repository-relative paths
+   */
+  static normalizePaths(files) {
+    const entries = Object.entries(files || {}).map(([path, content]) => [
+      String(path).replace(/\\/g, "/").replace(/^\.?\/+/, ""),
+      content,
+    ]);
 
-      // Rules configuration
-      rules: {
-        enabled: rules.length > 0,
-        file: rules.length > 0 ? ".claude/rules.md" : null,
-        categories: [...new Set(rules.map((r) => r.category).filter(Boolean))],
-      },
+    // The shallowest CLAUDE.md or .claude/ directory marks the repository root
+    let root = null;
+    for (const [path] of entries) {
+      let candidate = null;
+      if (path === "CLAUDE.md" || path.startsWith(".claude/")) {
+        candidate = "";
+      } else if (path.includes("/.claude/")) {
+        candidate = path.slice(0, path.indexOf("/.claude/") + 1);
+      } else if (path.endsWith("/CLAUDE.md")) {
+        candidate = path.slice(0, -"CLAUDE.md".length);
+      }
 
-      // Hooks configuration
-      hooks: hooks.map((hook) => ({
-        id: hook.resource_id,
-        name: hook.name,
-        type: hook.hook_type,
-        enabled: Boolean(hook.is_enabled),
-        command: hook.command || "",
-        workingDirectory: hook.working_directory || null,
-        timeout: hook.timeout_ms || 60000,
-        toolMatcher: hook.tool_matcher ? JSON.parse(hook.tool_matcher) : null,
-        sortOrder: hook.sort_order || 0,
-      })),
+      if (candidate !== null && (root === null || candidate.length < root.length)) {
+        root = candidate;
+      }
+    }
 
-      // Project metadata
-      metadata: {
-        projectId: project.id,
-        slug: project.slug,
-        status: project.status,
-        priority: project.priority,
-        category: project.category || null,
-        tags: project.tags || [],
-        createdAt: project.created_at,
-        updatedAt: project.updated_at,
-        exportedAt: new Date().toISOString(),
-      },
+    const normalized = {};
+    for (const [path, content] of entries) {
+      if (root && !path.startsWith(root)) continue;
+      normalized[path.slice((root || "").length)] = content;
+    }
+    return normalized;
+  }
 
-      // AI context
-      aiContext: {
-        summary: project.ai_context_summary || "",
-        includeInContext: Boolean(project.include_in_ai_context),
-      },
+  /**
+   * Parse Claude Code files into resource rows
+   * @param {Object} files - Map of path to content
+   * @returns {Object} - { agents, rules, hooks, commands, warnings, ignoredFiles }
+   */
+  parse(files) {
+    const normalized = ClaudeConfigImporter.normalizePaths(files);
+    const result = {
+      agents: [],
+      rules: [],
+      hooks: [],
+      commands: [],
+      warnings: [],
+      ignoredFiles: [],
     };
+    const hasRulesFile = typeof normalized[".claude/rules.md"] === "string";
 
-    return JSON.stringify(settings, null, 2);
+    for (const [path, content] of Object.entries(normalized)) {
+      if (typeof content !== "string") {
+        result.warnings.push(`${path}: content must be text; skipped`);
+        continue;
+      }
+
+      if (path === "CLAUDE.md") {
+        // The exporter's rule summary duplicates .claude/rules.md when both exist
+        const skip = hasRulesFile
+          ? [...CLAUDE_MD_GENERATED_SECTIONS, "development rules"]
+          : CLAUDE_MD_GENERATED_SECTIONS;
+        result.rules.push(...this.parseRules(content, path, skip));
+      } else if (path === ".claude/rules.md") {
+        result.rules.push(...this.parseRules(content, path));
+      } else if (path === ".claude/settings.json") {
+        result.hooks.push(...this.parseSettings(content, path, result.warnings));
+      } else if (path === ".claude/settings.local.json") {
+        result.warnings.push(`${path}: personal settings are not imported`);
+      } else if (/^\.claude\/agents\/.+\.md$/.test(path)) {
+        const agent = this.parseAgent(content, path);
+        if (agent) result.agents.push(agent);
+        else result.warnings.push(`${path}: empty subagent definition; skipped`);
+      } else if (/^\.claude\/commands\/.+\.md$/.test(path)) {
+        const command = this.parseCommand(content, path);
+        if (command) result.commands.push(command);
+        else result.warnings.push(`${path}: empty command prompt; skipped`);
+      } else if (path.endsWith("/CLAUDE.md")) {
+        result.warnings.push(`${path}: nested CLAUDE.md files are not imported`);
+        result.ignoredFiles.push(path);
+      } else {
+        result.ignoredFiles.push(path);
+      }
+    }
+
+    return result;
   }
 
   /**
-   * Generate individual agent files in .claude/agents/
-   * @param {Array} agents - Array of agent resources
-   * @returns {Object} - Object with filename keys and content values
+   * Split a CLAUDE.md or rules.md file into rules
+   * "## Section" headings become categories and each "### Rule" beneath one
+   * becomes a rule; a section without sub-headings is a rule on its own.
+   * @param {string} content - Markdown content
+   * @param {string} source - Path the content came from
+   * @param {Array} skipSections - Lower-cased "##" titles to ignore
+   * @returns {Array} - agent_rules rows
    */
-  async generateAgentFiles(agents) {
-    const files = {};
+  parseRules(content, source, skipSections = []) {
+    const sections = this._splitSections(content);
+    const rules = [];
+    let category = null;
+    let skipping = false;
+
+    for (let i = 0; i < sections.length; i++) {
+      const section = sections[i];
+
+      if (section.level === 2) {
+        category = section.title;
+        skipping = skipSections.includes(section.title.toLowerCase());
+        const hasChildren = sections[i + 1]?.level === 3;
+        if (skipping || hasChildren) continue;
+
+        const rule = this._toRule(section, "general", source);
+        if (rule) rules.push(rule);
+      } else if (section.level === 3 && !skipping) {
+        const rule = this._toRule(section, category || "general", source);
+        if (rule) rules.push(rule);
+      }
+    }
 
-    for (const agentResource of agents) {
-      try {
-        // Get full agent details
-        const agent = await this.db
-          .prepare("SELECT * FROM agents WHERE id = ?")
-          .bind(agentResource.resource_id)
-          .first();
+    return rules;
+  }
 
-        if (!agent) {
-          console.warn(`Agent ${agentResource.resource_id} not found`);
-          continue;
-        }
+  /**
+   * Convert settings.json hook groups into hook rows
+   * @param {string} content - settings.json content
+   * @param {string} source - Path the content came from
+   * @param {Array} warnings - Collector for entries that cannot be imported
+   * @returns {Array} - hooks rows
+   */
+  parseSettings(content, source, warnings = []) {
+    let settings;
+    try {
+      settings = JSON.parse(content);
+    } catch (error) {
+      warnings.push(`${source}: invalid JSON (${error.message}); skipped`);
+      return [];
+    }
 
-        const filename = `.claude/agents/${this._sanitizeFilename(agent.name)}.md`;
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      warnings.push(`${source}: expected a JSON object; skipped`);
+      return [];
+    }
 
-        let content = `# ${agent.name}\n\n`;
+    const otherKeys = Object.keys(settings).filter((key) => key !== "hooks");
+    if (otherKeys.length > 0) {
+      warnings.push(
+        `${source}: ${otherKeys.join(", ")} ${otherKeys.length > 1 ? "are" : "is"} not imported; only hooks are stored`,
+      );
+    }
 
-        if (agent.role) {
-          content += `**Role**: ${agent.role}\n\n`;
-        }
+    const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+    const hooks = [];
+    for (const [event, groups] of Object.entries(isObject(settings.hooks) ? settings.hooks : {})) {
+      if (!CLAUDE_HOOK_EVENTS[event]) {
+        warnings.push(`${source}: unknown hook event "${event}"; skipped`);
+        continue;
+      }
 
-        if (agent.description) {
-          content += `## Description\n\n${agent.description}\n\n`;
+      for (const group of Array.isArray(groups) ? groups : []) {
+        if (!isObject(group) || (group.hooks != null && !Array.isArray(group.hooks))) {
+          warnings.push(`${source}: ${event} matcher group is not an object with a hooks list; skipped`);
+          continue;
         }
-
-        if (agent.style) {
-          content += `## Style\n\n${agent.style}\n\n`;
+        if (group.matcher != null && typeof group.matcher !== "string") {
+          warnings.push(`${source}: ${event} matcher must be a string; group skipped`);
+          continue;
         }
+        const toolMatcher = this._toToolMatcher(event, group.matcher, source, warnings);
 
-        // System prompt is the main content
-        if (agent.system_prompt) {
-          content += `## System Prompt\n\n${agent.system_prompt}\n\n`;
-        }
+        for (const entry of group.hooks || []) {
+          if (!isObject(entry)) {
+            warnings.push(`${source}: ${event} hook entry is not an object; skipped`);
+            continue;
+          }
+          if (entry.type !== "command" || !entry.command) {
+            warnings.push(
+              `${source}: ${event} hook of type "${entry.type}" is not supported; skipped`,
+            );
+            continue;
+          }
+          if (typeof entry.command !== "string") {
+            warnings.push(`${source}: ${event} hook command must be a string; skipped`);
+            continue;
+          }
 
-        // Add project-specific configuration if any
-        if (agentResource.config_overrides) {
-          const config = JSON.parse(agentResource.config_overrides);
-          content += `## Project Configuration\n\n`;
-          content += `\`\`\`json\n${JSON.stringify(config, null, 2)}\n\`\`\`\n\n`;
-        }
+          let timeout = entry.timeout;
+          if (timeout != null && (typeof timeout !== "number" || !Number.isFinite(timeout) || timeout <= 0)) {
+            warnings.push(
+              `${source}: ${event} hook timeout ${JSON.stringify(timeout)} is not a positive number of seconds; default used`,
+            );
+            timeout = null;
+          }
 
-        if (agentResource.is_primary) {
-          content += `---\n\n*This is the primary agent for this project.*\n`;
+          const { command, workingDirectory } = this._splitWorkingDirectory(
+            entry.command,
+          );
+          const label = `${event}${group.matcher && group.matcher !== "*" ? ` (${group.matcher})` : ""}`;
+
+          hooks.push({
+            name: `${label}: ${command.split(/\s+/).slice(0, 3).join(" ")}`.slice(0, 100),
+            description: `Imported from ${source}`,
+            hook_type: event,
+            tool_matcher: toolMatcher,
+            command,
+            working_directory: workingDirectory,
+            timeout_ms: timeout
+              ? Math.round(timeout * 1000)
+              : CLAUDE_DEFAULT_HOOK_TIMEOUT_SECONDS * 1000,
+            is_enabled: 1,
+            sort_order: hooks.length,
+            source,
+          });
         }
-
-        files[filename] = content;
-      } catch (error) {
-        console.error(
-          `Error generating agent file for ${agentResource.resource_id}:`,
-          error,
-        );
       }
     }
 
-    return files;
+    return hooks;
   }
 
   /**
-   * Generate .claude/rules.md file
-   * @param {Array} rules - Array of rule resources
-   * @returns {string|null} - Rules file content or null if no rules
+   * Convert a .claude/agents/*.md subagent into an agents row
+   * @param {string} content - Subagent file content
+   * @param {string} source - Path the content came from
+   * @returns {Object|null} - agents row with assignment config overrides
    */
-  async generateRulesFile(rules) {
-    if (!rules || rules.length === 0) {
-      return null;
-    }
+  parseAgent(content, source) {
+    const { data, body } = ClaudeConfigImporter.parseFrontmatter(content);
+    let systemPrompt = body.trim();
+    if (!systemPrompt && !data.description) return null;
+
+    // Written by generateAgentFiles from agents.style
+    let style = null;
+    const styleMatch = /\n+Communication style:\s*(.+)$/.exec(systemPrompt);
+    if (styleMatch) {
+      style = styleMatch[1].trim();
+      systemPrompt = systemPrompt.slice(0, styleMatch.index).trim();
+    }
+
+    const name = String(data.name || this._basename(source));
+    const tools = this.exporter._normalizeToolList(data.tools);
+    const model = data.model && data.model !== "inherit" ? String(data.model) : null;
+    const configOverrides = {
+      ...(tools.length > 0 ? { tools } : {}),
+      ...(model ? { model } : {}),
+    };
 
-    let content = `# Development Rules\n\n`;
-    content += `This document contains the development rules and guidelines for this project.\n\n`;
+    return {
+      name,
+      role: String(data.description || name),
+      description: data.description ? String(data.description) : null,
+      system_prompt: systemPrompt || null,
+      style,
+      configOverrides: Object.keys(configOverrides).length > 0 ? configOverrides : null,
+      source,
+    };
+  }
 
-    // Group rules by category
-    const rulesByCategory = {};
-    const rulesWithDetails = [];
+  /**
+   * Convert a .claude/commands/*.md slash command into a custom_agents row
+   * Commands in sub-directories are namespaced with the directory name.
+   * @param {string} content - Command file content
+   * @param {string} source - Path the content came from
+   * @returns {Object|null} - custom_agents row
+   */
+  parseCommand(content, source) {
+    const { data, body } = ClaudeConfigImporter.parseFrontmatter(content);
+    const promptContent = body.trim();
+    if (!promptContent) return null;
+
+    const name = source
+      .slice(".claude/commands/".length, -".md".length)
+      .split("/")
+      .map((part) => this.exporter._sanitizeFilename(part))
+      .filter(Boolean)
+      .join("-");
+    const tools = this.exporter._normalizeToolList(data["allowed-tools"]);
+    const agentConfig = {
+      ...(tools.length > 0 ? { allowedTools: tools } : {}),
+      ...(data["argument-hint"] ? { argumentHint: String(data["argument-hint"]) } : {}),
+      ...(data.model ? { model: String(data.model) } : {}),
+    };
 
-    for (const ruleResource of rules) {
-      try {
-        const rule = await this.db
-          .prepare("SELECT * FROM agent_rules WHERE id = ?")
-          .bind(ruleResource.resource_id)
-          .first();
+    return {
+      name,
+      display_name: name
+        .split("-")
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(" "),
+      description: data.description ? String(data.description) : null,
+      prompt_content: promptContent,
+      agent_config: agentConfig,
+      category: "custom",
+      source,
+    };
+  }
 
-        if (rule) {
-          rulesWithDetails.push(rule);
-          const category = rule.category || "General";
-          if (!rulesByCategory[category]) {
-            rulesByCategory[category] = [];
-          }
-          rulesByCategory[category].push(rule);
-        }
-      } catch (error) {
-        console.error(`Error loading rule ${ruleResource.resource_id}:`, error);
-      }
+  /**
+   * Parse files and report what would be created and what conflicts
+   * @param {number} projectId - Target project
+   * @param {Object} files - Map of path to content
+   * @returns {Promise<Object>} - { items, warnings, ignoredFiles, summary }
+   */
+  async preview(projectId, files) {
+    const parsed = this.parse(files);
+    const existing = await this._loadExisting(projectId);
+    const items = [];
+    const keys = new Set();
+
+    const addItem = (type, row, conflict) => {
+      let key = `${type}:${row.name}`;
+      for (let n = 2; keys.has(key); n++) key = `${type}:${row.name}#${n}`;
+      keys.add(key);
+
+      const { source, configOverrides, ...data } = row;
+      items.push({
+        key,
+        type,
+        name: row.name,
+        source,
+        action: conflict ? "conflict" : "create",
+        conflict: conflict || null,
+        data,
+        configOverrides: configOverrides || null,
+      });
+    };
+
+    for (const agent of parsed.agents) {
+      const slug = this.exporter._sanitizeFilename(agent.name);
+      const match = existing.agents.find(
+        (a) => this.exporter._sanitizeFilename(a.name) === slug,
+      );
+      addItem("agent", agent, match && this._conflict(match, "An agent with this name exists", existing));
     }
 
-    // Generate content by category
-    const categories = Object.keys(rulesByCategory).sort();
+    for (const rule of parsed.rules) {
+      const match = existing.rules.find(
+        (r) => r.name.toLowerCase() === rule.name.toLowerCase(),
+      );
+      addItem("rule", rule, match && this._conflict(match, "A rule with this name exists", existing));
+    }
 
-    for (const category of categories) {
-      content += `## ${category}\n\n`;
+    for (const hook of parsed.hooks) {
+      const match = existing.hooks.find(
+        (h) => h.hook_type === hook.hook_type && h.command.trim() === hook.command.trim(),
+      );
+      addItem(
+        "hook",
+        hook,
+        match && this._conflict(match, `This project already runs this command on ${hook.hook_type}`, existing),
+      );
+    }
 
-      const categoryRules = rulesByCategory[category].sort(
-        (a, b) => (b.priority || 0) - (a.priority || 0),
+    for (const command of parsed.commands) {
+      const match = existing.commands.find((cmd) => cmd.name === command.name);
+      addItem(
+        "command",
+        command,
+        match && {
+          id: match.id,
+          name: match.name,
+          reason: `/${command.name} already exists`,
+          assigned: match.project_id === projectId,
+        },
       );
+    }
 
-      for (const rule of categoryRules) {
-        content += `### ${rule.name}\n\n`;
+    const count = (type) => items.filter((item) => item.type === type).length;
 
-        if (rule.description) {
-          content += `${rule.description}\n\n`;
-        }
+    return {
+      items,
+      warnings: parsed.warnings,
+      ignoredFiles: parsed.ignoredFiles,
+      summary: {
+        agents: count("agent"),
+        rules: count("rule"),
+        hooks: count("hook"),
+        commands: count("command"),
+        conflicts: items.filter((item) => item.conflict).length,
+      },
+    };
+  }
 
-        if (rule.rule_content) {
-          content += `${rule.rule_content}\n\n`;
-        }
+  /**
+   * Import the files, resolving conflicts as requested
+   * Conflicting items are skipped unless a resolution says otherwise.
+   * @param {number} projectId - Target project
+   * @param {Object} files - Map of path to content
+   * @param {Object} resolutions - Map of item key to "skip", "overwrite" or "keep-both"
+   * @returns {Promise<Object>} - { created, updated, skipped, assigned, warnings }
+   */
+  async commit(projectId, files, resolutions = {}) {
+    for (const [key, resolution] of Object.entries(resolutions || {})) {
+      if (!CLAUDE_IMPORT_RESOLUTIONS.includes(resolution)) {
+        throw new ValidationError(
+          `Resolution for ${key} must be one of: ${CLAUDE_IMPORT_RESOLUTIONS.join(", ")}`,
+          "resolutions",
+          resolution,
+        );
+      }
+    }
 
-        if (rule.priority && rule.priority > 0) {
-          content += `*Priority: ${rule.priority}*\n\n`;
+    const { items, warnings } = await this.preview(projectId, files);
+    const resourceManager = new ResourceManager(this.db);
+    const result = { created: [], updated: [], skipped: [], assigned: 0, warnings };
+
+    for (const item of items) {
+      const resolution = item.conflict ? resolutions?.[item.key] || "skip" : "create";
+      const summary = { key: item.key, type: item.type, name: item.name };
+
+      if (resolution === "skip") {
+        result.skipped.push({ ...summary, reason: item.conflict.reason });
+        continue;
+      }
+
+      let id;
+      if (resolution === "overwrite") {
+        id = item.conflict.id;
+        await this._updateResource(projectId, item, id);
+        result.updated.push({ ...summary, id });
+      } else {
+        id = await this._insertResource(projectId, item, resolution === "keep-both");
+        result.created.push({ ...summary, id });
+      }
+
+      // Slash commands belong to the project directly; everything else is assigned
+      if (item.type === "command") continue;
+
+      // An overwritten resource may already be assigned; refresh its overrides instead
+      if (resolution === "overwrite" && item.conflict.assigned) {
+        if (item.configOverrides) {
+          await this.db
+            .prepare(
+              "UPDATE project_resources SET config_overrides = ? WHERE project_id = ? AND resource_type = ? AND resource_id = ?",
+            )
+            .bind(JSON.stringify(item.configOverrides), projectId, item.type, id)
+            .run();
         }
+        continue;
       }
-    }
 
-    content += `---\n\n`;
-    content += `*Generated from ${rulesWithDetails.length} rule${rulesWithDetails.length > 1 ? "s" : ""} on ${new Date().toLocaleDateString()}*\n`;
+      await resourceManager.assignResource(projectId, item.type, id, {
+        configOverrides: item.configOverrides,
+        assignedBy: "import",
+        assignmentReason: `Imported from ${item.source}`,
+      });
+      result.assigned++;
+    }
 
-    return content;
+    return result;
   }
 
   /**
-   * Generate hook files and configurations
-   * @param {Array} hooks - Array of hook resources
-   * @returns {Object} - Object with hook configuration files
+   * Parse a YAML frontmatter block (flat keys, quoted strings, lists, block scalars)
+   * @param {string} content - Markdown with optional frontmatter
+   * @returns {Object} - { data, body }
    */
-  async generateHookFiles(hooks) {
-    const files = {};
-
-    if (!hooks || hooks.length === 0) {
-      return files;
+  static parseFrontmatter(content) {
+    const text = String(content || "").replace(/^\uFEFF/, "");
+    const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+    if (!match) {
+      return { data: {}, body: text };
     }
 
-    // Generate hooks configuration file
-    const hooksConfig = {
-      hooks: [],
-    };
+    const data = {};
+    const lines = match[1].split(/\r?\n/);
 
-    for (const hookResource of hooks) {
-      try {
-        const hook = await this.db
-          .prepare("SELECT * FROM hooks WHERE id = ?")
-          .bind(hookResource.resource_id)
-          .first();
+    for (let i = 0; i < lines.length; i++) {
+      const pair = /^([A-Za-z0-9_-]+):[ \t]*(.*)$/.exec(lines[i]);
+      if (!pair) continue;
 
-        if (!hook) {
-          console.warn(`Hook ${hookResource.resource_id} not found`);
-          continue;
+      const [, key, raw] = pair;
+      const value = raw.trim();
+
+      if (/^[|>][+-]?$/.test(value)) {
+        // Block scalar: the indented lines that follow
+        const block = [];
+        while (i + 1 < lines.length && (/^\s/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+          block.push(lines[++i].trim());
+        }
+        data[key] = value.startsWith("|")
+          ? block.join("\n").trim()
+          : block.join(" ").replace(/\s+/g, " ").trim();
+      } else if (value === "") {
+        // Block list: "- item" lines that follow
+        const list = [];
+        while (i + 1 < lines.length && /^\s*-\s+/.test(lines[i + 1])) {
+          list.push(ClaudeConfigImporter._parseScalar(lines[++i].replace(/^\s*-\s+/, "")));
         }
+        data[key] = list.length > 0 ? list : null;
+      } else {
+        data[key] = ClaudeConfigImporter._parseScalar(value);
+      }
+    }
 
-        const hookConfig = {
-          name: hook.name,
-          description: hook.description || "",
-          type: hook.hook_type,
-          enabled: Boolean(hook.is_enabled),
-          command: hook.command,
-          workingDirectory: hook.working_directory || null,
-          timeout: hook.timeout_ms || 60000,
-          sortOrder: hook.sort_order || 0,
-        };
+    return { data, body: text.slice(match[0].length) };
+  }
 
-        if (hook.tool_matcher) {
-          try {
-            hookConfig.toolMatcher = JSON.parse(hook.tool_matcher);
-          } catch (e) {
-            hookConfig.toolMatcher = hook.tool_matcher;
-          }
-        }
+  /**
+   * Parse a single YAML scalar or flow list
+   * @private
+   */
+  static _parseScalar(raw) {
+    const value = raw.trim();
 
-        hooksConfig.hooks.push(hookConfig);
+    if (value.startsWith('"')) {
+      try {
+        return JSON.parse(value);
       } catch (error) {
-        console.error(`Error loading hook ${hookResource.resource_id}:`, error);
+        return value.replace(/^"|"$/g, "");
       }
     }
+    if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith("[") && value.endsWith("]")) {
+      return value
+        .slice(1, -1)
+        .split(",")
+        .map((item) => ClaudeConfigImporter._parseScalar(item))
+        .filter((item) => item !== "");
+    }
 
-    // Sort hooks by sort order
-    hooksConfig.hooks.sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+    return value.replace(/\s+#.*$/, "");
+  }
 
-    // Generate hooks.json file
-    files[".claude/hooks.json"] = JSON.stringify(hooksConfig, null, 2);
+  /**
+   * Split markdown into heading sections (levels 1-3; deeper headings stay in the body)
+   * @private
+   */
+  _splitSections(content) {
+    const sections = [];
+    let current = { level: 0, title: "", lines: [] };
+    let inFence = false;
+
+    for (const line of String(content).split(/\r?\n/)) {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+      const heading = !inFence && /^(#{1,3})\s+(.+?)\s*#*\s*$/.exec(line);
+      if (heading) {
+        sections.push(current);
+        current = { level: heading[1].length, title: heading[2].trim(), lines: [] };
+      } else {
+        current.lines.push(line);
+      }
+    }
+    sections.push(current);
 
-    // Generate individual hook documentation
-    let hooksDoc = `# Project Hooks\n\n`;
-    hooksDoc += `This project includes ${hooksConfig.hooks.length} automation hook${hooksConfig.hooks.length > 1 ? "s" : ""}.\n\n`;
+    return sections
+      .filter((section) => section.level > 0)
+      .map((section) => ({
+        level: section.level,
+        title: section.title,
+        body: section.lines.join("\n"),
+      }));
+  }
 
-    for (const hook of hooksConfig.hooks) {
-      hooksDoc += `## ${hook.name}\n\n`;
-      hooksDoc += `**Type**: ${hook.type}\n\n`;
+  /**
+   * Build an agent_rules row from a markdown section
+   * @private
+   */
+  _toRule(section, category, source) {
+    let priority = 0;
+    let body = section.body
+      // Export footers
+      .replace(/\n-{3,}\s*\n+\*(Generated from|This project was exported)[^\n]*\*\s*$/, "")
+      .replace(/^\s*-{3,}\s*$/gm, "");
+
+    body = body.replace(/^\*Priority:\s*(\d+)\*\s*$/m, (match, value) => {
+      priority = parseInt(value, 10);
+      return "";
+    });
+    body = body.replace(/^\*\*Category\*\*:\s*(.+)$/m, (match, value) => {
+      category = value.trim();
+      return "";
+    });
 
-      if (hook.description) {
-        hooksDoc += `${hook.description}\n\n`;
-      }
+    const ruleContent = body.replace(/\n{3,}/g, "\n\n").trim();
+    if (!ruleContent) return null;
 
-      hooksDoc += `**Command**: \`${hook.command}\`\n\n`;
+    return {
+      name: section.title.slice(0, 100),
+      description: null,
+      rule_content: ruleContent,
+      ide_id: "ide_claude_code",
+      category: this.exporter._sanitizeFilename(category) || "general",
+      priority,
+      tags: ["imported"],
+      source,
+    };
+  }
 
-      if (hook.toolMatcher) {
-        hooksDoc += `**Tool Matcher**: \`${JSON.stringify(hook.toolMatcher)}\`\n\n`;
-      }
+  /**
+   * Map a settings.json matcher back onto tool_matcher
+   * @private
+   */
+  _toToolMatcher(event, matcher, source, warnings) {
+    const spec = CLAUDE_HOOK_EVENTS[event];
+    if (!matcher || matcher === "*") return null;
 
-      if (hook.workingDirectory) {
-        hooksDoc += `**Working Directory**: \`${hook.workingDirectory}\`\n\n`;
-      }
+    if (!spec.matcherField) {
+      warnings.push(`${source}: ${event} does not use matchers; "${matcher}" ignored`);
+      return null;
+    }
 
-      hooksDoc += `**Timeout**: ${hook.timeout}ms\n\n`;
-      hooksDoc += `**Enabled**: ${hook.enabled ? "Yes" : "No"}\n\n`;
+    if (spec.matcherField === "tool") {
+      return { tool: matcher };
     }
 
-    files[".claude/hooks.md"] = hooksDoc;
+    const values = matcher.split("|").map((value) => value.trim());
+    const invalid = values.filter((value) => !spec.values.includes(value));
+    if (invalid.length > 0) {
+      warnings.push(
+        `${source}: ${event} ${spec.matcherField} "${invalid.join(", ")}" is not one of ${spec.values.join(", ")}; matcher dropped`,
+      );
+      return null;
+    }
 
-    return files;
+    return { [spec.matcherField]: values.length === 1 ? values[0] : values };
   }
 
   /**
-   * Get project details
+   * Undo the `cd "$CLAUDE_PROJECT_DIR/dir" &&` prefix written by ClaudeSettingsGenerator
    * @private
    */
-  async _getProjectDetails(projectId) {
-    try {
-      const project = await this.db
-        .prepare("SELECT * FROM projects WHERE id = ?")
-        .bind(projectId)
-        .first();
+  _splitWorkingDirectory(command) {
+    const match = /^cd\s+"\$CLAUDE_PROJECT_DIR\/([^"]+)"\s*&&\s*([\s\S]+)$/.exec(
+      command.trim(),
+    );
+    return match
+      ? { command: match[2].trim(), workingDirectory: match[1] }
+      : { command: command.trim(), workingDirectory: null };
+  }
 
-      if (!project) {
-        return null;
-      }
+  /**
+   * File name without directory or extension
+   * @private
+   */
+  _basename(path) {
+    return path.split("/").pop().replace(/\.md$/, "");
+  }
 
-      return {
-        ...project,
-        tags: project.tags ? JSON.parse(project.tags) : [],
-      };
-    } catch (error) {
-      throw new Error(`Failed to get project details: ${error.message}`);
-    }
+  /**
+   * Describe a conflict with an existing agent, rule or hook
+   * @private
+   */
+  _conflict(match, reason, existing) {
+    return {
+      id: match.id,
+      name: match.name,
+      reason,
+      assigned: existing.assignedIds.has(match.id),
+    };
   }
 
   /**
-   * Get all resources assigned to a project
+   * Load the resources imported items are compared against
    * @private
    */
-  async _getProjectResources(projectId) {
-    try {
-      // Get all resource assignments
-      const assignments = await this.db
+  async _loadExisting(projectId) {
+    const [agents, rules, hooks, commands, assignments] = await Promise.all([
+      this.db.prepare("SELECT id, name FROM agents WHERE is_active = 1").all(),
+      this.db.prepare("SELECT id, name FROM agent_rules WHERE is_active = 1").all(),
+      this.db
         .prepare(
-          `
-        SELECT pr.*,
-               CASE pr.resource_type
-                 WHEN 'agent' THEN a.name
-                 WHEN 'rule' THEN ar.name
-                 WHEN 'hook' THEN h.name
-               END as name,
-               CASE pr.resource_type
-                 WHEN 'agent' THEN a.description
-                 WHEN 'rule' THEN ar.description
-                 WHEN 'hook' THEN h.description
-               END as description,
-               CASE pr.resource_type
-                 WHEN 'agent' THEN a.role
-                 WHEN 'rule' THEN ar.category
-                 WHEN 'hook' THEN h.hook_type
-               END as metadata
-        FROM project_resources pr
-        LEFT JOIN agents a ON pr.resource_type = 'agent' AND pr.resource_id = a.id
-        LEFT JOIN agent_rules ar ON pr.resource_type = 'rule' AND pr.resource_id = ar.id
-        LEFT JOIN hooks h ON pr.resource_type = 'hook' AND pr.resource_id = h.id
-        WHERE pr.project_id = ?
-        ORDER BY pr.resource_type, pr.assignment_order, pr.created_at
-      `,
+          `SELECT id, name, hook_type, command FROM hooks
+           WHERE project_id = ?
+              OR id IN (SELECT resource_id FROM project_resources WHERE project_id = ? AND resource_type = 'hook')`,
+        )
+        .bind(projectId, projectId)
+        .all(),
+      this.db
+        .prepare(
+          "SELECT id, name, project_id FROM custom_agents WHERE project_id = ?",
         )
         .bind(projectId)
-        .all();
-
-      const resources = {
-        agents: [],
-        rules: [],
-        hooks: [],
-      };
-
-      for (const assignment of assignments.results) {
-        const resource = {
-          ...assignment,
-          config_overrides: assignment.config_overrides
-            ? JSON.parse(assignment.config_overrides)
-            : null,
-          is_primary: Boolean(assignment.is_primary),
-        };
-
-        switch (assignment.resource_type) {
-          case "agent":
-            resources.agents.push(resource);
-            break;
-          case "rule":
-            resources.rules.push(resource);
-            break;
-          case "hook":
-            resources.hooks.push(resource);
-            break;
-        }
-      }
+        .all(),
+      this.db
+        .prepare("SELECT resource_id FROM project_resources WHERE project_id = ?")
+        .bind(projectId)
+        .all(),
+    ]);
 
-      return resources;
-    } catch (error) {
-      throw new Error(`Failed to get project resources: ${error.message}`);
-    }
+    return {
+      agents: agents.results || [],
+      rules: rules.results || [],
+      hooks: hooks.results || [],
+      commands: commands.results || [],
+      assignedIds: new Set(
+        (assignments.results || []).map((row) => row.resource_id),
+      ),
+    };
   }
 
   /**
-   * Validate export requirements
+   * Insert a new resource row for an import item
    * @private
    */
-  async _validateExportRequirements(project, resources) {
-    const warnings = [];
-    const errors = [];
-
-    // Check if project has basic information
-    if (!project.name || project.name.trim().length === 0) {
-      errors.push("Project must have a name");
-    }
-
-    // Check if project has any resources
-    const totalResources =
-      (resources.agents?.length || 0) +
-      (resources.rules?.length || 0) +
-      (resources.hooks?.length || 0);
-
-    if (totalResources === 0) {
-      warnings.push(
-        "Project has no assigned resources (agents, rules, or hooks)",
-      );
-    }
+  async _insertResource(projectId, item, keepBoth) {
+    const id = generateId();
+    const data = item.data;
 
-    // Check for primary agent
-    const primaryAgents = resources.agents?.filter((a) => a.is_primary) || [];
-    if (resources.agents?.length > 0 && primaryAgents.length === 0) {
-      warnings.push(
-        "No primary agent assigned - consider setting one agent as primary",
-      );
+    switch (item.type) {
+      case "agent":
+        await this.db
+          .prepare(
+            "INSERT INTO agents (id, name, role, style, description, system_prompt) VALUES (?, ?, ?, ?, ?, ?)",
+          )
+          .bind(id, data.name, data.role, data.style, data.description, data.system_prompt)
+          .run();
+        break;
+      case "rule":
+        await this.db
+          .prepare(
+            "INSERT INTO agent_rules (id, name, description, rule_content, ide_id, category, priority, tags) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+          )
+          .bind(
+            id,
+            data.name,
+            data.description,
+            data.rule_content,
+            data.ide_id,
+            data.category,
+            data.priority,
+            JSON.stringify(data.tags),
+          )
+          .run();
+        await new RuleVersionManager(this.db).record(id, {
+          reason: "Imported from Claude Code configuration",
+        });
+        break;
+      case "hook":
+        await this.db
+          .prepare(
+            `INSERT INTO hooks (id, project_id, name, description, hook_type, tool_matcher, command, working_directory, timeout_ms, is_enabled, sort_order)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          )
+          .bind(
+            id,
+            projectId,
+            data.name,
+            data.description,
+            data.hook_type,
+            data.tool_matcher ? JSON.stringify(data.tool_matcher) : null,
+            data.command,
+            data.working_directory,
+            data.timeout_ms,
+            data.is_enabled,
+            data.sort_order,
+          )
+          .run();
+        break;
+      case "command": {
+        // Two commands cannot share a file name, so keep-both renames the import
+        const name = keepBoth ? await this._freeCommandName(projectId, `${data.name}-imported`) : data.name;
+        await this.db
+          .prepare(
+            `INSERT INTO custom_agents (id, project_id, name, display_name, description, prompt_content, agent_config, category)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          )
+          .bind(
+            id,
+            projectId,
+            name,
+            data.display_name,
+            data.description,
+            data.prompt_content,
+            JSON.stringify(data.agent_config),
+            data.category,
+          )
+          .run();
+        break;
+      }
     }
 
-    if (primaryAgents.length > 1) {
-      warnings.push(
-        "Multiple primary agents found - only one should be primary",
-      );
-    }
+    return id;
+  }
 
-    if (errors.length > 0) {
-      throw new Error(`Export validation failed: ${errors.join(", ")}`);
+  /**
+   * First of name, name-2, name-3, ... no command of the project uses yet
+   * @private
+   */
+  async _freeCommandName(projectId, name) {
+    let candidate = name;
+    for (let n = 2; ; n++) {
+      const taken = await this.db
+        .prepare("SELECT id FROM custom_agents WHERE project_id = ? AND name = ?")
+        .bind(projectId, candidate)
+        .first();
+      if (!taken) return candidate;
+      candidate = `${name}-${n}`;
     }
-
-    return { warnings, errors };
   }
 
   /**
-   * Sanitize filename for file system compatibility
+   * Overwrite an existing resource with an import item
    * @private
    */
-  _sanitizeFilename(name) {
-    return name
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, "") // Remove special characters
-      .replace(/\s+/g, "-") // Replace spaces with hyphens
-      .replace(/-+/g, "-") // Replace multiple hyphens with single
-      .replace(/^-|-$/g, ""); // Remove leading/trailing hyphens
+  async _updateResource(projectId, item, id) {
+    const data = item.data;
+
+    switch (item.type) {
+      case "agent":
+        await this.db
+          .prepare(
+            "UPDATE agents SET role = ?, style = ?, description = ?, system_prompt = ?, updated_at = datetime('now') WHERE id = ?",
+          )
+          .bind(data.role, data.style, data.description, data.system_prompt, id)
+          .run();
+        break;
+      case "rule":
+        await this.db
+          .prepare(
+            "UPDATE agent_rules SET rule_content = ?, category = ?, priority = ?, updated_at = datetime('now') WHERE id = ?",
+          )
+          .bind(data.rule_content, data.category, data.priority, id)
+          .run();
+        await new RuleVersionManager(this.db).record(id, {
+          reason: "Overwritten by Claude Code configuration import",
+        });
+        break;
+      case "hook":
+        await this.db
+          .prepare(
+            "UPDATE hooks SET tool_matcher = ?, working_directory = ?, timeout_ms = ?, is_enabled = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+          )
+          .bind(
+            data.tool_matcher ? JSON.stringify(data.tool_matcher) : null,
+            data.working_directory,
+            data.timeout_ms,
+            id,
+          )
+          .run();
+        break;
+      case "command":
+        await this.db
+          .prepare(
+            "UPDATE custom_agents SET description = ?, prompt_content = ?, agent_config = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+          )
+          .bind(data.description, data.prompt_content, JSON.stringify(data.agent_config), id)
+          .run();
+        break;
+    }
   }
 }
 
@@ -4434,7 +12432,7 @@ class ProjectValidator {
 
   /**
    * Validate resource definitions against Claude Code requirements
-   * @param {string} resourceType - Type of resource ('agent', 'rule', 'hook')
+   * @param {string} resourceType - Type of resource ('agent', 'rule', 'hook', 'command')
    * @param {Object} resourceData - Resource data to validate
    * @returns {Object} - Validation result with errors and warnings
    */
@@ -4457,6 +12455,9 @@ class ProjectValidator {
         case "hook":
           await this._validateHookDefinition(resourceData, result);
           break;
+        case "command":
+          await this._validateCommandDefinition(resourceData, result);
+          break;
         default:
           result.errors.push(`Invalid resource type: ${resourceType}`);
           result.isValid = false;
@@ -4510,6 +12511,12 @@ class ProjectValidator {
 
       // Validate file structure requirements
       await this._validateFileStructureRequirements(project, resources, result);
+
+      // Flag contradictory and near-duplicate rules
+      await this._validateRuleConflicts(resources, result);
+
+      // Lint rules with the project's check configuration
+      await this._validateRuleLint(project, resources, result);
     } catch (error) {
       result.errors.push(`Export validation error: ${error.message}`);
       result.isValid = false;
@@ -4519,6 +12526,60 @@ class ProjectValidator {
     return result;
   }
 
+  /**
+   * Check generated memory files against a token budget
+   * @param {Object} files - Generated files, relative path to content
+   * @param {Array} rules - Rule rows exported to the root memory
+   * @param {number} budget - Memory budget in tokens
+   * @returns {Object} - Validation result with the token budget analysis
+   */
+  validateTokenBudget(files, rules, budget = CLAUDE_MEMORY_TOKEN_BUDGET) {
+    const tokenBudget = new TokenBudgetAnalyzer(budget).analyze(files, rules);
+    const result = {
+      isValid: true,
+      errors: [],
+      warnings: [],
+      recommendations: [],
+      tokenBudget,
+    };
+
+    if (tokenBudget.overBudget) {
+      const largest = tokenBudget.files
+        .filter((file) => file.loaded === "startup")
+        .flatMap((file) =>
+          (file.sections || [])
+            .filter((section) => section.heading)
+            .map((section) => ({ ...section, path: file.path })),
+        )
+        .sort((a, b) => b.tokens - a.tokens)[0];
+
+      result.warnings.push(
+        `Project memory is about ${tokenBudget.memoryTokens} tokens, over the ${budget} token budget` +
+          (largest
+            ? ` (largest section: "${largest.heading}" in ${largest.path}, ${largest.tokens} tokens)`
+            : ""),
+      );
+    }
+
+    for (const scope of tokenBudget.scopes) {
+      if (scope.overBudget && !tokenBudget.overBudget) {
+        result.warnings.push(
+          `Memory for work in ${scope.path}/ is about ${scope.tokens} tokens, over the ${budget} token budget`,
+        );
+      }
+    }
+
+    for (const suggestion of tokenBudget.suggestions) {
+      result.recommendations.push(
+        suggestion.action === "move"
+          ? `Move rule "${suggestion.name}" (priority ${suggestion.priority}, ~${suggestion.tokens} tokens) to ${suggestion.pathScope}/CLAUDE.md by giving it that path scope`
+          : `Drop rule "${suggestion.name}" (priority ${suggestion.priority}, ~${suggestion.tokens} tokens) or give it a path scope`,
+      );
+    }
+
+    return result;
+  }
+
   /**
    * Validate dependency relationships and missing components
    * @param {Array} resourceList - List of resources to validate
@@ -4721,21 +12782,24 @@ class ProjectValidator {
 
     // Claude Code specific validations
     if (rule_text) {
-      // Check for actionable language
-      const actionablePatterns = [
-        /must|should|shall|will/i,
-        /always|never|only/i,
-        /when|if|unless/i,
-      ];
-
-      const hasActionableLanguage = actionablePatterns.some((pattern) =>
-        pattern.test(rule_text),
-      );
+      const findings = new RuleLinter().lintRule({ name: title, rule_content: rule_text });
+      this._addLintFindings(findings, result);
+    }
+  }
 
-      if (!hasActionableLanguage) {
-        result.recommendations.push(
-          "Consider using more actionable language (must, should, when, if)",
-        );
+  /**
+   * File lint findings under errors, warnings or recommendations by severity
+   * @private
+   */
+  _addLintFindings(findings, result, prefix = "") {
+    for (const finding of findings) {
+      const message = `${prefix}${finding.message}${finding.line ? ` (line ${finding.line})` : ""}`;
+      if (finding.severity === "error") {
+        result.errors.push(message);
+      } else if (finding.severity === "warning") {
+        result.warnings.push(message);
+      } else {
+        result.recommendations.push(message);
       }
     }
   }
@@ -4745,7 +12809,15 @@ class ProjectValidator {
    * @private
    */
   async _validateHookDefinition(hookData, result) {
-    const { name, description, trigger_event, command, is_enabled } = hookData;
+    const {
+      name,
+      description,
+      hook_type,
+      trigger_event,
+      tool_matcher,
+      command,
+      is_enabled,
+    } = hookData;
 
     // Required fields validation
     if (!name || name.trim().length === 0) {
@@ -4754,7 +12826,7 @@ class ProjectValidator {
       result.errors.push("Hook name must be 100 characters or less");
     }
 
-    if (!trigger_event || trigger_event.trim().length === 0) {
+    if (!hook_type && (!trigger_event || trigger_event.trim().length === 0)) {
       result.errors.push("Hook trigger event is required");
     }
 
@@ -4772,7 +12844,12 @@ class ProjectValidator {
       "on_project_open",
     ];
 
-    if (trigger_event && !validTriggers.includes(trigger_event)) {
+    // Claude Code hook events carry event-specific matchers
+    if (hook_type) {
+      const eventCheck = validateHookEventConfig(hook_type, tool_matcher);
+      result.errors.push(...eventCheck.errors);
+      result.warnings.push(...eventCheck.warnings);
+    } else if (trigger_event && !validTriggers.includes(trigger_event)) {
       result.warnings.push(
         `Unusual trigger event '${trigger_event}'. Consider using: ${validTriggers.join(", ")}`,
       );
@@ -4780,24 +12857,18 @@ class ProjectValidator {
 
     // Validate command safety
     if (command) {
-      const dangerousPatterns = [
-        /rm\s+-rf/i,
-        /del\s+\/s/i,
-        /format\s+c:/i,
-        /sudo\s+rm/i,
-        />\s*\/dev\/null/i,
-      ];
-
-      const hasDangerousCommand = dangerousPatterns.some((pattern) =>
-        pattern.test(command),
-      );
+      const safety = new HookSafetyAnalyzer().analyze(hookData);
 
-      if (hasDangerousCommand) {
+      if (safety.severity && HookSafetyAnalyzer.meetsSeverity(safety.severity, "high")) {
         result.errors.push(
           "Hook command contains potentially dangerous operations",
         );
       }
 
+      for (const finding of safety.findings) {
+        result.warnings.push(`[${finding.severity}] ${finding.message}`);
+      }
+
       // Check for Claude Code compatibility
       if (!command.includes("claude") && !command.includes("kiro")) {
         result.recommendations.push(
@@ -4807,6 +12878,101 @@ class ProjectValidator {
     }
   }
 
+  /**
+   * Validate slash command (custom agent) definition
+   * @private
+   */
+  async _validateCommandDefinition(commandData, result) {
+    const { name, prompt_content, agent_config } = commandData;
+
+    if (!name || name.trim().length === 0) {
+      result.errors.push("Command name is required");
+    } else if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(name)) {
+      result.errors.push(
+        "Command name must be lowercase with hyphens only (e.g., 'review-pr')",
+      );
+    }
+
+    if (!prompt_content || prompt_content.trim().length === 0) {
+      result.errors.push("Command prompt content is required");
+      return;
+    }
+
+    const config =
+      typeof agent_config === "string"
+        ? JSON.parse(agent_config)
+        : agent_config || {};
+    const analysis = this.analyzeCommandArguments(
+      prompt_content,
+      config.argumentHint,
+    );
+    result.warnings.push(...analysis.issues);
+  }
+
+  /**
+   * Check that a command uses $ARGUMENTS and positional $1/$2 placeholders consistently
+   * @param {string} content - Command prompt content
+   * @param {string} argumentHint - Optional argument-hint declared for the command
+   * @returns {Object} - Placeholder usage, suggested argument hint and issues
+   */
+  analyzeCommandArguments(content, argumentHint = null) {
+    const text = content || "";
+    const usesAllArguments = /\$ARGUMENTS\b/.test(text);
+    const positional = [
+      // "$5.00" and "$1,000" are amounts, not placeholders
+      ...new Set([...text.matchAll(/\$(\d+)\b(?![.,]\d)/g)].map((m) => parseInt(m[1]))),
+    ].sort((a, b) => a - b);
+    const highest = positional.length > 0 ? positional[positional.length - 1] : 0;
+    const issues = [];
+
+    if (usesAllArguments && positional.length > 0) {
+      issues.push(
+        `Command mixes $ARGUMENTS with positional placeholders (${positional.map((n) => `$${n}`).join(", ")}); $ARGUMENTS repeats every argument, so use one style`,
+      );
+    }
+
+    if (positional.includes(0)) {
+      issues.push("Positional placeholders start at $1; $0 is never filled");
+    }
+
+    const missing = [];
+    for (let n = 1; n < highest; n++) {
+      if (!positional.includes(n)) missing.push(`$${n}`);
+    }
+    if (missing.length > 0) {
+      issues.push(
+        `Positional placeholders skip ${missing.join(", ")}; arguments are assigned in order`,
+      );
+    }
+
+    const hintSlots = argumentHint
+      ? (argumentHint.match(/\[[^\]]*\]|<[^>]*>/g) || []).length
+      : 0;
+    if (argumentHint && !usesAllArguments && positional.length === 0) {
+      issues.push(
+        "argument-hint is set but the command never references $ARGUMENTS or $1",
+      );
+    } else if (hintSlots > 0 && !usesAllArguments && hintSlots !== highest) {
+      issues.push(
+        `argument-hint describes ${hintSlots} argument(s) but the command uses ${highest} positional placeholder(s)`,
+      );
+    }
+
+    let suggestedHint = argumentHint || null;
+    if (!suggestedHint && highest > 0) {
+      suggestedHint = Array.from({ length: highest }, (_, i) => `[arg${i + 1}]`).join(" ");
+    } else if (!suggestedHint && usesAllArguments) {
+      suggestedHint = "[arguments]";
+    }
+
+    return {
+      usesAllArguments,
+      positional: positional.filter((n) => n > 0),
+      suggestedHint,
+      issues,
+    };
+  }
+
   /**
    * Validate Claude Code best practices
    * @private
@@ -5016,6 +13182,55 @@ class ProjectValidator {
     }
   }
 
+  /**
+   * Validate that assigned rules neither contradict nor repeat each other
+   * @private
+   */
+  async _validateRuleConflicts(resources, result) {
+    if (!resources.rules || resources.rules.length < 2) return;
+
+    try {
+      const conflicts = await new RuleConflictDetector(this.db).detect(resources);
+
+      for (const contradiction of conflicts.contradictions) {
+        result.warnings.push(contradiction.message);
+      }
+
+      for (const duplicate of conflicts.duplicates) {
+        const names = duplicate.rules.map((rule) => `"${rule.name}"`).join(", ");
+        result.warnings.push(
+          `Rules ${names} are near-duplicates (${Math.round(duplicate.similarity * 100)}% similar)`,
+        );
+        result.recommendations.push(
+          `Merge ${names} into one rule to save context and avoid drift`,
+        );
+      }
+    } catch (error) {
+      result.warnings.push(`Could not check rules for conflicts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lint exported rules; checks the project raised to "error" block the export
+   * @private
+   */
+  async _validateRuleLint(project, resources, result) {
+    if (!resources.rules || resources.rules.length === 0) return;
+
+    let linter;
+    try {
+      linter = new RuleLinter(project ? project.rule_lint_config : null);
+    } catch (error) {
+      result.warnings.push(`Ignoring invalid rule lint configuration: ${error.message}`);
+      linter = new RuleLinter();
+    }
+
+    const rules = await new ClaudeCodeExporter(this.db)._loadRuleRows(resources.rules);
+    for (const { name, findings } of linter.lint(rules).results) {
+      this._addLintFindings(findings, result, `Rule "${name}": `);
+    }
+  }
+
   /**
    * Validate file structure requirements
    * @private
@@ -5057,6 +13272,79 @@ class ProjectValidator {
         `Duplicate agent names found: ${duplicateNames.join(", ")} - files may be overwritten`,
       );
     }
+
+    // Path scopes become nested CLAUDE.md files and must not collide
+    const scopedRules = [];
+    const scopes = new Set();
+
+    for (const [type, list] of Object.entries(resources)) {
+      for (const resource of list || []) {
+        if (!resource.path_scope) {
+          if (type === "rules") scopedRules.push({ resource, scope: "" });
+          continue;
+        }
+
+        const label = resource.name || resource.resource_id;
+        if (type === "hooks") {
+          result.warnings.push(
+            `Hook "${label}" has path scope ${resource.path_scope}, but hooks apply to the whole project; the scope is ignored`,
+          );
+          continue;
+        }
+
+        let scope;
+        try {
+          scope = normalizePathScope(resource.path_scope);
+        } catch (error) {
+          result.errors.push(
+            `Invalid path scope "${resource.path_scope}" on "${label}": ${error.message}`,
+          );
+          continue;
+        }
+
+        scopes.add(scope);
+        if (type === "rules") scopedRules.push({ resource, scope });
+      }
+    }
+
+    const sortedScopes = [...scopes].sort();
+    const contains = (outer, inner) =>
+      outer === "" || inner === outer || inner.startsWith(`${outer}/`);
+
+    for (let i = 0; i < sortedScopes.length; i++) {
+      for (let j = i + 1; j < sortedScopes.length; j++) {
+        const [a, b] = [sortedScopes[i], sortedScopes[j]];
+
+        if (a.toLowerCase() === b.toLowerCase()) {
+          result.errors.push(
+            `Path scopes ${a} and ${b} differ only in case and collide on case-insensitive file systems`,
+          );
+        } else if (contains(a, b)) {
+          result.warnings.push(
+            `Path scopes ${a} and ${b} overlap; both CLAUDE.md files load for work in ${b}`,
+          );
+        }
+      }
+    }
+
+    // A rule repeated in a scope and one of its ancestors is not a delta
+    for (let i = 0; i < scopedRules.length; i++) {
+      for (let j = i + 1; j < scopedRules.length; j++) {
+        const [a, b] = [scopedRules[i], scopedRules[j]];
+        const name = a.resource.name;
+
+        if (
+          name &&
+          (a.scope || b.scope) &&
+          name.toLowerCase() === (b.resource.name || "").toLowerCase() &&
+          (contains(a.scope, b.scope) || contains(b.scope, a.scope))
+        ) {
+          result.warnings.push(
+            `Rule "${name}" is assigned to overlapping scopes ${a.scope || "(root)"} and ${b.scope || "(root)"}; the nested copy repeats guidance that already applies`,
+          );
+        }
+      }
+    }
   }
 
   /**
@@ -5130,212 +13418,355 @@ class ProjectValidator {
   }
 }
 
-// ============================================
-// WORKERS AI ENDPOINTS
-// ============================================
+// ============================================
+// WORKERS AI ENDPOINTS
+// ============================================
+
+/**
+ * Stream text to the client as Server-Sent Events
+ *
+ * Sends a "token" event ({ text }) per chunk, then a "result" event with
+ * whatever finish() returns for the full text. A failure after the stream
+ * has started is sent as an "error" event ({ error, details }) since the
+ * status code is already committed.
+ * @param {Object} c - Hono context
+ * @param {AsyncIterable<string>|Array<string>} chunks - Text chunks
+ * @param {Function} finish - (text) => result object, may be async
+ * @param {string} failure - Error message for the "error" event
+ * @returns {Response}
+ */
+function streamTextResponse(c, chunks, finish, failure) {
+  return streamSSE(c, async (stream) => {
+    let text = "";
+    try {
+      for await (const chunk of chunks) {
+        text += chunk;
+        await stream.writeSSE({ event: "token", data: JSON.stringify({ text: chunk }) });
+      }
+      await stream.writeSSE({ event: "result", data: JSON.stringify(await finish(text)) });
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      await stream.writeSSE({
+        event: "error",
+        data: JSON.stringify({ error: failure, details: error.message }),
+      });
+    }
+  });
+}
+
+/**
+ * Whether a request asked for a fresh AI response with "X-AI-Cache: bypass"
+ * @param {Object} c - Hono context
+ * @returns {boolean}
+ */
+function bypassesAICache(c) {
+  return (c.req.header("X-AI-Cache") || "").toLowerCase() === "bypass";
+}
+
+/**
+ * 429 response for a call that would exceed an AI quota
+ * @param {Object} c - Hono context
+ * @param {AIClient} ai - Client of the request
+ * @param {number|string|null} projectId - Project the call is made for
+ * @returns {Promise<Response|null>} - null when the call may proceed
+ */
+async function aiQuotaResponse(c, ai, projectId = null) {
+  const quota = await ai.checkQuota(projectId);
+  if (!quota) {
+    return null;
+  }
+
+  const owner = quota.scope === "*" ? "Global" : `Project ${quota.scope}`;
+  const period = quota.period === "month" ? "monthly" : "daily";
+  c.header(
+    "Retry-After",
+    String(Math.max(1, Math.ceil((Date.parse(quota.resetAt) - Date.now()) / 1000))),
+  );
+  return c.json(
+    {
+      error: "AI quota exceeded",
+      code: "AI_QUOTA_EXCEEDED",
+      details: `${owner} ${period} AI quota is used up until ${quota.resetAt}`,
+      quota,
+      resetAt: quota.resetAt,
+    },
+    429,
+  );
+}
+
+/**
+ * Build a project-aware prompt from an agent, project context and rules
+ * @param {Object} db - D1 database
+ * @param {Object} body - generate-prompt request body
+ * @returns {Promise<Object>} - { sections, prompt, projectContext, agent, projectRules },
+ *   or { error, status } when no agent can be used
+ */
+async function buildProjectPrompt(db, body) {
+  const {
+    context = "",
+    format = "",
+    outputRequirements = "",
+    projectId = null,
+    agentId = null,
+    task,
+  } = body;
+
+  let projectContext = null;
+  let agent = null;
+  let projectRules = [];
+  let projectAgents = [];
+
+  // Get project context if projectId provided
+  if (projectId) {
+    const project = await db
+      .prepare("SELECT * FROM projects WHERE id = ?")
+      .bind(projectId)
+      .first();
+    if (project) {
+      projectContext = {
+        ...project,
+        tags: project.tags ? JSON.parse(project.tags) : [],
+      };
+
+      // Get project rules
+      const rulesResult = await db
+        .prepare(
+          `
+        SELECT ar.* FROM agent_rules ar
+        JOIN project_resources pr ON pr.resource_id = ar.id
+        WHERE pr.project_id = ? AND pr.resource_type = 'rule' AND ar.is_active = 1
+        ORDER BY pr.is_primary DESC, pr.assignment_order
+      `,
+        )
+        .bind(projectId)
+        .all();
+      projectRules = rulesResult.results || [];
+
+      // Get project agents for context
+      const agentsResult = await db
+        .prepare(
+          `
+        SELECT a.* FROM agents a
+        JOIN project_resources pr ON pr.resource_id = a.id
+        WHERE pr.project_id = ? AND pr.resource_type = 'agent' AND a.is_active = 1
+        ORDER BY pr.is_primary DESC, pr.assignment_order
+      `,
+        )
+        .bind(projectId)
+        .all();
+      projectAgents = agentsResult.results || [];
+    }
+  }
+
+  // Get specific agent if agentId provided
+  if (agentId) {
+    agent = await db
+      .prepare("SELECT * FROM agents WHERE id = ? AND is_active = 1")
+      .bind(agentId)
+      .first();
+    if (!agent && projectAgents.length === 0) {
+      return { error: "Agent not found or not active", status: 404 };
+    }
+  } else if (projectAgents.length > 0) {
+    // Use primary agent from project if no specific agent selected
+    agent = projectAgents.find((a) => a.is_primary) || projectAgents[0];
+  }
+
+  if (!agent) {
+    return {
+      error: "No agent specified and no project agents available",
+      status: 400,
+    };
+  }
+
+  // Build project-aware prompt one section at a time
+  const sections = [`${agent.role}\n\n`];
+
+  // Add agent style
+  if (agent.style) {
+    sections.push(`<agent_style>\n${agent.style}\n</agent_style>\n\n`);
+  }
+
+  // Add project context if available
+  if (projectContext) {
+    let section = `<project_context>\n`;
+    section += `Project: ${projectContext.name}\n`;
+    if (projectContext.description) {
+      section += `Description: ${projectContext.description}\n`;
+    }
+    if (projectContext.ai_context_summary) {
+      section += `AI Context: ${projectContext.ai_context_summary}\n`;
+    }
+    if (projectContext.category) {
+      section += `Category: ${projectContext.category}\n`;
+    }
+    if (projectContext.tags && projectContext.tags.length > 0) {
+      section += `Tags: ${projectContext.tags.join(", ")}\n`;
+    }
+    section += `</project_context>\n\n`;
+    sections.push(section);
+  }
+
+  // Add project rules if available
+  if (projectRules.length > 0) {
+    let section = `<project_rules>\n`;
+    projectRules.forEach((rule) => {
+      section += `${rule.name}: ${rule.rule_content}\n`;
+    });
+    section += `</project_rules>\n\n`;
+    sections.push(section);
+  }
+
+  // Add user context
+  sections.push(`<context>\n${context || "No additional context provided."}\n</context>\n\n`);
+
+  // Add task instruction
+  sections.push(`<task_instruction>\n${task}\n</task_instruction>\n\n`);
 
-// Generate project-aware prompt with context integration
-app.post("/api/ai/generate-prompt", async (c) => {
-  const db = c.env.DB;
-  const ai = c.env.AI;
+  // Add output format
+  sections.push(`<output_format>\n${format || "Best fit for the task."}\n</output_format>\n\n`);
 
-  const body = await c.req.json();
+  // Add output requirements
+  sections.push(`<output_requirements>\n${outputRequirements || "Best fit."}\n</output_requirements>`);
+
+  return {
+    sections,
+    prompt: sections.join(""),
+    projectContext,
+    agent,
+    projectRules,
+  };
+}
+
+/**
+ * Save a built prompt when requested and shape the generate-prompt response
+ * @param {Object} db - D1 database
+ * @param {Object} body - generate-prompt request body
+ * @param {Object} built - Result of buildProjectPrompt
+ * @returns {Promise<Object>}
+ */
+async function finishProjectPrompt(db, body, built) {
   const {
-    task,
     context = "",
     format = "",
     outputRequirements = "",
     projectId = null,
-    agentId = null,
     saveToProject = false,
     promptTitle = null,
     promptNotes = null,
   } = body;
+  const { prompt, projectContext, agent, projectRules } = built;
 
-  if (!task) {
-    return c.json({ error: "Task description is required" }, 400);
-  }
-
-  try {
-    let projectContext = null;
-    let agent = null;
-    let projectRules = [];
-    let projectAgents = [];
-
-    // Get project context if projectId provided
-    if (projectId) {
-      const project = await db
-        .prepare("SELECT * FROM projects WHERE id = ?")
-        .bind(projectId)
-        .first();
-      if (project) {
-        projectContext = {
-          ...project,
-          tags: project.tags ? JSON.parse(project.tags) : [],
-        };
-
-        // Get project rules
-        const rulesResult = await db
-          .prepare(
-            `
-          SELECT ar.* FROM agent_rules ar
-          JOIN project_resources pr ON pr.resource_id = ar.id
-          WHERE pr.project_id = ? AND pr.resource_type = 'rule' AND ar.is_active = 1
-          ORDER BY pr.is_primary DESC, pr.assignment_order
-        `,
-          )
-          .bind(projectId)
-          .all();
-        projectRules = rulesResult.results || [];
-
-        // Get project agents for context
-        const agentsResult = await db
-          .prepare(
-            `
-          SELECT a.* FROM agents a
-          JOIN project_resources pr ON pr.resource_id = a.id
-          WHERE pr.project_id = ? AND pr.resource_type = 'agent' AND a.is_active = 1
-          ORDER BY pr.is_primary DESC, pr.assignment_order
-        `,
-          )
-          .bind(projectId)
-          .all();
-        projectAgents = agentsResult.results || [];
-      }
-    }
-
-    // Get specific agent if agentId provided
-    if (agentId) {
-      agent = await db
-        .prepare("SELECT * FROM agents WHERE id = ? AND is_active = 1")
-        .bind(agentId)
-        .first();
-      if (!agent && projectAgents.length === 0) {
-        return c.json({ error: "Agent not found or not active" }, 404);
-      }
-    } else if (projectAgents.length > 0) {
-      // Use primary agent from project if no specific agent selected
-      agent = projectAgents.find((a) => a.is_primary) || projectAgents[0];
-    }
+  // Save to project if requested
+  let savedPrompt = null;
+  if (saveToProject && projectId) {
+    const promptId = generateId();
+    await db
+      .prepare(
+        `
+      INSERT INTO project_prompts (
+        id, project_id, prompt_content, prompt_type, title, prompt_notes,
+        agent_id, agent_name, context_used, constraints_used, output_format,
+        output_requirements_content
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      )
+      .bind(
+        promptId,
+        projectId,
+        prompt,
+        "generated",
+        promptTitle ||
+          `Generated prompt - ${new Date().toLocaleDateString()}`,
+        promptNotes,
+        agent.id,
+        agent.name,
+        context,
+        projectRules.map((r) => r.name).join(", "),
+        format,
+        outputRequirements,
+      )
+      .run();
 
-    if (!agent) {
-      return c.json(
-        { error: "No agent specified and no project agents available" },
-        400,
-      );
-    }
+    savedPrompt = await db
+      .prepare("SELECT * FROM project_prompts WHERE id = ?")
+      .bind(promptId)
+      .first();
+  }
 
-    // Build project-aware prompt
-    let prompt = `${agent.role}\n\n`;
+  return {
+    prompt,
+    projectContext: projectContext
+      ? {
+          id: projectContext.id,
+          name: projectContext.name,
+          description: projectContext.description,
+        }
+      : null,
+    agent: {
+      id: agent.id,
+      name: agent.name,
+      role: agent.role,
+    },
+    projectRules: projectRules.map((r) => ({
+      id: r.id,
+      name: r.name,
+      category: r.category,
+    })),
+    savedPrompt,
+    metadata: {
+      generatedAt: new Date().toISOString(),
+      hasProjectContext: !!projectContext,
+      rulesApplied: projectRules.length,
+    },
+  };
+}
 
-    // Add agent style
-    if (agent.style) {
-      prompt += `<agent_style>\n${agent.style}\n</agent_style>\n\n`;
-    }
+// Generate project-aware prompt with context integration
+app.post("/api/ai/generate-prompt", async (c) => {
+  const db = c.env.DB;
+  const body = await c.req.json();
 
-    // Add project context if available
-    if (projectContext) {
-      prompt += `<project_context>\n`;
-      prompt += `Project: ${projectContext.name}\n`;
-      if (projectContext.description) {
-        prompt += `Description: ${projectContext.description}\n`;
-      }
-      if (projectContext.ai_context_summary) {
-        prompt += `AI Context: ${projectContext.ai_context_summary}\n`;
-      }
-      if (projectContext.category) {
-        prompt += `Category: ${projectContext.category}\n`;
-      }
-      if (projectContext.tags && projectContext.tags.length > 0) {
-        prompt += `Tags: ${projectContext.tags.join(", ")}\n`;
-      }
-      prompt += `</project_context>\n\n`;
-    }
+  if (!body.task) {
+    return c.json({ error: "Task description is required" }, 400);
+  }
 
-    // Add project rules if available
-    if (projectRules.length > 0) {
-      prompt += `<project_rules>\n`;
-      projectRules.forEach((rule) => {
-        prompt += `${rule.name}: ${rule.rule_content}\n`;
-      });
-      prompt += `</project_rules>\n\n`;
+  try {
+    const built = await buildProjectPrompt(db, body);
+    if (built.error) {
+      return c.json({ error: built.error }, built.status);
     }
 
-    // Add user context
-    prompt += `<context>\n${context || "No additional context provided."}\n</context>\n\n`;
-
-    // Add task instruction
-    prompt += `<task_instruction>\n${task}\n</task_instruction>\n\n`;
-
-    // Add output format
-    prompt += `<output_format>\n${format || "Best fit for the task."}\n</output_format>\n\n`;
+    return c.json(await finishProjectPrompt(db, body, built));
+  } catch (error) {
+    return c.json(
+      { error: "Prompt generation failed", details: error.message },
+      500,
+    );
+  }
+});
 
-    // Add output requirements
-    prompt += `<output_requirements>\n${outputRequirements || "Best fit."}\n</output_requirements>`;
+// Stream a project-aware prompt section by section
+app.post("/api/ai/generate-prompt/stream", async (c) => {
+  const db = c.env.DB;
+  const body = await c.req.json();
 
-    // Save to project if requested
-    let savedPrompt = null;
-    if (saveToProject && projectId) {
-      const promptId = generateId();
-      await db
-        .prepare(
-          `
-        INSERT INTO project_prompts (
-          id, project_id, prompt_content, prompt_type, title, prompt_notes,
-          agent_id, agent_name, context_used, constraints_used, output_format,
-          output_requirements_content
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-        )
-        .bind(
-          promptId,
-          projectId,
-          prompt,
-          "generated",
-          promptTitle ||
-            `Generated prompt - ${new Date().toLocaleDateString()}`,
-          promptNotes,
-          agent.id,
-          agent.name,
-          context,
-          projectRules.map((r) => r.name).join(", "),
-          format,
-          outputRequirements,
-        )
-        .run();
+  if (!body.task) {
+    return c.json({ error: "Task description is required" }, 400);
+  }
 
-      savedPrompt = await db
-        .prepare("SELECT * FROM project_prompts WHERE id = ?")
-        .bind(promptId)
-        .first();
+  try {
+    const built = await buildProjectPrompt(db, body);
+    if (built.error) {
+      return c.json({ error: built.error }, built.status);
     }
 
-    return c.json({
-      prompt,
-      projectContext: projectContext
-        ? {
-            id: projectContext.id,
-            name: projectContext.name,
-            description: projectContext.description,
-          }
-        : null,
-      agent: {
-        id: agent.id,
-        name: agent.name,
-        role: agent.role,
-      },
-      projectRules: projectRules.map((r) => ({
-        id: r.id,
-        name: r.name,
-        category: r.category,
-      })),
-      savedPrompt,
-      metadata: {
-        generatedAt: new Date().toISOString(),
-        hasProjectContext: !!projectContext,
-        rulesApplied: projectRules.length,
-      },
-    });
+    return streamTextResponse(
+      c,
+      built.sections,
+      () => finishProjectPrompt(db, body, built),
+      "Prompt generation failed",
+    );
   } catch (error) {
     return c.json(
       { error: "Prompt generation failed", details: error.message },
@@ -5344,25 +13775,18 @@ app.post("/api/ai/generate-prompt", async (c) => {
   }
 });
 
-// Enhance/cleanup prompt text
-app.post("/api/ai/enhance-prompt", async (c) => {
-  const ai = c.env.AI;
-
-  if (!ai) {
-    return c.json({ error: "AI binding not configured" }, 500);
-  }
-
-  const body = await c.req.json();
+/**
+ * Messages asking the model to improve a prompt
+ * @param {Object} db - D1 database
+ * @param {Object} body - enhance-prompt request body
+ * @returns {Promise<Array<Object>>} - Chat messages
+ */
+async function buildEnhancePromptMessages(db, body) {
   const { prompt, enhancementType = "general", projectId = null } = body;
 
-  if (!prompt) {
-    return c.json({ error: "Prompt text is required" }, 400);
-  }
-
   // Get project context for enhancement if projectId provided
   let projectContext = "";
   if (projectId) {
-    const db = c.env.DB;
     const project = await db
       .prepare("SELECT * FROM projects WHERE id = ?")
       .bind(projectId)
@@ -5389,26 +13813,101 @@ app.post("/api/ai/enhance-prompt", async (c) => {
   const systemPrompt =
     enhancementPrompts[enhancementType] || enhancementPrompts.general;
 
+  return [
+    {
+      role: "system",
+      content:
+        "You are an expert prompt engineer. Your task is to improve prompts while preserving their original intent. Output only the improved prompt, no explanations.",
+    },
+    { role: "user", content: systemPrompt },
+  ];
+}
+
+/**
+ * Shape the enhance-prompt response
+ * @param {Object} body - enhance-prompt request body
+ * @param {string} enhanced - Improved prompt text
+ * @returns {Object}
+ */
+function enhancedPromptResult(body, enhanced) {
+  const { prompt, enhancementType = "general", projectId = null } = body;
+  return {
+    original: prompt,
+    enhanced,
+    enhancementType,
+    projectContext: projectId ? { id: projectId } : null,
+  };
+}
+
+// Enhance/cleanup prompt text
+app.post("/api/ai/enhance-prompt", async (c) => {
+  const ai = await AIClient.fromEnv(c.env);
+
+  if (!ai.isAvailable("enhance-prompt")) {
+    return c.json({ error: "AI provider not configured" }, 500);
+  }
+
+  const body = await c.req.json();
+
+  if (!body.prompt) {
+    return c.json({ error: "Prompt text is required" }, 400);
+  }
+
+  const limited = await aiQuotaResponse(c, ai, body.projectId);
+  if (limited) {
+    return limited;
+  }
+
   try {
-    const response = await ai.run("@cf/meta/llama-3.1-8b-instruct", {
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are an expert prompt engineer. Your task is to improve prompts while preserving their original intent. Output only the improved prompt, no explanations.",
-        },
-        { role: "user", content: systemPrompt },
-      ],
+    const response = await ai.run("enhance-prompt", {
+      messages: await buildEnhancePromptMessages(c.env.DB, body),
       max_tokens: 2048,
       temperature: 0.3,
+      projectId: body.projectId || null,
     });
 
-    return c.json({
-      original: prompt,
-      enhanced: response.response,
-      enhancementType,
-      projectContext: projectId ? { id: projectId } : null,
+    return c.json(enhancedPromptResult(body, response.response));
+  } catch (error) {
+    return c.json(
+      { error: "AI enhancement failed", details: error.message },
+      500,
+    );
+  }
+});
+
+// Stream an enhanced prompt as the model writes it
+app.post("/api/ai/enhance-prompt/stream", async (c) => {
+  const ai = await AIClient.fromEnv(c.env);
+
+  if (!ai.isAvailable("enhance-prompt")) {
+    return c.json({ error: "AI provider not configured" }, 500);
+  }
+
+  const body = await c.req.json();
+
+  if (!body.prompt) {
+    return c.json({ error: "Prompt text is required" }, 400);
+  }
+
+  const limited = await aiQuotaResponse(c, ai, body.projectId);
+  if (limited) {
+    return limited;
+  }
+
+  try {
+    const chunks = ai.stream("enhance-prompt", {
+      messages: await buildEnhancePromptMessages(c.env.DB, body),
+      max_tokens: 2048,
+      temperature: 0.3,
+      projectId: body.projectId || null,
     });
+
+    return streamTextResponse(
+      c,
+      chunks,
+      (enhanced) => enhancedPromptResult(body, enhanced),
+      "AI enhancement failed",
+    );
   } catch (error) {
     return c.json(
       { error: "AI enhancement failed", details: error.message },
@@ -5574,46 +14073,45 @@ app.get("/api/projects/:id/prompt-context", async (c) => {
 
 // Get improvement suggestions for a prompt
 app.post("/api/ai/suggest-improvements", async (c) => {
-  const ai = c.env.AI;
+  const ai = await AIClient.fromEnv(c.env);
 
-  if (!ai) {
-    return c.json({ error: "AI binding not configured" }, 500);
+  if (!ai.isAvailable("suggest-improvements")) {
+    return c.json({ error: "AI provider not configured" }, 500);
   }
 
   const body = await c.req.json();
-  const { prompt } = body;
+  const { prompt, projectId = null } = body;
 
   if (!prompt) {
     return c.json({ error: "Prompt text is required" }, 400);
   }
 
-  try {
-    const response = await ai.run("@cf/meta/llama-3.1-8b-instruct", {
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are a prompt engineering expert. Analyze prompts and provide actionable improvement suggestions. Always respond with valid JSON array format.",
-        },
-        {
-          role: "user",
-          content: `Analyze this prompt and provide 3-5 specific improvement suggestions. Return as JSON array with objects containing "suggestion" and "priority" (high/medium/low) fields only:\n\n${prompt}`,
-        },
-      ],
-      max_tokens: 1024,
-      temperature: 0.5,
-    });
+  const limited = await aiQuotaResponse(c, ai, projectId);
+  if (limited) {
+    return limited;
+  }
 
-    // Try to parse the response as JSON
-    let suggestions;
-    try {
-      // Extract JSON from the response
-      const jsonMatch = response.response.match(/\[[\s\S]*\]/);
-      suggestions = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
-    } catch {
-      // If parsing fails, return raw suggestions
-      suggestions = [{ suggestion: response.response, priority: "medium" }];
-    }
+  try {
+    const { data: suggestions } = await new AIStructuredOutput(ai, c.env.DB).run(
+      "suggest-improvements",
+      "prompt-suggestions",
+      {
+        messages: [
+          {
+            role: "system",
+            content:
+              "You are a prompt engineering expert. Analyze prompts and provide actionable improvement suggestions. Always respond with valid JSON array format.",
+          },
+          {
+            role: "user",
+            content: `Analyze this prompt and provide 3-5 specific improvement suggestions. Return as JSON array with objects containing "suggestion" and "priority" (high/medium/low) fields only:\n\n${prompt}`,
+          },
+        ],
+        max_tokens: 1024,
+        temperature: 0.5,
+      },
+      { projectId },
+    );
 
     return c.json({ suggestions });
   } catch (error) {
@@ -5626,52 +14124,45 @@ app.post("/api/ai/suggest-improvements", async (c) => {
 
 // Analyze prompt quality
 app.post("/api/ai/analyze-prompt", async (c) => {
-  const ai = c.env.AI;
+  const ai = await AIClient.fromEnv(c.env, { bypassCache: bypassesAICache(c) });
 
-  if (!ai) {
-    return c.json({ error: "AI binding not configured" }, 500);
+  if (!ai.isAvailable("analyze-prompt")) {
+    return c.json({ error: "AI provider not configured" }, 500);
   }
 
   const body = await c.req.json();
-  const { prompt } = body;
+  const { prompt, projectId = null } = body;
 
   if (!prompt) {
     return c.json({ error: "Prompt text is required" }, 400);
   }
 
-  try {
-    const response = await ai.run("@cf/meta/llama-3.1-8b-instruct", {
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are a prompt quality analyst. Score prompts on multiple dimensions and provide brief analysis. Always respond with valid JSON.",
-        },
-        {
-          role: "user",
-          content: `Analyze this prompt's quality. Return JSON with: clarity (1-10), specificity (1-10), structure (1-10), overall (1-10), and summary (brief text):\n\n${prompt}`,
-        },
-      ],
-      max_tokens: 512,
-      temperature: 0.2,
-    });
+  const limited = await aiQuotaResponse(c, ai, projectId);
+  if (limited) {
+    return limited;
+  }
 
-    // Try to parse the response as JSON
-    let analysis;
-    try {
-      const jsonMatch = response.response.match(/\{[\s\S]*\}/);
-      analysis = jsonMatch
-        ? JSON.parse(jsonMatch[0])
-        : { overall: 5, summary: response.response };
-    } catch {
-      analysis = {
-        clarity: 5,
-        specificity: 5,
-        structure: 5,
-        overall: 5,
-        summary: response.response,
-      };
-    }
+  try {
+    const { data: analysis } = await new AIStructuredOutput(ai, c.env.DB).run(
+      "analyze-prompt",
+      "prompt-analysis",
+      {
+        messages: [
+          {
+            role: "system",
+            content:
+              "You are a prompt quality analyst. Score prompts on multiple dimensions and provide brief analysis. Always respond with valid JSON.",
+          },
+          {
+            role: "user",
+            content: `Analyze this prompt's quality. Return JSON with: clarity (1-10), specificity (1-10), structure (1-10), overall (1-10), and summary (brief text):\n\n${prompt}`,
+          },
+        ],
+        max_tokens: 512,
+        temperature: 0.2,
+      },
+      { projectId },
+    );
 
     return c.json({ analysis });
   } catch (error) {
@@ -5688,11 +14179,11 @@ app.post("/api/ai/analyze-prompt", async (c) => {
 // Enhance resource creation with contextual suggestions
 app.post("/api/ai/enhance-resource", async (c) => {
   try {
-    const ai = c.env.AI;
+    const ai = await AIClient.fromEnv(c.env);
     const db = c.env.DB;
 
-    if (!ai) {
-      return c.json({ error: "AI binding not configured" }, 500);
+    if (!ai.isAvailable("enhance-resource")) {
+      return c.json({ error: "AI provider not configured" }, 500);
     }
 
     const body = await c.req.json();
@@ -5717,6 +14208,11 @@ app.post("/api/ai/enhance-resource", async (c) => {
       );
     }
 
+    const limited = await aiQuotaResponse(c, ai, project_id);
+    if (limited) {
+      return limited;
+    }
+
     const aiEngine = new AIEnhancementEngine(ai, db);
 
     // Build project context if project_id provided
@@ -5768,13 +14264,13 @@ app.post("/api/ai/enhance-resource", async (c) => {
 // Validate resource compatibility
 app.post("/api/ai/validate-compatibility", async (c) => {
   try {
-    const ai = c.env.AI;
+    const ai = await AIClient.fromEnv(c.env, { bypassCache: bypassesAICache(c) });
     const db = c.env.DB;
 
-    if (!ai) {
+    if (!ai.isAvailable("validate-compatibility")) {
       return c.json(
         {
-          error: "AI binding not configured",
+          error: "AI provider not configured",
           fallback: true,
           validation: {
             isCompatible: true,
@@ -5814,6 +14310,11 @@ app.post("/api/ai/validate-compatibility", async (c) => {
       );
     }
 
+    const limited = await aiQuotaResponse(c, ai, project_id);
+    if (limited) {
+      return limited;
+    }
+
     const aiEngine = new AIEnhancementEngine(ai, db);
 
     // Build project context if project_id provided
@@ -5859,14 +14360,13 @@ app.post("/api/ai/validate-compatibility", async (c) => {
 app.get("/api/ai/project-context/:projectId", async (c) => {
   try {
     const db = c.env.DB;
-    const ai = c.env.AI;
     const projectId = parseInt(c.req.param("projectId"));
 
     if (!projectId) {
       return c.json({ error: "Invalid project ID" }, 400);
     }
 
-    const aiEngine = new AIEnhancementEngine(ai, db);
+    const aiEngine = new AIEnhancementEngine(null, db);
     const context = await aiEngine.buildContextPrompt({ projectId }, "general");
 
     return c.json({
@@ -5886,14 +14386,113 @@ app.get("/api/ai/project-context/:projectId", async (c) => {
   }
 });
 
+// Get the stored AI settings and the provider and model each feature runs on
+app.get("/api/ai/settings", async (c) => {
+  const ai = await AIClient.fromEnv(c.env);
+  return c.json({
+    settings: await AIClient.loadSettings(c.env.DB),
+    features: ai.describe(),
+  });
+});
+
+// Set or clear the provider and model of features; null clears a feature
+app.put("/api/ai/settings", async (c) => {
+  const db = c.env.DB;
+  const body = await c.req.json().catch(() => ({}));
+
+  let settings;
+  try {
+    settings = AIClient.parseSettings(body.settings);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+    throw error;
+  }
+
+  for (const [feature, entry] of Object.entries(settings)) {
+    if (entry === null) {
+      await db.prepare("DELETE FROM ai_settings WHERE feature = ?").bind(feature).run();
+      continue;
+    }
+    await db
+      .prepare(
+        "INSERT OR REPLACE INTO ai_settings (feature, provider, model, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)",
+      )
+      .bind(feature, entry.provider, entry.model)
+      .run();
+  }
+
+  const ai = await AIClient.fromEnv(c.env);
+  return c.json({
+    settings: await AIClient.loadSettings(db),
+    features: ai.describe(),
+  });
+});
+
+// AI calls aggregated per day, project and feature, with quota usage
+app.get("/api/ai/usage", async (c) => {
+  const days = c.req.query("days") ? parseInt(c.req.query("days"), 10) : 30;
+  const projectId = c.req.query("project_id") ? parseInt(c.req.query("project_id"), 10) : null;
+
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return c.json({ error: "days must be between 1 and 365", field: "days" }, 400);
+  }
+  if (Number.isNaN(projectId)) {
+    return c.json({ error: "project_id must be a number", field: "project_id" }, 400);
+  }
+
+  try {
+    return c.json(await new AIUsage(c.env.DB).summarize({ days, projectId }));
+  } catch (error) {
+    return c.json({ error: "Failed to load AI usage", details: error.message }, 500);
+  }
+});
+
+// AI quotas with their usage in the current period
+app.get("/api/ai/quotas", async (c) => {
+  return c.json({ quotas: await new AIUsage(c.env.DB).quotaStatus() });
+});
+
+// Set or remove quotas; keys are "*" (all AI calls) or a project id, null removes
+app.put("/api/ai/quotas", async (c) => {
+  const db = c.env.DB;
+  const body = await c.req.json().catch(() => ({}));
+
+  let quotas;
+  try {
+    quotas = AIUsage.parseQuotas(body.quotas);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+    throw error;
+  }
+
+  for (const [scope, quota] of Object.entries(quotas)) {
+    if (quota === null) {
+      await db.prepare("DELETE FROM ai_quotas WHERE scope = ?").bind(scope).run();
+      continue;
+    }
+    await db
+      .prepare(
+        "INSERT OR REPLACE INTO ai_quotas (scope, request_limit, token_limit, period, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)",
+      )
+      .bind(scope, quota.requestLimit, quota.tokenLimit, quota.period)
+      .run();
+  }
+
+  return c.json({ quotas: await new AIUsage(db).quotaStatus() });
+});
+
 // Batch enhance multiple resources
 app.post("/api/ai/enhance-resources-batch", async (c) => {
   try {
-    const ai = c.env.AI;
+    const ai = await AIClient.fromEnv(c.env);
     const db = c.env.DB;
 
-    if (!ai) {
-      return c.json({ error: "AI binding not configured" }, 500);
+    if (!ai.isAvailable("enhance-resource")) {
+      return c.json({ error: "AI provider not configured" }, 500);
     }
 
     const body = await c.req.json();
@@ -5907,6 +14506,11 @@ app.post("/api/ai/enhance-resources-batch", async (c) => {
       return c.json({ error: "Maximum 10 resources per batch" }, 400);
     }
 
+    const limited = await aiQuotaResponse(c, ai, project_id);
+    if (limited) {
+      return limited;
+    }
+
     const aiEngine = new AIEnhancementEngine(ai, db);
 
     // Build project context once for efficiency
@@ -5993,8 +14597,25 @@ app.post("/api/ai/detect-platforms", async (c) => {
     // Initialize platform detection engine
     const platformEngine = new PlatformDetectionEngine(db);
 
+    // Detections are keyed by the keyword table too, so changing it misses the cache
+    const cache = AIResponseCache.fromEnv(c.env);
+    const entry = { feature: "detect-platforms", provider: "platform-detection", model: "keywords" };
+    const cacheKey = cache
+      ? await AIResponseCache.key({
+          ...entry,
+          messages: [
+            { role: "system", content: JSON.stringify(platformEngine.platformKeywords) },
+            { role: "user", content: input },
+          ],
+        })
+      : null;
+    const cached = cacheKey ? await cache.lookup(cacheKey, entry.feature, bypassesAICache(c)) : null;
+
     // Detect platforms
-    const detections = platformEngine.detectPlatforms(input);
+    const detections = cached !== null ? JSON.parse(cached) : platformEngine.detectPlatforms(input);
+    if (cacheKey && cached === null) {
+      await cache.store(cacheKey, { ...entry, response: JSON.stringify(detections) });
+    }
 
     // Track AI usage
     if (detections.length > 0) {
@@ -6480,106 +15101,479 @@ app.post("/api/export/claude-code/:projectId", async (c) => {
       return c.json({ error: "Valid project ID is required" }, 400);
     }
 
+    const startedAt = new Date();
     const body = await c.req.json().catch(() => ({}));
+    // The frontend ExportConfig sends an `include` map instead of include* flags
+    const include = body.include || {};
     const {
       format = "json", // 'json' or 'zip'
-      includeAgents = true,
-      includeRules = true,
-      includeHooks = true,
+      includeAgents = include.agents ?? true,
+      includeRules = include.rules ?? true,
+      includeHooks = include.hooks ?? true,
       includeProjectSettings = true,
       includeClaudeMD = true,
+      includeCommands = include.commands ?? true,
+      baseSettings = null,
+      blockHookSeverity = null,
+      templates = null,
+      memoryTokenBudget = null,
       exportNotes = null,
+      repoFiles = null,
+      repoArchive = null,
+      baseFiles = null,
+      baseExportId = null,
     } = body;
+    const targets = EXPORT_TARGETS.resolve(body.targets ?? body.target);
+
+    for (const [field, value] of Object.entries({ repoFiles, baseFiles })) {
+      if (value !== null && (typeof value !== "object" || Array.isArray(value))) {
+        throw new ValidationError(
+          `${field} must be a map of path to content`,
+          field,
+          value,
+        );
+      }
+    }
 
     const exporter = new ClaudeCodeExporter(db);
 
-    // Generate the complete project structure
-    const projectStructure = await exporter.generateProjectStructure(
+    // Generate the project structure for every requested target
+    const { archive: generatedArchive, ...projectStructure } = await EXPORT_TARGETS.generate(
+      db,
       projectId,
+      targets,
       {
         includeAgents,
         includeRules,
         includeHooks,
         includeProjectSettings,
         includeClaudeMD,
+        includeCommands,
+        baseSettings,
+        blockHookSeverity,
+        templates,
+        memoryTokenBudget,
+        format,
+      },
+    );
+    let archive = generatedArchive;
+
+    // Hashes describe what the generator produced, not the merged result, so
+    // sections the developer keeps are still recognised as drift next time
+    const contentHashes = await ExportMerger.hashFiles(projectStructure.files);
+
+    // Resource fingerprints let later exports be diffed by agent, rule and hook
+    let resourceSnapshot = null;
+    try {
+      resourceSnapshot = await new ExportHistoryDiff(db).snapshotResources(
+        await exporter._getProjectResources(projectId),
+      );
+    } catch (snapshotError) {
+      console.warn("Failed to snapshot export resources:", snapshotError);
+    }
+
+    // Round-trip mode: reconcile with the repo copy instead of overwriting it
+    let merge = null;
+    if (repoFiles || repoArchive) {
+      const repo = ClaudeConfigImporter.normalizePaths(
+        repoArchive
+          ? await ClaudeConfigImporter.filesFromArchive(
+              decodeBase64(repoArchive, "repoArchive"),
+            )
+          : repoFiles,
+      );
+
+      const previous = baseExportId
+        ? await db
+            .prepare(
+              "SELECT id, content_hashes FROM export_history WHERE id = ? AND project_id = ?",
+            )
+            .bind(baseExportId, projectId)
+            .first()
+        : await db
+            .prepare(
+              `
+          SELECT id, content_hashes FROM export_history
+          WHERE project_id = ? AND content_hashes IS NOT NULL
+          ORDER BY created_at DESC
+          LIMIT 1
+        `,
+            )
+            .bind(projectId)
+            .first();
+
+      if (baseExportId && !previous) {
+        return c.json({ error: "Base export not found" }, 404);
+      }
+
+      const { files, report, summary } = await new ExportMerger().reconcile(
+        projectStructure.files,
+        repo,
+        {
+          files: baseFiles,
+          hashes: previous?.content_hashes
+            ? JSON.parse(previous.content_hashes)
+            : null,
+        },
+      );
+
+      projectStructure.files = files;
+      projectStructure.metadata.totalFiles = Object.keys(files).length;
+      merge = { baseExportId: previous?.id || null, summary, report };
+
+      // The merged files depend on the uploaded repo copy, so repackage them
+      if (format === "zip") {
+        archive = new ZipArchiveBuilder().addFiles(files).build();
+        projectStructure.metadata.archiveSize = archive.length;
+      }
+    }
+
+    // Every export is kept as an immutable archive, whatever format was requested
+    const exportId = generateId();
+    const filename = `${
+      exporter._sanitizeFilename(body.filename || "") ||
+      projectStructure.metadata.projectSlug ||
+      "claude-code-export"
+    }.zip`;
+    const store = ExportArtifactStore.fromEnv(c.env);
+
+    let artifact = null;
+    try {
+      artifact = await store.put(
+        ExportArtifactStore.key(projectId, exportId),
+        archive ||
+          new ZipArchiveBuilder().addFiles(projectStructure.files).build(),
+      );
+    } catch (artifactError) {
+      console.warn("Failed to store export artifact:", artifactError);
+      // Continue with export; it just cannot be downloaded later
+    }
+
+    const completedAt = new Date();
+    const expiresAt = artifact
+      ? new Date(
+          completedAt.getTime() +
+            EXPORT_ARTIFACT_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+        ).toISOString()
+      : null;
+    let downloadUrl = artifact ? `/api/export/download/${exportId}` : null;
+    let exportNumber = null;
+
+    const exportRecord = {
+      id: exportId,
+      project_id: projectId,
+
+      export_format: format,
+      included_resources: JSON.stringify({
+        agents: projectStructure.metadata.includedComponents.agents,
+        rules: projectStructure.metadata.includedComponents.rules,
+        hooks: projectStructure.metadata.includedComponents.hooks,
+        projectSettings:
+          projectStructure.metadata.includedComponents.projectSettings,
+        claudeMD: projectStructure.metadata.includedComponents.claudeMD,
+        commands: projectStructure.metadata.includedComponents.commands,
+      }),
+      export_settings: JSON.stringify({
         format,
+        targets,
+        filename,
+        totalFiles: projectStructure.metadata.totalFiles,
+        baseSettings: baseSettings || null,
+        templates: templates || null,
+        merged: Boolean(merge),
+        baseExportId: merge?.baseExportId || null,
+      }),
+      content_hashes: JSON.stringify(contentHashes),
+      resource_snapshot: resourceSnapshot
+        ? JSON.stringify(resourceSnapshot)
+        : null,
+      file_size: artifact ? artifact.size : null,
+      file_path: artifact ? artifact.key : null,
+      artifact_sha256: artifact ? artifact.sha256 : null,
+      expires_at: expiresAt,
+      status: "completed",
+      processing_started_at: startedAt.toISOString(),
+      processing_completed_at: completedAt.toISOString(),
+      processing_duration_ms: completedAt.getTime() - startedAt.getTime(),
+      export_notes: exportNotes,
+      exported_by: "api",
+    };
+
+    try {
+      const latest = await db
+        .prepare(
+          "SELECT MAX(export_number) as export_number FROM export_history WHERE project_id = ?",
+        )
+        .bind(projectId)
+        .first();
+      exportNumber = (latest?.export_number || 0) + 1;
+
+      await db
+        .prepare(
+          `
+        INSERT INTO export_history (
+          id, project_id, export_number, export_format, included_resources,
+          export_settings, content_hashes, resource_snapshot, file_size,
+          file_path, artifact_sha256, expires_at, status,
+          processing_started_at, processing_completed_at, processing_duration_ms,
+          export_notes, exported_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        )
+        .bind(
+          exportRecord.id,
+          exportRecord.project_id,
+          exportNumber,
+          exportRecord.export_format,
+          exportRecord.included_resources,
+          exportRecord.export_settings,
+          exportRecord.content_hashes,
+          exportRecord.resource_snapshot,
+          exportRecord.file_size,
+          exportRecord.file_path,
+          exportRecord.artifact_sha256,
+          exportRecord.expires_at,
+          exportRecord.status,
+          exportRecord.processing_started_at,
+          exportRecord.processing_completed_at,
+          exportRecord.processing_duration_ms,
+          exportRecord.export_notes,
+          exportRecord.exported_by,
+        )
+        .run();
+    } catch (historyError) {
+      console.warn("Failed to record export history:", historyError);
+      // Continue with export even if history recording fails; without a
+      // history row the stored artifact can never be downloaded
+      exportNumber = null;
+      downloadUrl = null;
+      if (artifact) {
+        await store.delete([artifact.key]).catch(() => {});
+      }
+    }
+
+    // Return the complete project structure; the archive itself is served by
+    // the download route for this export
+    return c.json({
+      ...projectStructure,
+      ...(merge ? { merge } : {}),
+      exportId,
+      exportNumber,
+      downloadUrl,
+      expiresAt: downloadUrl ? expiresAt : null,
+      filename,
+      success: true,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json(
+        {
+          error: "Export validation failed",
+          details: error.message,
+          hookSafety: error.details.hookSafety,
+          targets: error.field === "targets" ? EXPORT_TARGETS.list() : undefined,
+        },
+        400,
+      );
+    }
+
+    console.error("Claude Code export failed:", error);
+    return c.json(
+      {
+        error: "Export failed",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
+
+// List the tools a project can be exported to
+app.get("/api/export/targets", (c) => {
+  return c.json({ targets: EXPORT_TARGETS.list() });
+});
+
+// Download the stored ZIP archive for a recorded export
+app.get("/api/export/download/:exportId", async (c) => {
+  try {
+    const db = c.env.DB;
+    const exportId = c.req.param("exportId");
+
+    const record = await db
+      .prepare(
+        `
+      SELECT id, project_id, export_number, export_settings, file_path,
+             artifact_sha256, expires_at, status
+      FROM export_history
+      WHERE id = ?
+    `,
+      )
+      .bind(exportId)
+      .first();
+
+    if (!record) {
+      return c.json({ error: "Export not found" }, 404);
+    }
+
+    if (
+      record.status === "expired" ||
+      (record.expires_at && new Date(record.expires_at) <= new Date())
+    ) {
+      return c.json(
+        { error: "Export has expired", expiredAt: record.expires_at },
+        410,
+      );
+    }
+
+    const archive = record.file_path
+      ? await ExportArtifactStore.fromEnv(c.env).get(record.file_path)
+      : null;
+    if (!archive) {
+      return c.json({ error: "Export has no stored archive" }, 404);
+    }
+
+    // Artifacts are immutable; a different hash means the stored copy is damaged
+    if (
+      record.artifact_sha256 &&
+      (await ExportArtifactStore.sha256(archive)) !== record.artifact_sha256
+    ) {
+      return c.json(
+        { error: "Export archive failed its integrity check" },
+        500,
+      );
+    }
+
+    const settings = record.export_settings
+      ? JSON.parse(record.export_settings)
+      : {};
+    const filename =
+      settings.filename ||
+      `export-${record.export_number || record.id}.zip`;
+
+    await db
+      .prepare(
+        `
+      UPDATE export_history
+      SET download_count = COALESCE(download_count, 0) + 1,
+          last_downloaded_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+      )
+      .bind(exportId)
+      .run();
+
+    return new Response(archive, {
+      headers: {
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Content-Length": String(archive.length),
+      },
+    });
+  } catch (error) {
+    console.error("Export download failed:", error);
+    return c.json(
+      {
+        error: "Download failed",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
+
+// Delete stored archives of expired exports (also run by the cron trigger)
+app.post("/api/export/cleanup", async (c) => {
+  try {
+    const result = await ExportArtifactStore.fromEnv(c.env).purgeExpired();
+    return c.json({ ...result, success: true });
+  } catch (error) {
+    console.error("Export cleanup failed:", error);
+    return c.json(
+      {
+        error: "Export cleanup failed",
+        details: error.message,
       },
+      500,
     );
+  }
+});
+
+// Compare the files and resources of two recorded exports
+app.get("/api/export/history/:projectId/diff", async (c) => {
+  try {
+    const db = c.env.DB;
+    const projectId = parseInt(c.req.param("projectId"));
 
-    // Record export in history
-    const exportId = generateId();
-    const exportRecord = {
-      id: exportId,
-      project_id: projectId,
+    if (!projectId || isNaN(projectId)) {
+      return c.json({ error: "Valid project ID is required" }, 400);
+    }
 
-      export_format: format,
-      included_resources: JSON.stringify({
-        agents: projectStructure.metadata.includedComponents.agents,
-        rules: projectStructure.metadata.includedComponents.rules,
-        hooks: projectStructure.metadata.includedComponents.hooks,
-        projectSettings:
-          projectStructure.metadata.includedComponents.projectSettings,
-        claudeMD: projectStructure.metadata.includedComponents.claudeMD,
-      }),
-      export_settings: JSON.stringify({
-        format,
-        totalFiles: projectStructure.metadata.totalFiles,
-      }),
-      processing_started_at: new Date().toISOString(),
-      processing_completed_at: new Date().toISOString(),
-      export_notes: exportNotes,
-      exported_by: "api",
-    };
+    const { from, to } = c.req.query();
+    if (!from || !to) {
+      return c.json(
+        { error: "Both from and to exports are required (ID or export number)" },
+        400,
+      );
+    }
 
-    try {
-      await db
+    const store = ExportArtifactStore.fromEnv(c.env);
+    const exports = [];
+
+    for (const ref of [from, to]) {
+      const byNumber = /^\d+$/.test(ref);
+      const record = await db
         .prepare(
           `
-        INSERT INTO export_history (
-          id, project_id, export_format, included_resources,
-          export_settings, processing_started_at, processing_completed_at,
-          export_notes, exported_by
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        SELECT id, export_number, file_path, status, expires_at,
+               resource_snapshot, created_at
+        FROM export_history
+        WHERE project_id = ? AND ${byNumber ? "export_number" : "id"} = ?
       `,
         )
-        .bind(
-          exportRecord.id,
-          exportRecord.project_id,
-          exportRecord.export_format,
-          exportRecord.included_resources,
-          exportRecord.export_settings,
-          exportRecord.processing_started_at,
-          exportRecord.processing_completed_at,
-          exportRecord.export_notes,
-          exportRecord.exported_by,
-        )
-        .run();
-    } catch (historyError) {
-      console.warn("Failed to record export history:", historyError);
-      // Continue with export even if history recording fails
-    }
+        .bind(projectId, byNumber ? parseInt(ref) : ref)
+        .first();
 
-    if (format === "zip") {
-      // For ZIP format, we would need to implement ZIP generation
-      // For now, return the structure with a note about ZIP implementation
-      return c.json({
-        ...projectStructure,
-        exportId,
-        note: "ZIP format not yet implemented. Use 'json' format to get file contents.",
+      if (!record) {
+        return c.json({ error: `Export ${ref} not found` }, 404);
+      }
+
+      const archive = ExportArtifactStore.isAvailable(record)
+        ? await store.get(record.file_path)
+        : null;
+      if (!archive) {
+        return c.json(
+          {
+            error: `Export #${record.export_number ?? record.id} is no longer stored and cannot be compared`,
+          },
+          410,
+        );
+      }
+
+      exports.push({
+        record,
+        files: await new ZipArchiveReader(archive).readTextFiles(),
+        snapshot: record.resource_snapshot
+          ? JSON.parse(record.resource_snapshot)
+          : null,
       });
     }
 
-    // Return the complete project structure
+    const describe = ({ record }) => ({
+      id: record.id,
+      exportNumber: record.export_number,
+      createdAt: record.created_at,
+    });
+
     return c.json({
-      ...projectStructure,
-      exportId,
-      success: true,
+      from: describe(exports[0]),
+      to: describe(exports[1]),
+      ...ExportHistoryDiff.compare(exports[0], exports[1]),
     });
   } catch (error) {
-    console.error("Claude Code export failed:", error);
+    console.error("Failed to diff exports:", error);
     return c.json(
       {
-        error: "Export failed",
+        error: "Failed to diff exports",
         details: error.message,
       },
       500,
@@ -6617,8 +15611,9 @@ app.get("/api/export/history/:projectId", async (c) => {
     // Get export history
     const historyQuery = `
       SELECT
-        id, project_id, export_format, included_resources,
-        export_settings, file_size, processing_started_at, processing_completed_at,
+        id, project_id, export_number, export_format, included_resources,
+        export_settings, file_size, file_path, expires_at, status,
+        processing_started_at, processing_completed_at,
         processing_duration_ms, exported_by, export_notes, download_count,
         last_downloaded_at, created_at
       FROM export_history
@@ -6633,7 +15628,7 @@ app.get("/api/export/history/:projectId", async (c) => {
       .bind(...params)
       .all();
 
-    const exports = historyResult.results.map((record) => ({
+    const exports = historyResult.results.map(({ file_path, ...record }) => ({
       ...record,
       included_resources: record.included_resources
         ? JSON.parse(record.included_resources)
@@ -6641,6 +15636,10 @@ app.get("/api/export/history/:projectId", async (c) => {
       export_settings: record.export_settings
         ? JSON.parse(record.export_settings)
         : {},
+      // Only exports whose archive is still stored can be downloaded again
+      downloadUrl: ExportArtifactStore.isAvailable({ file_path, ...record })
+        ? `/api/export/download/${record.id}`
+        : null,
     }));
 
     return c.json({
@@ -6691,6 +15690,61 @@ app.get("/api/export/validate/:projectId", async (c) => {
       resources,
     );
 
+    // Static analysis of the hook commands that would land in settings.json
+    let blockSeverity;
+    try {
+      blockSeverity = HookSafetyAnalyzer.parseBlockSeverity(
+        c.req.query("blockSeverity"),
+      );
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    const hookSafety = new HookSafetyAnalyzer().analyzeAll(
+      await exporter._loadHookRows(resources.hooks),
+      blockSeverity,
+    );
+
+    for (const result of hookSafety.hooks) {
+      for (const finding of result.findings) {
+        validationResult.warnings.push(
+          `Hook "${result.hookName}" [${finding.severity}]: ${finding.message}`,
+        );
+      }
+    }
+
+    if (hookSafety.blocked) {
+      validationResult.errors.push(
+        `Hook commands have ${hookSafety.highestSeverity} severity findings (export blocked at ${blockSeverity})`,
+      );
+      validationResult.isValid = false;
+    }
+
+    // Token budget of the files an export would generate right now
+    let memoryTokenBudget;
+    try {
+      memoryTokenBudget = TokenBudgetAnalyzer.parseBudget(
+        c.req.query("tokenBudget"),
+      );
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    let tokenBudget = null;
+    if (validationResult.isValid) {
+      const { files } = await exporter.generateProjectStructure(projectId);
+      const budgetResult = validator.validateTokenBudget(
+        files,
+        await exporter._loadRuleRows(
+          (resources.rules || []).filter((rule) => !rule.path_scope),
+        ),
+        memoryTokenBudget,
+      );
+      tokenBudget = budgetResult.tokenBudget;
+      validationResult.warnings.push(...budgetResult.warnings);
+      validationResult.recommendations.push(...budgetResult.recommendations);
+    }
+
     const summary = {
       projectId,
       projectName: project.name,
@@ -6700,6 +15754,8 @@ app.get("/api/export/validate/:projectId", async (c) => {
       recommendations: validationResult.recommendations,
       requiredComponents: validationResult.requiredComponents,
       missingComponents: validationResult.missingComponents,
+      hookSafety,
+      tokenBudget,
       resources: {
         agents: resources.agents?.length || 0,
         rules: resources.rules?.length || 0,
@@ -6710,9 +15766,9 @@ app.get("/api/export/validate/:projectId", async (c) => {
           (resources.hooks?.length || 0),
       },
       claudeCodeCompatibility: {
-        score: this._calculateCompatibilityScore(validationResult),
-        issues: this._getCompatibilityIssues(validationResult),
-        suggestions: this._getCompatibilitySuggestions(validationResult),
+        score: _calculateCompatibilityScore(validationResult),
+        issues: _getCompatibilityIssues(validationResult),
+        suggestions: _getCompatibilitySuggestions(validationResult),
       },
     };
 
@@ -6931,6 +15987,224 @@ app.delete("/api/templates/:id", async (c) => {
   return c.json({ success: true });
 });
 
+// ============================================
+// EXPORT TEMPLATES API
+// ============================================
+
+// List export templates, optionally for one kind
+app.get("/api/export-templates", async (c) => {
+  const db = c.env.DB;
+  const kind = c.req.query("kind");
+
+  const result = kind
+    ? await db
+        .prepare(
+          "SELECT * FROM export_templates WHERE is_active = 1 AND kind = ? ORDER BY name",
+        )
+        .bind(kind)
+        .all()
+    : await db
+        .prepare(
+          "SELECT * FROM export_templates WHERE is_active = 1 ORDER BY kind, name",
+        )
+        .all();
+  return c.json(result.results);
+});
+
+// Get single export template
+app.get("/api/export-templates/:id", async (c) => {
+  const db = c.env.DB;
+  const id = c.req.param("id");
+  const result = await db
+    .prepare("SELECT * FROM export_templates WHERE id = ?")
+    .bind(id)
+    .first();
+
+  if (!result) {
+    return c.json({ error: "Export template not found" }, 404);
+  }
+  return c.json(result);
+});
+
+// Render a saved or unsaved template against a project or rule set
+app.post("/api/export-templates/preview", async (c) => {
+  const db = c.env.DB;
+  const body = await c.req.json().catch(() => ({}));
+
+  try {
+    let kind = body.kind;
+    let renderer;
+    if (body.template_id && body.template_content === undefined) {
+      const template = await db
+        .prepare("SELECT kind FROM export_templates WHERE id = ?")
+        .bind(body.template_id)
+        .first();
+      if (!template) {
+        return c.json({ error: "Export template not found" }, 404);
+      }
+      kind = template.kind;
+      renderer = (await loadExportTemplate(db, body.template_id, kind)).renderer;
+    } else {
+      renderer = new ExportTemplateRenderer(body.template_content);
+    }
+
+    if (kind === "rule-set") {
+      if (!body.rule_set_id) {
+        return c.json({ error: "rule_set_id is required to preview a rule-set template" }, 400);
+      }
+
+      const ruleSet = await db
+        .prepare("SELECT * FROM rule_sets WHERE id = ?")
+        .bind(body.rule_set_id)
+        .first();
+      if (!ruleSet) {
+        return c.json({ error: "Rule set not found" }, 404);
+      }
+
+      // Previews fill in defaults but leave unresolved placeholders visible
+      const { rules, argumentSchema } = await new RuleSetResolver(db).resolve(ruleSet);
+      const { values } = new RuleSetArgumentSchema(argumentSchema).resolve(
+        body.argument_values,
+        rules.map((rule) => rule.content),
+      );
+      const context = buildRuleSetTemplateContext(ruleSet, values, rules);
+      return c.json({ kind, content: renderer.render(context), context });
+    }
+
+    if (!EXPORT_TEMPLATE_KINDS.includes(kind)) {
+      return c.json(
+        { error: `kind must be one of: ${EXPORT_TEMPLATE_KINDS.join(", ")}` },
+        400,
+      );
+    }
+    if (!body.project_id) {
+      return c.json({ error: `project_id is required to preview a ${kind} template` }, 400);
+    }
+
+    const { content, context } = await new ClaudeCodeExporter(db).renderTemplate(
+      parseInt(body.project_id),
+      renderer,
+    );
+    return c.json({ kind, content, context });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: "Invalid export template", details: error.message }, 400);
+    }
+    if (error.message === "Project not found") {
+      return c.json({ error: "Project not found" }, 404);
+    }
+
+    console.error("Export template preview failed:", error);
+    return c.json({ error: "Preview failed", details: error.message }, 500);
+  }
+});
+
+// Create export template
+app.post("/api/export-templates", async (c) => {
+  const db = c.env.DB;
+  const body = await c.req.json();
+  const { name, description, kind, template_content } = body;
+
+  if (!name || !template_content) {
+    return c.json({ error: "Name and template_content are required" }, 400);
+  }
+  if (!EXPORT_TEMPLATE_KINDS.includes(kind)) {
+    return c.json(
+      { error: `kind must be one of: ${EXPORT_TEMPLATE_KINDS.join(", ")}` },
+      400,
+    );
+  }
+
+  try {
+    new ExportTemplateRenderer(template_content);
+  } catch (error) {
+    return c.json({ error: "Invalid export template", details: error.message }, 400);
+  }
+
+  const id = generateId();
+  await db
+    .prepare(
+      `INSERT INTO export_templates (id, name, description, kind, template_content)
+       VALUES (?, ?, ?, ?, ?)`,
+    )
+    .bind(id, name, description || "", kind, template_content)
+    .run();
+
+  const template = await db
+    .prepare("SELECT * FROM export_templates WHERE id = ?")
+    .bind(id)
+    .first();
+  return c.json(template, 201);
+});
+
+// Update export template
+app.put("/api/export-templates/:id", async (c) => {
+  const db = c.env.DB;
+  const id = c.req.param("id");
+  const body = await c.req.json();
+
+  const existing = await db
+    .prepare("SELECT * FROM export_templates WHERE id = ?")
+    .bind(id)
+    .first();
+
+  if (!existing) {
+    return c.json({ error: "Export template not found" }, 404);
+  }
+  if (body.kind !== undefined && !EXPORT_TEMPLATE_KINDS.includes(body.kind)) {
+    return c.json(
+      { error: `kind must be one of: ${EXPORT_TEMPLATE_KINDS.join(", ")}` },
+      400,
+    );
+  }
+  if (body.template_content !== undefined) {
+    try {
+      new ExportTemplateRenderer(body.template_content);
+    } catch (error) {
+      return c.json({ error: "Invalid export template", details: error.message }, 400);
+    }
+  }
+
+  await db
+    .prepare(
+      `UPDATE export_templates
+       SET name = ?, description = ?, kind = ?, template_content = ?,
+           is_active = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+    )
+    .bind(
+      body.name ?? existing.name,
+      body.description ?? existing.description,
+      body.kind ?? existing.kind,
+      body.template_content ?? existing.template_content,
+      body.is_active ?? existing.is_active,
+      id,
+    )
+    .run();
+
+  const template = await db
+    .prepare("SELECT * FROM export_templates WHERE id = ?")
+    .bind(id)
+    .first();
+  return c.json(template);
+});
+
+// Delete export template (soft delete)
+app.delete("/api/export-templates/:id", async (c) => {
+  const db = c.env.DB;
+  const id = c.req.param("id");
+
+  const result = await db
+    .prepare("UPDATE export_templates SET is_active = 0 WHERE id = ?")
+    .bind(id)
+    .run();
+
+  if (result.meta.changes === 0) {
+    return c.json({ error: "Export template not found" }, 404);
+  }
+  return c.json({ success: true });
+});
+
 // ============================================
 // OUTPUT REQUIREMENTS API
 // ============================================
@@ -7153,11 +16427,15 @@ app.post("/api/rules", async (c) => {
       category,
       priority,
       tags,
+      path_scope,
+      author,
+      reason,
     } = body;
 
     if (!name || !rule_content) {
       return c.json({ error: "Name and rule_content are required" }, 400);
     }
+    const pathScope = normalizePathScope(path_scope);
 
     // Comprehensive validation using ProjectValidator
     const validationResult = await validator.validateResourceDefinition(
@@ -7194,8 +16472,8 @@ app.post("/api/rules", async (c) => {
     await db
       .prepare(
         `INSERT INTO agent_rules
-         (id, name, description, rule_content, ide_id, agent_id, category, priority, tags)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+         (id, name, description, rule_content, ide_id, agent_id, category, priority, tags, path_scope)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       )
       .bind(
         id,
@@ -7207,30 +16485,110 @@ app.post("/api/rules", async (c) => {
         category || null,
         priority || 0,
         JSON.stringify(tags || []),
+        pathScope,
       )
       .run();
 
+    await new RuleVersionManager(db).record(id, {
+      author: author || null,
+      reason: reason || "Created",
+    });
+
     const rule = await db
       .prepare("SELECT * FROM agent_rules WHERE id = ?")
       .bind(id)
       .first();
 
-    // Include validation feedback in response
-    const response = {
-      ...rule,
-      validation: {
-        warnings: validationResult.warnings,
-        recommendations: validationResult.recommendations,
-      },
-    };
+    // Include validation feedback in response
+    const response = {
+      ...rule,
+      validation: {
+        warnings: validationResult.warnings,
+        recommendations: validationResult.recommendations,
+      },
+    };
+
+    return c.json(response, 201);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+
+    console.error("Rule creation error:", error);
+    return c.json(
+      { error: "Failed to create rule", details: error.message },
+      500,
+    );
+  }
+});
+
+// Lint saved or unsaved rules; project and request config override check defaults per check
+app.post("/api/rules/lint", async (c) => {
+  try {
+    const db = c.env.DB;
+    const body = await c.req.json().catch(() => ({}));
+    const { rules, rule_ids, project_id, config } = body;
+
+    const rows = [];
+    if (Array.isArray(rules)) {
+      for (const [index, rule] of rules.entries()) {
+        const name = rule?.name ?? rule?.title ?? "";
+        const content = rule?.rule_content ?? rule?.content ?? "";
+        if (
+          !rule ||
+          typeof rule !== "object" ||
+          Array.isArray(rule) ||
+          typeof name !== "string" ||
+          typeof content !== "string"
+        ) {
+          throw new ValidationError(
+            `rules[${index}] must be an object with a string name and rule_content`,
+            `rules[${index}]`,
+            rule,
+          );
+        }
+        rows.push({
+          id: rule.id || null,
+          name,
+          rule_content: content,
+        });
+      }
+    } else if (Array.isArray(rule_ids)) {
+      for (const id of rule_ids) {
+        const rule = await db
+          .prepare("SELECT * FROM agent_rules WHERE id = ?")
+          .bind(id)
+          .first();
+        if (!rule) {
+          return c.json({ error: "Rule not found", details: id }, 404);
+        }
+        rows.push(rule);
+      }
+    } else {
+      return c.json({ error: "Either rules or rule_ids array is required" }, 400);
+    }
+
+    let projectConfig = null;
+    if (project_id) {
+      const project = await db
+        .prepare("SELECT rule_lint_config FROM projects WHERE id = ?")
+        .bind(project_id)
+        .first();
+      if (!project) {
+        return c.json({ error: "Project not found" }, 404);
+      }
+      projectConfig = project.rule_lint_config;
+    }
 
-    return c.json(response, 201);
+    const linter = new RuleLinter(RuleLinter.mergeConfig(projectConfig, config));
+    return c.json({ ...linter.lint(rows), checks: linter.describe() });
   } catch (error) {
-    console.error("Rule creation error:", error);
-    return c.json(
-      { error: "Failed to create rule", details: error.message },
-      500,
-    );
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+
+    console.error("Rule lint failed:", error);
+    return c.json({ error: "Rule lint failed", details: error.message }, 500);
   }
 });
 
@@ -7249,11 +16607,21 @@ app.put("/api/rules/:id", async (c) => {
     return c.json({ error: "Rule not found" }, 404);
   }
 
+  let pathScope = existing.path_scope ?? null;
+  if (body.path_scope !== undefined) {
+    try {
+      pathScope = normalizePathScope(body.path_scope);
+    } catch (error) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+  }
+
   await db
     .prepare(
       `UPDATE agent_rules
        SET name = ?, description = ?, rule_content = ?, ide_id = ?,
-           agent_id = ?, category = ?, priority = ?, tags = ?, is_active = ?
+           agent_id = ?, category = ?, priority = ?, tags = ?, is_active = ?,
+           path_scope = ?, updated_at = datetime('now')
        WHERE id = ?`,
     )
     .bind(
@@ -7266,14 +16634,123 @@ app.put("/api/rules/:id", async (c) => {
       body.priority ?? existing.priority,
       body.tags ? JSON.stringify(body.tags) : existing.tags,
       body.is_active ?? existing.is_active,
+      pathScope,
       id,
     )
     .run();
 
-  const rule = await db
+  let rule = await db
     .prepare("SELECT * FROM agent_rules WHERE id = ?")
     .bind(id)
     .first();
+
+  // Only edits to the rule itself start a new version, not (de)activation
+  if (RULE_VERSIONED_FIELDS.some((field) => rule[field] !== existing[field])) {
+    await new RuleVersionManager(db).record(id, {
+      author: body.author || null,
+      reason: body.reason || null,
+    });
+    rule = await db
+      .prepare("SELECT * FROM agent_rules WHERE id = ?")
+      .bind(id)
+      .first();
+  }
+
+  return c.json(rule);
+});
+
+// List a rule's versions, newest first
+app.get("/api/rules/:id/versions", async (c) => {
+  const db = c.env.DB;
+  const id = c.req.param("id");
+
+  const rule = await db
+    .prepare("SELECT id, version FROM agent_rules WHERE id = ?")
+    .bind(id)
+    .first();
+
+  if (!rule) {
+    return c.json({ error: "Rule not found" }, 404);
+  }
+
+  const versions = await new RuleVersionManager(db).list(id);
+  return c.json({ ruleId: id, currentVersion: rule.version, versions });
+});
+
+// Diff two versions of a rule; `to` defaults to the current version
+app.get("/api/rules/:id/diff", async (c) => {
+  const db = c.env.DB;
+  const id = c.req.param("id");
+  const from = parseInt(c.req.query("from"));
+
+  const rule = await db
+    .prepare("SELECT id, version FROM agent_rules WHERE id = ?")
+    .bind(id)
+    .first();
+
+  if (!rule) {
+    return c.json({ error: "Rule not found" }, 404);
+  }
+
+  const to = c.req.query("to") ? parseInt(c.req.query("to")) : rule.version;
+  if (isNaN(from) || isNaN(to)) {
+    return c.json({ error: "from and to must be version numbers" }, 400);
+  }
+
+  const versions = new RuleVersionManager(db);
+  const [fromVersion, toVersion] = await Promise.all([
+    versions.get(id, from),
+    versions.get(id, to),
+  ]);
+
+  if (!fromVersion || !toVersion) {
+    return c.json(
+      { error: "Version not found", details: `Rule ${id} has no version ${fromVersion ? to : from}` },
+      404,
+    );
+  }
+
+  return c.json(RuleVersionManager.diff(fromVersion, toVersion));
+});
+
+// Get one version of a rule
+app.get("/api/rules/:id/versions/:version", async (c) => {
+  const db = c.env.DB;
+  const version = await new RuleVersionManager(db).get(
+    c.req.param("id"),
+    parseInt(c.req.param("version")),
+  );
+
+  if (!version) {
+    return c.json({ error: "Version not found" }, 404);
+  }
+  return c.json(version);
+});
+
+// Restore an old version; the restore is recorded as a new version
+app.post("/api/rules/:id/revert/:version", async (c) => {
+  const db = c.env.DB;
+  const id = c.req.param("id");
+  const version = parseInt(c.req.param("version"));
+  const body = await c.req.json().catch(() => ({}));
+
+  const existing = await db
+    .prepare("SELECT id FROM agent_rules WHERE id = ?")
+    .bind(id)
+    .first();
+
+  if (!existing) {
+    return c.json({ error: "Rule not found" }, 404);
+  }
+
+  const rule = await new RuleVersionManager(db).revert(id, version, {
+    author: body.author || null,
+    reason: body.reason || null,
+  });
+
+  if (!rule) {
+    return c.json({ error: "Version not found" }, 404);
+  }
   return c.json(rule);
 });
 
@@ -7282,6 +16759,24 @@ app.delete("/api/rules/:id", async (c) => {
   const db = c.env.DB;
   const id = c.req.param("id");
 
+  // Rule sets including this rule would no longer resolve
+  const candidates = await db
+    .prepare("SELECT name, includes FROM rule_sets WHERE includes LIKE ?")
+    .bind(`%"${id}"%`)
+    .all();
+  const dependents = (candidates.results || []).filter((row) =>
+    RuleSetResolver.parseIncludes(row.includes).some((include) => include.rule_id === id),
+  );
+  if (dependents.length > 0) {
+    return c.json(
+      {
+        error: "Rule is included by rule sets",
+        details: dependents.map((row) => row.name),
+      },
+      409,
+    );
+  }
+
   const result = await db
     .prepare("UPDATE agent_rules SET is_active = 0 WHERE id = ?")
     .bind(id)
@@ -7929,6 +17424,7 @@ app.post("/api/projects/:id/resources", async (c) => {
       is_primary = false,
       assignment_order = 0,
       config_overrides = null,
+      path_scope = null,
       assigned_by = null,
       assignment_reason = null,
     } = body;
@@ -7999,6 +17495,7 @@ app.post("/api/projects/:id/resources", async (c) => {
         isPrimary: is_primary,
         assignmentOrder: assignment_order,
         configOverrides: config_overrides,
+        pathScope: path_scope,
         assignedBy: assigned_by,
         assignmentReason: assignment_reason,
       },
@@ -8095,6 +17592,90 @@ app.get("/api/projects/:id/resources", async (c) => {
   }
 });
 
+// Contradictory and near-duplicate rules among a project's assigned rules
+app.get("/api/projects/:id/rules/conflicts", async (c) => {
+  try {
+    const db = c.env.DB;
+    const projectId = parseInt(c.req.param("id"));
+
+    if (!projectId || isNaN(projectId)) {
+      return c.json({ error: "Valid project ID is required" }, 400);
+    }
+
+    const exporter = new ClaudeCodeExporter(db);
+    if (!(await exporter._getProjectDetails(projectId))) {
+      return c.json({ error: "Project not found" }, 404);
+    }
+
+    const conflicts = await new RuleConflictDetector(db).detect(
+      await exporter._getProjectResources(projectId),
+    );
+    return c.json({ projectId, ...conflicts });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+
+    console.error("Rule conflict check failed:", error);
+    return c.json(
+      { error: "Rule conflict check failed", details: error.message },
+      500,
+    );
+  }
+});
+
+// Get a project's rule lint configuration and the checks it results in
+app.get("/api/projects/:id/rule-lint", async (c) => {
+  const db = c.env.DB;
+  const projectId = parseInt(c.req.param("id"));
+
+  if (!projectId || isNaN(projectId)) {
+    return c.json({ error: "Valid project ID is required" }, 400);
+  }
+
+  const project = await db
+    .prepare("SELECT rule_lint_config FROM projects WHERE id = ?")
+    .bind(projectId)
+    .first();
+  if (!project) {
+    return c.json({ error: "Project not found" }, 404);
+  }
+
+  const linter = new RuleLinter(project.rule_lint_config);
+  return c.json({ projectId, config: linter.config, checks: linter.describe() });
+});
+
+// Replace a project's rule lint configuration
+app.put("/api/projects/:id/rule-lint", async (c) => {
+  const db = c.env.DB;
+  const projectId = parseInt(c.req.param("id"));
+  const body = await c.req.json().catch(() => ({}));
+
+  if (!projectId || isNaN(projectId)) {
+    return c.json({ error: "Valid project ID is required" }, 400);
+  }
+
+  let linter;
+  try {
+    linter = new RuleLinter(body.config);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+    throw error;
+  }
+
+  const result = await db
+    .prepare("UPDATE projects SET rule_lint_config = ? WHERE id = ?")
+    .bind(JSON.stringify(linter.config), projectId)
+    .run();
+  if (result.meta.changes === 0) {
+    return c.json({ error: "Project not found" }, 404);
+  }
+
+  return c.json({ projectId, config: linter.config, checks: linter.describe() });
+});
+
 // Get available resources for import
 app.get("/api/projects/:id/available-resources", async (c) => {
   try {
@@ -8125,6 +17706,7 @@ app.put("/api/projects/:projectId/resources/:assignmentId", async (c) => {
       isPrimary: body.is_primary,
       assignmentOrder: body.assignment_order,
       configOverrides: body.config_overrides,
+      pathScope: body.path_scope,
       assignmentReason: body.assignment_reason,
     };
 
@@ -9199,13 +18781,13 @@ app.post("/api/projects/:id/generate-from-template", async (c) => {
 // Learn from a prompt to update project context
 app.post("/api/projects/:id/learn-from-prompt", async (c) => {
   const db = c.env.DB;
-  const ai = c.env.AI;
+  const ai = await AIClient.fromEnv(c.env);
   const projectId = c.req.param("id");
   const body = await c.req.json();
   const { prompt_content, task_description, context, agent_role } = body;
 
-  if (!ai) {
-    return c.json({ error: "AI binding not configured" }, 500);
+  if (!ai.isAvailable("learn-from-prompt")) {
+    return c.json({ error: "AI provider not configured" }, 500);
   }
 
   // Get current project
@@ -9218,13 +18800,21 @@ app.post("/api/projects/:id/learn-from-prompt", async (c) => {
     return c.json({ error: "Project not found" }, 404);
   }
 
+  const limited = await aiQuotaResponse(c, ai, projectId);
+  if (limited) {
+    return limited;
+  }
+
   try {
     // Use AI to extract insights from the prompt
-    const response = await ai.run("@cf/meta/llama-3.1-8b-instruct", {
-      messages: [
-        {
-          role: "system",
-          content: `You are an AI assistant that analyzes prompts to extract useful project context.
+    const { data: insights } = await new AIStructuredOutput(ai, db).run(
+      "learn-from-prompt",
+      "prompt-insights",
+      {
+        messages: [
+          {
+            role: "system",
+            content: `You are an AI assistant that analyzes prompts to extract useful project context.
 Your job is to identify key information that would help future AI interactions with this project.
 Extract:
 1. Technologies, frameworks, or tools mentioned
@@ -9237,10 +18827,10 @@ Return a JSON object with:
 - technologies: Array of technology names mentioned
 - requirements: Array of key requirements inferred
 - should_update: Boolean - true if there's meaningful new context to add`,
-        },
-        {
-          role: "user",
-          content: `Current project: ${project.name}
+          },
+          {
+            role: "user",
+            content: `Current project: ${project.name}
 Current project context: ${project.ai_context_summary || "None"}
 Current project info: ${project.project_info || "None"}
 
@@ -9253,20 +18843,13 @@ Full prompt:
 ${prompt_content}
 
 Analyze this and extract any new useful context for the project.`,
-        },
-      ],
-      max_tokens: 1024,
-      temperature: 0.3,
-    });
-
-    // Try to parse the AI response
-    let insights;
-    try {
-      const jsonMatch = response.response.match(/\{[\s\S]*\}/);
-      insights = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
-    } catch {
-      insights = null;
-    }
+          },
+        ],
+        max_tokens: 1024,
+        temperature: 0.3,
+      },
+      { projectId: projectId },
+    );
 
     if (insights && insights.should_update && insights.context_update) {
       // Save the insight for review
@@ -9461,11 +19044,7 @@ app.get("/api/rule-sets", async (c) => {
   const result =
     params.length > 0 ? await stmt.bind(...params).all() : await stmt.all();
 
-  // Parse rules JSON for each result
-  const ruleSets = result.results.map((rs) => ({
-    ...rs,
-    rules: rs.rules ? JSON.parse(rs.rules) : [],
-  }));
+  const ruleSets = result.results.map(parseRuleSetRow);
 
   return c.json(ruleSets);
 });
@@ -9484,9 +19063,26 @@ app.get("/api/rule-sets/:id", async (c) => {
     return c.json({ error: "Rule set not found" }, 404);
   }
 
+  const ruleSet = parseRuleSetRow(result);
+
+  // Inline parents and included rules; a broken reference still returns the row
+  let resolved = null;
+  let resolutionError = null;
+  try {
+    resolved = await new RuleSetResolver(db).resolve(result);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    resolutionError = error.message;
+  }
+
+  const rules = resolved ? resolved.rules : ruleSet.rules;
   return c.json({
-    ...result,
-    rules: result.rules ? JSON.parse(result.rules) : [],
+    ...ruleSet,
+    resolved_rules: resolved ? resolved.rules : null,
+    resolved_argument_schema: resolved ? resolved.argumentSchema : null,
+    resolution_error: resolutionError,
+    // Every {ARGUMENT} the rules use, declared in the schema or not
+    placeholders: RuleSetArgumentSchema.placeholders(rules.map((rule) => rule.content)),
   });
 });
 
@@ -9494,20 +19090,42 @@ app.get("/api/rule-sets/:id", async (c) => {
 app.post("/api/rule-sets", async (c) => {
   const db = c.env.DB;
   const body = await c.req.json();
-  const { name, description, file_type, project_id, rules } = body;
+  const { name, description, file_type, project_id, rules, argument_schema } = body;
 
   if (!name) {
     return c.json({ error: "Name is required" }, 400);
   }
 
   const id = generateId();
+  let schema, parentIds, includes;
+  try {
+    schema = RuleSetArgumentSchema.parse(argument_schema);
+    parentIds = RuleSetResolver.parseExtends(body.extends);
+    includes = RuleSetResolver.parseIncludes(body.includes);
+
+    // Rejects unknown parent rule sets and included rules
+    await new RuleSetResolver(db).resolve({
+      id,
+      name,
+      rules: rules || [],
+      argument_schema: schema.definitions,
+      extends: parentIds,
+      includes,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+    throw error;
+  }
+
   const rulesJson = JSON.stringify(rules || []);
   const rulesCount = (rules || []).length;
 
   await db
     .prepare(
-      `INSERT INTO rule_sets (id, name, description, file_type, project_id, rules, rules_count)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO rule_sets (id, name, description, file_type, project_id, rules, rules_count, argument_schema, extends, includes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     )
     .bind(
       id,
@@ -9517,6 +19135,9 @@ app.post("/api/rule-sets", async (c) => {
       project_id || null,
       rulesJson,
       rulesCount,
+      JSON.stringify(schema.definitions),
+      JSON.stringify(parentIds),
+      JSON.stringify(includes),
     )
     .run();
 
@@ -9525,13 +19146,7 @@ app.post("/api/rule-sets", async (c) => {
     .bind(id)
     .first();
 
-  return c.json(
-    {
-      ...ruleSet,
-      rules: ruleSet.rules ? JSON.parse(ruleSet.rules) : [],
-    },
-    201,
-  );
+  return c.json(parseRuleSetRow(ruleSet), 201);
 });
 
 // Update rule set
@@ -9554,10 +19169,36 @@ app.put("/api/rule-sets/:id", async (c) => {
   const rulesCount =
     body.rules !== undefined ? body.rules.length : existing.rules_count;
 
+  const candidate = {
+    ...existing,
+    name: body.name ?? existing.name,
+    rules: rulesJson,
+    argument_schema:
+      body.argument_schema !== undefined ? body.argument_schema : existing.argument_schema,
+    extends: body.extends !== undefined ? body.extends : existing.extends,
+    includes: body.includes !== undefined ? body.includes : existing.includes,
+  };
+
+  let schemaJson, extendsJson, includesJson;
+  try {
+    schemaJson = JSON.stringify(RuleSetArgumentSchema.parse(candidate.argument_schema).definitions);
+    extendsJson = JSON.stringify(RuleSetResolver.parseExtends(candidate.extends));
+    includesJson = JSON.stringify(RuleSetResolver.parseIncludes(candidate.includes));
+
+    // Rejects unknown references and cycles through the new extends list
+    await new RuleSetResolver(db).resolve(candidate);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+    throw error;
+  }
+
   await db
     .prepare(
       `UPDATE rule_sets SET
-        name = ?, description = ?, file_type = ?, project_id = ?, rules = ?, rules_count = ?
+        name = ?, description = ?, file_type = ?, project_id = ?, rules = ?, rules_count = ?,
+        argument_schema = ?, extends = ?, includes = ?
        WHERE id = ?`,
     )
     .bind(
@@ -9567,6 +19208,9 @@ app.put("/api/rule-sets/:id", async (c) => {
       body.project_id !== undefined ? body.project_id : existing.project_id,
       rulesJson,
       rulesCount,
+      schemaJson,
+      extendsJson,
+      includesJson,
       id,
     )
     .run();
@@ -9576,10 +19220,7 @@ app.put("/api/rule-sets/:id", async (c) => {
     .bind(id)
     .first();
 
-  return c.json({
-    ...ruleSet,
-    rules: ruleSet.rules ? JSON.parse(ruleSet.rules) : [],
-  });
+  return c.json(parseRuleSetRow(ruleSet));
 });
 
 // Delete rule set
@@ -9587,6 +19228,24 @@ app.delete("/api/rule-sets/:id", async (c) => {
   const db = c.env.DB;
   const id = c.req.param("id");
 
+  // Rule sets extending this one would no longer resolve
+  const candidates = await db
+    .prepare("SELECT name, extends FROM rule_sets WHERE extends LIKE ?")
+    .bind(`%"${id}"%`)
+    .all();
+  const dependents = (candidates.results || []).filter((row) =>
+    RuleSetResolver.parseExtends(row.extends).includes(id),
+  );
+  if (dependents.length > 0) {
+    return c.json(
+      {
+        error: "Rule set is extended by other rule sets",
+        details: dependents.map((row) => row.name),
+      },
+      409,
+    );
+  }
+
   const result = await db
     .prepare("DELETE FROM rule_sets WHERE id = ?")
     .bind(id)
@@ -9604,7 +19263,7 @@ app.post("/api/rule-sets/:id/generate", async (c) => {
   const db = c.env.DB;
   const id = c.req.param("id");
   const body = await c.req.json();
-  const { argument_values } = body; // Optional: values for template arguments
+  const { template_id } = body; // Optional: stored export template
 
   const ruleSet = await db
     .prepare("SELECT * FROM rule_sets WHERE id = ?")
@@ -9615,10 +19274,44 @@ app.post("/api/rule-sets/:id/generate", async (c) => {
     return c.json({ error: "Rule set not found" }, 404);
   }
 
-  const rules = ruleSet.rules ? JSON.parse(ruleSet.rules) : [];
+  // Inline parent rule sets and included agent rules
+  let rules, argumentSchema;
+  try {
+    ({ rules, argumentSchema } = await new RuleSetResolver(db).resolve(ruleSet));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+    throw error;
+  }
+
+  // Check argument values against the rule set's schema so no {ARGUMENT}
+  // placeholder reaches the generated file unresolved
+  const { values: argument_values, errors } = new RuleSetArgumentSchema(
+    argumentSchema,
+  ).resolve(
+    body.argument_values,
+    rules.map((rule) => rule.content),
+  );
+  if (errors.length > 0) {
+    return c.json({ error: "Invalid argument values", details: errors }, 400);
+  }
+
   let content = "";
 
-  if (ruleSet.file_type === "CLAUDE.md") {
+  if (template_id) {
+    try {
+      const { renderer } = await loadExportTemplate(db, template_id, "rule-set");
+      content = renderer.render(
+        buildRuleSetTemplateContext(ruleSet, argument_values, rules),
+      );
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return c.json({ error: "Invalid export template", details: error.message }, 400);
+      }
+      throw error;
+    }
+  } else if (ruleSet.file_type === "CLAUDE.md") {
     // Generate CLAUDE.md format
     content = `# ${ruleSet.name}\n\n`;
     if (ruleSet.description) {
@@ -9682,11 +19375,75 @@ app.post("/api/rule-sets/:id/generate", async (c) => {
       ruleSet.file_type === "CLAUDE.md"
         ? "CLAUDE.md"
         : `${ruleSet.name.toLowerCase().replace(/\s+/g, "-")}.md`,
+    // Where each generated rule came from
+    rules: rules.map(({ title, priority, source, overrides }) => ({
+      title,
+      priority,
+      source,
+      overrides,
+    })),
   });
 });
 
+/**
+ * Parses the JSON columns of a rule_sets row for API responses
+ * @param {object} row - rule_sets row
+ * @returns {object} Row with rules, argument_schema, extends and includes as arrays
+ */
+function parseRuleSetRow(row) {
+  return {
+    ...row,
+    rules: row.rules ? JSON.parse(row.rules) : [],
+    argument_schema: row.argument_schema ? JSON.parse(row.argument_schema) : [],
+    extends: row.extends ? JSON.parse(row.extends) : [],
+    includes: row.includes ? JSON.parse(row.includes) : [],
+  };
+}
+
+/**
+ * Builds the data rule-set export templates render against
+ *
+ * Shape: `ruleSet` (name, description, fileType), `rules` (title, content,
+ * priority, critical, optional, source), `rulesByPriority` ({ high, medium,
+ * low }) and `generatedAt`.
+ * @param {object} ruleSet - rule_sets row
+ * @param {object} argumentValues - Values for {ARGUMENT} placeholders in rule content
+ * @param {Array<object>} [resolvedRules] - Rules from RuleSetResolver; defaults to the row's own rules
+ * @returns {object} Template context
+ */
+function buildRuleSetTemplateContext(ruleSet, argumentValues, resolvedRules) {
+  const rules = (
+    resolvedRules || (ruleSet.rules ? JSON.parse(ruleSet.rules) : [])
+  ).map((rule) => ({
+    title: rule.title,
+    content: replaceArguments(rule.content || "", argumentValues),
+    priority: rule.priority || "medium",
+    critical: rule.priority === "high",
+    optional: rule.priority === "low",
+    source: rule.source ? rule.source.name : ruleSet.name,
+  }));
+
+  return {
+    ruleSet: {
+      name: ruleSet.name,
+      description: ruleSet.description || null,
+      fileType: ruleSet.file_type,
+    },
+    rules,
+    rulesByPriority: {
+      high: rules.filter((rule) => rule.priority === "high"),
+      medium: rules.filter((rule) => rule.priority === "medium"),
+      low: rules.filter((rule) => rule.priority === "low"),
+    },
+    generatedAt: new Date().toISOString().slice(0, 10),
+  };
+}
+
 /**
  * Replaces template arguments in content with provided values
+ *
+ * Placeholders without a value are left as-is; resolve values with
+ * RuleSetArgumentSchema first to catch those.
  * @param {string} content - The content with {ARGUMENT} placeholders
  * @param {object} values - Object mapping argument names to values
  * @returns {string} Content with arguments replaced
@@ -9694,8 +19451,8 @@ app.post("/api/rule-sets/:id/generate", async (c) => {
 function replaceArguments(content, values) {
   if (!values || typeof values !== "object") return content;
 
-  return content.replace(/\{([A-Z_][A-Z0-9_]*)\}/g, (match, argName) => {
-    return values[argName] !== undefined ? values[argName] : match;
+  return content.replace(RULE_SET_ARGUMENT_PATTERN, (match, argName) => {
+    return values[argName] !== undefined ? String(values[argName]) : match;
   });
 }
 
@@ -9803,11 +19560,7 @@ app.get("/api/projects/:id/rule-sets", async (c) => {
     .bind(projectId)
     .all();
 
-  // Parse rules JSON for each result
-  const ruleSets = (result.results || []).map((rs) => ({
-    ...rs,
-    rules: rs.rules ? JSON.parse(rs.rules) : [],
-  }));
+  const ruleSets = (result.results || []).map(parseRuleSetRow);
 
   return c.json(ruleSets);
 });
@@ -9816,20 +19569,13 @@ app.get("/api/projects/:id/rule-sets", async (c) => {
 // AI - NATURAL LANGUAGE TO XML CONVERSION
 // ============================================
 
-app.post("/api/ai/convert-to-xml", async (c) => {
-  const ai = c.env.AI;
-
-  if (!ai) {
-    return c.json({ error: "AI binding not configured" }, 500);
-  }
-
-  const body = await c.req.json();
+/**
+ * Messages asking the model to restructure a prompt as XML sections
+ * @param {Object} body - convert-to-xml request body
+ * @returns {Array<Object>} - Chat messages
+ */
+function buildXmlConversionMessages(body) {
   const { prompt, task, context, constraints, format } = body;
-
-  if (!prompt && !task) {
-    return c.json({ error: "Prompt or task content is required" }, 400);
-  }
-
   const inputContent = prompt || task;
 
   const systemPrompt = `You are an expert at structuring prompts for Claude AI. Convert the following natural language prompt into a well-structured XML format with these sections:
@@ -9863,29 +19609,58 @@ ${inputContent}
 
 Convert to structured XML:`;
 
+  return [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: userPrompt },
+  ];
+}
+
+/**
+ * Shape the convert-to-xml response
+ * @param {Object} body - convert-to-xml request body
+ * @param {string} xml - Model output
+ * @returns {Object}
+ */
+function xmlConversionResult(body, xml) {
+  return {
+    original: body.prompt || body.task,
+    xml,
+    sections: {
+      context: extractXmlSection(xml, "context"),
+      instructions: extractXmlSection(xml, "instructions"),
+      constraints: extractXmlSection(xml, "constraints"),
+      output_requirements: extractXmlSection(xml, "output_requirements"),
+    },
+  };
+}
+
+app.post("/api/ai/convert-to-xml", async (c) => {
+  const ai = await AIClient.fromEnv(c.env, { bypassCache: bypassesAICache(c) });
+
+  if (!ai.isAvailable("convert-to-xml")) {
+    return c.json({ error: "AI provider not configured" }, 500);
+  }
+
+  const body = await c.req.json();
+
+  if (!body.prompt && !body.task) {
+    return c.json({ error: "Prompt or task content is required" }, 400);
+  }
+
+  const limited = await aiQuotaResponse(c, ai, body.projectId);
+  if (limited) {
+    return limited;
+  }
+
   try {
-    const response = await ai.run("@cf/meta/llama-3.1-8b-instruct", {
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
+    const response = await ai.run("convert-to-xml", {
+      messages: buildXmlConversionMessages(body),
       max_tokens: 2048,
       temperature: 0.2,
+      projectId: body.projectId || null,
     });
 
-    return c.json({
-      original: inputContent,
-      xml: response.response,
-      sections: {
-        context: extractXmlSection(response.response, "context"),
-        instructions: extractXmlSection(response.response, "instructions"),
-        constraints: extractXmlSection(response.response, "constraints"),
-        output_requirements: extractXmlSection(
-          response.response,
-          "output_requirements",
-        ),
-      },
-    });
+    return c.json(xmlConversionResult(body, response.response));
   } catch (error) {
     return c.json(
       { error: "XML conversion failed", details: error.message },
@@ -9894,6 +19669,40 @@ Convert to structured XML:`;
   }
 });
 
+// Stream the XML conversion as the model writes it
+app.post("/api/ai/convert-to-xml/stream", async (c) => {
+  const ai = await AIClient.fromEnv(c.env, { bypassCache: bypassesAICache(c) });
+
+  if (!ai.isAvailable("convert-to-xml")) {
+    return c.json({ error: "AI provider not configured" }, 500);
+  }
+
+  const body = await c.req.json();
+
+  if (!body.prompt && !body.task) {
+    return c.json({ error: "Prompt or task content is required" }, 400);
+  }
+
+  const limited = await aiQuotaResponse(c, ai, body.projectId);
+  if (limited) {
+    return limited;
+  }
+
+  const chunks = ai.stream("convert-to-xml", {
+    messages: buildXmlConversionMessages(body),
+    max_tokens: 2048,
+    temperature: 0.2,
+    projectId: body.projectId || null,
+  });
+
+  return streamTextResponse(
+    c,
+    chunks,
+    (xml) => xmlConversionResult(body, xml),
+    "XML conversion failed",
+  );
+});
+
 // Helper function to extract XML sections
 function extractXmlSection(xml, tagName) {
   const regex = new RegExp(`<${tagName}>([\\s\\S]*?)<\\/${tagName}>`, "i");
@@ -9906,10 +19715,10 @@ function extractXmlSection(xml, tagName) {
 // ============================================
 
 app.post("/api/ai/suggest-rules", async (c) => {
-  const ai = c.env.AI;
+  const ai = await AIClient.fromEnv(c.env);
 
-  if (!ai) {
-    return c.json({ error: "AI binding not configured" }, 500);
+  if (!ai.isAvailable("suggest-rules")) {
+    return c.json({ error: "AI provider not configured" }, 500);
   }
 
   const body = await c.req.json();
@@ -9919,6 +19728,11 @@ app.post("/api/ai/suggest-rules", async (c) => {
     return c.json({ error: "Rule name is required" }, 400);
   }
 
+  const limited = await aiQuotaResponse(c, ai);
+  if (limited) {
+    return limited;
+  }
+
   const systemPrompt = `You are an expert at creating development rules and guidelines for AI coding assistants. Generate practical, actionable rules that will help AI assistants write better code.
 
 Rules should:
@@ -9946,47 +19760,36 @@ Generate new, complementary rules:`
       : `Generate 5-8 practical rules for: "${ruleName}" (${ruleSetType} format)`;
 
   try {
-    const response = await ai.run("@cf/meta/llama-3.1-8b-instruct", {
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      max_tokens: 2048,
-      temperature: 0.4,
-    });
+    const { data: suggestedRules } = await new AIStructuredOutput(ai, c.env.DB).run(
+      "suggest-rules",
+      "rule-suggestions",
+      {
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt },
+        ],
+        max_tokens: 2048,
+        temperature: 0.4,
+      },
+    );
 
-    // Try to parse the JSON response
-    let suggestedRules;
-    try {
-      // Clean up the response - remove markdown code blocks if present
-      let cleanResponse = response.response.trim();
-      if (cleanResponse.startsWith("```json")) {
-        cleanResponse = cleanResponse.slice(7);
-      }
-      if (cleanResponse.startsWith("```")) {
-        cleanResponse = cleanResponse.slice(3);
-      }
-      if (cleanResponse.endsWith("```")) {
-        cleanResponse = cleanResponse.slice(0, -3);
-      }
-      suggestedRules = JSON.parse(cleanResponse.trim());
-    } catch (parseError) {
-      // If parsing fails, return a helpful error
+    return c.json({
+      ruleName,
+      ruleSetType,
+      suggestedRules,
+    });
+  } catch (error) {
+    if (error instanceof AIOutputError) {
       return c.json(
         {
           error: "Failed to parse AI response",
-          rawResponse: response.response,
+          details: error.errors,
+          rawResponse: error.raw,
         },
         500,
       );
     }
 
-    return c.json({
-      ruleName,
-      ruleSetType,
-      suggestedRules,
-    });
-  } catch (error) {
     return c.json(
       { error: "Rule suggestion failed", details: error.message },
       500,
@@ -10286,7 +20089,6 @@ app.get("/api/ai/bootstrap-templates", async (c) => {
 });
 
 app.post("/api/ai/bootstrap-rules", async (c) => {
-  const ai = c.env.AI;
   const body = await c.req.json();
   const { templateType, customRole } = body;
 
@@ -10313,8 +20115,14 @@ app.post("/api/ai/bootstrap-rules", async (c) => {
   }
 
   // Check if AI is available
-  if (!ai) {
-    return c.json({ error: "AI binding not configured" }, 500);
+  const ai = await AIClient.fromEnv(c.env);
+  if (!ai.isAvailable("bootstrap-rules")) {
+    return c.json({ error: "AI provider not configured" }, 500);
+  }
+
+  const limited = await aiQuotaResponse(c, ai);
+  if (limited) {
+    return limited;
   }
 
   // Find the role info
@@ -10386,54 +20194,25 @@ Focus on modern best practices, security, performance, and maintainability. Incl
 Research and include rules covering the most important technologies, patterns, and best practices for this role. Focus on modern best practices (2024-2025), security, performance, and maintainability.`;
 
   try {
-    const response = await ai.run("@cf/meta/llama-3.1-8b-instruct", {
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      max_tokens: 4096,
-      temperature: 0.3,
-    });
-
-    // Parse the AI response
-    let result;
-    try {
-      let cleanResponse = response.response.trim();
-      // Remove markdown code blocks if present
-      if (cleanResponse.startsWith("```json")) {
-        cleanResponse = cleanResponse.slice(7);
-      }
-      if (cleanResponse.startsWith("```")) {
-        cleanResponse = cleanResponse.slice(3);
-      }
-      if (cleanResponse.endsWith("```")) {
-        cleanResponse = cleanResponse.slice(0, -3);
-      }
-      result = JSON.parse(cleanResponse.trim());
-    } catch (parseError) {
-      console.error("Failed to parse AI response:", response.response);
-      return c.json(
-        {
-          error: "Failed to parse AI-generated rules",
-          rawResponse: response.response,
-        },
-        500,
-      );
-    }
-
-    // Validate and normalize the result
-    if (!result.rules || !Array.isArray(result.rules)) {
-      return c.json({ error: "Invalid rules format from AI" }, 500);
-    }
+    const { data: result } = await new AIStructuredOutput(ai, c.env.DB).run(
+      "bootstrap-rules",
+      "rule-template",
+      {
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt },
+        ],
+        max_tokens: 4096,
+        temperature: 0.3,
+      },
+    );
 
-    // Ensure all rules have required fields
-    result.rules = result.rules.map((rule, index) => ({
-      title: rule.title || `Rule ${index + 1}`,
-      content: rule.content || "",
-      priority: ["high", "medium", "low"].includes(rule.priority)
-        ? rule.priority
-        : "medium",
-      arguments: Array.isArray(rule.arguments) ? rule.arguments : [],
+    // Fill in the optional fields
+    result.rules = result.rules.map((rule) => ({
+      title: rule.title,
+      content: rule.content,
+      priority: rule.priority || "medium",
+      arguments: rule.arguments || [],
     }));
 
     return c.json({
@@ -10449,6 +20228,17 @@ Research and include rules covering the most important technologies, patterns, a
     });
   } catch (error) {
     console.error("Bootstrap generation error:", error);
+    if (error instanceof AIOutputError) {
+      return c.json(
+        {
+          error: "Failed to parse AI-generated rules",
+          details: error.errors,
+          rawResponse: error.raw,
+        },
+        500,
+      );
+    }
+
     return c.json(
       { error: "Failed to generate bootstrap rules", details: error.message },
       500,
@@ -10488,22 +20278,42 @@ app.post("/api/export/claude-md-enhanced", async (c) => {
     if (!ruleSet) {
       return c.json({ error: "Rule set not found" }, 404);
     }
-
-    rules = ruleSet.rules ? JSON.parse(ruleSet.rules) : [];
   }
   // Option 2: Use provided rules directly (for unsaved rule sets)
   else if (providedRules && Array.isArray(providedRules)) {
     ruleSet = {
       name: name || "Untitled Rule Set",
       description: description || "",
+      rules: providedRules,
+      argument_schema: body.argumentSchema,
+      extends: body.extends,
+      includes: body.includes,
     };
-    rules = providedRules;
   } else {
     return c.json(
       { error: "Either ruleSetId or rules array is required" },
       400,
     );
   }
+
+  let resolved;
+  try {
+    const composed = await new RuleSetResolver(db).resolve(ruleSet);
+    rules = composed.rules;
+    resolved = new RuleSetArgumentSchema(composed.argumentSchema).resolve(
+      argumentValues,
+      rules.map((rule) => rule.content),
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+    throw error;
+  }
+  if (resolved.errors.length > 0) {
+    return c.json({ error: "Invalid argument values", details: resolved.errors }, 400);
+  }
+
   let content = "";
 
   // Generate CLAUDE.md content
@@ -10544,7 +20354,7 @@ app.post("/api/export/claude-md-enhanced", async (c) => {
   if (highPriority.length > 0) {
     content += "## Critical Rules\n\n";
     for (const rule of highPriority) {
-      let ruleContent = replaceArguments(rule.content, argumentValues);
+      let ruleContent = replaceArguments(rule.content, resolved.values);
       content += `### ${rule.title}\n${ruleContent}\n\n`;
     }
   }
@@ -10552,7 +20362,7 @@ app.post("/api/export/claude-md-enhanced", async (c) => {
   if (mediumPriority.length > 0) {
     content += "## Important Guidelines\n\n";
     for (const rule of mediumPriority) {
-      let ruleContent = replaceArguments(rule.content, argumentValues);
+      let ruleContent = replaceArguments(rule.content, resolved.values);
       content += `### ${rule.title}\n${ruleContent}\n\n`;
     }
   }
@@ -10560,7 +20370,7 @@ app.post("/api/export/claude-md-enhanced", async (c) => {
   if (lowPriority.length > 0) {
     content += "## Best Practices\n\n";
     for (const rule of lowPriority) {
-      let ruleContent = replaceArguments(rule.content, argumentValues);
+      let ruleContent = replaceArguments(rule.content, resolved.values);
       content += `### ${rule.title}\n${ruleContent}\n\n`;
     }
   }
@@ -10600,10 +20410,12 @@ app.get("/api/hooks", async (c) => {
     .bind(...params)
     .all();
 
-  // Parse tool_matcher JSON for each hook
+  // Parse tool_matcher JSON and attach command safety findings for each hook
+  const analyzer = new HookSafetyAnalyzer();
   const hooks = (result.results || []).map((hook) => ({
     ...hook,
     tool_matcher: hook.tool_matcher ? JSON.parse(hook.tool_matcher) : null,
+    safety: analyzer.analyze(hook),
   }));
 
   return c.json(hooks);
@@ -10626,6 +20438,7 @@ app.get("/api/hooks/:id", async (c) => {
   return c.json({
     ...hook,
     tool_matcher: hook.tool_matcher ? JSON.parse(hook.tool_matcher) : null,
+    safety: new HookSafetyAnalyzer().analyze(hook),
   });
 });
 
@@ -10651,18 +20464,9 @@ app.post("/api/hooks", async (c) => {
     return c.json({ error: "name, hook_type, and command are required" }, 400);
   }
 
-  const validHookTypes = [
-    "PreToolUse",
-    "PostToolUse",
-    "Notification",
-    "Stop",
-    "SubagentStop",
-  ];
-  if (!validHookTypes.includes(hook_type)) {
-    return c.json(
-      { error: `hook_type must be one of: ${validHookTypes.join(", ")}` },
-      400,
-    );
+  const eventCheck = validateHookEventConfig(hook_type, tool_matcher);
+  if (eventCheck.errors.length > 0) {
+    return c.json({ error: eventCheck.errors.join("; ") }, 400);
   }
 
   const id = generateId();
@@ -10701,6 +20505,8 @@ app.post("/api/hooks", async (c) => {
       timeout_ms,
       is_enabled,
       sort_order,
+      warnings: eventCheck.warnings,
+      safety: new HookSafetyAnalyzer().analyze({ id, ...body, timeout_ms }),
     },
     201,
   );
@@ -10713,7 +20519,7 @@ app.put("/api/hooks/:id", async (c) => {
   const body = await c.req.json();
 
   const existing = await db
-    .prepare("SELECT id FROM hooks WHERE id = ?")
+    .prepare("SELECT * FROM hooks WHERE id = ?")
     .bind(id)
     .first();
   if (!existing) {
@@ -10732,8 +20538,21 @@ app.put("/api/hooks/:id", async (c) => {
     sort_order,
   } = body;
 
+  // Validate the event and matcher the hook will end up with
+  const eventCheck = validateHookEventConfig(
+    hook_type !== undefined ? hook_type : existing.hook_type,
+    tool_matcher !== undefined ? tool_matcher : existing.tool_matcher,
+  );
+  if (eventCheck.errors.length > 0) {
+    return c.json({ error: eventCheck.errors.join("; ") }, 400);
+  }
+
   const toolMatcherJson =
-    tool_matcher !== undefined ? JSON.stringify(tool_matcher) : undefined;
+    tool_matcher !== undefined
+      ? tool_matcher
+        ? JSON.stringify(tool_matcher)
+        : null
+      : undefined;
 
   // Build dynamic update query
   const updates = [];
@@ -10784,7 +20603,16 @@ app.put("/api/hooks/:id", async (c) => {
     .bind(...values)
     .run();
 
-  return c.json({ success: true, id });
+  const updated = { ...existing };
+  for (const [key, value] of Object.entries(body)) {
+    if (value !== undefined && key in existing) updated[key] = value;
+  }
+
+  return c.json({
+    success: true,
+    id,
+    safety: new HookSafetyAnalyzer().analyze(updated),
+  });
 });
 
 // Delete a hook
@@ -10804,6 +20632,54 @@ app.delete("/api/hooks/:id", async (c) => {
   return c.json({ success: true });
 });
 
+// Dry-run a hook against a sample event payload
+app.post("/api/hooks/:id/test", async (c) => {
+  const db = c.env.DB;
+  const id = c.req.param("id");
+
+  try {
+    const hook = await db
+      .prepare("SELECT * FROM hooks WHERE id = ?")
+      .bind(id)
+      .first();
+
+    if (!hook) {
+      return c.json({ error: "Hook not found" }, 404);
+    }
+
+    const body = await c.req.json().catch(() => ({}));
+    let payload = body.context !== undefined ? body.context : body;
+
+    if (typeof payload === "string") {
+      try {
+        payload = payload.trim() ? JSON.parse(payload) : {};
+      } catch (error) {
+        return c.json(
+          { error: "Sample payload must be valid JSON", details: error.message },
+          400,
+        );
+      }
+    }
+
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      return c.json({ error: "Sample payload must be a JSON object" }, 400);
+    }
+
+    const simulator = new HookDryRunSimulator();
+    return c.json(simulator.simulate(hook, payload));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return c.json({ error: error.message, field: error.field }, 400);
+    }
+
+    console.error("Error testing hook:", error);
+    return c.json(
+      { error: "Failed to test hook", details: error.message },
+      500,
+    );
+  }
+});
+
 // Get hook templates
 app.get("/api/hook-templates", async (c) => {
   const db = c.env.DB;
@@ -10921,6 +20797,11 @@ app.post("/api/agents", async (c) => {
   const id = generateId();
   const agentConfigJson = agent_config ? JSON.stringify(agent_config) : null;
 
+  // Flag inconsistent $ARGUMENTS / $1 usage without rejecting the command
+  const { issues: warnings } = c
+    .get("projectValidator")
+    .analyzeCommandArguments(prompt_content, agent_config?.argumentHint);
+
   await db
     .prepare(
       `INSERT INTO custom_agents (id, project_id, name, display_name, description, prompt_content, agent_config, icon, category, is_enabled)
@@ -10952,6 +20833,7 @@ app.post("/api/agents", async (c) => {
       icon,
       category,
       is_enabled,
+      warnings,
     },
     201,
   );
@@ -11091,6 +20973,8 @@ app.post("/api/projects/:id/export-claude-config", async (c) => {
     includeRules = true,
     includeHooks = true,
     includeAgents = true,
+    baseSettings = null,
+    blockHookSeverity = null,
   } = body;
 
   // Get project
@@ -11104,8 +20988,10 @@ app.post("/api/projects/:id/export-claude-config", async (c) => {
   }
 
   const exportFiles = {};
+  const warnings = [];
+  let hookSafety = null;
 
-  // Export hooks to settings.json
+  // Export hooks to settings.json, merged into any supplied base settings
   if (includeHooks) {
     const hooksResult = await db
       .prepare(
@@ -11116,38 +21002,38 @@ app.post("/api/projects/:id/export-claude-config", async (c) => {
 
     const hooks = hooksResult.results || [];
 
-    if (hooks.length > 0) {
-      const settingsJson = {
-        hooks: {},
-      };
-
-      // Group hooks by type
-      for (const hook of hooks) {
-        const hookType = hook.hook_type;
-        if (!settingsJson.hooks[hookType]) {
-          settingsJson.hooks[hookType] = [];
-        }
-
-        const hookConfig = {
-          command: hook.command,
-        };
-
-        if (hook.tool_matcher) {
-          const matcher = JSON.parse(hook.tool_matcher);
-          if (matcher.tool) hookConfig.matcher = matcher.tool;
-          if (matcher.pattern) hookConfig.pattern = matcher.pattern;
-        }
-
-        if (hook.timeout_ms && hook.timeout_ms !== 60000) {
-          hookConfig.timeout = hook.timeout_ms;
-        }
+    try {
+      hookSafety = new HookSafetyAnalyzer().analyzeAll(
+        hooks,
+        HookSafetyAnalyzer.parseBlockSeverity(blockHookSeverity),
+      );
+    } catch (error) {
+      return c.json({ error: "Invalid block severity", details: error.message }, 400);
+    }
 
-        if (hook.working_directory) {
-          hookConfig.workingDirectory = hook.working_directory;
-        }
+    if (hookSafety.blocked) {
+      return c.json(
+        {
+          error: "Export blocked by hook safety findings",
+          details: `Hook commands have ${hookSafety.highestSeverity} severity findings`,
+          hookSafety,
+        },
+        400,
+      );
+    }
 
-        settingsJson.hooks[hookType].push(hookConfig);
+    if (hooks.length > 0 || baseSettings) {
+      const generator = new ClaudeSettingsGenerator();
+      let settingsJson;
+      try {
+        settingsJson = generator.generate(hooks, baseSettings);
+      } catch (error) {
+        return c.json(
+          { error: "Invalid base settings", details: error.message },
+          400,
+        );
       }
+      warnings.push(...generator.warnings);
 
       exportFiles[".claude/settings.json"] = JSON.stringify(
         settingsJson,
@@ -11166,12 +21052,11 @@ app.post("/api/projects/:id/export-claude-config", async (c) => {
       .bind(projectId)
       .all();
 
-    const agents = agentsResult.results || [];
-
-    for (const agent of agents) {
-      const filename = `.claude/commands/${agent.name}.md`;
-      exportFiles[filename] = agent.prompt_content;
-    }
+    const commandFiles = await new ClaudeCodeExporter(db).generateCommandFiles(
+      agentsResult.results || [],
+      warnings,
+    );
+    Object.assign(exportFiles, commandFiles);
   }
 
   // Export rules as CLAUDE.md
@@ -11197,7 +21082,15 @@ app.post("/api/projects/:id/export-claude-config", async (c) => {
       claudeMdContent += `---\n\n`;
 
       for (const ruleSet of ruleSets) {
-        const rules = ruleSet.rules ? JSON.parse(ruleSet.rules) : [];
+        let rules;
+        try {
+          ({ rules } = await new RuleSetResolver(db).resolve(ruleSet));
+        } catch (error) {
+          if (!(error instanceof ValidationError)) throw error;
+          // Export the set's own rules rather than failing the whole export
+          warnings.push(`${error.message}; exporting its own rules only`);
+          rules = ruleSet.rules ? JSON.parse(ruleSet.rules) : [];
+        }
 
         claudeMdContent += `## ${ruleSet.name}\n\n`;
 
@@ -11243,9 +21136,97 @@ app.post("/api/projects/:id/export-claude-config", async (c) => {
     },
     files: exportFiles,
     fileCount: Object.keys(exportFiles).length,
+    warnings,
+    hookSafety,
   });
 });
 
+// Import an existing repository's CLAUDE.md and .claude/ directory
+// Accepts a ZIP upload (multipart "file" field or raw application/zip body) or
+// JSON { files: { path: content } | archive: base64, commit, resolutions }.
+// Without commit the response is a preview listing conflicts.
+app.post("/api/projects/:id/import-claude-config", async (c) => {
+  const db = c.env.DB;
+  const projectId = parseInt(c.req.param("id"));
+
+  if (!projectId || isNaN(projectId)) {
+    return c.json({ error: "Valid project ID is required" }, 400);
+  }
+
+  try {
+    const project = await db
+      .prepare("SELECT id FROM projects WHERE id = ?")
+      .bind(projectId)
+      .first();
+
+    if (!project) {
+      return c.json({ error: "Project not found" }, 404);
+    }
+
+    const contentType = c.req.header("Content-Type") || "";
+    let files = null;
+    let commit = c.req.query("commit") === "true";
+    let resolutions = {};
+
+    if (contentType.includes("multipart/form-data")) {
+      const form = await c.req.parseBody();
+      const upload = form.file;
+
+      if (!upload || typeof upload === "string") {
+        return c.json({ error: "A file upload is required" }, 400);
+      }
+
+      files = upload.name?.endsWith(".json")
+        ? JSON.parse(await upload.text())
+        : await ClaudeConfigImporter.filesFromArchive(await upload.arrayBuffer());
+      commit = commit || form.commit === "true";
+      resolutions = form.resolutions ? JSON.parse(form.resolutions) : {};
+    } else if (
+      contentType.includes("application/zip") ||
+      contentType.includes("application/octet-stream")
+    ) {
+      files = await ClaudeConfigImporter.filesFromArchive(
+        await c.req.arrayBuffer(),
+      );
+    } else {
+      const body = await c.req.json().catch(() => ({}));
+
+      if (body.archive) {
+        files = await ClaudeConfigImporter.filesFromArchive(
+          decodeBase64(body.archive),
+        );
+      } else {
+        files = body.files;
+      }
+      commit = commit || body.commit === true;
+      resolutions = body.resolutions || {};
+    }
+
+    if (!files || typeof files !== "object" || Array.isArray(files)) {
+      return c.json(
+        { error: "Provide a ZIP archive or a files map of path to content" },
+        400,
+      );
+    }
+
+    const importer = new ClaudeConfigImporter(db);
+
+    if (!commit) {
+      return c.json({ preview: true, ...(await importer.preview(projectId, files)) });
+    }
+
+    const result = await importer.commit(projectId, files, resolutions);
+    return c.json({ committed: true, ...result });
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof SyntaxError) {
+      return c.json({ error: "Invalid import", details: error.message }, 400);
+    }
+
+    console.error("Claude config import failed:", error);
+    return c.json({ error: "Import failed", details: error.message }, 500);
+  }
+});
+
 // ============================================
 // STATIC ASSETS HANDLER (CLEAN URLs)
 // ============================================
@@ -11381,6 +21362,47 @@ export {
   ProjectValidator,
   PlatformDetectionEngine,
   TemplateSuggestionService,
+  ZipArchiveBuilder,
+  ClaudeSettingsGenerator,
+  HookDryRunSimulator,
+  HookSafetyAnalyzer,
+  ZipArchiveReader,
+  ClaudeConfigImporter,
+  InstructionsExporter,
+  CursorRulesExporter,
+  ExportTargetRegistry,
+  EXPORT_TARGETS,
+  ExportMerger,
+  ExportTemplateRenderer,
+  ExportArtifactStore,
+  ExportHistoryDiff,
+  TokenBudgetAnalyzer,
+  RuleVersionManager,
+  RuleConflictDetector,
+  RuleSetArgumentSchema,
+  RuleSetResolver,
+  RuleLinter,
+  AIClient,
+  WorkersAIProvider,
+  OpenAICompatibleProvider,
+  MockAIProvider,
+  readServerSentEvents,
+  AIStructuredOutput,
+  AIOutputError,
+  AIUsage,
+  AIResponseCache,
 };
 
-export default app;
+export default {
+  fetch: app.fetch,
+
+  // Cron trigger: drop archives of exports and AI responses past their expiry
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(ExportArtifactStore.fromEnv(env).purgeExpired());
+
+    const cache = AIResponseCache.fromEnv(env);
+    if (cache) {
+      ctx.waitUntil(cache.purgeExpired());
+    }
+  },
+};
@@ -0,0 +1,147 @@
+/**
+ * Tests for exporting project resources to other coding assistants
+ * **Feature: claude-code-bootstrap, Multi-tool exporters**
+ * **Validates: Requirements 5.1, 5.2**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CursorRulesExporter, ExportTargetRegistry, EXPORT_TARGETS, ZipArchiveReader } from './index.js';
+
+const tables = {
+  projects: [{ id: 1, name: 'Acme', slug: 'acme', description: 'Acme web app.' }],
+  agents: [{ id: 'agent-1', name: 'Code Reviewer', role: 'Senior reviewer', system_prompt: 'You review code.' }],
+  agent_rules: [
+    { id: 'rule-1', name: 'Use TypeScript', category: 'Code Style', priority: 1, rule_content: 'All new modules are TypeScript.' },
+    { id: 'rule-2', name: 'Run tests', category: 'Testing', priority: 5, description: 'Before pushing', rule_content: 'Run `npm test`.' },
+    { id: 'rule-3', name: 'Windsurf only', category: 'General', ide_id: 'ide_windsurf', rule_content: 'Use Cascade.' }
+  ],
+  hooks: [{ id: 'hook-1', name: 'Format', hook_type: 'PostToolUse', command: 'npx prettier --write .', timeout_ms: 30000 }]
+};
+
+const assignments = [
+  { project_id: 1, resource_type: 'agent', resource_id: 'agent-1' },
+  { project_id: 1, resource_type: 'rule', resource_id: 'rule-1', config_overrides: '{"globs":["src/**/*.ts","src/**/*.tsx"]}' },
+  { project_id: 1, resource_type: 'rule', resource_id: 'rule-2' },
+  { project_id: 1, resource_type: 'rule', resource_id: 'rule-3' },
+  { project_id: 1, resource_type: 'hook', resource_id: 'hook-1' }
+];
+
+// Mock database answering the exporters' lookups from the tables above
+const createMockDb = () => ({
+  prepare: (query) => {
+    const statement = (params = []) => ({
+      all: () => ({ results: query.includes('FROM project_resources') ? assignments : [] }),
+      first: () => {
+        const table = query.match(/FROM (\w+) WHERE id = \?/)?.[1];
+        return (tables[table] || []).find((row) => row.id === params[0]) || null;
+      },
+      run: () => ({ success: true })
+    });
+    return { ...statement(), bind: (...params) => statement(params) };
+  }
+});
+
+describe('CursorRulesExporter', () => {
+  it('should write one .mdc file per rule with globs frontmatter', async () => {
+    const { files } = await new CursorRulesExporter(createMockDb()).generateProjectStructure(1);
+
+    expect(Object.keys(files)).toEqual([
+      '.cursor/rules/project.mdc',
+      '.cursor/rules/run-tests.mdc',
+      '.cursor/rules/use-typescript.mdc',
+      '.cursor/rules/agent-code-reviewer.mdc'
+    ]);
+    expect(files['.cursor/rules/use-typescript.mdc']).toBe(
+      '---\n' +
+      'description: Use TypeScript\n' +
+      'globs: src/**/*.ts,src/**/*.tsx\n' +
+      'alwaysApply: false\n' +
+      '---\n\n' +
+      '# Use TypeScript\n\n' +
+      'All new modules are TypeScript.\n'
+    );
+    expect(files['.cursor/rules/run-tests.mdc']).toContain('globs:\nalwaysApply: true\n');
+    expect(files['.cursor/rules/agent-code-reviewer.mdc']).toContain('description: Senior reviewer\n');
+  });
+
+  it('should leave out rules scoped to another IDE and unsupported hooks', async () => {
+    const { metadata } = await new CursorRulesExporter(createMockDb()).generateProjectStructure(1);
+
+    expect(metadata.target).toBe('cursor');
+    expect(metadata.warnings).toEqual([
+      'Rule "Windsurf only" is scoped to ide_windsurf and was not exported to Cursor',
+      'Cursor has no hook support; 1 hook was not exported'
+    ]);
+  });
+});
+
+describe('Markdown instruction exporters', () => {
+  it('should render rules by category, including IDE-scoped ones, and agents into AGENTS.md', async () => {
+    const { files } = await EXPORT_TARGETS.generate(createMockDb(), 1, 'agents-md');
+    const content = files['AGENTS.md'];
+
+    expect(content.startsWith('# Acme\n\nAcme web app.\n\n')).toBe(true);
+    expect(content.indexOf('### Code Style')).toBeLessThan(content.indexOf('### Testing'));
+    expect(content).toContain('#### Use TypeScript\n\nApplies to: `src/**/*.ts`, `src/**/*.tsx`\n\n');
+    expect(content).toContain('### Code Reviewer\n\n**Role**: Senior reviewer\n\nYou review code.\n');
+    expect(content).toContain('#### Windsurf only');
+  });
+
+  it('should include IDE-scoped rules for their own tool', async () => {
+    const { files } = await EXPORT_TARGETS.generate(createMockDb(), 1, 'windsurf');
+
+    expect(Object.keys(files)).toEqual(['.windsurfrules']);
+    expect(files['.windsurfrules']).toContain('#### Windsurf only');
+  });
+
+  it('should write Copilot and Gemini instruction files', async () => {
+    const { files, metadata } = await EXPORT_TARGETS.generate(createMockDb(), 1, ['copilot', 'gemini']);
+
+    expect(Object.keys(files)).toEqual(['.github/copilot-instructions.md', 'GEMINI.md']);
+    expect(metadata.targets).toEqual(['copilot', 'gemini']);
+    expect(metadata.totalFiles).toBe(2);
+    expect(files['GEMINI.md']).toContain('#### Windsurf only');
+    expect(files['.github/copilot-instructions.md']).not.toContain('Windsurf only');
+  });
+});
+
+describe('ExportTargetRegistry', () => {
+  it('should list every registered target', () => {
+    expect(EXPORT_TARGETS.list().map((target) => target.id)).toEqual([
+      'claude-code',
+      'cursor',
+      'windsurf',
+      'copilot',
+      'agents-md',
+      'gemini'
+    ]);
+  });
+
+  it('should default to claude-code and reject unknown targets', () => {
+    expect(EXPORT_TARGETS.resolve(undefined)).toEqual(['claude-code']);
+    expect(EXPORT_TARGETS.resolve(['cursor', 'cursor'])).toEqual(['cursor']);
+    expect(() => EXPORT_TARGETS.resolve('vim')).toThrow('Export target must be one of: claude-code, cursor');
+  });
+
+  it('should pack combined targets into a single archive', async () => {
+    const { archive, metadata } = await EXPORT_TARGETS.generate(createMockDb(), 1, ['cursor', 'agents-md'], {
+      format: 'zip'
+    });
+    const files = await new ZipArchiveReader(archive).readTextFiles();
+
+    expect(Object.keys(files)).toContain('AGENTS.md');
+    expect(Object.keys(files)).toContain('.cursor/rules/use-typescript.mdc');
+    expect(metadata.archiveSize).toBe(archive.length);
+  });
+
+  it('should accept exporters registered at runtime', async () => {
+    class PlainExporter {
+      async generateProjectStructure() {
+        return { files: { 'RULES.txt': 'x' }, metadata: { warnings: [] } };
+      }
+    }
+    const registry = new ExportTargetRegistry().register('plain', { label: 'Plain', exporter: PlainExporter });
+
+    expect((await registry.generate(createMockDb(), 1, 'plain')).files).toEqual({ 'RULES.txt': 'x' });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for nested, path-scoped CLAUDE.md generation in monorepos
+ * **Feature: claude-code-bootstrap, Path-scoped CLAUDE.md files**
+ * **Validates: Requirements 5.1, 8.4**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ClaudeCodeExporter, ProjectValidator } from './index.js';
+
+const tables = {
+  projects: [{ id: 1, name: 'Acme', slug: 'acme', description: 'Acme monorepo.' }],
+  agents: [
+    { id: 'agent-1', name: 'Code Reviewer', role: 'Senior reviewer', system_prompt: 'You review code.' },
+    { id: 'agent-2', name: 'API Designer', role: 'REST specialist', system_prompt: 'You design APIs.' }
+  ],
+  agent_rules: [
+    { id: 'rule-1', name: 'Use TypeScript', category: 'Code Style', rule_content: 'All new modules are TypeScript.' },
+    { id: 'rule-2', name: 'Version endpoints', category: 'API', rule_content: 'Prefix routes with /v1.' },
+    { id: 'rule-3', name: 'Use Tailwind', category: 'Styling', rule_content: 'No CSS modules.' }
+  ]
+};
+
+const assignments = [
+  { project_id: 1, resource_type: 'agent', resource_id: 'agent-1', name: 'Code Reviewer', metadata: 'Senior reviewer', is_primary: 1 },
+  { project_id: 1, resource_type: 'agent', resource_id: 'agent-2', name: 'API Designer', metadata: 'REST specialist', path_scope: 'packages/api' },
+  { project_id: 1, resource_type: 'rule', resource_id: 'rule-1', name: 'Use TypeScript', metadata: 'Code Style' },
+  { project_id: 1, resource_type: 'rule', resource_id: 'rule-2', name: 'Version endpoints', metadata: 'API', path_scope: 'packages/api' },
+  { project_id: 1, resource_type: 'rule', resource_id: 'rule-3', name: 'Use Tailwind', metadata: 'Styling', default_path_scope: 'apps/web' }
+];
+
+// Mock database answering the exporter's lookups from the tables above
+const createMockDb = () => ({
+  prepare: (query) => {
+    const statement = (params = []) => ({
+      all: () => ({ results: query.includes('FROM project_resources') ? assignments : [] }),
+      first: () => {
+        const table = query.match(/FROM (\w+) WHERE id = \?/)?.[1];
+        return (tables[table] || []).find((row) => row.id === params[0]) || null;
+      },
+      run: () => ({ success: true })
+    });
+    return { ...statement(), bind: (...params) => statement(params) };
+  }
+});
+
+const exportProject = () =>
+  new ClaudeCodeExporter(createMockDb()).generateProjectStructure(1, {
+    includeHooks: false,
+    includeCommands: false
+  });
+
+describe('ClaudeCodeExporter path scopes', () => {
+  it('should write a nested CLAUDE.md per scope and keep shared guidance at the root', async () => {
+    const { files, metadata } = await exportProject();
+
+    expect(metadata.pathScopes).toEqual(['apps/web', 'packages/api']);
+    expect(files['apps/web/CLAUDE.md']).toContain('#### Use Tailwind\n\nNo CSS modules.');
+    expect(files['packages/api/CLAUDE.md']).toContain('#### Version endpoints\n\nPrefix routes with /v1.');
+    expect(files['packages/api/CLAUDE.md']).toContain('- **API Designer**: REST specialist');
+    expect(files['packages/api/CLAUDE.md']).not.toContain('Use TypeScript');
+
+    expect(files['CLAUDE.md']).toContain('Use TypeScript');
+    expect(files['CLAUDE.md']).not.toContain('Version endpoints');
+    expect(files['CLAUDE.md']).toContain('## Directory Guidance');
+    expect(files['CLAUDE.md']).toContain('`packages/api/CLAUDE.md`');
+  });
+
+  it('should still write agent files for scoped agents', async () => {
+    const { files } = await exportProject();
+
+    expect(Object.keys(files)).toContain('.claude/agents/api-designer.md');
+  });
+});
+
+describe('ProjectValidator path scopes', () => {
+  const validate = async (resources) => {
+    const result = { errors: [], warnings: [] };
+    await new ProjectValidator(createMockDb())._validateFileStructureRequirements(
+      { name: 'Acme' },
+      { agents: [], rules: [], hooks: [], ...resources },
+      result
+    );
+    return result;
+  };
+
+  it('should warn when one scope is nested in another', async () => {
+    const { errors, warnings } = await validate({
+      rules: [
+        { name: 'A', path_scope: 'packages/api' },
+        { name: 'B', path_scope: 'packages/api/src' },
+        { name: 'C', path_scope: 'packages/apix' }
+      ]
+    });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      'Path scopes packages/api and packages/api/src overlap; both CLAUDE.md files load for work in packages/api/src'
+    ]);
+  });
+
+  it('should warn when a rule is repeated in overlapping scopes', async () => {
+    const { warnings } = await validate({
+      rules: [
+        { name: 'Use TypeScript' },
+        { name: 'Use TypeScript', path_scope: 'packages/api' },
+        { name: 'Use TypeScript', path_scope: 'apps/web' }
+      ]
+    });
+
+    expect(warnings).toContain(
+      'Rule "Use TypeScript" is assigned to overlapping scopes (root) and packages/api; the nested copy repeats guidance that already applies'
+    );
+    expect(warnings.filter((warning) => warning.includes('apps/web and packages/api'))).toEqual([]);
+  });
+
+  it('should reject invalid scopes and scopes that differ only in case', async () => {
+    const { errors } = await validate({
+      agents: [{ name: 'Reviewer', path_scope: '../outside' }],
+      rules: [
+        { name: 'A', path_scope: 'Packages/api' },
+        { name: 'B', path_scope: 'packages/api' }
+      ]
+    });
+
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/^Invalid path scope "\.\.\/outside" on "Reviewer"/);
+    expect(errors[1]).toBe(
+      'Path scopes Packages/api and packages/api differ only in case and collide on case-insensitive file systems'
+    );
+  });
+
+  it('should warn that hooks ignore path scopes', async () => {
+    const { warnings } = await validate({ hooks: [{ name: 'Lint', path_scope: 'apps/web' }] });
+
+    expect(warnings).toEqual([
+      'Hook "Lint" has path scope apps/web, but hooks apply to the whole project; the scope is ignored'
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for detecting contradictory and near-duplicate project rules
+ * **Feature: claude-code-bootstrap, Rule conflicts**
+ * **Validates: Requirements 3.3, 8.1**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ProjectValidator, RuleConflictDetector } from './index.js';
+
+const rule = (id, name, rule_content, extra = {}) => ({ id, name, rule_content, category: 'Code Style', ...extra });
+const analyze = (rules) => new RuleConflictDetector(null).analyze(rules);
+
+describe('RuleConflictDetector contradictions', () => {
+  it('should flag rules choosing different values for the same setting', () => {
+    const { contradictions } = analyze([
+      rule('r1', 'Tabs', 'Always indent with tabs.'),
+      rule('r2', 'Spaces', 'Use 2-space indentation, never tabs.', { category: 'Formatting' }),
+      rule('r3', 'Quotes', 'Prefer single quotes over double quotes.')
+    ]);
+
+    expect(contradictions).toHaveLength(1);
+    expect(contradictions[0]).toMatchObject({
+      topic: 'indentation',
+      category: 'code-style',
+      message: 'Rules "Tabs" and "Spaces" disagree on indentation (tabs vs 2 spaces)'
+    });
+    expect(contradictions[0].rules.map((entry) => entry.stance)).toEqual(['tabs', '2 spaces']);
+  });
+
+  it('should flag use/avoid directives only within a category', () => {
+    const { contradictions } = analyze([
+      rule('r1', 'Types', 'Use TypeScript for new modules.', { category: 'Language' }),
+      rule('r2', 'Plain JS', 'Do not use TypeScript.', { category: 'Language' }),
+      rule('r3', 'Docs', 'Avoid TypeScript in code samples.', { category: 'Documentation' })
+    ]);
+
+    expect(contradictions.map((entry) => entry.message)).toEqual([
+      'Rule "Types" says to use TypeScript but "Plain JS" says not to'
+    ]);
+  });
+
+  it('should not compare rules whose path scopes never load together', () => {
+    const result = analyze([
+      rule('r1', 'API tabs', 'Indent with tabs.', { path_scope: 'packages/api' }),
+      rule('r2', 'Web spaces', 'Use 4-space indentation.', { path_scope: 'packages/web' }),
+      rule('r3', 'Root spaces', 'Use 2-space indentation.')
+    ]);
+
+    expect(result.contradictions.map((entry) => entry.rules.map((summary) => summary.id))).toEqual([
+      ['r1', 'r3'],
+      ['r2', 'r3']
+    ]);
+    expect(RuleConflictDetector.scopesOverlap('packages/api', 'packages/api/src')).toBe(true);
+    expect(RuleConflictDetector.scopesOverlap('packages/api', 'packages/apis')).toBe(false);
+  });
+});
+
+describe('RuleConflictDetector duplicates', () => {
+  it('should cluster near-duplicate rules', () => {
+    const { duplicates, contradictions } = analyze([
+      rule('r1', 'Write unit tests', 'Write unit tests for every new function and run them before committing.'),
+      rule('r2', 'Unit testing', 'Every new function needs unit tests; run the tests before committing.'),
+      rule('r3', 'Unit tests required', 'Unit tests for each new function, run before committing.'),
+      rule('r4', 'Commits', 'Keep commit messages under 72 characters.')
+    ]);
+
+    expect(contradictions).toEqual([]);
+    expect(duplicates).toHaveLength(1);
+    expect(duplicates[0].rules.map((summary) => summary.id)).toEqual(['r1', 'r2', 'r3']);
+    expect(duplicates[0].similarity).toBeGreaterThanOrEqual(0.75);
+  });
+
+  it('should report contradicting pairs as contradictions, not duplicates', () => {
+    const { duplicates, contradictions } = analyze([
+      rule('r1', 'Semicolons', 'Always use semicolons.'),
+      rule('r2', 'Semicolons', 'Never use semicolons.')
+    ]);
+
+    expect(duplicates).toEqual([]);
+    expect(contradictions).toHaveLength(1);
+  });
+});
+
+describe('ProjectValidator rule conflict checks', () => {
+  it('should surface conflicts as export warnings and recommendations', async () => {
+    const rows = {
+      r1: rule('r1', 'Tabs', 'Always indent with tabs.'),
+      r2: rule('r2', 'Spaces', 'Use 4-space indentation.'),
+      r3: rule('r3', 'Lint', 'Run the linter on all changed files before committing.'),
+      r4: rule('r4', 'Linting', 'Run the linter on changed files before committing.')
+    };
+    const db = {
+      prepare: () => ({ bind: (id) => ({ first: async () => rows[id] || null }) })
+    };
+    const result = { errors: [], warnings: [], recommendations: [] };
+
+    await new ProjectValidator(db)._validateRuleConflicts(
+      { rules: Object.keys(rows).map((id) => ({ resource_id: id, config_overrides: null })) },
+      result
+    );
+
+    expect(result.warnings).toEqual([
+      'Rules "Tabs" and "Spaces" disagree on indentation (tabs vs 4 spaces)',
+      expect.stringMatching(/^Rules "Lint", "Linting" are near-duplicates \(\d+% similar\)$/)
+    ]);
+    expect(result.recommendations).toEqual([
+      'Merge "Lint", "Linting" into one rule to save context and avoid drift'
+    ]);
+  });
+});
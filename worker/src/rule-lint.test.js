@@ -0,0 +1,130 @@
+/**
+ * Tests for the rule linter and its per-project configuration
+ * **Feature: claude-code-bootstrap, Rule linting**
+ * **Validates: Requirements 3.3, 8.1**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ProjectValidator, RuleLinter } from './index.js';
+
+const lintOne = (rule_content, config, name = 'Rule') =>
+  new RuleLinter(config).lint([{ id: 'r1', name, rule_content }]).results[0].findings;
+const checksIn = (findings) => findings.map((finding) => finding.check);
+
+describe('RuleLinter checks', () => {
+  it('should flag vague wording outside code blocks with its line', () => {
+    const findings = lintOne('You must test changes.\nTry to keep PRs small, etc.\n```\n// maybe later\n```');
+
+    expect(findings.filter((finding) => finding.check === 'vague-wording')).toEqual([
+      { check: 'vague-wording', severity: 'warning', message: 'Vague wording "try to"; say exactly what to do', line: 2 },
+      { check: 'vague-wording', severity: 'warning', message: 'Vague wording "etc."; say exactly what to do', line: 2 }
+    ]);
+  });
+
+  it('should flag unfilled placeholders and TODO markers', () => {
+    const findings = lintOne('Always use {FRAMEWORK} components.\nTODO: list the allowed hooks.');
+
+    expect(findings.filter((finding) => finding.check === 'unresolved-placeholder').map(({ message, line }) => [message, line])).toEqual([
+      ['Placeholder {FRAMEWORK} is not filled in', 1],
+      ['"TODO" marker left in the rule', 2]
+    ]);
+  });
+
+  it('should match markers literally, including regex metacharacters', () => {
+    const config = { 'unresolved-placeholder': { options: { markers: ['C++', '(draft)', 'TODO'] } } };
+    const findings = lintOne('Always target C++ 20.\nThe (draft) API must stay private.\nUse TODOS.md and C++20.', config);
+
+    expect(findings.filter((finding) => finding.check === 'unresolved-placeholder').map(({ message, line }) => [message, line])).toEqual([
+      ['"C++" marker left in the rule', 1],
+      ['"(draft)" marker left in the rule', 2]
+    ]);
+  });
+
+  it('should flag rules that only forbid, and long rules without examples', () => {
+    expect(checksIn(lintOne('Never use var. Do not commit console.log calls.'))).toContain('negative-only');
+    expect(checksIn(lintOne('Never use var; always use const or let.'))).not.toContain('negative-only');
+
+    const long = `You must ${'keep modules focused on a single responsibility and '.repeat(6)}document them.`;
+    expect(checksIn(lintOne(long))).toContain('missing-example');
+    expect(checksIn(lintOne(`${long} For example, split parsers from formatters.`))).not.toContain('missing-example');
+    expect(checksIn(lintOne(long, { 'rule-too-long': { options: { maxTokens: 20 } } }))).toContain('rule-too-long');
+  });
+
+  it('should flag repeated headings and rule names shared across the batch', () => {
+    const { results } = new RuleLinter().lint([
+      { id: 'r1', name: 'Testing', rule_content: '## Setup\nYou must run npm ci.\n## Setup\nYou must seed the database.' },
+      { id: 'r2', name: 'testing', rule_content: 'You should run tests before pushing.' }
+    ]);
+
+    expect(results[0].findings.filter((finding) => finding.check === 'duplicate-heading').map(({ message, line }) => [message, line])).toEqual([
+      ['Heading "Setup" appears more than once', 3],
+      ['Another rule is also named "Testing"; their CLAUDE.md headings will collide', null]
+    ]);
+    expect(checksIn(results[1].findings)).toContain('duplicate-heading');
+  });
+});
+
+describe('RuleLinter configuration', () => {
+  it('should apply severities, disable checks and count findings by severity', () => {
+    const linter = new RuleLinter({ 'vague-wording': 'error', 'non-actionable': 'off' });
+    const { results, summary } = linter.lint([{ id: 'r1', name: 'Style', rule_content: 'Maybe prefer tabs.' }]);
+
+    expect(results[0].findings.map(({ check, severity }) => [check, severity])).toEqual([['vague-wording', 'error']]);
+    expect(summary).toEqual({ error: 1, warning: 0, info: 0 });
+    expect(linter.describe().find((check) => check.name === 'non-actionable').severity).toBe('off');
+  });
+
+  it('should reject unknown checks, severities and options', () => {
+    expect(() => RuleLinter.parseConfig({ spelling: 'warning' })).toThrow('Unknown lint check "spelling"');
+    expect(() => RuleLinter.parseConfig('{"vague-wording":"fatal"}')).toThrow('expected one of: error, warning, info, off');
+    expect(() => RuleLinter.parseConfig({ 'rule-too-long': { options: { maxTokens: -5 } } })).toThrow(
+      'Invalid option "maxTokens" for lint check "rule-too-long"'
+    );
+    expect(() => RuleLinter.parseConfig({ 'vague-wording': { options: { words: [] } } })).toThrow('Invalid option "words"');
+    expect(() => RuleLinter.parseConfig({ 'unresolved-placeholder': { options: { markers: ['TODO', ' '] } } })).toThrow(
+      'Invalid option "markers"'
+    );
+  });
+
+  it('should layer request configuration over project configuration per check', () => {
+    const project = { 'rule-too-long': { severity: 'error', options: { maxTokens: 200 } }, 'vague-wording': 'info' };
+    const request = { 'rule-too-long': { options: { maxTokens: 300 } }, 'non-actionable': 'off' };
+
+    expect(RuleLinter.mergeConfig(JSON.stringify(project), request)).toEqual({
+      'rule-too-long': { severity: 'error', options: { maxTokens: 300 } },
+      'vague-wording': { severity: 'info' },
+      'non-actionable': { severity: 'off' }
+    });
+    expect(RuleLinter.mergeConfig(null, undefined)).toEqual({});
+  });
+});
+
+describe('ProjectValidator rule lint integration', () => {
+  it('should report lint findings for a rule definition by severity', async () => {
+    const result = await new ProjectValidator(null).validateResourceDefinition('rule', {
+      title: 'Formatting',
+      description: 'How code is formatted',
+      rule_text: 'Maybe format code with {FORMATTER}.'
+    });
+
+    expect(result.warnings).toEqual([
+      'Vague wording "maybe"; say exactly what to do (line 1)',
+      'Placeholder {FORMATTER} is not filled in (line 1)'
+    ]);
+    expect(result.recommendations).toContain('Consider using more actionable language (must, should, when, if)');
+  });
+
+  it('should block export on checks the project raised to error', async () => {
+    const rule = { id: 'r1', name: 'Style', rule_content: 'You should maybe use tabs.' };
+    const db = { prepare: () => ({ bind: () => ({ first: async () => rule }) }) };
+    const result = { errors: [], warnings: [], recommendations: [] };
+
+    await new ProjectValidator(db)._validateRuleLint(
+      { rule_lint_config: '{"vague-wording":"error"}' },
+      { rules: [{ resource_id: 'r1', config_overrides: null }] },
+      result
+    );
+
+    expect(result.errors).toEqual(['Rule "Style": Vague wording "maybe"; say exactly what to do (line 1)']);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for typed argument schemas on rule set templates
+ * **Feature: claude-code-bootstrap, Rule set arguments**
+ * **Validates: Requirements 3.3, 5.1**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { RuleSetArgumentSchema } from './index.js';
+
+const schema = RuleSetArgumentSchema.parse([
+  { name: 'FRAMEWORK', type: 'enum', options: ['react', 'vue'], required: true, description: 'UI framework' },
+  { name: 'MAX_LINES', type: 'number', default: '300' },
+  { name: 'STRICT', type: 'boolean', default: false },
+  { name: 'TEAM', description: 'Owning team' }
+]);
+
+describe('RuleSetArgumentSchema.parse', () => {
+  it('should normalize definitions and coerce defaults', () => {
+    expect(schema.definitions).toEqual([
+      { name: 'FRAMEWORK', type: 'enum', options: ['react', 'vue'], default: null, required: true, description: 'UI framework' },
+      { name: 'MAX_LINES', type: 'number', options: null, default: 300, required: false, description: null },
+      { name: 'STRICT', type: 'boolean', options: null, default: false, required: false, description: null },
+      { name: 'TEAM', type: 'string', options: null, default: null, required: false, description: 'Owning team' }
+    ]);
+    expect(RuleSetArgumentSchema.parse(null).definitions).toEqual([]);
+    expect(RuleSetArgumentSchema.parse('[{"name":"LANG"}]').definitions[0].type).toBe('string');
+  });
+
+  it('should reject malformed schemas', () => {
+    expect(() => RuleSetArgumentSchema.parse({})).toThrow('must be an array');
+    expect(() => RuleSetArgumentSchema.parse([{ name: 'framework' }])).toThrow('UPPER_CASE placeholder name');
+    expect(() => RuleSetArgumentSchema.parse([{ name: 'A', type: 'date' }])).toThrow('expected one of: string, number, boolean, enum');
+    expect(() => RuleSetArgumentSchema.parse([{ name: 'A', type: 'enum', options: [] }])).toThrow('non-empty list');
+    expect(() => RuleSetArgumentSchema.parse([{ name: 'A' }, { name: 'A' }])).toThrow('declared more than once');
+    expect(() => RuleSetArgumentSchema.parse([{ name: 'A', type: 'number', default: 'many' }])).toThrow(
+      'Default for argument A is invalid: expected a number, got "many"'
+    );
+  });
+});
+
+describe('RuleSetArgumentSchema.resolve', () => {
+  const contents = ['Use {FRAMEWORK} components.', 'Keep files under {MAX_LINES} lines. Ask {TEAM}. {STRICT}'];
+
+  it('should coerce values, apply defaults and blank optional arguments', () => {
+    expect(schema.resolve({ FRAMEWORK: 'vue', STRICT: 'true' }, contents)).toEqual({
+      values: { FRAMEWORK: 'vue', MAX_LINES: 300, STRICT: true, TEAM: '' },
+      errors: []
+    });
+  });
+
+  it('should return one structured error per invalid argument', () => {
+    const { errors } = schema.resolve({ MAX_LINES: 'lots', STRICT: 'yes' }, contents);
+
+    expect(errors).toEqual([
+      { argument: 'FRAMEWORK', code: 'required', message: 'FRAMEWORK is required' },
+      { argument: 'MAX_LINES', code: 'type', message: 'MAX_LINES: expected a number, got "lots"' },
+      { argument: 'STRICT', code: 'type', message: 'STRICT: expected true or false, got "yes"' }
+    ]);
+    expect(schema.resolve({ FRAMEWORK: 'svelte' }, contents).errors).toEqual([
+      { argument: 'FRAMEWORK', code: 'enum', message: 'FRAMEWORK: expected one of react, vue, got "svelte"' }
+    ]);
+  });
+
+  it('should report placeholders the schema does not declare unless given a value', () => {
+    const undeclared = ['Deploy with {DEPLOY_TOOL} to {REGION}.'];
+
+    expect(RuleSetArgumentSchema.placeholders(undeclared)).toEqual(['DEPLOY_TOOL', 'REGION']);
+    expect(new RuleSetArgumentSchema().resolve({ REGION: 'eu' }, undeclared)).toEqual({
+      values: { REGION: 'eu' },
+      errors: [
+        {
+          argument: 'DEPLOY_TOOL',
+          code: 'undeclared',
+          message: '{DEPLOY_TOOL} is used in the rules but has no value and is not declared in the argument schema'
+        }
+      ]
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for rule sets extending other rule sets and including agent rules
+ * **Feature: claude-code-bootstrap, Rule set composition**
+ * **Validates: Requirements 3.3, 5.1**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { RuleSetResolver } from './index.js';
+
+const ruleSet = (id, name, rules = [], extra = {}) => ({
+  id,
+  name,
+  rules: JSON.stringify(rules),
+  argument_schema: '[]',
+  extends: '[]',
+  includes: '[]',
+  ...extra
+});
+
+// Mock D1 database serving rule_sets and agent_rules rows by id
+const createMockDb = (ruleSets, agentRules = []) => ({
+  prepare: (query) => ({
+    bind: (id) => ({
+      first: async () => {
+        const rows = query.includes('FROM rule_sets') ? ruleSets : agentRules;
+        return rows.find((row) => row.id === id) || null;
+      }
+    })
+  })
+});
+
+const security = ruleSet('base', 'Base security', [
+  { title: 'Secrets', content: 'Never commit secrets.', priority: 'high' },
+  { title: 'Dependencies', content: 'Pin dependency versions.', priority: 'medium' }
+]);
+const testing = ruleSet('testing', 'Testing', [
+  { title: 'Tests', content: 'Add tests for new code.', priority: 'medium' },
+  { title: 'Dependencies', content: 'Use {PACKAGE_MANAGER} with a lockfile.', priority: 'high' }
+], { argument_schema: JSON.stringify([{ name: 'PACKAGE_MANAGER', type: 'enum', options: ['npm', 'pnpm'], default: 'npm' }]) });
+
+describe('RuleSetResolver.resolve', () => {
+  it('should inline parents, then included rules, then own rules in override order', async () => {
+    const db = createMockDb(
+      [security, testing],
+      [{ id: 'rule-1', name: 'Tests', rule_content: 'Every change needs a test.', version: 1, is_active: 1 }]
+    );
+    const api = ruleSet('api', 'API', [{ title: 'Errors', content: 'Return JSON errors.', priority: 'low' }], {
+      extends: '["base","testing"]',
+      includes: '[{"rule_id":"rule-1","priority":"high"}]'
+    });
+
+    const { rules, argumentSchema } = await new RuleSetResolver(db).resolve(api);
+
+    expect(rules.map(({ title, content, priority, source, overrides }) => [title, content, priority, source.name, overrides?.name ?? null])).toEqual([
+      ['Secrets', 'Never commit secrets.', 'high', 'Base security', null],
+      ['Dependencies', 'Use {PACKAGE_MANAGER} with a lockfile.', 'high', 'Testing', 'Base security'],
+      ['Tests', 'Every change needs a test.', 'high', 'Tests', 'Testing'],
+      ['Errors', 'Return JSON errors.', 'low', 'API', null]
+    ]);
+    expect(rules[2].source).toEqual({ type: 'agent-rule', id: 'rule-1', name: 'Tests' });
+    expect(argumentSchema.map((definition) => [definition.name, definition.default])).toEqual([['PACKAGE_MANAGER', 'npm']]);
+  });
+
+  it('should not treat a parent reached twice as an override', async () => {
+    const web = ruleSet('web', 'Web', [], { extends: '["base"]' });
+    const mobile = ruleSet('mobile', 'Mobile', [], { extends: '["base"]' });
+    const app = ruleSet('app', 'App', [], { extends: '["web","mobile"]' });
+
+    const { rules } = await new RuleSetResolver(createMockDb([security, web, mobile])).resolve(app);
+
+    expect(rules.map((rule) => [rule.title, rule.source.id, rule.overrides])).toEqual([
+      ['Secrets', 'base', null],
+      ['Dependencies', 'base', null]
+    ]);
+  });
+
+  it('should reject cycles, unknown references and deleted rules', async () => {
+    const a = ruleSet('a', 'A', [], { extends: '["b"]' });
+    const b = ruleSet('b', 'B', [], { extends: '["c"]' });
+    const c = ruleSet('c', 'C', [], { extends: '["a"]' });
+    const db = createMockDb([a, b, c], [{ id: 'old', name: 'Legacy', rule_content: 'Use jQuery.', version: 1, is_active: 0 }]);
+
+    await expect(new RuleSetResolver(db).resolve(a)).rejects.toThrow('Rule set extends cycle: A → B → C → A');
+    await expect(new RuleSetResolver(db).resolve({ ...a, extends: '["a"]' })).rejects.toThrow('Rule set extends cycle: A → A');
+    await expect(new RuleSetResolver(db).resolve({ ...a, extends: '["missing"]' })).rejects.toThrow(
+      'Rule set "A" extends unknown rule set missing'
+    );
+    await expect(new RuleSetResolver(db).resolve({ ...a, extends: '[]', includes: '["gone"]' })).rejects.toThrow(
+      'Rule set "A" includes unknown agent rule gone'
+    );
+    await expect(new RuleSetResolver(db).resolve({ ...a, extends: '[]', includes: '["old"]' })).rejects.toThrow(
+      'Rule set "A" includes deleted agent rule Legacy'
+    );
+  });
+});
+
+describe('RuleSetResolver list parsing', () => {
+  it('should normalize includes and reject malformed entries', () => {
+    expect(RuleSetResolver.parseIncludes(['rule-1', { rule_id: 'rule-2', priority: 'low', version: 3 }])).toEqual([
+      { rule_id: 'rule-1', priority: 'medium', version: null },
+      { rule_id: 'rule-2', priority: 'low', version: 3 }
+    ]);
+    expect(RuleSetResolver.parseExtends('["a","a","b"]')).toEqual(['a', 'b']);
+    expect(() => RuleSetResolver.parseExtends('{"a":1}')).toThrow('extends must be an array');
+    expect(() => RuleSetResolver.parseIncludes([{ rule_id: 'r', priority: 'urgent' }])).toThrow(
+      'expected one of: high, medium, low'
+    );
+    expect(() => RuleSetResolver.parseIncludes([{ priority: 'low' }])).toThrow('includes entries must be agent rule IDs');
+  });
+
+  it('should reject own rules that are not objects with a title', async () => {
+    expect(RuleSetResolver.parseRules('[{"title":"Tests"}]')).toEqual([{ title: 'Tests' }]);
+    expect(() => RuleSetResolver.parseRules([{ title: 'Tests' }, null])).toThrow(
+      'rules[1] must be an object with a string title and content'
+    );
+    expect(() => RuleSetResolver.parseRules([{ title: 5 }])).toThrow('rules[0] must be an object');
+    expect(() => RuleSetResolver.parseRules([{ title: 'Tests', content: ['x'] }])).toThrow('rules[0] must be an object');
+    await expect(new RuleSetResolver(createMockDb([])).resolve(ruleSet('a', 'A', [null]))).rejects.toMatchObject({
+      message: 'rules[0] must be an object with a string title and content',
+      field: 'rules'
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for rule version history, revert and pinning
+ * **Feature: claude-code-bootstrap, Rule versions**
+ * **Validates: Requirements 3.3, 5.1**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ClaudeCodeExporter, RuleVersionManager } from './index.js';
+
+const FIELDS = ['name', 'description', 'rule_content', 'ide_id', 'agent_id', 'category', 'priority', 'tags', 'path_scope'];
+
+// Mock D1 database keeping agent_rules and agent_rules_versions rows in memory
+const createMockDb = (rules) => {
+  const versions = [];
+
+  const execute = (query, params) => {
+    if (query.startsWith('SELECT * FROM agent_rules WHERE id = ?')) {
+      return { results: rules.filter((rule) => rule.id === params[0]) };
+    }
+    if (query.startsWith('SELECT MAX(version)')) {
+      const numbers = versions.filter((row) => row.rule_id === params[0]).map((row) => row.version);
+      return { results: [{ version: numbers.length > 0 ? Math.max(...numbers) : null }] };
+    }
+    if (query.startsWith('INSERT INTO agent_rules_versions')) {
+      const [id, ruleId, version, ...rest] = params;
+      const row = { id, rule_id: ruleId, version };
+      FIELDS.forEach((field, index) => (row[field] = rest[index]));
+      [row.author, row.reason, row.reverted_from] = rest.slice(FIELDS.length);
+      versions.push(row);
+      return { results: [] };
+    }
+    if (query.startsWith('UPDATE agent_rules SET version = ?')) {
+      rules.find((rule) => rule.id === params[1]).version = params[0];
+      return { results: [] };
+    }
+    if (query.startsWith('UPDATE agent_rules')) {
+      const rule = rules.find((candidate) => candidate.id === params[params.length - 1]);
+      FIELDS.forEach((field, index) => (rule[field] = params[index]));
+      return { results: [] };
+    }
+    if (query.includes('FROM agent_rules_versions WHERE rule_id = ? AND version = ?')) {
+      return { results: versions.filter((row) => row.rule_id === params[0] && row.version === params[1]) };
+    }
+    if (query.includes('FROM agent_rules_versions WHERE rule_id = ?')) {
+      return {
+        results: versions.filter((row) => row.rule_id === params[0]).sort((a, b) => b.version - a.version)
+      };
+    }
+    throw new Error(`Unexpected query: ${query}`);
+  };
+
+  return {
+    versions,
+    prepare: (query) => {
+      const statement = (params = []) => ({
+        all: async () => execute(query.trim(), params),
+        run: async () => (execute(query.trim(), params), { success: true }),
+        first: async () => execute(query.trim(), params).results[0] || null
+      });
+      return { ...statement(), bind: (...params) => statement(params) };
+    }
+  };
+};
+
+const createRule = () => ({
+  id: 'rule-1',
+  name: 'Use TypeScript',
+  description: 'Typed code',
+  rule_content: 'All new modules are TypeScript.\n',
+  category: 'Code Style',
+  priority: 1,
+  tags: '[]',
+  version: 1
+});
+
+describe('RuleVersionManager', () => {
+  it('should number snapshots per rule and record author and reason', async () => {
+    const rules = [createRule()];
+    const db = createMockDb(rules);
+    const manager = new RuleVersionManager(db);
+
+    await manager.record('rule-1', { reason: 'Created' });
+    rules[0].rule_content = 'All modules are TypeScript.\n';
+    const version = await manager.record('rule-1', { author: 'sam', reason: 'Cover old modules' });
+
+    expect(version).toBe(2);
+    expect(rules[0].version).toBe(2);
+    expect((await manager.list('rule-1')).map((row) => [row.version, row.author, row.reason])).toEqual([
+      [2, 'sam', 'Cover old modules'],
+      [1, null, 'Created']
+    ]);
+    expect(await manager.record('missing')).toBeNull();
+  });
+
+  it('should revert by copying an old version forward', async () => {
+    const rules = [createRule()];
+    const manager = new RuleVersionManager(createMockDb(rules));
+    await manager.record('rule-1');
+    Object.assign(rules[0], { rule_content: 'Prefer JavaScript.\n', priority: 3 });
+    await manager.record('rule-1');
+
+    const rule = await manager.revert('rule-1', 1, { author: 'sam' });
+
+    expect(rule).toMatchObject({ rule_content: 'All new modules are TypeScript.\n', priority: 1, version: 3 });
+    expect(await manager.get('rule-1', 3)).toMatchObject({ reason: 'Reverted to version 1', reverted_from: 1, author: 'sam' });
+    expect(await manager.revert('rule-1', 9)).toBeNull();
+  });
+
+  it('should diff changed fields and content between versions', () => {
+    const from = { ...createRule(), version: 1 };
+    const to = { ...createRule(), version: 4, priority: 3, rule_content: 'All new modules are TypeScript.\nNo any.\n' };
+
+    expect(RuleVersionManager.diff(from, to)).toEqual({
+      from: 1,
+      to: 4,
+      fields: [{ field: 'priority', from: 1, to: 3 }],
+      contentDiff:
+        '--- a/Use TypeScript.md\n+++ b/Use TypeScript.md\n@@ -1,1 +1,2 @@\n All new modules are TypeScript.\n+No any.\n'
+    });
+  });
+});
+
+describe('Pinned rule versions', () => {
+  it('should export a pinned rule as of its pinned version', async () => {
+    const rules = [createRule()];
+    const db = createMockDb(rules);
+    const manager = new RuleVersionManager(db);
+    await manager.record('rule-1');
+    rules[0].rule_content = 'Prefer JavaScript.\n';
+    await manager.record('rule-1');
+    const exporter = new ClaudeCodeExporter(db);
+
+    const pinned = await exporter._getRule({ resource_id: 'rule-1', config_overrides: { ruleVersion: 1 } });
+    const latest = await exporter._getRule({ resource_id: 'rule-1', config_overrides: null });
+
+    expect(pinned).toMatchObject({ rule_content: 'All new modules are TypeScript.\n', version: 1 });
+    expect(latest).toMatchObject({ rule_content: 'Prefer JavaScript.\n', version: 2 });
+    await expect(
+      exporter._getRule({ resource_id: 'rule-1', config_overrides: { ruleVersion: 7 } })
+    ).rejects.toThrow('Rule "Use TypeScript" is pinned to version 7, which does not exist');
+  });
+
+  it('should read pins from parsed or JSON config overrides', () => {
+    expect(RuleVersionManager.pinnedVersion(null)).toBeNull();
+    expect(RuleVersionManager.pinnedVersion('{"ruleVersion":2}')).toBe(2);
+    expect(() => RuleVersionManager.pinnedVersion({ ruleVersion: 'latest' })).toThrow('ruleVersion must be a positive integer');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for the token budget of exported memory files
+ * **Feature: claude-code-bootstrap, Token budget analysis**
+ * **Validates: Requirements 5.1, 8.1**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ProjectValidator, TokenBudgetAnalyzer } from './index.js';
+
+describe('TokenBudgetAnalyzer.estimateTokens', () => {
+  it('should approximate BPE token counts for prose and Markdown', () => {
+    expect(TokenBudgetAnalyzer.estimateTokens('The quick brown fox jumps over the lazy dog.')).toBe(10);
+    expect(TokenBudgetAnalyzer.estimateTokens('---\n**Priority**: 12345')).toBe(9);
+    expect(TokenBudgetAnalyzer.estimateTokens('')).toBe(0);
+  });
+});
+
+describe('TokenBudgetAnalyzer.sections', () => {
+  it('should count tokens per top-level section, ignoring headings in code blocks', () => {
+    const sections = TokenBudgetAnalyzer.sections('intro\n# Acme\n\ntext\n## Rules\n```\n## not a heading\n```\n### Lint\nRun it.\n');
+
+    expect(sections.map(({ heading, level }) => [heading, level])).toEqual([
+      [null, 0],
+      ['Acme', 1],
+      ['Rules', 2]
+    ]);
+    expect(sections.every((section) => section.tokens > 0)).toBe(true);
+  });
+});
+
+describe('TokenBudgetAnalyzer.analyze', () => {
+  const files = {
+    'CLAUDE.md': `# Acme\n\n## Development Rules\n\n${'Keep functions small and tested. '.repeat(20)}\n`,
+    '.claude/rules.md': '# Development Rules\n\nRun lint.\n',
+    'packages/api/CLAUDE.md': '# packages/api\n\nReturn JSON.\n',
+    '.claude/agents/reviewer.md': 'You review code.\n',
+    '.claude/settings.json': '{}\n'
+  };
+
+  it('should budget startup memory and each scope on top of it', () => {
+    const analysis = new TokenBudgetAnalyzer(1000).analyze(files);
+
+    expect(analysis.files.map(({ path, loaded }) => [path, loaded])).toEqual([
+      ['.claude/agents/reviewer.md', 'on-demand'],
+      ['.claude/rules.md', 'startup'],
+      ['.claude/settings.json', 'config'],
+      ['CLAUDE.md', 'startup'],
+      ['packages/api/CLAUDE.md', 'directory']
+    ]);
+    const memory = analysis.files.filter((file) => file.loaded === 'startup').reduce((sum, file) => sum + file.tokens, 0);
+    expect(analysis.memoryTokens).toBe(memory);
+    expect(analysis.scopes[0].path).toBe('packages/api');
+    expect(analysis.scopes[0].tokens).toBeGreaterThan(memory);
+    expect(analysis.overBudget).toBe(false);
+    expect(analysis.suggestions).toEqual([]);
+  });
+
+  it('should suggest the lowest-priority rules until memory fits', () => {
+    const rules = [
+      { id: 'r1', name: 'Lint', priority: 9, rule_content: 'Run lint before every commit.' },
+      { id: 'r2', name: 'API errors', priority: 0, rule_content: 'Handlers in `packages/api/` return JSON errors.' },
+      { id: 'r3', name: 'Docs', priority: 1, rule_content: 'Update docs/guide.md when flags change.' },
+      { id: 'r4', name: 'Tone', priority: 1, rule_content: 'Be concise.' }
+    ];
+    const analysis = new TokenBudgetAnalyzer(10).analyze(files, rules);
+    const { suggestions } = new TokenBudgetAnalyzer(analysis.memoryTokens - 5).analyze(files, rules);
+
+    expect(analysis.overBudget).toBe(true);
+    expect(analysis.suggestions.map((suggestion) => suggestion.ruleId)).toEqual(['r2', 'r3', 'r4', 'r1']);
+    expect(analysis.suggestions.slice(0, 3).map(({ action, pathScope }) => [action, pathScope])).toEqual([
+      ['move', 'packages/api'],
+      ['move', 'docs'],
+      ['drop', null]
+    ]);
+    expect(suggestions.map((suggestion) => suggestion.ruleId)).toEqual(['r2']);
+  });
+
+  it('should suggest trims when only a scope is over budget', () => {
+    const rules = [{ id: 'r1', name: 'Lint', priority: 9, rule_content: 'Run lint before every commit.' }];
+    const { memoryTokens } = new TokenBudgetAnalyzer().analyze(files, rules);
+    const analysis = new TokenBudgetAnalyzer(memoryTokens).analyze(files, rules);
+
+    expect(analysis.overBudget).toBe(false);
+    expect(analysis.scopes[0].overBudget).toBe(true);
+    expect(analysis.suggestions.map((suggestion) => suggestion.ruleId)).toEqual(['r1']);
+  });
+
+  it('should reject invalid budgets', () => {
+    expect(TokenBudgetAnalyzer.parseBudget(undefined)).toBe(5000);
+    expect(TokenBudgetAnalyzer.parseBudget('2000')).toBe(2000);
+    expect(() => TokenBudgetAnalyzer.parseBudget('-1')).toThrow('positive whole number');
+    expect(() => TokenBudgetAnalyzer.parseBudget('lots')).toThrow('positive whole number');
+  });
+});
+
+describe('ProjectValidator.validateTokenBudget', () => {
+  it('should warn with the largest section and recommend trims', () => {
+    const result = new ProjectValidator(null).validateTokenBudget(
+      { 'CLAUDE.md': `# Acme\n\n## Development Rules\n\n${'Keep functions small. '.repeat(50)}` },
+      [{ id: 'r1', name: 'Tone', priority: 0, rule_content: 'Be concise.' }],
+      100
+    );
+
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toHaveLength(1);
+    expect(result.warnings[0]).toMatch(
+      /^Project memory is about \d+ tokens, over the 100 token budget \(largest section: "Development Rules" in CLAUDE\.md, \d+ tokens\)$/
+    );
+    expect(result.recommendations).toEqual([
+      'Drop rule "Tone" (priority 0, ~6 tokens) or give it a path scope'
+    ]);
+  });
+});
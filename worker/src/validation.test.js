@@ -668,4 +668,71 @@ describe('ProjectValidator', () => {
       expect(Array.isArray(result.recommendations)).toBe(true);
     });
   });
-});
\ No newline at end of file
+});
+describe('ProjectValidator - command arguments', () => {
+  const validator = new ProjectValidator(mockDb);
+
+  it('should accept consistent placeholder usage', () => {
+    expect(validator.analyzeCommandArguments('Review $ARGUMENTS').issues).toHaveLength(0);
+    expect(validator.analyzeCommandArguments('Compare $1 to $2', '[base] [head]').issues).toHaveLength(0);
+  });
+
+  it('should flag argument hints that do not match the placeholders', () => {
+    const unused = validator.analyzeCommandArguments('No arguments here', '[file]');
+    const mismatched = validator.analyzeCommandArguments('Compare $1 to $2', '[file]');
+
+    expect(unused.issues[0]).toContain('never references');
+    expect(mismatched.issues[0]).toContain('describes 1 argument(s)');
+  });
+
+  it('should validate command definitions', async () => {
+    const result = await validator.validateResourceDefinition('command', {
+      name: 'Bad Name',
+      description: 'Command with an invalid name',
+      prompt_content: 'Run $ARGUMENTS and $1'
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toContain('lowercase with hyphens');
+    expect(result.warnings.some(w => w.includes('mixes $ARGUMENTS'))).toBe(true);
+  });
+});
+
+describe('ProjectValidator - Claude Code hook events', () => {
+  const validator = new ProjectValidator(mockDb);
+
+  it('should accept the extended hook events', async () => {
+    for (const hook_type of ['UserPromptSubmit', 'SessionStart', 'SessionEnd', 'PreCompact']) {
+      const result = await validator.validateResourceDefinition('hook', {
+        name: `${hook_type} hook`,
+        description: 'Hook for a lifecycle event',
+        hook_type,
+        command: 'echo "event"'
+      });
+
+      expect(result.errors).toHaveLength(0);
+    }
+  });
+
+  it('should validate the SessionStart source matcher', async () => {
+    const result = await validator.validateResourceDefinition('hook', {
+      name: 'Session hook',
+      hook_type: 'SessionStart',
+      tool_matcher: { source: 'boot' },
+      command: 'echo "start"'
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toContain('startup, resume, clear, compact');
+  });
+
+  it('should reject unknown hook events', async () => {
+    const result = await validator.validateResourceDefinition('hook', {
+      name: 'Unknown hook',
+      hook_type: 'BeforeEverything',
+      command: 'echo "never"'
+    });
+
+    expect(result.isValid).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for ZIP archive export of Claude Code project structures
+ * **Feature: claude-code-bootstrap, ZIP export**
+ * **Validates: Requirements 5.1, 5.5**
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ZipArchiveBuilder, ClaudeCodeExporter } from './index.js';
+
+// Mock database for testing
+const mockDb = {
+  prepare: () => ({
+    bind: () => ({
+      all: () => ({ results: [] }),
+      first: () => null,
+      run: () => ({ success: true })
+    })
+  })
+};
+
+// Read the entry names and contents back out of a STORE-only archive
+const readEntries = (archive) => {
+  const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+  const decoder = new TextDecoder();
+  const entries = {};
+  let offset = 0;
+
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    const nameStart = offset + 30;
+    const dataStart = nameStart + nameLength + extraLength;
+    const name = decoder.decode(archive.subarray(nameStart, nameStart + nameLength));
+    entries[name] = decoder.decode(archive.subarray(dataStart, dataStart + size));
+    offset = dataStart + size;
+  }
+
+  return entries;
+};
+
+describe('ZipArchiveBuilder', () => {
+  it('should compute standard CRC-32 checksums', () => {
+    const data = new TextEncoder().encode('123456789');
+    expect(ZipArchiveBuilder.crc32(data)).toBe(0xcbf43926);
+  });
+
+  it('should preserve the .claude/ directory layout', () => {
+    const files = {
+      'CLAUDE.md': '# Project\n',
+      '.claude/project_settings.json': '{"name":"Project"}',
+      '.claude/agents/reviewer.md': '# Reviewer\n'
+    };
+
+    const archive = new ZipArchiveBuilder().addFiles(files).build();
+
+    expect(readEntries(archive)).toEqual(files);
+  });
+
+  it('should write a central directory covering every entry', () => {
+    const archive = new ZipArchiveBuilder()
+      .addFile('a.txt', 'a')
+      .addFile('.claude/b.txt', 'b')
+      .build();
+    const view = new DataView(archive.buffer);
+    const endOffset = archive.length - 22;
+
+    expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+    expect(view.getUint16(endOffset + 10, true)).toBe(2);
+
+    const centralOffset = view.getUint32(endOffset + 16, true);
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+  });
+
+  it('should reject paths that escape the archive root', () => {
+    expect(() => new ZipArchiveBuilder().addFile('../secrets.txt', 'x')).toThrow();
+  });
+});
+
+describe('ClaudeCodeExporter.generateZipArchive', () => {
+  it('should package the generated file map', () => {
+    const exporter = new ClaudeCodeExporter(mockDb);
+    const archive = exporter.generateZipArchive({ '.claude/rules.md': '# Rules\n' });
+
+    expect(archive).toBeInstanceOf(Uint8Array);
+    expect(readEntries(archive)).toEqual({ '.claude/rules.md': '# Rules\n' });
+  });
+});